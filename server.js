@@ -9,9 +9,16 @@ import { createServer } from "http";
 import { Server as SocketIOServer } from "socket.io";
 
 import connectDB from "./src/config/db.js";
+import runMigrations from "./src/config/migrations.js";
 import registerSignalingHandlers from "./src/socket/signalingHandler.js";
+import registerQueueHandlers from "./src/socket/queueHandler.js";
 import { startVideoReminderScheduler } from "./src/scheduler/videoReminder.js";
 import { startSlaEnforcer } from "./src/scheduler/slaEnforcer.js";
+import { startSubscriptionRenewalScheduler } from "./src/scheduler/subscriptionRenewal.js";
+import { startWaitlistScheduler } from "./src/scheduler/waitlistOffers.js";
+import { startNoShowScheduler } from "./src/scheduler/noShowTracker.js";
+import { startConsultationPaymentScheduler } from "./src/scheduler/consultationPaymentHolds.js";
+import { startAppointmentReminderScheduler } from "./src/scheduler/appointmentReminders.js";
 
 import router from "./src/routes/userRoute.js";
 import tenantRoute from "./src/routes/tenantRoute.js";
@@ -24,6 +31,12 @@ import ticketRouter from "./src/routes/ticketRoute.js";
 import notificationRouter from "./src/routes/notificationRoute.js";
 import videoConsultationRouter from "./src/routes/videoConsultationRoute.js";
 import chatbotRouter from "./src/routes/chatbotRoute.js";
+import knowledgeRouter from "./src/routes/knowledgeRoute.js";
+import couponRouter from "./src/routes/couponRoute.js";
+import queueRouter from "./src/routes/queueRoute.js";
+import dependentRouter from "./src/routes/dependentRoute.js";
+import reviewRouter from "./src/routes/reviewRoute.js";
+import doctorPortalRouter from "./src/routes/doctorPortalRoute.js";
 
 
 const app = express();
@@ -83,6 +96,7 @@ const io = new SocketIOServer(httpServer, {
   },
 });
 registerSignalingHandlers(io);
+registerQueueHandlers(io);
 
 /**
  * 1) GLOBAL MIDDLEWARE
@@ -105,6 +119,8 @@ app.use(
   })
 );
 
+// Webhook signatures are computed over the raw body, so it must skip express.json
+app.use("/api/payments/webhook", express.raw({ type: "application/json", limit: "1mb" }));
 app.use(express.json());
 app.use("/uploads", express.static(path.join(process.cwd(), "uploads")));
 
@@ -134,6 +150,12 @@ app.use("/api/tickets", ticketRouter);
 app.use("/api/notifications", notificationRouter);
 app.use("/api/video-consultations", videoConsultationRouter);
 app.use("/api/chatbot", chatbotRouter);
+app.use("/api/knowledge", knowledgeRouter);
+app.use("/api/coupons", couponRouter);
+app.use("/api/queue", queueRouter);
+app.use("/api/dependents", dependentRouter);
+app.use("/api/reviews", reviewRouter);
+app.use("/api/doctor-portal", doctorPortalRouter);
 
 
 /**
@@ -168,9 +190,15 @@ const PORT = process.env.PORT || 5000;
 
 async function bootstrap() {
   await connectDB(); // ✅ IMPORTANT: wait for Mongo
+  await runMigrations(); // 🛠️ One-off data fixes (idempotent)
 
   await startVideoReminderScheduler(); // ⏰ 5-min-before video call reminders
   startSlaEnforcer(); // ⏰ SLA breach detection every 5 min
+  await startSubscriptionRenewalScheduler(); // ⏰ Renewal reminders, dunning + expiry (hourly)
+  startWaitlistScheduler(); // ⏰ Waitlist hold expiry + roll-over (every 1 min)
+  startNoShowScheduler(); // ⏰ Auto NO_SHOW after the clinic's grace period (every 10 min)
+  startConsultationPaymentScheduler(); // ⏰ Release unpaid online bookings (every 1 min) + retry failed refunds
+  startAppointmentReminderScheduler(); // ⏰ Per-clinic reminders, e.g. 24h + 2h before (every 5 min)
 
   httpServer.listen(PORT, () => {
     console.log(`✅ Server is running on http://localhost:${PORT}`);
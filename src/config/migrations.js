@@ -0,0 +1,122 @@
+import Tenant from "../models/tenantModel.js";
+import Appointment from "../models/appointmentModel.js";
+import Coupon from "../models/couponModel.js";
+import Payment from "../models/paymentModel.js";
+import Doctor from "../models/doctorModel.js";
+import DoctorIdentity from "../models/doctorIdentityModel.js";
+import doctorService from "../services/doctorService.js";
+
+/**
+ * One-off data fixes run at boot, after the DB connects.
+ * Each step is idempotent, so they simply run on every boot.
+ */
+
+// Subscription audit entries live in subscription.auditLogs (the only path the
+// schema declares). Older code pushed to a top-level auditLogs array; fold any
+// such entries in, oldest first, and drop the stray field.
+const moveLegacyAuditLogs = async () => {
+  const res = await Tenant.collection.updateMany({ auditLogs: { $exists: true } }, [
+    {
+      $set: {
+        "subscription.auditLogs": {
+          $concatArrays: [
+            { $ifNull: ["$auditLogs", []] },
+            { $ifNull: ["$subscription.auditLogs", []] },
+          ],
+        },
+      },
+    },
+    { $unset: "auditLogs" },
+  ]);
+  if (res.modifiedCount > 0) {
+    console.log(`[Migrations] Moved audit logs into subscription.auditLogs for ${res.modifiedCount} tenant(s)`);
+  }
+};
+
+// autoIndex only creates missing indexes; it never drops the old full unique
+// { doctorId, dateTime } index (doctorId_1_dateTime_1) or one whose partial
+// filter changed, and either would keep cancelled slots from being rebooked.
+// syncIndexes drops indexes the schema no longer declares and rebuilds changed ones.
+const syncAppointmentIndexes = async () => {
+  const dropped = await Appointment.syncIndexes();
+  if (dropped.length > 0) {
+    console.log(`[Migrations] Dropped stale appointment indexes: ${dropped.join(", ")}`);
+  }
+};
+
+// Doctor identities used to be shared by email, so any clinic that entered a
+// doctor's email joined their calendar. Rebuild them from accepted invitations:
+// unaccepted profiles are split off onto identities of their own, and accepted
+// ones move to their account's identity. syncIndexes first drops the old
+// unique email index and adds the per-account one.
+const regroupDoctorIdentities = async () => {
+  await DoctorIdentity.syncIndexes();
+
+  const shared = await Doctor.aggregate([
+    { $match: { identityId: { $ne: null } } },
+    { $group: { _id: "$identityId", profiles: { $push: { _id: "$_id", userId: "$userId" } } } },
+    { $match: { "profiles.1": { $exists: true } } },
+  ]);
+  let split = 0;
+  for (const { profiles } of shared) {
+    // With no accepted profile in the group, the first keeps the identity
+    const keep = profiles.some((p) => p.userId) ? 0 : 1;
+    for (const profile of profiles.filter((p) => !p.userId).slice(keep)) {
+      await Doctor.updateOne({ _id: profile._id }, { $set: { identityId: null } });
+      await doctorService.getIdentityId(profile._id);
+      split++;
+    }
+  }
+
+  const misplaced = await Doctor.aggregate([
+    { $match: { userId: { $ne: null } } },
+    {
+      $lookup: {
+        from: DoctorIdentity.collection.name,
+        localField: "identityId",
+        foreignField: "_id",
+        as: "identity",
+      },
+    },
+    { $match: { $expr: { $ne: [{ $arrayElemAt: ["$identity.userId", 0] }, "$userId"] } } },
+    { $project: { userId: 1 } },
+  ]);
+  for (const profile of misplaced) {
+    await doctorService.joinAccountIdentity(profile._id, profile.userId);
+  }
+
+  if (split + misplaced.length > 0) {
+    console.log(
+      `[Migrations] Doctor identities: split ${split} unaccepted profile(s), linked ${misplaced.length} to their account`
+    );
+  }
+};
+
+// Per-clinic coupon usage used to be counted from payments on each purchase;
+// it is now a counter on the coupon. Seed it, once, from the redemptions
+// already recorded on payments.
+const backfillCouponTenantRedemptions = async () => {
+  const coupons = await Coupon.find({ tenantRedemptions: { $exists: false } }).select("_id").lean();
+  for (const { _id } of coupons) {
+    const usage = await Payment.aggregate([
+      { $match: { "coupon.couponId": _id, "coupon.redeemedAt": { $ne: null } } },
+      { $group: { _id: "$tenantId", count: { $sum: 1 } } },
+    ]);
+    await Coupon.updateOne(
+      { _id, tenantRedemptions: { $exists: false } },
+      { $set: { tenantRedemptions: Object.fromEntries(usage.map((u) => [String(u._id), u.count])) } }
+    );
+  }
+  if (coupons.length > 0) {
+    console.log(`[Migrations] Seeded per-clinic redemption counts for ${coupons.length} coupon(s)`);
+  }
+};
+
+const runMigrations = async () => {
+  await moveLegacyAuditLogs();
+  await syncAppointmentIndexes();
+  await regroupDoctorIdentities();
+  await backfillCouponTenantRedemptions();
+};
+
+export default runMigrations;
@@ -1,9 +1,20 @@
 import AppointmentService from "../services/appointmentService.js";
+import PrescriptionService from "../services/prescriptionService.js";
+import WaitlistService from "../services/waitlistService.js";
+import CalendarService from "../services/calendarService.js";
 import NotificationService from "../services/notificationService.js";
 import Doctor from "../models/doctorModel.js";
 import User from "../models/userModel.js";
+import Tenant from "../models/tenantModel.js";
 import nodemailer from "nodemailer";
-import { appointmentBookedDoctorTemplate, appointmentBookedPatientTemplate } from "../utils/emailTemplates.js";
+import {
+  appointmentBookedDoctorTemplate,
+  appointmentBookedPatientTemplate,
+  appointmentCancelledTemplate,
+} from "../utils/emailTemplates.js";
+import { buildAppointmentEvent, buildCalendar, describeAppointmentEvent } from "../utils/icalendar.js";
+import { getTenantTimeZone } from "../services/tenantService.js";
+import { getZonedDateSlot, formatAppointmentDateTime, resolveTenantTimeZone } from "../utils/dateTime.js";
 
 /* ----------------------------- helpers ----------------------------- */
 const normalizeStr = (v) => String(v ?? "").trim();
@@ -24,9 +35,10 @@ const resolveFeeNumber = (raw) => {
  *  A) date + slot  (recommended)
  *  B) dateTime ISO (optional)
  *
- * If dateTime is given, we convert it to { date, slot } for service compatibility.
+ * If dateTime is given, we convert it to { date, slot } for service compatibility,
+ * reading it in the clinic's zone (getTimeZone is only called for this shape).
  */
-const resolveDateSlot = (raw) => {
+const resolveDateSlot = async (raw, getTimeZone) => {
   // preferred
   if (raw?.date && raw?.slot) {
     return { date: normalizeStr(raw.date), slot: normalizeStr(raw.slot) };
@@ -38,19 +50,8 @@ const resolveDateSlot = (raw) => {
   const d = new Date(dt);
   if (Number.isNaN(d.getTime())) return { date: "", slot: "" };
 
-  // Extract IST-specific date and time components to avoid local server timezone interference
-  try {
-    const [datePart, timePart] = d.toLocaleString("en-GB", { timeZone: "Asia/Kolkata" }).split(", ");
-    const [day, month, year] = datePart.split("/");
-    const [hh, mm] = timePart.split(":");
-    return { date: `${year}-${month}-${day}`, slot: `${hh}:${mm}` };
-  } catch (err) {
-    // Fallback if Intl is unavailable/fails
-    const pad = (n) => String(n).padStart(2, "0");
-    const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
-    const slot = `${pad(d.getHours())}:${pad(d.getMinutes())}`;
-    return { date, slot };
-  }
+  // Clinic-local date and time, independent of the server TZ
+  return getZonedDateSlot(d, await getTimeZone()) || { date: "", slot: "" };
 };
 
 const buildPatientInfoSnapshot = (raw = {}) => {
@@ -83,6 +84,390 @@ const buildPatientInfoSnapshot = (raw = {}) => {
   return { snapshot };
 };
 
+// Booking clash: 409 so clients can offer "join waitlist" instead
+const sendSlotTaken = (res, error) =>
+  res.status(409).json({
+    success: false,
+    code: "SLOT_TAKEN",
+    message: error.message,
+    canJoinWaitlist: true,
+  });
+
+// Clinic policy refusals (no-show block, late cancellation): 403
+const POLICY_ERROR_CODES = new Set(["BOOKING_BLOCKED", "LATE_CANCELLATION"]);
+const sendPolicyRefusal = (res, error) =>
+  res.status(403).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+  });
+
+// Lifecycle step not allowed from the current status: 409
+const sendInvalidTransition = (res, error) =>
+  res.status(409).json({
+    success: false,
+    code: "INVALID_TRANSITION",
+    message: error.message,
+    from: error.from,
+    to: error.to,
+  });
+
+// Series occurrence conflicts: 409 with one entry per unbookable visit
+const sendSeriesConflict = (res, error) =>
+  res.status(409).json({
+    success: false,
+    code: "SERIES_CONFLICT",
+    message: error.message,
+    conflicts: error.conflicts || [],
+  });
+
+// Quoted CSV cell; a leading = + - @ is escaped so spreadsheets don't run it as a formula
+const csvCell = (value) => {
+  const text = String(value ?? "");
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+// Public base for feed URLs (API_URL when behind a proxy)
+const resolveApiBaseUrl = (req) =>
+  (process.env.API_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+
+const sendCalendarFeed = (res, ics) => {
+  if (!ics) return res.status(404).json({ success: false, message: "Calendar feed not found." });
+  res.set("Cache-Control", "private, max-age=300");
+  res.type("text/calendar; charset=utf-8");
+  return res.status(200).send(ics);
+};
+
+const createMailTransporter = () =>
+  nodemailer.createTransport({
+    host: "smtp.gmail.com",
+    port: 465,
+    secure: true,
+    auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
+  });
+
+const describeType = (consultationType) =>
+  consultationType === "video" ? "video consultation" : "in-clinic appointment";
+
+/**
+ * Nodemailer icalEvent for an appointment (REQUEST adds/updates, CANCEL removes)
+ * - context: { audience, doctorName, patientName, clinic } (see describeAppointmentEvent)
+ * - recipient: { email, name } of the person the email goes to
+ */
+const calendarInvite = (appointment, context, recipient, method = "REQUEST") => ({
+  filename: "appointment.ics",
+  method,
+  content: buildCalendar(
+    [
+      buildAppointmentEvent(appointment, {
+        ...describeAppointmentEvent(appointment, context),
+        cancelled: method === "CANCEL",
+        organizerEmail: process.env.EMAIL_USER,
+        attendee: recipient,
+      }),
+    ],
+    { method }
+  ),
+});
+
+/**
+ * Emails + in-app notifications after an appointment is moved (fire-and-forget)
+ */
+const notifyAppointmentRescheduled = async (appointment, previousDateTime, actorRole) => {
+  const [doctor, patient, tenant] = await Promise.all([
+    Doctor.findById(appointment.doctorId).select("name email").lean(),
+    User.findById(appointment.patientId).select("name email").lean(),
+    Tenant.findById(appointment.tenantId).select("ownerId name address settings.timezone").lean(),
+  ]);
+
+  const timeZone = resolveTenantTimeZone(tenant);
+  const newTimeStr = formatAppointmentDateTime(appointment.dateTime, timeZone);
+  const oldTimeStr = formatAppointmentDateTime(previousDateTime, timeZone);
+  const patientName = appointment.patientInfo?.name || patient?.name || "Patient";
+  const doctorName = doctor?.name || "your doctor";
+  const typeLabel = describeType(appointment.consultationType);
+  const options = { rescheduledFrom: oldTimeStr };
+  const inviteContext = { doctorName, patientName, clinic: tenant };
+
+  const transporter = createMailTransporter();
+
+  if (doctor?.email) {
+    transporter.sendMail({
+      from: `"Sovereign Protocol" <${process.env.EMAIL_USER}>`,
+      to: doctor.email,
+      subject: "Appointment Rescheduled | Sovereign",
+      html: appointmentBookedDoctorTemplate(
+        doctor.name,
+        patientName,
+        newTimeStr,
+        appointment.consultationType,
+        appointment.consultationFee,
+        "", // Meeting link sent separately before the session
+        options
+      ),
+      icalEvent: calendarInvite(appointment, { ...inviteContext, audience: "DOCTOR" }, { email: doctor.email, name: doctor.name }),
+    }).catch((e) => console.error("Doctor reschedule email failed:", e.message));
+  }
+
+  const patientEmail = patient?.email || appointment.patientInfo?.email;
+  if (patientEmail) {
+    transporter.sendMail({
+      from: `"Sovereign Protocol" <${process.env.EMAIL_USER}>`,
+      to: patientEmail,
+      subject: "Appointment Rescheduled | Sovereign",
+      html: appointmentBookedPatientTemplate(
+        patientName,
+        doctorName,
+        newTimeStr,
+        appointment.consultationType,
+        appointment.consultationFee,
+        "",
+        options
+      ),
+      icalEvent: calendarInvite(appointment, { ...inviteContext, audience: "PATIENT" }, { email: patientEmail, name: patientName }),
+    }).catch((e) => console.error("Patient reschedule email failed:", e.message));
+  }
+
+  const meta = { appointmentId: appointment._id };
+  const byClinic = actorRole === "CLINIC_ADMIN";
+
+  NotificationService.create({
+    recipient: appointment.patientId,
+    type: "APPOINTMENT",
+    title: "Appointment Rescheduled",
+    message: `Your ${typeLabel} with Dr. ${doctorName} has been moved from ${oldTimeStr} to ${newTimeStr}${byClinic ? " by the clinic" : ""}.`,
+    meta,
+  }).catch((e) => console.error("Patient notification failed:", e.message));
+
+  if (tenant?.ownerId) {
+    NotificationService.create({
+      recipient: tenant.ownerId,
+      type: "APPOINTMENT",
+      title: "Appointment Rescheduled",
+      message: `${patientName}'s ${typeLabel} with Dr. ${doctor?.name || "a doctor"} has been moved from ${oldTimeStr} to ${newTimeStr}.`,
+      meta,
+    }).catch((e) => console.error("Clinic admin notification failed:", e.message));
+  }
+};
+
+/**
+ * Cancellation emails (with a calendar CANCEL) to the patient and doctor,
+ * plus an in-app notice to the other party (fire-and-forget)
+ */
+const notifyAppointmentCancelled = async (appointment, actorRole) => {
+  const [doctor, patient, tenant] = await Promise.all([
+    Doctor.findById(appointment.doctorId).select("name email").lean(),
+    User.findById(appointment.patientId).select("name email").lean(),
+    Tenant.findById(appointment.tenantId).select("ownerId name address settings.timezone").lean(),
+  ]);
+
+  const whenStr = formatAppointmentDateTime(appointment.dateTime, resolveTenantTimeZone(tenant));
+  const typeLabel = describeType(appointment.consultationType);
+  const meta = { appointmentId: appointment._id };
+  const patientName = appointment.patientInfo?.name || patient?.name || "Patient";
+  const doctorName = doctor?.name || "your doctor";
+  const inviteContext = { doctorName, patientName, clinic: tenant };
+  const options = {
+    cancelledBy: actorRole === "PATIENT" ? "the patient" : "the clinic",
+    reason: appointment.cancellation?.reason || "",
+  };
+
+  const transporter = createMailTransporter();
+
+  if (doctor?.email) {
+    transporter.sendMail({
+      from: `"Sovereign Protocol" <${process.env.EMAIL_USER}>`,
+      to: doctor.email,
+      subject: "Appointment Cancelled | Sovereign",
+      html: appointmentCancelledTemplate(
+        doctor.name,
+        "Doctor",
+        patientName,
+        whenStr,
+        appointment.consultationType,
+        options
+      ),
+      icalEvent: calendarInvite(
+        appointment,
+        { ...inviteContext, audience: "DOCTOR" },
+        { email: doctor.email, name: doctor.name },
+        "CANCEL"
+      ),
+    }).catch((e) => console.error("Doctor cancellation email failed:", e.message));
+  }
+
+  const patientEmail = patient?.email || appointment.patientInfo?.email;
+  if (patientEmail) {
+    transporter.sendMail({
+      from: `"Sovereign Protocol" <${process.env.EMAIL_USER}>`,
+      to: patientEmail,
+      subject: "Appointment Cancelled | Sovereign",
+      html: appointmentCancelledTemplate(
+        patientName,
+        "Patient",
+        `Dr. ${doctorName}`,
+        whenStr,
+        appointment.consultationType,
+        options
+      ),
+      icalEvent: calendarInvite(
+        appointment,
+        { ...inviteContext, audience: "PATIENT" },
+        { email: patientEmail, name: patientName },
+        "CANCEL"
+      ),
+    }).catch((e) => console.error("Patient cancellation email failed:", e.message));
+  }
+
+  if (actorRole === "PATIENT") {
+    if (!tenant?.ownerId) return;
+    NotificationService.create({
+      recipient: tenant.ownerId,
+      type: "APPOINTMENT",
+      title: "Appointment Cancelled",
+      message: `${appointment.patientInfo?.name || "A patient"} cancelled their ${typeLabel} with Dr. ${doctor?.name || "a doctor"} on ${whenStr}.`,
+      meta,
+    }).catch((e) => console.error("Clinic admin notification failed:", e.message));
+    return;
+  }
+
+  NotificationService.create({
+    recipient: appointment.patientId,
+    type: "APPOINTMENT",
+    title: "Appointment Cancelled",
+    message: `Your ${typeLabel} with Dr. ${doctorName} on ${whenStr} has been cancelled by the clinic.`,
+    meta,
+  }).catch((e) => console.error("Patient notification failed:", e.message));
+};
+
+/**
+ * One in-app summary per series change instead of a notification per visit
+ * - buildMessage(doctorName, forClinic, formatWhen) => string
+ *   formatWhen(dateTime) renders a visit time in the clinic's zone
+ */
+const notifySeriesChange = async (series, title, buildMessage) => {
+  const [doctor, tenant] = await Promise.all([
+    Doctor.findById(series.doctorId).select("name").lean(),
+    Tenant.findById(series.tenantId).select("ownerId settings.timezone").lean(),
+  ]);
+  const doctorName = doctor?.name || "your doctor";
+  const timeZone = resolveTenantTimeZone(tenant);
+  const formatWhen = (dateTime) => formatAppointmentDateTime(dateTime, timeZone);
+  const meta = { seriesId: series._id };
+
+  NotificationService.create({
+    recipient: series.patientId,
+    type: "APPOINTMENT",
+    title,
+    message: buildMessage(doctorName, false, formatWhen),
+    meta,
+  }).catch((e) => console.error("Patient series notification failed:", e.message));
+
+  if (tenant?.ownerId) {
+    NotificationService.create({
+      recipient: tenant.ownerId,
+      type: "APPOINTMENT",
+      title,
+      message: buildMessage(doctorName, true, formatWhen),
+      meta,
+    }).catch((e) => console.error("Clinic admin series notification failed:", e.message));
+  }
+};
+
+const frequencyLabel = (frequency) => (frequency === "BIWEEKLY" ? "every two weeks" : "weekly");
+
+/**
+ * Emails + in-app notifications after a booking (errors are logged, never thrown)
+ */
+const notifyAppointmentBooked = async (appointment, { tenantId, userId, snapshot }) => {
+  try {
+    const doctor = await Doctor.findById(appointment.doctorId)
+      .select("name email")
+      .lean();
+
+    const patient = await User.findById(userId)
+      .select("name email")
+      .lean();
+
+    const tenant = await Tenant.findById(tenantId).select("ownerId name address settings.timezone").lean();
+
+    const dateTimeStr = formatAppointmentDateTime(appointment.dateTime, resolveTenantTimeZone(tenant));
+    const inviteContext = { doctorName: doctor?.name, patientName: snapshot.name, clinic: tenant };
+
+    const transporter = createMailTransporter();
+
+    // 1) Email notification to doctor (no meeting link — sent 5 min before)
+    if (doctor?.email) {
+      transporter.sendMail({
+        from: `"Sovereign Protocol" <${process.env.EMAIL_USER}>`,
+        to: doctor.email,
+        subject: appointment.consultationType === "video"
+          ? "New Video Consultation Booked | Sovereign (Meeting link will be sent later)"
+          : "New Appointment Booked | Sovereign",
+        html: appointmentBookedDoctorTemplate(
+          doctor.name,
+          snapshot.name,
+          dateTimeStr,
+          appointment.consultationType,
+          appointment.consultationFee,
+          "" // Meeting link sent separately 5 min before
+        ),
+        icalEvent: calendarInvite(appointment, { ...inviteContext, audience: "DOCTOR" }, { email: doctor.email, name: doctor.name }),
+      }).catch((e) => console.error("Doctor email notification failed:", e.message));
+    }
+
+    // 2) Email notification to patient (no meeting link — sent 5 min before)
+    const patientEmail = patient?.email || snapshot.email;
+    if (patientEmail) {
+      transporter.sendMail({
+        from: `"Sovereign Protocol" <${process.env.EMAIL_USER}>`,
+        to: patientEmail,
+        subject: appointment.consultationType === "video"
+          ? "Video Consultation Confirmed | Sovereign (Meeting link comes later)"
+          : "Appointment Confirmed | Sovereign",
+        html: appointmentBookedPatientTemplate(
+          snapshot.name,
+          doctor?.name || "your doctor",
+          dateTimeStr,
+          appointment.consultationType,
+          appointment.consultationFee,
+          "" // Meeting link sent separately 5 min before
+        ),
+        icalEvent: calendarInvite(appointment, { ...inviteContext, audience: "PATIENT" }, { email: patientEmail, name: snapshot.name }),
+      }).catch((e) => console.error("Patient email notification failed:", e.message));
+    }
+
+    // 3) In-app notification to patient (no meeting link — sent 5 min before)
+    if (userId) {
+      const notifMeta = { appointmentId: appointment._id };
+
+      NotificationService.create({
+        recipient: userId,
+        type: "APPOINTMENT",
+        title: "Appointment Confirmed",
+        message: `Your ${appointment.consultationType === "video" ? "video consultation" : "in-clinic appointment"} with Dr. ${doctor?.name || "your doctor"} is booked for ${dateTimeStr}.${appointment.consultationType === "video" ? " Meeting link will be sent 5 minutes before the session." : ""}${appointment.requiresConfirmation ? " The clinic will confirm this booking." : ""}`,
+        meta: notifMeta,
+      }).catch((e) => console.error("Patient notification failed:", e.message));
+    }
+
+    // 4) In-app notification to clinic admin (for doctor awareness)
+    if (tenant?.ownerId) {
+      const adminNotifMeta = { appointmentId: appointment._id };
+
+      NotificationService.create({
+        recipient: tenant.ownerId,
+        type: "APPOINTMENT",
+        title: "New Patient Booking",
+        message: `${snapshot.name} booked a ${appointment.consultationType === "video" ? "video consultation" : "in-clinic appointment"} with Dr. ${doctor?.name || "a doctor"} for ${dateTimeStr}.${appointment.requiresConfirmation ? " Needs confirmation: the patient is over the no-show limit." : ""}`,
+        meta: adminNotifMeta,
+      }).catch((e) => console.error("Clinic admin notification failed:", e.message));
+    }
+  } catch (notifErr) {
+    console.error("Post-booking notification error:", notifErr.message);
+  }
+};
+
 /* ----------------------------- controller ----------------------------- */
 class AppointmentController {
   /**
@@ -114,6 +499,35 @@ class AppointmentController {
     }
   };
 
+  /**
+   * Public: get open slots for a doctor on a date (from the weekly schedule)
+   * GET /api/appointments/available-slots?doctorId=...&date=YYYY-MM-DD
+   */
+  getAvailableSlots = async (req, res) => {
+    try {
+      const { doctorId, date } = req.query;
+      if (!doctorId || !date) {
+        return res.status(400).json({
+          success: false,
+          message: "doctorId and date query params are required.",
+        });
+      }
+
+      const result = await AppointmentService.getAvailableSlots(doctorId, date);
+
+      return res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error("Controller Error (getAvailableSlots):", error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to fetch available slots.",
+      });
+    }
+  };
+
   /**
    * Create appointment (patient-side booking)
    * POST /api/appointments
@@ -176,7 +590,7 @@ class AppointmentController {
       }
 
       // date + slot
-      const { date, slot } = resolveDateSlot(raw);
+      const { date, slot } = await resolveDateSlot(raw, () => getTenantTimeZone(tenantId));
       if (!date || !slot) {
         return res.status(400).json({
           success: false,
@@ -193,6 +607,10 @@ class AppointmentController {
         consultationType: raw.consultationType || "in-clinic",
         patientId: userId,
         patientInfo: snapshot,
+        bookedByRole: role,
+        bookedBy: userId,
+        dependentId: raw.dependentId || null,
+        payOnline: raw.payOnline === true || raw.payOnline === "true",
       };
 
       const appointment = await AppointmentService.createAppointment(
@@ -200,107 +618,19 @@ class AppointmentController {
         appointmentData
       );
 
-      // --- Post-booking notifications (fire-and-forget) ---
-      try {
-        const doctor = await Doctor.findById(appointmentData.doctorId)
-          .select("name email")
-          .lean();
-
-        const patient = await User.findById(userId)
-          .select("name email")
-          .lean();
-
-        const pad = (n) => String(n).padStart(2, "0");
-        const dt = appointment.dateTime ? new Date(appointment.dateTime) : null;
-        const dateTimeStr = dt
-          ? dt.toLocaleString("en-IN", {
-            day: "2-digit",
-            month: "short",
-            year: "numeric",
-            hour: "2-digit",
-            minute: "2-digit",
-            hour12: true,
-            timeZone: "Asia/Kolkata",
-          })
-          : "N/A";
-
-        const transporter = nodemailer.createTransport({
-          host: "smtp.gmail.com",
-          port: 465,
-          secure: true,
-          auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
+      // Unpaid online bookings are announced once the payment is verified
+      if (appointment.payment?.status === "PENDING") {
+        const minutes = Math.round((appointment.payment.holdExpiresAt - Date.now()) / 60000);
+        return res.status(201).json({
+          success: true,
+          message: `Slot held. Complete payment within ${minutes} minute(s) to confirm.`,
+          data: appointment,
         });
-
-        // 1) Email notification to doctor (no meeting link — sent 5 min before)
-        if (doctor?.email) {
-          transporter.sendMail({
-            from: `"Sovereign Protocol" <${process.env.EMAIL_USER}>`,
-            to: doctor.email,
-            subject: appointmentData.consultationType === "video"
-              ? "New Video Consultation Booked | Sovereign (Meeting link will be sent later)"
-              : "New Appointment Booked | Sovereign",
-              html: appointmentBookedDoctorTemplate(
-                doctor.name,
-                snapshot.name,
-                dateTimeStr,
-                appointmentData.consultationType,
-                appointment.consultationFee,
-                "" // Meeting link sent separately 5 min before
-              ),
-          }).catch((e) => console.error("Doctor email notification failed:", e.message));
-        }
-
-        // 2) Email notification to patient (no meeting link — sent 5 min before)
-        const patientEmail = patient?.email || snapshot.email;
-        if (patientEmail) {
-          transporter.sendMail({
-            from: `"Sovereign Protocol" <${process.env.EMAIL_USER}>`,
-            to: patientEmail,
-            subject: appointmentData.consultationType === "video"
-              ? "Video Consultation Confirmed | Sovereign (Meeting link comes later)"
-              : "Appointment Confirmed | Sovereign",
-              html: appointmentBookedPatientTemplate(
-                snapshot.name,
-                doctor?.name || "your doctor",
-                dateTimeStr,
-                appointmentData.consultationType,
-                appointment.consultationFee,
-                "" // Meeting link sent separately 5 min before
-              ),
-          }).catch((e) => console.error("Patient email notification failed:", e.message));
-        }
-
-        // 3) In-app notification to patient (no meeting link — sent 5 min before)
-        if (userId) {
-          const notifMeta = { appointmentId: appointment._id };
-
-          NotificationService.create({
-            recipient: userId,
-            type: "APPOINTMENT",
-            title: "Appointment Confirmed",
-            message: `Your ${appointmentData.consultationType === "video" ? "video consultation" : "in-clinic appointment"} with Dr. ${doctor?.name || "your doctor"} is booked for ${dateTimeStr}.${appointmentData.consultationType === "video" ? " Meeting link will be sent 5 minutes before the session." : ""}`,
-            meta: notifMeta,
-          }).catch((e) => console.error("Patient notification failed:", e.message));
-        }
-
-        // 4) In-app notification to clinic admin (for doctor awareness)
-        const Tenant = (await import("../models/tenantModel.js")).default;
-        const tenant = await Tenant.findById(tenantId).select("ownerId").lean();
-        if (tenant?.ownerId) {
-          const adminNotifMeta = { appointmentId: appointment._id };
-
-          NotificationService.create({
-            recipient: tenant.ownerId,
-            type: "APPOINTMENT",
-            title: "New Patient Booking",
-            message: `${snapshot.name} booked a ${appointmentData.consultationType === "video" ? "video consultation" : "in-clinic appointment"} with Dr. ${doctor?.name || "a doctor"} for ${dateTimeStr}.`,
-            meta: adminNotifMeta,
-          }).catch((e) => console.error("Clinic admin notification failed:", e.message));
-        }
-      } catch (notifErr) {
-        console.error("Post-booking notification error:", notifErr.message);
       }
 
+      // --- Post-booking notifications (fire-and-forget) ---
+      await notifyAppointmentBooked(appointment, { tenantId, userId, snapshot });
+
       return res.status(201).json({
         success: true,
         message: "Appointment created successfully.",
@@ -309,6 +639,9 @@ class AppointmentController {
     } catch (error) {
       console.error("Controller Error (create):", error);
 
+      if (error?.code === "SLOT_TAKEN") return sendSlotTaken(res, error);
+      if (POLICY_ERROR_CODES.has(error?.code)) return sendPolicyRefusal(res, error);
+
       // Common business errors -> 400
       return res.status(400).json({
         success: false,
@@ -318,8 +651,10 @@ class AppointmentController {
   };
 
   /**
-   * Admin view: all tenant appointments
-   * GET /api/appointments
+   * Admin view: tenant appointments, filtered and paginated
+   * GET /api/appointments?from=&to=&doctorId=&status=CONFIRMED,COMPLETED&consultationType=
+   *   &paymentStatus=&search=&sortBy=dateTime|createdAt|status|patientName|fee&sortOrder=asc|desc
+   *   &page=&limit=
    */
   getAll = async (req, res) => {
     try {
@@ -333,28 +668,92 @@ class AppointmentController {
         });
       }
 
-      const appointments = await AppointmentService.getTenantAppointments(tenantId);
+      const { appointments, pagination } = await AppointmentService.searchTenantAppointments(
+        tenantId,
+        req.query
+      );
 
       return res.status(200).json({
         success: true,
         count: appointments.length,
         data: appointments,
+        pagination,
       });
     } catch (error) {
       console.error("Controller Error (getAll):", error);
-      return res.status(500).json({
+      return res.status(400).json({
         success: false,
         message: error?.message || "Failed to retrieve tenant appointments.",
       });
     }
   };
 
+  /**
+   * Admin: CSV of the filtered list (same query params as GET /api/appointments)
+   * GET /api/appointments/export-csv
+   */
+  exportCSV = async (req, res) => {
+    try {
+      const tenantId = req.user?.tenantId;
+      if (!tenantId) {
+        return res.status(400).json({
+          success: false,
+          message: "Tenant context missing in token.",
+        });
+      }
+
+      const { appointments, timeZone, truncated } = await AppointmentService.exportTenantAppointments(
+        tenantId,
+        req.query
+      );
+
+      const header = [
+        "Date", "Time", "Doctor", "Patient", "Relationship", "Contact", "Email", "Type",
+        "Status", "Fee", "Payment", "Paid At", "Cancellation Reason", "Booked At",
+      ];
+      const rows = appointments.map((a) => {
+        const { date, slot } = getZonedDateSlot(a.dateTime, timeZone) || {};
+        return [
+          date,
+          slot,
+          a.doctorId?.name,
+          a.patientInfo?.name,
+          a.dependentId?.relationship || "SELF",
+          a.patientInfo?.contact,
+          a.patientInfo?.email,
+          a.consultationType,
+          a.status,
+          a.consultationFee,
+          a.payment?.status,
+          a.payment?.paidAt ? new Date(a.payment.paidAt).toISOString() : "",
+          a.cancellation?.reason,
+          new Date(a.createdAt).toISOString(),
+        ];
+      });
+
+      // BOM so Excel opens UTF-8 names correctly
+      const csv = "\uFEFF" + [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", "attachment; filename=appointments_export.csv");
+      if (truncated) res.setHeader("X-Export-Truncated", "true");
+      return res.status(200).send(csv);
+    } catch (error) {
+      console.error("Controller Error (exportCSV):", error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Export failed.",
+      });
+    }
+  };
+
   /**
    * My appointments:
    * - CLINIC_ADMIN => tenant appointments (token tenantId required)
-   * - PATIENT => own appointments (tenantId from query/body allowed if token has none)
+   * - PATIENT => own appointments (tenantId from query/body allowed if token has none),
+   *   optionally for one family member (dependentId = "self" or a dependent's id)
    *
-   * GET /api/appointments/my-appointments?tenantId=...
+   * GET /api/appointments/my-appointments?tenantId=...&dependentId=...
    */
   getMyAppointments = async (req, res) => {
     try {
@@ -384,7 +783,9 @@ class AppointmentController {
 
       const appointments = isAdmin
         ? await AppointmentService.getTenantAppointments(tenantId)
-        : await AppointmentService.getPatientAppointments(tenantId, userId);
+        : await AppointmentService.getPatientAppointments(tenantId, userId, {
+          dependentId: req.query?.dependentId,
+        });
 
       return res.status(200).json({
         success: true,
@@ -402,6 +803,7 @@ class AppointmentController {
   /**
    * Update status (tenant secured)
    * PATCH /api/appointments/:id/status
+   * body: { status, reason? } — reason is required for CANCELLED
    */
   updateStatus = async (req, res) => {
     try {
@@ -433,9 +835,17 @@ class AppointmentController {
       const updatedAppointment = await AppointmentService.updateStatus(
         tenantId,
         id,
-        status
+        status,
+        { userId: resolveUserId(req), role: "CLINIC_ADMIN", tenantId },
+        { reason: req.body?.reason }
       );
 
+      if (updatedAppointment.status === "CANCELLED") {
+        notifyAppointmentCancelled(updatedAppointment, "CLINIC_ADMIN").catch((e) =>
+          console.error("Cancellation notification failed:", e.message)
+        );
+      }
+
       return res.status(200).json({
         success: true,
         message: `Status updated to ${String(status).toUpperCase()}.`,
@@ -443,12 +853,687 @@ class AppointmentController {
       });
     } catch (error) {
       console.error("Controller Error (updateStatus):", error);
+      if (error?.code === "INVALID_TRANSITION") return sendInvalidTransition(res, error);
+      if (error?.code === "SLOT_TAKEN") return sendSlotTaken(res, error);
       return res.status(400).json({
         success: false,
         message: error?.message || "Status update failed.",
       });
     }
   };
+  /**
+   * Reschedule (patient owner or clinic admin)
+   * PATCH /api/appointments/:id/reschedule
+   * body: { date: "YYYY-MM-DD", slot: "HH:mm", reason? } or { dateTime, reason? }
+   */
+  reschedule = async (req, res) => {
+    try {
+      const userId = resolveUserId(req);
+      const role = String(req.user?.role || "").toUpperCase();
+      const { id } = req.params;
+
+      const { date, slot } = await resolveDateSlot(req.body || {}, () =>
+        AppointmentService.getTimeZoneForAppointment(id)
+      );
+      if (!date || !slot) {
+        return res.status(400).json({
+          success: false,
+          message: "date+slot (or valid dateTime) is required.",
+        });
+      }
+
+      const { appointment, previousDateTime } = await AppointmentService.rescheduleAppointment(
+        id,
+        { userId, role, tenantId: req.user?.tenantId },
+        { date, slot, reason: req.body?.reason }
+      );
+
+      notifyAppointmentRescheduled(appointment, previousDateTime, role).catch((e) =>
+        console.error("Post-reschedule notification error:", e.message)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "Appointment rescheduled successfully.",
+        data: appointment,
+      });
+    } catch (error) {
+      console.error("Controller Error (reschedule):", error);
+      if (error?.code === "SLOT_TAKEN") return sendSlotTaken(res, error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Reschedule failed.",
+      });
+    }
+  };
+  /**
+   * Cancel an upcoming appointment (patient owner or clinic admin)
+   * PATCH /api/appointments/:id/cancel
+   * body: { reason? }
+   */
+  cancel = async (req, res) => {
+    try {
+      const role = String(req.user?.role || "").toUpperCase();
+      const appointment = await AppointmentService.cancelAppointment(
+        req.params.id,
+        { userId: resolveUserId(req), role, tenantId: req.user?.tenantId },
+        { reason: req.body?.reason }
+      );
+
+      notifyAppointmentCancelled(appointment, role).catch((e) =>
+        console.error("Post-cancel notification error:", e.message)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "Appointment cancelled.",
+        data: appointment,
+      });
+    } catch (error) {
+      console.error("Controller Error (cancel):", error);
+      if (POLICY_ERROR_CODES.has(error?.code)) return sendPolicyRefusal(res, error);
+      if (error?.code === "INVALID_TRANSITION") return sendInvalidTransition(res, error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Cancellation failed.",
+      });
+    }
+  };
+
+  /**
+   * Status audit trail (patient owner or clinic admin)
+   * GET /api/appointments/:id/status-history
+   */
+  getStatusHistory = async (req, res) => {
+    try {
+      const history = await AppointmentService.getStatusHistory(req.params.id, {
+        userId: resolveUserId(req),
+        role: req.user?.role,
+        tenantId: req.user?.tenantId,
+        doctorIds: req.user?.doctorIds,
+      });
+
+      return res.status(200).json({ success: true, data: history });
+    } catch (error) {
+      console.error("Controller Error (getStatusHistory):", error);
+      const status = /not allowed/i.test(error?.message) ? 403 : /not found/i.test(error?.message) ? 404 : 400;
+      return res.status(status).json({
+        success: false,
+        message: error?.message || "Failed to load status history.",
+      });
+    }
+  };
+
+  /**
+   * Public (token in URL): read-only iCalendar feeds for calendar apps
+   * GET /api/appointments/calendar/feeds/doctor/:token.ics
+   * GET /api/appointments/calendar/feeds/patient/:token.ics
+   */
+  getDoctorCalendarFeed = async (req, res) => {
+    try {
+      return sendCalendarFeed(res, await CalendarService.buildDoctorFeed(req.params.token));
+    } catch (error) {
+      console.error("Controller Error (getDoctorCalendarFeed):", error);
+      return res.status(500).json({ success: false, message: "Failed to build calendar feed." });
+    }
+  };
+
+  getPatientCalendarFeed = async (req, res) => {
+    try {
+      return sendCalendarFeed(res, await CalendarService.buildPatientFeed(req.params.token));
+    } catch (error) {
+      console.error("Controller Error (getPatientCalendarFeed):", error);
+      return res.status(500).json({ success: false, message: "Failed to build calendar feed." });
+    }
+  };
+
+  /**
+   * Patient: subscription URL for their own appointments
+   * GET  /api/appointments/calendar/feed
+   * POST /api/appointments/calendar/feed/rotate  (old URL stops working)
+   */
+  getMyCalendarFeed = async (req, res) => {
+    try {
+      const rotate = req.method === "POST";
+      const token = await CalendarService.getPatientFeedToken(resolveUserId(req), { rotate });
+      return res.status(200).json({
+        success: true,
+        data: { url: `${resolveApiBaseUrl(req)}/api/appointments/calendar/feeds/patient/${token}.ics` },
+      });
+    } catch (error) {
+      console.error("Controller Error (getMyCalendarFeed):", error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to fetch calendar feed.",
+      });
+    }
+  };
+
+  /**
+   * Clinic: subscription URL for one of its doctors
+   * GET  /api/appointments/calendar/doctors/:doctorId/feed
+   * POST /api/appointments/calendar/doctors/:doctorId/feed/rotate
+   */
+  getDoctorCalendarFeedUrl = async (req, res) => {
+    try {
+      const tenantId = req.user?.tenantId;
+      if (!tenantId) {
+        return res.status(400).json({ success: false, message: "Tenant context missing in token." });
+      }
+
+      const rotate = req.method === "POST";
+      const token = await CalendarService.getDoctorFeedToken(tenantId, req.params.doctorId, { rotate });
+      return res.status(200).json({
+        success: true,
+        data: { url: `${resolveApiBaseUrl(req)}/api/appointments/calendar/feeds/doctor/${token}.ics` },
+      });
+    } catch (error) {
+      console.error("Controller Error (getDoctorCalendarFeedUrl):", error);
+      const status = error?.message === "Doctor not found." ? 404 : 400;
+      return res.status(status).json({
+        success: false,
+        message: error?.message || "Failed to fetch calendar feed.",
+      });
+    }
+  };
+
+  /**
+   * Clinic: a patient's no-show count and any booking restriction
+   * GET /api/appointments/patients/:patientId/no-shows
+   */
+  getPatientNoShows = async (req, res) => {
+    try {
+      const tenantId = req.user?.tenantId;
+      if (!tenantId) {
+        return res.status(400).json({ success: false, message: "Tenant context missing in token." });
+      }
+
+      const summary = await AppointmentService.getNoShowSummary(tenantId, req.params.patientId);
+      return res.status(200).json({ success: true, data: summary });
+    } catch (error) {
+      console.error("Controller Error (getPatientNoShows):", error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to fetch no-show count.",
+      });
+    }
+  };
+
+  /**
+   * Book a recurring series (patient for themselves, clinic admin for a patient)
+   * POST /api/appointments/series
+   * body: { tenantId?, doctorId, date, slot, frequency: "WEEKLY"|"BIWEEKLY",
+   *         occurrences? | until?, consultationType?, patientInfo, patientId? (admin),
+   *         notes?, skipConflicts? }
+   */
+  createSeries = async (req, res) => {
+    try {
+      const userId = resolveUserId(req);
+      const role = String(req.user?.role || "").toUpperCase();
+      const isAdmin = role === "CLINIC_ADMIN";
+      const raw = req.body || {};
+
+      const tenantId = isAdmin ? req.user?.tenantId : req.user?.tenantId || resolveTenantIdForPatient(req);
+      if (!tenantId) {
+        return res.status(400).json({
+          success: false,
+          message: "Medical Facility (tenantId) is required.",
+        });
+      }
+
+      const patientId = isAdmin ? raw.patientId : userId;
+      if (!patientId) {
+        return res.status(400).json({ success: false, message: "patientId is required." });
+      }
+
+      const { snapshot, error: patientInfoError } = buildPatientInfoSnapshot(raw);
+      if (patientInfoError) {
+        return res.status(400).json({ success: false, message: patientInfoError });
+      }
+
+      const { series, appointments, skipped } = await AppointmentService.createSeries(tenantId, {
+        doctorId: raw.doctorId || raw.doctor,
+        patientId,
+        date: normalizeStr(raw.date),
+        slot: normalizeStr(raw.slot),
+        frequency: raw.frequency,
+        occurrences: raw.occurrences,
+        until: raw.until,
+        consultationType: raw.consultationType,
+        patientInfo: snapshot,
+        notes: raw.notes,
+        skipConflicts: raw.skipConflicts === true || raw.skipConflicts === "true",
+        createdBy: userId,
+        createdByRole: role,
+        dependentId: raw.dependentId || null,
+      });
+
+      notifySeriesChange(series, "Appointment Series Booked", (doctorName, forClinic, formatWhen) =>
+        forClinic
+          ? `${appointments[0].patientInfo?.name || snapshot.name}: ${appointments.length} visits with Dr. ${doctorName} booked ${frequencyLabel(series.frequency)} from ${formatWhen(appointments[0].dateTime)}.`
+          : `${appointments.length} visits with Dr. ${doctorName} are booked ${frequencyLabel(series.frequency)} starting ${formatWhen(appointments[0].dateTime)}.`
+      ).catch((e) => console.error("Post-series notification error:", e.message));
+
+      return res.status(201).json({
+        success: true,
+        message: skipped.length
+          ? `Booked ${appointments.length} appointments; ${skipped.length} could not be booked.`
+          : `Booked ${appointments.length} appointments.`,
+        data: { ...series, appointments, skipped },
+      });
+    } catch (error) {
+      console.error("Controller Error (createSeries):", error);
+      if (error?.code === "SERIES_CONFLICT") return sendSeriesConflict(res, error);
+      if (POLICY_ERROR_CODES.has(error?.code)) return sendPolicyRefusal(res, error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to book appointment series.",
+      });
+    }
+  };
+
+  /**
+   * Series details + occurrences
+   * GET /api/appointments/series/:seriesId
+   */
+  getSeries = async (req, res) => {
+    try {
+      res.set("Cache-Control", "no-store");
+      const series = await AppointmentService.getSeries(req.params.seriesId, {
+        userId: resolveUserId(req),
+        role: req.user?.role,
+        tenantId: req.user?.tenantId,
+      });
+      return res.status(200).json({ success: true, data: series });
+    } catch (error) {
+      console.error("Controller Error (getSeries):", error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to fetch appointment series.",
+      });
+    }
+  };
+
+  /**
+   * Cancel all upcoming occurrences
+   * PATCH /api/appointments/series/:seriesId/cancel
+   * body: { reason? }
+   */
+  cancelSeries = async (req, res) => {
+    try {
+      const role = String(req.user?.role || "").toUpperCase();
+      const { series, cancelled, kept } = await AppointmentService.cancelSeries(
+        req.params.seriesId,
+        { userId: resolveUserId(req), role, tenantId: req.user?.tenantId },
+        { reason: req.body?.reason }
+      );
+
+      if (cancelled.length > 0) {
+        notifySeriesChange(series, "Appointment Series Cancelled", (doctorName, forClinic) =>
+          forClinic
+            ? `${cancelled[0].patientInfo?.name || "A patient"}'s ${cancelled.length} upcoming visits with Dr. ${doctorName} were cancelled${role === "PATIENT" ? " by the patient" : ""}.`
+            : `Your ${cancelled.length} upcoming visits with Dr. ${doctorName} have been cancelled${role === "CLINIC_ADMIN" ? " by the clinic" : ""}.`
+        ).catch((e) => console.error("Post-series notification error:", e.message));
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: kept.length
+          ? `Series cancelled (${cancelled.length} appointments). ${kept.length} within the cancellation window remain booked.`
+          : `Series cancelled (${cancelled.length} upcoming appointments).`,
+        data: { ...series, cancelled, kept },
+      });
+    } catch (error) {
+      console.error("Controller Error (cancelSeries):", error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to cancel appointment series.",
+      });
+    }
+  };
+
+  /**
+   * Cancel a single occurrence of a series
+   * PATCH /api/appointments/series/:seriesId/occurrences/:appointmentId/cancel
+   */
+  cancelSeriesOccurrence = async (req, res) => {
+    try {
+      const role = String(req.user?.role || "").toUpperCase();
+      const { series, appointment } = await AppointmentService.cancelSeriesOccurrence(
+        req.params.seriesId,
+        req.params.appointmentId,
+        { userId: resolveUserId(req), role, tenantId: req.user?.tenantId },
+        { reason: req.body?.reason }
+      );
+
+      notifySeriesChange(series, "Appointment Cancelled", (doctorName, forClinic, formatWhen) =>
+        forClinic
+          ? `${appointment.patientInfo?.name || "A patient"}'s visit with Dr. ${doctorName} on ${formatWhen(appointment.dateTime)} was cancelled.`
+          : `Your visit with Dr. ${doctorName} on ${formatWhen(appointment.dateTime)} has been cancelled. The rest of your series is unchanged.`
+      ).catch((e) => console.error("Post-series notification error:", e.message));
+
+      return res.status(200).json({
+        success: true,
+        message: "Appointment cancelled.",
+        data: appointment,
+      });
+    } catch (error) {
+      console.error("Controller Error (cancelSeriesOccurrence):", error);
+      if (POLICY_ERROR_CODES.has(error?.code)) return sendPolicyRefusal(res, error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to cancel appointment.",
+      });
+    }
+  };
+
+  /**
+   * Move all upcoming occurrences
+   * PATCH /api/appointments/series/:seriesId/reschedule
+   * body: { date?: "YYYY-MM-DD" (next occurrence), slot?: "HH:mm", reason? }
+   */
+  rescheduleSeries = async (req, res) => {
+    try {
+      const role = String(req.user?.role || "").toUpperCase();
+      const { series, moved } = await AppointmentService.rescheduleSeries(
+        req.params.seriesId,
+        { userId: resolveUserId(req), role, tenantId: req.user?.tenantId },
+        {
+          date: normalizeStr(req.body?.date),
+          slot: normalizeStr(req.body?.slot),
+          reason: req.body?.reason,
+        }
+      );
+
+      const appointments = moved
+        .map((m) => m.appointment)
+        .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+      notifySeriesChange(series, "Appointment Series Rescheduled", (doctorName, forClinic, formatWhen) =>
+        forClinic
+          ? `${appointments[0].patientInfo?.name || "A patient"}'s ${appointments.length} upcoming visits with Dr. ${doctorName} were moved; next visit ${formatWhen(appointments[0].dateTime)}.`
+          : `Your ${appointments.length} upcoming visits with Dr. ${doctorName} have been moved${role === "CLINIC_ADMIN" ? " by the clinic" : ""}; next visit ${formatWhen(appointments[0].dateTime)}.`
+      ).catch((e) => console.error("Post-series notification error:", e.message));
+
+      return res.status(200).json({
+        success: true,
+        message: `Rescheduled ${appointments.length} appointments.`,
+        data: { ...series, appointments },
+      });
+    } catch (error) {
+      console.error("Controller Error (rescheduleSeries):", error);
+      if (error?.code === "SERIES_CONFLICT") return sendSeriesConflict(res, error);
+      if (error?.code === "SLOT_TAKEN") return sendSlotTaken(res, error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to reschedule appointment series.",
+      });
+    }
+  };
+
+  /**
+   * Doctor-initiated follow-up from a completed appointment (clinic)
+   * POST /api/appointments/:id/follow-up
+   * body: { date? (defaults to prescription follow-up date), slot, consultationType?,
+   *         frequency?, occurrences? | until?, notes?, skipConflicts? }
+   */
+  createFollowUp = async (req, res) => {
+    try {
+      const raw = req.body || {};
+      const { series, appointments, skipped } = await AppointmentService.createFollowUp(
+        req.params.id,
+        { userId: resolveUserId(req), role: req.user?.role, tenantId: req.user?.tenantId },
+        {
+          date: normalizeStr(raw.date),
+          slot: normalizeStr(raw.slot),
+          consultationType: raw.consultationType,
+          frequency: raw.frequency,
+          occurrences: raw.occurrences,
+          until: raw.until,
+          notes: raw.notes,
+          skipConflicts: raw.skipConflicts === true || raw.skipConflicts === "true",
+        }
+      );
+
+      if (series) {
+        notifySeriesChange(series, "Follow-up Visits Scheduled", (doctorName, forClinic, formatWhen) =>
+          forClinic
+            ? `${appointments.length} follow-up visits with Dr. ${doctorName} booked ${frequencyLabel(series.frequency)} from ${formatWhen(appointments[0].dateTime)}.`
+            : `Dr. ${doctorName} has scheduled ${appointments.length} follow-up visits ${frequencyLabel(series.frequency)} starting ${formatWhen(appointments[0].dateTime)}.`
+        ).catch((e) => console.error("Post-series notification error:", e.message));
+      } else {
+        const appointment = appointments[0];
+        await notifyAppointmentBooked(appointment, {
+          tenantId: appointment.tenantId,
+          userId: appointment.patientId,
+          snapshot: appointment.patientInfo,
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: "Follow-up scheduled.",
+        data: series ? { ...series, appointments, skipped } : appointments[0],
+      });
+    } catch (error) {
+      console.error("Controller Error (createFollowUp):", error);
+      if (error?.code === "SERIES_CONFLICT") return sendSeriesConflict(res, error);
+      if (error?.code === "SLOT_TAKEN") return sendSlotTaken(res, error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to schedule follow-up.",
+      });
+    }
+  };
+
+  /**
+   * Join the waitlist for a fully booked doctor/date (patient)
+   * POST /api/appointments/waitlist
+   * body: { tenantId, doctorId, date, slot?, consultationType?, patientInfo | patientName/contact... }
+   */
+  joinWaitlist = async (req, res) => {
+    try {
+      const userId = resolveUserId(req);
+      const raw = req.body || {};
+
+      const { snapshot, error: patientInfoError } = buildPatientInfoSnapshot(raw);
+      if (patientInfoError) {
+        return res.status(400).json({ success: false, message: patientInfoError });
+      }
+
+      const { entry, position } = await WaitlistService.join(userId, {
+        tenantId: raw.tenantId || req.query?.tenantId,
+        doctorId: raw.doctorId || raw.doctor,
+        date: normalizeStr(raw.date),
+        slot: normalizeStr(raw.slot),
+        consultationType: raw.consultationType,
+        patientInfo: snapshot,
+        dependentId: raw.dependentId || null,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: `Added to the waitlist (position ${position}). We'll notify you if a slot opens up.`,
+        data: { ...entry, position },
+      });
+    } catch (error) {
+      console.error("Controller Error (joinWaitlist):", error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to join waitlist.",
+      });
+    }
+  };
+
+  /**
+   * Patient: own waitlist entries
+   * GET /api/appointments/waitlist/mine
+   */
+  getMyWaitlist = async (req, res) => {
+    try {
+      const entries = await WaitlistService.listForPatient(resolveUserId(req));
+      return res.status(200).json({ success: true, count: entries.length, data: entries });
+    } catch (error) {
+      console.error("Controller Error (getMyWaitlist):", error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to fetch waitlist.",
+      });
+    }
+  };
+
+  /**
+   * Clinic: active waitlist (optionally by doctor/date/status)
+   * GET /api/appointments/waitlist?doctorId=&date=&status=
+   */
+  getClinicWaitlist = async (req, res) => {
+    try {
+      const tenantId = req.user?.tenantId;
+      if (!tenantId) {
+        return res.status(400).json({ success: false, message: "Tenant context missing in token." });
+      }
+
+      const { doctorId, date, status } = req.query;
+      const entries = await WaitlistService.listForClinic(tenantId, { doctorId, date, status });
+      return res.status(200).json({ success: true, count: entries.length, data: entries });
+    } catch (error) {
+      console.error("Controller Error (getClinicWaitlist):", error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to fetch waitlist.",
+      });
+    }
+  };
+
+  /**
+   * Patient: leave the waitlist (a held slot rolls to the next patient)
+   * DELETE /api/appointments/waitlist/:entryId
+   */
+  leaveWaitlist = async (req, res) => {
+    try {
+      const entry = await WaitlistService.leave(req.params.entryId, resolveUserId(req));
+      return res.status(200).json({ success: true, message: "Removed from the waitlist.", data: entry });
+    } catch (error) {
+      console.error("Controller Error (leaveWaitlist):", error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to leave waitlist.",
+      });
+    }
+  };
+
+  /**
+   * Patient: book the slot held for them
+   * POST /api/appointments/waitlist/:entryId/claim
+   */
+  claimWaitlistOffer = async (req, res) => {
+    try {
+      const userId = resolveUserId(req);
+      const entry = await WaitlistService.getClaimableOffer(req.params.entryId, userId);
+
+      const appointment = await AppointmentService.createAppointment(entry.tenantId, {
+        doctorId: entry.doctorId,
+        patientId: userId,
+        date: entry.date,
+        slot: entry.offer.slot,
+        consultationType: entry.consultationType,
+        patientInfo: entry.patientInfo,
+        dependentId: entry.dependentId,
+      });
+
+      await notifyAppointmentBooked(appointment, {
+        tenantId: entry.tenantId,
+        userId,
+        snapshot: entry.patientInfo,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: "Appointment booked from the waitlist.",
+        data: appointment,
+      });
+    } catch (error) {
+      console.error("Controller Error (claimWaitlistOffer):", error);
+      if (error?.code === "SLOT_TAKEN") return sendSlotTaken(res, error);
+      if (POLICY_ERROR_CODES.has(error?.code)) return sendPolicyRefusal(res, error);
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to claim waitlist offer.",
+      });
+    }
+  };
+
+  /**
+   * Create / replace structured prescription (clinic or the appointment's doctor)
+   * PUT /api/appointments/:id/prescription
+   * body: { items: [{ drug, dose, frequency, duration, instructions }], diagnosis?, notes?, followUpDate? }
+   */
+  savePrescription = async (req, res) => {
+    try {
+      const prescription = await PrescriptionService.upsertForAppointment(
+        req.params.id,
+        req.user,
+        req.body || {}
+      );
+
+      NotificationService.create({
+        recipient: prescription.patientId,
+        type: "APPOINTMENT",
+        title: "Prescription Available",
+        message: "Your doctor has issued a prescription. You can download it from your appointment history.",
+        meta: { appointmentId: prescription.appointmentId },
+      }).catch((e) => console.error("Prescription notification failed:", e.message));
+
+      return res.status(200).json({
+        success: true,
+        message: "Prescription saved.",
+        data: prescription,
+      });
+    } catch (error) {
+      console.error("Controller Error (savePrescription):", error);
+      const status = error?.message?.includes("not authorized") ? 403 : 400;
+      return res.status(status).json({
+        success: false,
+        message: error?.message || "Failed to save prescription.",
+      });
+    }
+  };
+
+  /**
+   * GET /api/appointments/:id/prescription
+   */
+  getPrescription = async (req, res) => {
+    try {
+      const prescription = await PrescriptionService.getForAppointment(req.params.id, req.user);
+      return res.status(200).json({ success: true, data: prescription });
+    } catch (error) {
+      const status = error?.message?.includes("not authorized") ? 403 : 404;
+      return res.status(status).json({
+        success: false,
+        message: error?.message || "Prescription not found.",
+      });
+    }
+  };
+
+  /**
+   * GET /api/appointments/:id/prescription/pdf
+   */
+  downloadPrescriptionPdf = async (req, res) => {
+    try {
+      const { buffer, filename } = await PrescriptionService.generatePdf(req.params.id, req.user);
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).send(buffer);
+    } catch (error) {
+      console.error("Controller Error (downloadPrescriptionPdf):", error);
+      const status = error?.message?.includes("not authorized") ? 403 : 404;
+      return res.status(status).json({
+        success: false,
+        message: error?.message || "Failed to generate prescription PDF.",
+      });
+    }
+  };
 }
 
 export default new AppointmentController();
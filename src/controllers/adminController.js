@@ -1,4 +1,5 @@
 import * as adminService from "../services/adminService.js";
+import doctorVerificationService from "../services/doctorVerificationService.js";
 
 /**
  * @desc    Get platform-wide dashboard stats
@@ -350,4 +351,59 @@ export const getAdminNotifications = async (req, res) => {
     console.error("Admin notifications error:", err);
     return res.status(500).json({ success: false, message: err.message });
   }
-};
\ No newline at end of file
+};
+
+/* =========================================================
+   DOCTOR CREDENTIAL VERIFICATION
+========================================================= */
+
+/**
+ * @desc    Doctors awaiting review (or past decisions)
+ * @route   GET /api/admin/doctor-verifications?status=PENDING|VERIFIED|REJECTED&page=&limit=
+ * @access  Private (Super Admin)
+ */
+export const getDoctorVerificationQueue = async (req, res) => {
+  try {
+    const data = await doctorVerificationService.listQueue(req.query);
+    return res.status(200).json({ success: true, ...data });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * @desc    Doctor, clinic and documents (signed links) for review
+ * @route   GET /api/admin/doctor-verifications/:doctorId
+ * @access  Private (Super Admin)
+ */
+export const getDoctorVerification = async (req, res) => {
+  try {
+    const data = await doctorVerificationService.getForReview(req.params.doctorId);
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * @desc    Approve or reject; body: { decision: "VERIFIED"|"REJECTED", reason? }
+ * @route   PATCH /api/admin/doctor-verifications/:doctorId
+ * @access  Private (Super Admin)
+ */
+export const decideDoctorVerification = async (req, res) => {
+  try {
+    const { decision, reason } = req.body || {};
+    const doctor = await doctorVerificationService.decide(
+      req.params.doctorId,
+      { decision, reason },
+      { userId: req.user?._id || req.user?.id }
+    );
+    return res.status(200).json({
+      success: true,
+      message: doctor.verificationStatus === "VERIFIED" ? "Doctor verified." : "Verification rejected.",
+      data: doctor,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ success: false, code: err.code, message: err.message });
+  }
+};
@@ -0,0 +1,89 @@
+import {
+  createCouponService,
+  listCouponsService,
+  getCouponService,
+  updateCouponService,
+  deactivateCouponService,
+} from "../services/couponService.js";
+import { quoteSubscriptionPriceService } from "../services/paymentService.js";
+
+/* =========================================================
+   Small utils
+========================================================= */
+const catchAsync = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+// Service errors are plain Errors with user-facing messages
+const sendServiceError = (res, err) => {
+  if (err?.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  const status = /not found/i.test(err?.message || "") ? 404 : 400;
+  return res.status(status).json({ success: false, message: err?.message || "Request failed." });
+};
+
+/* =========================================================
+   ✅ VALIDATE (checkout preview)
+========================================================= */
+export const validateCoupon = catchAsync(async (req, res) => {
+  const tenantId = req.user?.tenantId ? String(req.user.tenantId) : null;
+  if (!tenantId) return res.status(401).json({ success: false, message: "Context missing." });
+
+  const { code, couponCode, planCode, billingCycle } = req.body || {};
+
+  try {
+    const data = await quoteSubscriptionPriceService({
+      tenantId,
+      planCode: String(planCode || "").trim().toUpperCase(),
+      billingCycle: String(billingCycle || "monthly").trim().toLowerCase(),
+      couponCode: code || couponCode,
+    });
+    return res.status(200).json({ success: true, message: "Coupon applied.", data });
+  } catch (err) {
+    return sendServiceError(res, err);
+  }
+});
+
+/* =========================================================
+   ✅ ADMIN CRUD (Super Admin)
+========================================================= */
+export const createCoupon = catchAsync(async (req, res) => {
+  try {
+    const data = await createCouponService(req.body, req.user?.id);
+    return res.status(201).json({ success: true, message: "Coupon created.", data });
+  } catch (err) {
+    return sendServiceError(res, err);
+  }
+});
+
+export const listCoupons = catchAsync(async (req, res) => {
+  const data = await listCouponsService({ active: req.query?.active });
+  return res.status(200).json({ success: true, count: data.length, data });
+});
+
+export const getCoupon = catchAsync(async (req, res) => {
+  try {
+    const data = await getCouponService(req.params.id);
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    return sendServiceError(res, err);
+  }
+});
+
+export const updateCoupon = catchAsync(async (req, res) => {
+  try {
+    const data = await updateCouponService(req.params.id, req.body);
+    return res.status(200).json({ success: true, message: "Coupon updated.", data });
+  } catch (err) {
+    return sendServiceError(res, err);
+  }
+});
+
+export const deactivateCoupon = catchAsync(async (req, res) => {
+  try {
+    const data = await deactivateCouponService(req.params.id);
+    return res.status(200).json({ success: true, message: "Coupon deactivated.", data });
+  } catch (err) {
+    return sendServiceError(res, err);
+  }
+});
@@ -0,0 +1,69 @@
+import DependentService from "../services/dependentService.js";
+
+const resolveUserId = (req) => req.user?._id || req.user?.id || null;
+
+const notFoundStatus = (error) => (error?.message?.includes("not found") ? 404 : 400);
+
+class DependentController {
+  /**
+   * GET /api/dependents — Family members on the patient's account
+   */
+  list = async (req, res) => {
+    try {
+      const data = await DependentService.listForOwner(resolveUserId(req));
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to load family members.",
+      });
+    }
+  };
+
+  /**
+   * POST /api/dependents — body: { name, relationship, dob?, gender?, bloodGroup? }
+   */
+  create = async (req, res) => {
+    try {
+      const data = await DependentService.create(resolveUserId(req), req.body || {});
+      return res.status(201).json({ success: true, message: "Family member added.", data });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to add family member.",
+      });
+    }
+  };
+
+  /**
+   * PATCH /api/dependents/:id — any of the create fields
+   */
+  update = async (req, res) => {
+    try {
+      const data = await DependentService.update(resolveUserId(req), req.params.id, req.body || {});
+      return res.status(200).json({ success: true, message: "Family member updated.", data });
+    } catch (error) {
+      return res.status(notFoundStatus(error)).json({
+        success: false,
+        message: error?.message || "Failed to update family member.",
+      });
+    }
+  };
+
+  /**
+   * DELETE /api/dependents/:id — Past visits stay in their history
+   */
+  remove = async (req, res) => {
+    try {
+      await DependentService.remove(resolveUserId(req), req.params.id);
+      return res.status(200).json({ success: true, message: "Family member removed." });
+    } catch (error) {
+      return res.status(notFoundStatus(error)).json({
+        success: false,
+        message: error?.message || "Failed to remove family member.",
+      });
+    }
+  };
+}
+
+export default new DependentController();
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import doctorService, { AppError } from "../services/doctorService.js";
+import doctorVerificationService from "../services/doctorVerificationService.js";
 import { uploadToCloudinary, deleteFromCloudinary } from "../utils/cloudinaryUpload.js";
 import { sendEmail } from "../utils/emailService.js";
 import { doctorInvitationTemplate } from "../utils/emailTemplates.js";
@@ -31,6 +32,21 @@ const sendError = (res, err, fallbackMessage = "Server error.") => {
   });
 };
 
+/**
+ * Issue a portal invitation and email the set-password link
+ */
+const sendPortalInvitation = async (tenantId, doctorId) => {
+  const { doctor, token, tenantName } = await doctorService.issueInvitation(tenantId, doctorId);
+  const inviteLink = `${process.env.CLIENT_URL}/doctor/accept-invitation?token=${token}`;
+
+  await sendEmail({
+    to: doctor.email,
+    subject: `Faculty Appointment: ${tenantName}`,
+    html: doctorInvitationTemplate(doctor.name, doctor.specialization, inviteLink),
+  });
+  return doctor;
+};
+
 /**
  * ✅ CREATE DOCTOR + WELCOME EMAIL
  */
@@ -50,7 +66,7 @@ export const createDoctor = async (req, res) => {
       imagePublicId = uploadedAsset.publicId;
     }
 
-    const { doctor, tenantName } = await doctorService.createDoctor(
+    const { doctor } = await doctorService.createDoctor(
       tenantId,
       req.body,
       imageUrl,
@@ -58,18 +74,7 @@ export const createDoctor = async (req, res) => {
     );
 
     try {
-      const loginLink = `${process.env.CLIENT_URL}/clinic-login`;
-      const emailHtml = doctorInvitationTemplate(
-        doctor.name,
-        doctor.specialization,
-        loginLink
-      );
-
-      await sendEmail({
-        to: doctor.email,
-        subject: `Faculty Appointment: ${tenantName}`,
-        html: emailHtml,
-      });
+      await sendPortalInvitation(tenantId, doctor._id);
     } catch (emailErr) {
       console.error("Welcome Email Failed:", emailErr.message);
     }
@@ -96,7 +101,12 @@ export const getPublicDoctorDirectory = async (req, res) => {
     const { page, limit, search, sortBy, sortOrder, ...filters } = req.query;
 
     const sort = {};
-    if (sortBy) {
+    if (sortBy === "rating") {
+      // Best rated first; more reviews wins a tie
+      const dir = sortOrder === "asc" ? 1 : -1;
+      sort["rating.average"] = dir;
+      sort["rating.count"] = dir;
+    } else if (sortBy) {
       sort[sortBy] = sortOrder === "asc" ? 1 : -1;
     } else {
       sort.createdAt = -1;
@@ -130,8 +140,11 @@ export const getPublicDoctorDirectory = async (req, res) => {
  */
 export const bulkUpdateStatus = async (req, res) => {
   try {
-    const { doctorIds, isActive, verificationStatus } = req.body;
-    await doctorService.bulkUpdateStatus(doctorIds, { isActive, verificationStatus });
+    const tenantId = req.user?.tenantId;
+    if (!tenantId) throw new AppError("Unauthorized.", 401);
+
+    const { doctorIds, isActive } = req.body;
+    await doctorService.bulkUpdateStatus(tenantId, doctorIds, { isActive });
 
     return res.status(200).json({
       success: true,
@@ -253,6 +266,111 @@ export const updateDoctor = async (req, res) => {
   }
 };
 
+/**
+ * ✅ ADMIN: UPDATE WEEKLY SCHEDULE
+ */
+export const updateDoctorSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.user?.tenantId;
+    if (!tenantId) throw new AppError("Unauthorized.", 401);
+
+    const schedule = req.body?.schedule ?? req.body;
+    const updated = await doctorService.updateDoctorSchedule(tenantId, id, schedule);
+    return res.status(200).json({ success: true, message: "Schedule updated.", data: updated });
+  } catch (err) {
+    return sendError(res, err, "Failed to update schedule.");
+  }
+};
+
+/**
+ * ✅ ADMIN: RESEND PORTAL INVITATION
+ * Replaces the previous link; fails once the doctor has set a password.
+ */
+export const resendInvitation = async (req, res) => {
+  try {
+    const tenantId = req.user?.tenantId;
+    if (!tenantId) throw new AppError("Unauthorized.", 401);
+
+    const doctor = await sendPortalInvitation(tenantId, req.params.id);
+    return res.status(200).json({
+      success: true,
+      message: "Invitation sent.",
+      data: { email: doctor.email, expiresAt: doctor.invitation?.expiresAt },
+    });
+  } catch (err) {
+    return sendError(res, err, "Failed to send invitation.");
+  }
+};
+
+/**
+ * ✅ ADMIN: CREDENTIAL DOCUMENTS + VERIFICATION STATUS
+ */
+export const getDoctorCredentials = async (req, res) => {
+  try {
+    const tenantId = req.user?.tenantId;
+    if (!tenantId) throw new AppError("Unauthorized.", 401);
+
+    const data = await doctorVerificationService.listCredentials(tenantId, req.params.id);
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    return sendError(res, err, "Failed to load documents.");
+  }
+};
+
+/**
+ * ✅ ADMIN: UPLOAD CREDENTIAL (multipart: file, type, label?)
+ */
+export const uploadDoctorCredential = async (req, res) => {
+  try {
+    const tenantId = req.user?.tenantId;
+    if (!tenantId) throw new AppError("Unauthorized.", 401);
+
+    const credential = await doctorVerificationService.addCredential(
+      tenantId,
+      req.params.id,
+      req.file,
+      req.body || {},
+      { userId: req.user?._id || req.user?.id }
+    );
+    return res.status(201).json({ success: true, message: "Document uploaded.", data: credential });
+  } catch (err) {
+    return sendError(res, err, "Failed to upload document.");
+  }
+};
+
+/**
+ * ✅ ADMIN: REMOVE CREDENTIAL
+ */
+export const deleteDoctorCredential = async (req, res) => {
+  try {
+    const tenantId = req.user?.tenantId;
+    if (!tenantId) throw new AppError("Unauthorized.", 401);
+
+    await doctorVerificationService.removeCredential(tenantId, req.params.id, req.params.credentialId);
+    return res.status(200).json({ success: true, message: "Document removed." });
+  } catch (err) {
+    return sendError(res, err, "Failed to remove document.");
+  }
+};
+
+/**
+ * ✅ ADMIN: SUBMIT FOR SUPER-ADMIN REVIEW
+ */
+export const submitDoctorVerification = async (req, res) => {
+  try {
+    const tenantId = req.user?.tenantId;
+    if (!tenantId) throw new AppError("Unauthorized.", 401);
+
+    const doctor = await doctorVerificationService.submitForReview(tenantId, req.params.id, {
+      userId: req.user?._id || req.user?.id,
+    });
+    return res.status(200).json({ success: true, message: "Submitted for verification.", data: doctor });
+  } catch (err) {
+    return sendError(res, err, "Failed to submit for verification.");
+  }
+};
+
 /**
  * ✅ ADMIN: ARCHIVE DOCTOR (SOFT DELETE)
  */
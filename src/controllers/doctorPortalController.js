@@ -0,0 +1,157 @@
+import jwt from "jsonwebtoken";
+import DoctorPortalService from "../services/doctorPortalService.js";
+
+/**
+ * Same session token shape as /api/users/login
+ */
+const generateToken = (user) =>
+  jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      tenantId: user.tenantId ? String(user.tenantId) : null,
+      tokenVersion: user.tokenVersion || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: "7d" }
+  );
+
+// Signed-in doctor, with ?clinicId= choosing which of their clinics to act in
+const portalUser = (req) => ({ ...req.user, clinicId: req.query?.clinicId || null });
+
+const errorStatus = (error) => {
+  if (error?.statusCode) return error.statusCode; // AppError from doctorService
+  if (["EMAIL_IN_USE", "INVALID_TRANSITION", "SLOT_TAKEN"].includes(error?.code)) return 409;
+  if (error?.code === "INVALID_CREDENTIALS") return 401;
+  const message = String(error?.message || "");
+  if (/not linked|not active|suspended/i.test(message)) return 403;
+  if (/not found|already used/i.test(message)) return 404;
+  if (/expired/i.test(message)) return 410;
+  if (/updated by someone else/i.test(message)) return 409;
+  return 400;
+};
+
+const sendError = (res, error, fallbackMessage) =>
+  res.status(errorStatus(error)).json({
+    success: false,
+    ...(error?.code === "INVALID_TRANSITION" ? { code: error.code, from: error.from, to: error.to } : {}),
+    message: error?.message || fallbackMessage,
+  });
+
+class DoctorPortalController {
+  /**
+   * GET /api/doctor-portal/invitations/:token — Who the invitation is for (public)
+   */
+  getInvitation = async (req, res) => {
+    try {
+      const data = await DoctorPortalService.getInvitation(req.params.token);
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, "Failed to load invitation.");
+    }
+  };
+
+  /**
+   * POST /api/doctor-portal/invitations/accept — body: { token, password }
+   * Creates the DOCTOR login (or adds this clinic to an existing one) and signs the doctor in
+   */
+  acceptInvitation = async (req, res) => {
+    try {
+      const { token, password } = req.body || {};
+      const user = await DoctorPortalService.acceptInvitation(token, { password });
+
+      return res.status(200).json({
+        success: true,
+        message: "Your portal account is ready.",
+        token: generateToken(user),
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          tenantId: String(user.tenantId),
+          doctorId: String(user.doctorId),
+        },
+      });
+    } catch (error) {
+      console.error("Controller Error (acceptInvitation):", error);
+      return sendError(res, error, "Failed to accept invitation.");
+    }
+  };
+
+  /**
+   * GET /api/doctor-portal/me?clinicId= — Practitioner profile, clinic and all affiliations
+   */
+  getProfile = async (req, res) => {
+    try {
+      const data = await DoctorPortalService.getProfile(portalUser(req));
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, "Failed to load profile.");
+    }
+  };
+
+  /**
+   * PUT /api/doctor-portal/schedule — body: { schedule } (same shape as the clinic's schedule editor)
+   */
+  updateSchedule = async (req, res) => {
+    try {
+      const schedule = req.body?.schedule ?? req.body;
+      const data = await DoctorPortalService.updateSchedule(portalUser(req), schedule);
+      return res.status(200).json({ success: true, message: "Schedule updated.", data });
+    } catch (error) {
+      return sendError(res, error, "Failed to update schedule.");
+    }
+  };
+
+  /**
+   * GET /api/doctor-portal/appointments?from=&to=&status=&consultationType=&search=&sortBy=&sortOrder=&page=&limit=
+   */
+  getAppointments = async (req, res) => {
+    try {
+      const data = await DoctorPortalService.listAppointments(portalUser(req), req.query);
+      return res.status(200).json({ success: true, ...data });
+    } catch (error) {
+      return sendError(res, error, "Failed to load appointments.");
+    }
+  };
+
+  /**
+   * GET /api/doctor-portal/appointments/:id
+   */
+  getAppointment = async (req, res) => {
+    try {
+      const data = await DoctorPortalService.getAppointment(portalUser(req), req.params.id);
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      return sendError(res, error, "Failed to load appointment.");
+    }
+  };
+
+  /**
+   * PATCH /api/doctor-portal/appointments/:id/status — body: { status: IN_CONSULTATION|COMPLETED|NO_SHOW, reason? }
+   */
+  updateAppointmentStatus = async (req, res) => {
+    try {
+      const { status, reason } = req.body || {};
+      const data = await DoctorPortalService.updateAppointmentStatus(portalUser(req), req.params.id, status, { reason });
+      return res.status(200).json({ success: true, message: "Status updated.", data });
+    } catch (error) {
+      return sendError(res, error, "Failed to update status.");
+    }
+  };
+
+  /**
+   * PUT /api/doctor-portal/appointments/:id/notes — body: { notes }
+   */
+  saveNotes = async (req, res) => {
+    try {
+      const data = await DoctorPortalService.saveNotes(portalUser(req), req.params.id, req.body?.notes);
+      return res.status(200).json({ success: true, message: "Notes saved.", data });
+    } catch (error) {
+      return sendError(res, error, "Failed to save notes.");
+    }
+  };
+}
+
+export default new DoctorPortalController();
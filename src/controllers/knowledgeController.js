@@ -105,6 +105,30 @@ class KnowledgeController {
     }
   };
 
+  /**
+   * GET /api/knowledge/search?q=...&category=...
+   * Shows which chunks HealthBot would retrieve for a question.
+   */
+  search = async (req, res) => {
+    try {
+      const { q, category, limit } = req.query;
+      if (!q?.trim()) {
+        return res.status(400).json({ success: false, message: "Query (q) is required." });
+      }
+
+      const results = await KnowledgeService.search(q, {
+        category,
+        limit: Math.min(Number(limit) || 5, 20),
+      });
+      return res.status(200).json({ success: true, results });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Search failed.",
+      });
+    }
+  };
+
   /**
    * GET /api/knowledge/documents/:id
    */
@@ -4,7 +4,13 @@ import {
   createRazorpayOrderService,
   confirmRazorpayPaymentService,
   submitManualPaymentService,
+  reviewManualPaymentService,
   listTenantInvoicesService,
+  verifyWebhookSignature,
+  handleRazorpayWebhookService,
+  refundPaymentService,
+  createConsultationOrderService,
+  confirmConsultationPaymentService,
 } from "../services/paymentService.js";
 
 /* =========================================================
@@ -71,6 +77,7 @@ export const createOrder = catchAsync(async (req, res) => {
     planCode,
     billingCycle,
     currency: "INR",
+    couponCode: req.body.couponCode,
   });
 
   return res.status(200).json({
@@ -83,6 +90,7 @@ export const createOrder = catchAsync(async (req, res) => {
       currency: result.currency,
       planCode: result.planCode,
       billingCycle: result.billingCycle,
+      coupon: result.coupon,
       keyId: process.env.RAZORPAY_KEY_ID,
     },
   });
@@ -180,6 +188,7 @@ export const submitManualPayment = catchAsync(async (req, res) => {
     billingCycle: normalizeCycle(req.body.billingCycle),
     transactionRef: req.body.transactionRef,
     amountRupees: req.body.amountRupees,
+    couponCode: req.body.couponCode,
   });
 
   return res.status(201).json({
@@ -189,6 +198,31 @@ export const submitManualPayment = catchAsync(async (req, res) => {
   });
 });
 
+/* =========================================================
+   ✅ MANUAL PAYMENT REVIEW (Super Admin)
+========================================================= */
+export const reviewManualPayment = catchAsync(async (req, res) => {
+  const { decision, reason } = req.body || {};
+
+  try {
+    const data = await reviewManualPaymentService({
+      paymentId: req.params.id,
+      decision,
+      reason,
+      adminId: getUserIdOrNull(req),
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: data.status === "COMPLETED" ? "Payment approved. Subscription activated." : "Payment rejected.",
+      data,
+    });
+  } catch (err) {
+    const status = err.message === "Payment not found." ? 404 : /pending manual/.test(err.message) ? 409 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
+});
+
 /* =========================================================
    ✅ INVOICES
 ========================================================= */
@@ -200,4 +234,125 @@ export const getInvoices = catchAsync(async (req, res) => {
   const data = await listTenantInvoicesService(tenantId, { limit });
 
   return res.status(200).json({ success: true, data });
-});
\ No newline at end of file
+});
+
+/* =========================================================
+   ✅ REFUND (Super Admin)
+========================================================= */
+export const refundPayment = catchAsync(async (req, res) => {
+  const { amountRupees, reason, reference, downgrade } = req.body || {};
+
+  try {
+    const data = await refundPaymentService({
+      paymentId: req.params.id,
+      amountRupees,
+      reason,
+      reference,
+      downgrade: downgrade === true || downgrade === "true",
+      adminId: getUserIdOrNull(req),
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: data.refund?.status === "PENDING" ? "Refund initiated." : "Refund processed.",
+      data,
+    });
+  } catch (err) {
+    const status = err.message === "Payment not found." ? 404 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
+});
+
+/* =========================================================
+   ✅ CONSULTATION FEE (Patient, at booking time)
+========================================================= */
+export const createConsultationOrder = catchAsync(async (req, res) => {
+  const userId = getUserIdOrNull(req);
+  if (!userId) {
+    return res.status(401).json({ success: false, message: "Please login again." });
+  }
+
+  try {
+    const result = await createConsultationOrderService({
+      appointmentId: req.body?.appointmentId,
+      userId,
+      email: getEmailOrNull(req),
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Order created.",
+      data: {
+        order: result.order,
+        paymentId: result.paymentId,
+        amountPaise: result.amountPaise,
+        currency: result.currency,
+        holdExpiresAt: result.holdExpiresAt,
+        keyId: process.env.RAZORPAY_KEY_ID,
+      },
+    });
+  } catch (err) {
+    const status = err.message === "Appointment not found." ? 404 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
+});
+
+export const verifyConsultationPayment = catchAsync(async (req, res) => {
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body || {};
+
+  if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+    return res.status(400).json({
+      success: false,
+      message: "Payment verification data missing.",
+    });
+  }
+
+  try {
+    const data = await confirmConsultationPaymentService({
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      razorpaySignature: razorpay_signature,
+      userId: getUserIdOrNull(req),
+    });
+
+    return res.status(200).json({
+      success: true,
+      message:
+        data.appointmentStatus === "CONFIRMED"
+          ? "Payment received. Appointment confirmed."
+          : "Payment received. The clinic will confirm your appointment.",
+      data,
+    });
+  } catch (err) {
+    const status = err.message === "Payment record not found for this order." ? 404 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
+});
+
+/* =========================================================
+   ✅ RAZORPAY WEBHOOK
+   - Mounted with express.raw: req.body is the unparsed Buffer
+   - 2xx tells Razorpay to stop retrying; errors return 5xx
+========================================================= */
+export const razorpayWebhook = catchAsync(async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : null;
+  const signature = req.headers["x-razorpay-signature"];
+
+  if (!rawBody || !verifyWebhookSignature(rawBody, signature)) {
+    return res.status(400).json({ success: false, message: "Invalid webhook signature." });
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString("utf8"));
+  } catch {
+    return res.status(400).json({ success: false, message: "Invalid webhook payload." });
+  }
+
+  const result = await handleRazorpayWebhookService({
+    event,
+    eventId: req.headers["x-razorpay-event-id"] || null,
+  });
+
+  return res.status(200).json({ success: true, data: result });
+});
@@ -0,0 +1,178 @@
+import QueueService from "../services/queueService.js";
+import { publishQueueUpdate } from "../socket/queueHandler.js";
+
+const resolveUserId = (req) => req.user?._id || req.user?.id || null;
+
+const notFoundStatus = (error) => (error?.message?.includes("not found") ? 404 : 400);
+
+class QueueController {
+  /**
+   * GET /api/queue/display/:tenantId — Waiting-room board (public, tokens only)
+   */
+  getDisplayBoard = async (req, res) => {
+    try {
+      const board = await QueueService.getDisplayBoard(req.params.tenantId);
+      return res.status(200).json({ success: true, data: board });
+    } catch (error) {
+      return res.status(notFoundStatus(error)).json({
+        success: false,
+        message: error?.message || "Failed to load the queue.",
+      });
+    }
+  };
+
+  /**
+   * GET /api/queue/mine — Patient's live position in today's queues
+   */
+  getMyStatus = async (req, res) => {
+    try {
+      const data = await QueueService.getPatientStatus(resolveUserId(req));
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to load your queue status.",
+      });
+    }
+  };
+
+  /**
+   * GET /api/queue?date=YYYY-MM-DD — Every doctor's queue for the clinic
+   */
+  getClinicQueues = async (req, res) => {
+    try {
+      const data = await QueueService.getClinicQueues(req.user?.tenantId, req.query?.date);
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to load queues.",
+      });
+    }
+  };
+
+  /**
+   * GET /api/queue/doctors/:doctorId?date=YYYY-MM-DD — One doctor's queue
+   */
+  getDoctorQueue = async (req, res) => {
+    try {
+      const data = await QueueService.getDoctorQueue(
+        req.user?.tenantId,
+        req.params.doctorId,
+        req.query?.date
+      );
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      return res.status(notFoundStatus(error)).json({
+        success: false,
+        message: error?.message || "Failed to load the queue.",
+      });
+    }
+  };
+
+  /**
+   * POST /api/queue/check-in — body: { appointmentId }
+   */
+  checkIn = async (req, res) => {
+    try {
+      const { appointmentId } = req.body || {};
+      if (!appointmentId) {
+        return res.status(400).json({ success: false, message: "appointmentId is required." });
+      }
+
+      const { entry, snapshot } = await QueueService.checkIn(req.user?.tenantId, appointmentId, {
+        userId: resolveUserId(req),
+      });
+      publishQueueUpdate(snapshot);
+
+      return res.status(201).json({
+        success: true,
+        message: `Checked in. Token ${entry.tokenNumber}.`,
+        data: { entry, queue: snapshot },
+      });
+    } catch (error) {
+      return res.status(notFoundStatus(error)).json({
+        success: false,
+        message: error?.message || "Check-in failed.",
+      });
+    }
+  };
+
+  /**
+   * POST /api/queue/walk-ins — body: { doctorId, name, contact?, patientId? }
+   */
+  addWalkIn = async (req, res) => {
+    try {
+      const { entry, snapshot } = await QueueService.addWalkIn(req.user?.tenantId, req.body || {}, {
+        userId: resolveUserId(req),
+      });
+      publishQueueUpdate(snapshot);
+
+      return res.status(201).json({
+        success: true,
+        message: `Walk-in added. Token ${entry.tokenNumber}.`,
+        data: { entry, queue: snapshot },
+      });
+    } catch (error) {
+      return res.status(notFoundStatus(error)).json({
+        success: false,
+        message: error?.message || "Failed to add walk-in.",
+      });
+    }
+  };
+
+  /**
+   * POST /api/queue/doctors/:doctorId/call-next — body: { entryId? }
+   * Finishes the current consultation and calls the next token in.
+   */
+  callNext = async (req, res) => {
+    try {
+      const { entry, finished, snapshot } = await QueueService.callNext(
+        req.user?.tenantId,
+        req.params.doctorId,
+        { entryId: req.body?.entryId },
+        { userId: resolveUserId(req) }
+      );
+      publishQueueUpdate(snapshot, finished);
+
+      return res.status(200).json({
+        success: true,
+        message: entry ? `Now serving token ${entry.tokenNumber}.` : "No patients waiting.",
+        data: { entry, finished, queue: snapshot },
+      });
+    } catch (error) {
+      return res.status(notFoundStatus(error)).json({
+        success: false,
+        message: error?.message || "Failed to call the next patient.",
+      });
+    }
+  };
+
+  /**
+   * PATCH /api/queue/entries/:entryId/status — body: { status: DONE|SKIPPED|WAITING|LEFT }
+   */
+  updateEntryStatus = async (req, res) => {
+    try {
+      const { entry, snapshot } = await QueueService.updateEntryStatus(
+        req.user?.tenantId,
+        req.params.entryId,
+        req.body?.status,
+        { userId: resolveUserId(req) }
+      );
+      publishQueueUpdate(snapshot, entry);
+
+      return res.status(200).json({
+        success: true,
+        message: "Queue updated.",
+        data: { entry, queue: snapshot },
+      });
+    } catch (error) {
+      return res.status(notFoundStatus(error)).json({
+        success: false,
+        message: error?.message || "Failed to update the queue entry.",
+      });
+    }
+  };
+}
+
+export default new QueueController();
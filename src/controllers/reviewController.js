@@ -0,0 +1,119 @@
+import ReviewService from "../services/reviewService.js";
+
+const resolveUserId = (req) => req.user?._id || req.user?.id || null;
+
+const notFoundStatus = (error) => (error?.message?.includes("not found") ? 404 : 400);
+
+class ReviewController {
+  /**
+   * GET /api/reviews/doctors/:doctorId — Published reviews + aggregate (public)
+   */
+  getDoctorReviews = async (req, res) => {
+    try {
+      const data = await ReviewService.listPublished({ doctorId: req.params.doctorId }, req.query);
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to load reviews.",
+      });
+    }
+  };
+
+  /**
+   * GET /api/reviews/clinics/:tenantId — Published reviews + aggregate (public)
+   */
+  getClinicReviews = async (req, res) => {
+    try {
+      const data = await ReviewService.listPublished({ tenantId: req.params.tenantId }, req.query);
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to load reviews.",
+      });
+    }
+  };
+
+  /**
+   * POST /api/reviews — body: { appointmentId, rating (1-5), comment? }
+   */
+  create = async (req, res) => {
+    try {
+      const review = await ReviewService.create(resolveUserId(req), req.body || {});
+      return res.status(201).json({ success: true, message: "Thank you for your review.", data: review });
+    } catch (error) {
+      const status = error?.message?.includes("already reviewed") ? 409 : notFoundStatus(error);
+      return res.status(status).json({
+        success: false,
+        message: error?.message || "Failed to submit review.",
+      });
+    }
+  };
+
+  /**
+   * GET /api/reviews/mine — Reviews the patient has written
+   */
+  getMyReviews = async (req, res) => {
+    try {
+      const data = await ReviewService.listForPatient(resolveUserId(req));
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to load your reviews.",
+      });
+    }
+  };
+
+  /**
+   * GET /api/reviews/clinic?status=PUBLISHED|HIDDEN&doctorId=&page=&limit= — Moderation list
+   */
+  getClinicModerationList = async (req, res) => {
+    try {
+      const data = await ReviewService.listForClinic(req.user?.tenantId, req.query);
+      return res.status(200).json({ success: true, ...data });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Failed to load reviews.",
+      });
+    }
+  };
+
+  /**
+   * PATCH /api/reviews/:id/moderation — body: { status: PUBLISHED|HIDDEN, reason? }
+   */
+  moderate = async (req, res) => {
+    try {
+      const review = await ReviewService.moderate(req.user?.tenantId, req.params.id, req.body || {}, {
+        userId: resolveUserId(req),
+      });
+      return res.status(200).json({ success: true, message: `Review ${review.status.toLowerCase()}.`, data: review });
+    } catch (error) {
+      return res.status(notFoundStatus(error)).json({
+        success: false,
+        message: error?.message || "Failed to moderate review.",
+      });
+    }
+  };
+
+  /**
+   * PUT /api/reviews/:id/response — body: { text } (empty text removes the response)
+   */
+  respond = async (req, res) => {
+    try {
+      const review = await ReviewService.respond(req.user?.tenantId, req.params.id, req.body?.text, {
+        userId: resolveUserId(req),
+      });
+      return res.status(200).json({ success: true, message: "Response saved.", data: review });
+    } catch (error) {
+      return res.status(notFoundStatus(error)).json({
+        success: false,
+        message: error?.message || "Failed to save response.",
+      });
+    }
+  };
+}
+
+export default new ReviewController();
@@ -8,6 +8,8 @@ import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import { v2 as cloudinary } from "cloudinary";
 import mongoose from "mongoose";
+import { isValidTimeZone } from "../utils/dateTime.js";
+import { normalizeReminderOffsets } from "../utils/reminderSchedule.js";
 
 /* =========================================================
    Cloudinary Config
@@ -93,6 +95,8 @@ const pickAllowedTenantUpdate = (body = {}) => {
       update["settings.isPublic"] = Boolean(s.isPublic);
     if (s.globalMute !== undefined)
       update["settings.globalMute"] = Boolean(s.globalMute);
+    if (s.timezone !== undefined)
+      update["settings.timezone"] = normalizeStr(s.timezone);
 
     // Branding
     if (s.branding && typeof s.branding === "object") {
@@ -113,6 +117,10 @@ const pickAllowedTenantUpdate = (body = {}) => {
           if (n[cat].push !== undefined) update[`settings.notifications.${cat}.push`] = Boolean(n[cat].push);
         }
       }
+      // Validated in updateProfile
+      if (n.appointmentReminders?.offsetsMinutes !== undefined) {
+        update["settings.notifications.appointmentReminders.offsetsMinutes"] = n.appointmentReminders.offsetsMinutes;
+      }
     }
   }
   return update;
@@ -125,8 +133,9 @@ export const getDirectory = catchAsync(async (req, res) => {
   const page = Math.max(toInt(req.query.page, 1), 1);
   const limit = Math.min(Math.max(toInt(req.query.limit, 30), 1), 60);
   const search = normalizeStr(req.query.search);
+  const sortBy = normalizeStr(req.query.sortBy);
 
-  const result = await tenantService.getAllPublicClinics({ page, limit, search });
+  const result = await tenantService.getAllPublicClinics({ page, limit, search, sortBy });
 
   const formattedClinics = (result?.data || []).map((clinic, idx) => ({
     _id: clinic._id,
@@ -134,6 +143,7 @@ export const getDirectory = catchAsync(async (req, res) => {
     name: clinic.name || "Premier Health Clinic",
     location: clinic.address || "Regional Access",
     tags: clinic.tags?.length ? clinic.tags : ["General Practice"],
+    rating: clinic.rating || { average: 0, count: 0 },
     img: clinic.image || "https://images.unsplash.com/photo-1519494026892-80bbd2d6fd0d?q=80&w=800",
     tier: clinic.subscription?.plan,
     price: clinic.subscription?.price,
@@ -172,7 +182,10 @@ export const getClinicById = catchAsync(async (req, res) => {
     .lean();
 
   if (!clinic) return res.status(404).json({ success: false, message: "Clinic not found." });
-  return res.status(200).json({ success: true, data: clinic });
+  return res.status(200).json({
+    success: true,
+    data: { ...clinic, rating: clinic.rating || { average: 0, count: 0 } },
+  });
 });
 
 /* =========================================================
@@ -260,6 +273,20 @@ export const getProfile = catchAsync(async (req, res) => {
 
 export const updateProfile = catchAsync(async (req, res) => {
   const safeBody = pickAllowedTenantUpdate(req.body);
+  if (safeBody["settings.timezone"] !== undefined && !isValidTimeZone(safeBody["settings.timezone"])) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid time zone. Use an IANA name such as Asia/Kolkata or Europe/London.",
+    });
+  }
+  const offsetsKey = "settings.notifications.appointmentReminders.offsetsMinutes";
+  if (safeBody[offsetsKey] !== undefined) {
+    try {
+      safeBody[offsetsKey] = normalizeReminderOffsets(safeBody[offsetsKey]);
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+  }
   const updated = await tenantService.updateTenantSettings(req.user.tenantId, safeBody);
 
   return res.status(200).json({ success: true, message: "Profile updated.", data: updated });
@@ -376,6 +403,24 @@ export const updateSecuritySettings = catchAsync(async (req, res) => {
   return res.status(200).json({ success: true, message: "Security settings updated." });
 });
 
+/* =========================================================
+   ✅ APPOINTMENT POLICY (cancellation window + no-shows)
+========================================================= */
+export const getAppointmentPolicy = catchAsync(async (req, res) => {
+  const policy = await tenantService.getAppointmentPolicyService(req.user.tenantId);
+  return res.status(200).json({ success: true, data: policy });
+});
+
+export const updateAppointmentPolicy = catchAsync(async (req, res) => {
+  try {
+    const policy = await tenantService.updateAppointmentPolicyService(req.user.tenantId, req.body);
+    return res.status(200).json({ success: true, message: "Appointment policy updated.", data: policy });
+  } catch (err) {
+    const status = err.message === "Tenant not found." ? 404 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
+});
+
 /* =========================================================
    ✅ SUPERADMIN SUBSCRIPTION MANAGEMENT
    ========================================================= */
@@ -423,12 +468,21 @@ export const applyCoupon = catchAsync(async (req, res) => {
   const tenantId = req.params.id;
   const adminId = req.user.id;
 
-  const updated = await tenantService.applyCoupon(tenantId, couponCode, adminId);
-  return res.status(200).json({
-    success: true,
-    message: "Coupon applied successfully",
-    data: updated
-  });
+  if (!normalizeStr(couponCode)) {
+    return res.status(400).json({ success: false, message: "couponCode is required." });
+  }
+
+  try {
+    const updated = await tenantService.applyCoupon(tenantId, couponCode, adminId);
+    return res.status(200).json({
+      success: true,
+      message: "Coupon applied successfully",
+      data: updated
+    });
+  } catch (err) {
+    const status = err.message === "Tenant not found." ? 404 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
 });
 
 export const updateCycle = catchAsync(async (req, res) => {
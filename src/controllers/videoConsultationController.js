@@ -1,7 +1,7 @@
 import VideoConsultationService from "../services/videoConsultationService.js";
+import { closeConsultationRoom } from "../socket/signalingHandler.js";
 
 const resolveUserId = (req) => req.user?._id || req.user?.id || null;
-const resolveRole = (req) => String(req.user?.role || "").toUpperCase();
 
 class VideoConsultationController {
   /**
@@ -26,14 +26,15 @@ class VideoConsultationController {
   };
 
   /**
-   * GET /api/video-consultations/room/:roomId — Get session by room ID
+   * GET /api/video-consultations/room/:roomId — Get session (with chat transcript) by room ID
    */
   getByRoomId = async (req, res) => {
     try {
-      const session = await VideoConsultationService.getSessionByRoomId(req.params.roomId);
+      const session = await VideoConsultationService.getSessionByRoomId(req.params.roomId, req.user);
       return res.status(200).json({ success: true, data: session });
     } catch (error) {
-      return res.status(400).json({
+      const status = error?.message?.includes("not authorized") ? 403 : 400;
+      return res.status(status).json({
         success: false,
         message: error?.message || "Session not found.",
       });
@@ -47,12 +48,13 @@ class VideoConsultationController {
     try {
       const { roomId } = req.body;
       const userId = resolveUserId(req);
-      const role = resolveRole(req);
 
+      const { role } = await VideoConsultationService.authorizeParticipant(roomId, req.user);
       const session = await VideoConsultationService.recordJoin(roomId, userId, role);
       return res.status(200).json({ success: true, data: session });
     } catch (error) {
-      return res.status(400).json({
+      const status = error?.message?.includes("not authorized") ? 403 : 400;
+      return res.status(status).json({
         success: false,
         message: error?.message || "Failed to record join.",
       });
@@ -66,18 +68,22 @@ class VideoConsultationController {
     try {
       const { roomId, doctorNotes, prescription } = req.body;
 
-      const session = await VideoConsultationService.endSession(roomId, {
+      const session = await VideoConsultationService.endSession(roomId, req.user, {
         doctorNotes,
         prescription,
       });
 
+      // Disconnect both participants from the signaling room
+      closeConsultationRoom(roomId, "ended");
+
       return res.status(200).json({
         success: true,
         message: "Consultation ended.",
         data: session,
       });
     } catch (error) {
-      return res.status(400).json({
+      const status = error?.message?.includes("not authorized") ? 403 : 400;
+      return res.status(status).json({
         success: false,
         message: error?.message || "Failed to end session.",
       });
@@ -90,14 +96,15 @@ class VideoConsultationController {
   addNotes = async (req, res) => {
     try {
       const { doctorNotes, prescription } = req.body;
-      const session = await VideoConsultationService.addNotes(req.params.id, {
+      const session = await VideoConsultationService.addNotes(req.params.id, req.user, {
         doctorNotes,
         prescription,
       });
 
       return res.status(200).json({ success: true, data: session });
     } catch (error) {
-      return res.status(400).json({
+      const status = error?.message?.includes("not authorized") ? 403 : 400;
+      return res.status(status).json({
         success: false,
         message: error?.message || "Failed to update notes.",
       });
@@ -131,16 +138,17 @@ class VideoConsultationController {
   };
 
   /**
-   * GET /api/video-consultations/my — Patient's consultation history
+   * GET /api/video-consultations/my?dependentId=self|<id> — Patient's consultation history
    */
   getMyConsultations = async (req, res) => {
     try {
       const userId = resolveUserId(req);
-      const { page, limit } = req.query;
+      const { page, limit, dependentId } = req.query;
 
       const result = await VideoConsultationService.getPatientConsultations(userId, {
         page,
         limit,
+        dependentId,
       });
 
       return res.status(200).json({ success: true, ...result });
@@ -159,13 +167,12 @@ class VideoConsultationController {
     try {
       const { meetingToken } = req.body;
       const userId = resolveUserId(req);
-      const userRole = resolveRole(req);
 
       if (!meetingToken) {
         return res.status(400).json({ success: false, message: "Meeting token is required." });
       }
 
-      const result = await VideoConsultationService.verifyMeetingToken(meetingToken, userId, userRole);
+      const result = await VideoConsultationService.verifyMeetingToken(meetingToken, req.user);
 
       // Also record the join
       await VideoConsultationService.recordJoin(result.roomId, userId, result.role);
@@ -1,6 +1,7 @@
 import jwt from "jsonwebtoken";
 import User from "../models/userModel.js";
 import Tenant from "../models/tenantModel.js";
+import Doctor from "../models/doctorModel.js";
 
 /* =========================================================
    Helpers
@@ -29,15 +30,13 @@ const jwtErrorMessage = (err) => {
 const normalizeRole = (v) => String(v || "").trim().toUpperCase();
 
 /* =========================================================
-   ✅ BASE VERIFY
-   - Verifies token
-   - Attaches req.user from DB
-   - Does NOT enforce purpose
+   ✅ TOKEN → USER
+   - Verifies JWT signature + tokenVersion + tenant suspension
+   - Shared by HTTP middleware and the Socket.IO handshake
 ========================================================= */
-const verifyAndAttachUser = async (req) => {
+export const resolveUserFromToken = async (token) => {
   if (!process.env.JWT_SECRET) throw new Error("JWT_SECRET missing");
 
-  const token = getBearerToken(req);
   if (!token) {
     const e = new Error("No token provided.");
     e.statusCode = 401;
@@ -72,21 +71,67 @@ const verifyAndAttachUser = async (req) => {
     }
   }
 
-  req.user = {
-    ...user,
-    id: String(user._id),
-    role: normalizeRole(user.role || decoded.role),
-    tenantId: user.tenantId
-      ? String(user.tenantId)
-      : decoded.tenantId
-        ? String(decoded.tenantId)
-        : null,
-    tokenPurpose: decoded.purpose || null,
+  // Doctor logins: every clinic profile (affiliation) linked to this account
+  let doctorIds;
+  if (normalizeRole(user.role) === "DOCTOR") {
+    const profiles = await Doctor.find({ userId: user._id, isActive: true }).select("_id").lean();
+    doctorIds = profiles.map((p) => String(p._id));
+  }
+
+  return {
+    decoded,
+    user: {
+      ...user,
+      ...(doctorIds ? { doctorIds } : {}),
+      id: String(user._id),
+      role: normalizeRole(user.role || decoded.role),
+      tenantId: user.tenantId
+        ? String(user.tenantId)
+        : decoded.tenantId
+          ? String(decoded.tenantId)
+          : null,
+      tokenPurpose: decoded.purpose || null,
+    },
   };
+};
 
+/* =========================================================
+   ✅ BASE VERIFY
+   - Verifies token
+   - Attaches req.user from DB
+   - Does NOT enforce purpose
+========================================================= */
+const verifyAndAttachUser = async (req) => {
+  const { decoded, user } = await resolveUserFromToken(getBearerToken(req));
+  req.user = user;
   return decoded;
 };
 
+/* =========================================================
+   ✅ SOCKET AUTH (io.use)
+   - Token from handshake `auth.token` or Authorization header
+   - Attaches socket.data.user
+========================================================= */
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const handshake = socket.handshake || {};
+    const raw =
+      handshake.auth?.token ||
+      getBearerToken({ headers: handshake.headers || {} });
+    const token = String(raw || "").replace(/^Bearer\s+/i, "");
+
+    const { user } = await resolveUserFromToken(
+      ["null", "undefined"].includes(token) ? null : token
+    );
+    socket.data.user = user;
+    next();
+  } catch (err) {
+    const e = new Error(err?.statusCode ? err.message : jwtErrorMessage(err));
+    e.data = { statusCode: err?.statusCode || 401 };
+    next(e);
+  }
+};
+
 /* =========================================================
    ✅ PROTECT (Flexible)
    - Used for: Patient booking, patient views, general auth routes
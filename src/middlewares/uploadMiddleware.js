@@ -18,4 +18,15 @@ const upload = multer({
   fileFilter,
 });
 
-export default upload;
\ No newline at end of file
+// Credential documents: scanned certificates or PDFs
+export const documentUpload = multer({
+  storage,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowed = new Set(["application/pdf", "image/jpeg", "image/png", "image/webp"]);
+    if (allowed.has(file.mimetype)) return cb(null, true);
+    cb(Object.assign(new Error("Only PDF or image files (jpeg, png, webp) are allowed"), { statusCode: 400 }));
+  },
+});
+
+export default upload;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { APPOINTMENT_STATUSES, HISTORY_ROLES, SLOT_HOLDING_STATUSES } from "../utils/appointmentStatus.js";
 
 const appointmentSchema = new mongoose.Schema(
   {
@@ -10,6 +11,14 @@ const appointmentSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Family member the visit is for (null = the account holder)
+    dependentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Dependent",
+      default: null,
+      index: true,
+    },
+
     // Snapshot of patient details at booking time
     patientInfo: {
       name: { type: String, required: true, trim: true, maxlength: 100 },
@@ -39,6 +48,13 @@ const appointmentSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Slot length at booking time (from the doctor's schedule)
+    durationMinutes: {
+      type: Number,
+      default: 30,
+      min: 5,
+    },
+
     consultationFee: {
       type: Number,
       default: 0,
@@ -53,11 +69,66 @@ const appointmentSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["PENDING", "CONFIRMED", "CANCELLED", "COMPLETED"],
+      enum: APPOINTMENT_STATUSES,
       default: "PENDING",
       index: true,
     },
 
+    // Every status change, oldest first (see utils/appointmentStatus.js)
+    statusHistory: [
+      {
+        from: { type: String, enum: [...APPOINTMENT_STATUSES, null], default: null },
+        to: { type: String, enum: APPOINTMENT_STATUSES, required: true },
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        role: { type: String, enum: HISTORY_ROLES, default: "SYSTEM" },
+        reason: { type: String, trim: true, maxlength: 500, default: "" },
+        _id: false,
+      },
+    ],
+
+    // When each stage was reached
+    confirmedAt: { type: Date, default: null },
+    checkedInAt: { type: Date, default: null },
+    consultationStartedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+
+    // Set when the patient is over the clinic's no-show threshold:
+    // the booking stays PENDING until the clinic confirms it
+    requiresConfirmation: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Who cancelled, and whether it was inside the cancellation window
+    cancellation: {
+      at: { type: Date, default: null },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      role: { type: String, enum: ["PATIENT", "CLINIC_ADMIN", null], default: null },
+      reason: { type: String, trim: true, maxlength: 500, default: "" },
+      isLate: { type: Boolean, default: false },
+    },
+
+    // Online consultation-fee payment. NOT_REQUIRED = paid at the clinic;
+    // PENDING holds the slot until holdExpiresAt, then the booking is released
+    payment: {
+      status: {
+        type: String,
+        enum: ["NOT_REQUIRED", "PENDING", "PAID", "PARTIALLY_REFUNDED", "REFUNDED", "EXPIRED"],
+        default: "NOT_REQUIRED",
+      },
+      paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", default: null },
+      amountPaise: { type: Number, default: 0, min: 0 },
+      holdExpiresAt: { type: Date, default: null },
+      paidAt: { type: Date, default: null },
+    },
+
+    // When the visit was marked NO_SHOW (scheduler or clinic)
+    noShowAt: {
+      type: Date,
+      default: null,
+    },
+
     // Video consultation meeting links (auto-generated for type=video)
     meetingLink: {
       type: String,
@@ -68,17 +139,85 @@ const appointmentSchema = new mongoose.Schema(
       default: "",
     },
 
+    // Previous times this appointment was moved from (most recent last)
+    rescheduleHistory: [
+      {
+        from: { type: Date, required: true },
+        to: { type: Date, required: true },
+        rescheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        role: { type: String, enum: ["PATIENT", "CLINIC_ADMIN"] },
+        reason: { type: String, trim: true, maxlength: 500, default: "" },
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+
+    // Recurring series membership (1-based position in the series)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppointmentSeries",
+      default: null,
+      index: true,
+    },
+    seriesIndex: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+
+    // Completed appointment this visit follows up on
+    followUpOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+
     // Whether the 5-min-before reminder email was sent
     reminderSent: {
       type: Boolean,
       default: false,
       index: true,
     },
+
+    // Clinic reminder offsets (minutes before) already sent for the current time
+    remindersSent: {
+      type: [Number],
+      default: [],
+    },
+
+    // Written by the doctor from the portal; mirrored to the video session for video visits
+    doctorNotes: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      default: "",
+    },
+
+    // When the post-visit review request went out (sent once)
+    reviewRequestedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
-// Optional: prevent duplicate bookings for same doctor + same time
-appointmentSchema.index({ doctorId: 1, dateTime: 1 }, { unique: true });
+// Unpaid booking holds due to expire
+appointmentSchema.index({ "payment.status": 1, "payment.holdExpiresAt": 1 });
+
+// Per-patient no-show counts for a clinic
+appointmentSchema.index({ tenantId: 1, patientId: 1, status: 1, dateTime: -1 });
+
+// Prevent duplicate bookings for same doctor + same time.
+// Partial so a cancelled appointment frees its slot for rebooking.
+// Keep this name stable: config/migrations.js syncs it over the old full index.
+appointmentSchema.index(
+  { doctorId: 1, dateTime: 1 },
+  {
+    unique: true,
+    name: "doctor_active_slot_unique",
+    partialFilterExpression: { status: { $in: SLOT_HOLDING_STATUSES } },
+  }
+);
 
 export default mongoose.model("Appointment", appointmentSchema);
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+export const SERIES_FREQUENCIES = { WEEKLY: 7, BIWEEKLY: 14 };
+
+/**
+ * A recurring set of visits (physio, dental, chronic care) or a
+ * recurring follow-up started from a completed appointment.
+ * Each visit is a normal Appointment carrying seriesId + seriesIndex.
+ */
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+      index: true,
+    },
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // Family member (null = the account holder)
+    dependentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Dependent",
+      default: null,
+    },
+
+    kind: {
+      type: String,
+      enum: ["RECURRING", "FOLLOW_UP"],
+      default: "RECURRING",
+    },
+    // Completed appointment a FOLLOW_UP series was created from
+    sourceAppointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+
+    frequency: {
+      type: String,
+      enum: Object.keys(SERIES_FREQUENCIES),
+      required: true,
+    },
+    startDate: {
+      type: String, // "YYYY-MM-DD" (clinic-local)
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Date must be YYYY-MM-DD"],
+    },
+    slot: {
+      type: String, // "HH:mm"
+      required: true,
+    },
+    // Requested end: N occurrences and/or an inclusive until-date
+    occurrences: { type: Number, default: null, min: 1 },
+    untilDate: { type: String, default: "" },
+
+    consultationType: {
+      type: String,
+      enum: ["in-clinic", "video"],
+      default: "in-clinic",
+    },
+    notes: { type: String, trim: true, maxlength: 500, default: "" },
+
+    status: {
+      type: String,
+      enum: ["ACTIVE", "CANCELLED"],
+      default: "ACTIVE",
+      index: true,
+    },
+    cancelledAt: { type: Date, default: null },
+    cancelReason: { type: String, trim: true, maxlength: 500, default: "" },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    createdByRole: {
+      type: String,
+      enum: ["PATIENT", "CLINIC_ADMIN"],
+      default: "PATIENT",
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("AppointmentSeries", appointmentSeriesSchema);
@@ -13,6 +13,16 @@ const chatMessageSchema = new mongoose.Schema({
     maxlength: 10000,
   },
   timestamp: { type: Date, default: Date.now },
+  // Knowledge base chunks cited in an assistant reply ([1], [2], …)
+  sources: [
+    {
+      _id: false,
+      index: Number,
+      docId: { type: mongoose.Schema.Types.ObjectId, ref: "KnowledgeDoc" },
+      title: String,
+      chunkIndex: Number,
+    },
+  ],
 });
 
 const chatSessionSchema = new mongoose.Schema(
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const DISCOUNT_TYPES = ["PERCENTAGE", "FLAT"];
+const PLAN_CODES = ["PRO", "ENTERPRISE", "PROFESSIONAL"];
+const BILLING_CYCLES = ["monthly", "yearly"];
+
+const couponSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, "Code must be 3-32 letters, digits, '-' or '_'"],
+    },
+    description: { type: String, trim: true, maxlength: 300, default: "" },
+
+    /* ===========================
+       Discount
+    ============================ */
+    discountType: {
+      type: String,
+      enum: DISCOUNT_TYPES,
+      required: true,
+    },
+
+    // PERCENTAGE: 1-100, FLAT: rupees off
+    value: {
+      type: Number,
+      required: true,
+      min: [0.01, "Discount value must be positive"],
+    },
+
+    // Optional cap (rupees) for PERCENTAGE coupons
+    maxDiscountRupees: { type: Number, min: 0, default: null },
+
+    /* ===========================
+       Validity + limits
+    ============================ */
+    validFrom: { type: Date, default: Date.now },
+    validUntil: { type: Date, default: null }, // null = no expiry
+
+    maxRedemptions: { type: Number, min: 1, default: null }, // null = unlimited
+    redemptionCount: { type: Number, min: 0, default: 0 },
+    perTenantLimit: { type: Number, min: 1, default: 1 },
+    // Redemptions per clinic (tenantId -> count), capped at perTenantLimit.
+    // Refunds don't give one back; rejected manual payments do.
+    tenantRedemptions: { type: Map, of: Number, default: {} },
+
+    // Empty = applies to every plan / cycle
+    applicablePlans: [{ type: String, enum: PLAN_CODES }],
+    applicableCycles: [{ type: String, enum: BILLING_CYCLES }],
+
+    isActive: { type: Boolean, default: true, index: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+couponSchema.pre("validate", function () {
+  if (this.discountType === "PERCENTAGE" && this.value > 100) {
+    this.invalidate("value", "Percentage discount cannot exceed 100");
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    this.invalidate("validUntil", "validUntil must be after validFrom");
+  }
+});
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+export default Coupon;
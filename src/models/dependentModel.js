@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+export const DEPENDENT_RELATIONSHIPS = ["CHILD", "SPOUSE", "PARENT", "SIBLING", "GRANDPARENT", "OTHER"];
+
+/**
+ * A family member a patient books for (a child, an elderly parent…).
+ * Appointments, consultations and prescriptions for them carry dependentId
+ * so their history stays separate from the account holder's.
+ * Removal only deactivates the profile; past visits keep pointing at it.
+ */
+const dependentSchema = new mongoose.Schema(
+  {
+    // Account holder who manages this profile
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    relationship: {
+      type: String,
+      enum: DEPENDENT_RELATIONSHIPS,
+      required: true,
+    },
+    dob: {
+      type: Date,
+      default: null,
+    },
+    gender: {
+      type: String,
+      enum: ["MALE", "FEMALE", "OTHER", "PREFER_NOT_TO_SAY", null],
+      default: null,
+    },
+    bloodGroup: {
+      type: String,
+      trim: true,
+      maxlength: 10,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Dependent", dependentSchema);
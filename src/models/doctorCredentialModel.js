@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+export const CREDENTIAL_TYPES = ["REGISTRATION_CERTIFICATE", "DEGREE", "OTHER"];
+
+/**
+ * A document a clinic uploads to verify one of its doctors
+ * (medical council registration, degree certificates…).
+ * Files are private Cloudinary assets; reviewers get signed links.
+ */
+const doctorCredentialSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: CREDENTIAL_TYPES,
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 120,
+      default: "",
+    },
+    fileName: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+    mimeType: { type: String, default: "" },
+    size: { type: Number, default: 0 },
+    // Cloudinary asset (type "authenticated")
+    publicId: { type: String, required: true },
+    resourceType: { type: String, default: "image" },
+    format: { type: String, default: "" },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("DoctorCredential", doctorCredentialSchema);
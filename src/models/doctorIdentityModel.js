@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+/**
+ * One person who practices at one or more clinics.
+ * Each clinic's Doctor record is an affiliation of this identity: it keeps
+ * that clinic's fee, schedule and status, and is what appointments point at.
+ * A new profile starts on an identity of its own; it joins the identity of
+ * the doctor's portal account (userId) only once the doctor accepts that
+ * clinic's invitation, so a clinic can't attach itself to someone else's
+ * calendar just by entering their email.
+ */
+const doctorIdentitySchema = new mongoose.Schema(
+  {
+    // The DOCTOR login that accepted an invitation for these profiles
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 80,
+      default: "",
+    },
+
+    // Held while one of this doctor's clinics books or moves a visit, so the
+    // cross-clinic overlap check and the write happen as one step
+    bookingLock: {
+      token: { type: mongoose.Schema.Types.ObjectId, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+// One identity per portal account
+doctorIdentitySchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $type: "objectId" } } }
+);
+
+export default mongoose.model("DoctorIdentity", doctorIdentitySchema);
@@ -1,7 +1,59 @@
 import mongoose from "mongoose";
 
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i;
+const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
 
+const timeField = {
+  type: String,
+  trim: true,
+  match: [timeRegex, "Time must use HH:mm format"],
+};
+
+const timeRangeSchema = new mongoose.Schema(
+  {
+    start: { ...timeField, required: true },
+    end: { ...timeField, required: true },
+  },
+  { _id: false }
+);
+
+// One entry per weekday (0 = Sunday … 6 = Saturday)
+const weeklyHoursSchema = new mongoose.Schema(
+  {
+    day: { type: Number, required: true, min: 0, max: 6 },
+    isWorking: { type: Boolean, default: true },
+    start: { ...timeField, default: "09:00" },
+    end: { ...timeField, default: "17:00" },
+    breaks: { type: [timeRangeSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Date-specific overrides: leave / holiday close the day, CUSTOM_HOURS replaces it
+const scheduleExceptionSchema = new mongoose.Schema(
+  {
+    date: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Date must use YYYY-MM-DD format"],
+    },
+    type: {
+      type: String,
+      enum: ["LEAVE", "HOLIDAY", "CUSTOM_HOURS"],
+      default: "LEAVE",
+    },
+    start: timeField,
+    end: timeField,
+    breaks: { type: [timeRangeSchema], default: [] },
+    reason: { type: String, trim: true, maxlength: 120, default: "" },
+  },
+  { _id: false }
+);
+
+/**
+ * A doctor's affiliation with one clinic (fee, schedule, status).
+ * Profiles of the same person at other clinics share identityId.
+ */
 const doctorSchema = new mongoose.Schema(
   {
     tenantId: {
@@ -10,12 +62,26 @@ const doctorSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    identityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorIdentity",
+      default: null,
+      index: true,
+    },
     verificationStatus: {
       type: String,
       enum: ["PENDING", "VERIFIED", "REJECTED"],
       default: "PENDING",
       index: true,
     },
+    // Credential review (DoctorVerificationService). Queued while submittedAt is set.
+    verification: {
+      submittedAt: { type: Date, default: null },
+      submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      reviewedAt: { type: Date, default: null },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      reason: { type: String, trim: true, maxlength: 500, default: "" },
+    },
     name: {
       type: String,
       required: true,
@@ -81,6 +147,13 @@ const doctorSchema = new mongoose.Schema(
       default: "09:00 AM - 05:00 PM",
       maxlength: 60,
     },
+    // Structured working hours used for slot generation.
+    // `availability` above is kept as a display summary for older clients.
+    schedule: {
+      slotDuration: { type: Number, default: 30, min: 5, max: 240 },
+      weekly: { type: [weeklyHoursSchema], default: [] },
+      exceptions: { type: [scheduleExceptionSchema], default: [] },
+    },
     image: {
       type: String,
       default: "",
@@ -89,6 +162,11 @@ const doctorSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Published review aggregate (maintained by ReviewService)
+    rating: {
+      average: { type: Number, default: 0, min: 0, max: 5 },
+      count: { type: Number, default: 0, min: 0 },
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -103,6 +181,25 @@ const doctorSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Doctor portal login, linked when the invitation is accepted
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    // Pending portal invitation; only the sha256 of the emailed token is stored
+    invitation: {
+      tokenHash: { type: String, select: false },
+      sentAt: { type: Date, default: null },
+      expiresAt: { type: Date, default: null },
+      acceptedAt: { type: Date, default: null },
+    },
+    // Secret for the read-only iCalendar feed URL (rotated by the clinic)
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -115,6 +212,10 @@ const doctorSchema = new mongoose.Schema(
 doctorSchema.index({ tenantId: 1, email: 1 }, { unique: true });
 doctorSchema.index({ tenantId: 1, isDeleted: 1, isActive: 1, status: 1 });
 doctorSchema.index({ tenantId: 1, createdAt: -1 });
+doctorSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+doctorSchema.index({ "rating.average": -1, "rating.count": -1 });
+doctorSchema.index({ "invitation.tokenHash": 1 }, { unique: true, sparse: true });
+doctorSchema.index({ verificationStatus: 1, "verification.submittedAt": 1 });
 
 // --- MIDDLEWARE ---
 
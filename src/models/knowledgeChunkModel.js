@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+/**
+ * A searchable slice of a KnowledgeDoc.
+ * Term counts are precomputed at ingestion so BM25 ranking needs no re-tokenizing.
+ */
+const knowledgeChunkSchema = new mongoose.Schema(
+  {
+    docId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "KnowledgeDoc",
+      required: true,
+      index: true,
+    },
+    /** Denormalized from the parent doc for filtering + citations */
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    category: {
+      type: String,
+      default: "general",
+    },
+    chunkIndex: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    /** Unique terms in this chunk (for candidate lookup) */
+    terms: {
+      type: [String],
+      default: [],
+    },
+    /** term → frequency */
+    termCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    /** Token count (BM25 document length) */
+    length: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+knowledgeChunkSchema.index({ terms: 1 });
+knowledgeChunkSchema.index({ docId: 1, chunkIndex: 1 }, { unique: true });
+
+export default mongoose.model("KnowledgeChunk", knowledgeChunkSchema);
@@ -42,6 +42,11 @@ const knowledgeDocSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    /** Number of retrieval chunks stored in KnowledgeChunk */
+    chunkCount: {
+      type: Number,
+      default: 0,
+    },
 
     /** Upload / processing status */
     status: {
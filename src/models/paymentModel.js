@@ -3,11 +3,48 @@ import mongoose from "mongoose";
 const { Schema } = mongoose;
 
 const METHODS = ["RAZORPAY", "MANUAL"];
-const STATUSES = ["PENDING", "COMPLETED", "FAILED", "REFUNDED"];
-const PURPOSES = ["SUBSCRIPTION"]; // extend later
+const STATUSES = ["PENDING", "COMPLETED", "FAILED", "PARTIALLY_REFUNDED", "REFUNDED"];
+const PURPOSES = ["SUBSCRIPTION", "CONSULTATION"];
 const PLAN_CODES = ["PRO", "ENTERPRISE", "PROFESSIONAL"];
 const BILLING_CYCLES = ["monthly", "yearly"];
 
+// Snapshot of the coupon used for this payment (the Coupon may change later)
+const couponSnapshotSchema = new Schema(
+  {
+    couponId: { type: Schema.Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, required: true, uppercase: true, trim: true },
+    discountType: { type: String, enum: ["PERCENTAGE", "FLAT"] },
+    value: { type: Number },
+    originalAmountPaise: { type: Number, required: true },
+    discountPaise: { type: Number, required: true, min: 0 },
+    redeemedAt: { type: Date, default: null }, // set once counted against the coupon
+  },
+  { _id: false }
+);
+
+// One line per refund issued against this payment
+const refundSchema = new Schema(
+  {
+    razorpayRefundId: { type: String, default: null, trim: true }, // null for manual refunds
+    amountPaise: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "Refund amount must be an integer (smallest currency unit).",
+      },
+    },
+    method: { type: String, enum: METHODS, required: true },
+    status: { type: String, enum: ["PENDING", "PROCESSED", "FAILED"], default: "PENDING" },
+    reason: { type: String, trim: true, maxlength: 500, default: "" },
+    reference: { type: String, trim: true, default: null }, // manual: bank/UPI ref
+    initiatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null }, // null = Razorpay dashboard
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
 const paymentSchema = new Schema(
   {
     /* ===========================
@@ -55,6 +92,9 @@ const paymentSchema = new Schema(
 
     currency: { type: String, default: "INR", uppercase: true },
 
+    // amountPaise above is already net of this discount
+    coupon: { type: couponSnapshotSchema, default: null },
+
     purpose: {
       type: String,
       enum: PURPOSES,
@@ -62,17 +102,30 @@ const paymentSchema = new Schema(
       index: true,
     },
 
+    // Subscription payments only
     planCode: {
       type: String,
       enum: PLAN_CODES,
-      required: true,
+      required: function () {
+        return this.purpose === "SUBSCRIPTION";
+      },
       index: true,
     },
 
     billingCycle: {
       type: String,
       enum: BILLING_CYCLES,
-      default: "monthly",
+      default: function () {
+        return this.purpose === "SUBSCRIPTION" ? "monthly" : null;
+      },
+      index: true,
+    },
+
+    // Consultation payments: the appointment whose fee this pays
+    appointmentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
       index: true,
     },
 
@@ -97,6 +150,20 @@ const paymentSchema = new Schema(
     razorpayPaymentId: { type: String, default: null, trim: true },
     razorpaySignature: { type: String, default: null, trim: true },
 
+    // Set by the webhook (payment.failed) or signature mismatch
+    failureReason: { type: String, default: null, trim: true },
+
+    // Refund line items; refundedPaise = sum of PROCESSED lines
+    refunds: { type: [refundSchema], default: [] },
+    refundedPaise: { type: Number, default: 0, min: 0 },
+
+    // Consultation paid after its booking was released, and the automatic
+    // refund failed; retried by the consultation payment scheduler
+    refundPending: { type: Boolean, default: false },
+
+    // Recent Razorpay webhook event ids, for de-duplicating retries
+    webhookEventIds: { type: [String], default: [] },
+
     /* ===========================
        Manual payments fields
     ============================ */
@@ -132,10 +199,16 @@ paymentSchema.index({ tenantId: 1, createdAt: -1 });
 // Useful: completed payments per tenant
 paymentSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
 
+// Refunds waiting for a retry
+paymentSchema.index({ refundPending: 1 }, { partialFilterExpression: { refundPending: true } });
+
 // Often used filters
 paymentSchema.index({ tenantId: 1, purpose: 1, createdAt: -1 });
 paymentSchema.index({ tenantId: 1, planCode: 1, billingCycle: 1, createdAt: -1 });
 
+// Per-tenant coupon usage checks
+paymentSchema.index({ "coupon.couponId": 1, tenantId: 1, status: 1 });
+
 /* ===========================
    Normalization hooks
 =========================== */
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+const prescriptionItemSchema = new mongoose.Schema(
+  {
+    drug: { type: String, required: true, trim: true, maxlength: 120 },
+    dose: { type: String, trim: true, maxlength: 60, default: "" }, // e.g. "500 mg"
+    frequency: { type: String, trim: true, maxlength: 60, default: "" }, // e.g. "1-0-1", "Twice daily"
+    duration: { type: String, trim: true, maxlength: 60, default: "" }, // e.g. "5 days"
+    instructions: { type: String, trim: true, maxlength: 300, default: "" }, // e.g. "After food"
+  },
+  { _id: false }
+);
+
+/**
+ * One prescription per appointment (in-clinic or video).
+ * Tenant/doctor/patient are denormalized from the appointment for scoping.
+ */
+const prescriptionSchema = new mongoose.Schema(
+  {
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+      unique: true,
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+      index: true,
+    },
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+      index: true,
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Family member the prescription is for (null = the account holder)
+    dependentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Dependent",
+      default: null,
+    },
+    items: {
+      type: [prescriptionItemSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0 && v.length <= 30,
+        message: "Prescription must contain between 1 and 30 items",
+      },
+    },
+    diagnosis: { type: String, trim: true, maxlength: 500, default: "" },
+    notes: { type: String, trim: true, maxlength: 2000, default: "" },
+    followUpDate: { type: Date, default: null },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Prescription", prescriptionSchema);
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+
+const QUEUE_STATUSES = ["WAITING", "IN_CONSULTATION", "DONE", "SKIPPED", "LEFT"];
+
+/**
+ * A patient in a doctor's walk-in queue for one clinic-local day.
+ * Booked patients join when reception checks them in; walk-ins are added
+ * directly. Token numbers run 1, 2, 3… per doctor per day.
+ */
+const queueEntrySchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+      index: true,
+    },
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+
+    date: {
+      type: String, // "YYYY-MM-DD" (clinic-local)
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Date must be YYYY-MM-DD"],
+    },
+    tokenNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    kind: {
+      type: String,
+      enum: ["APPOINTMENT", "WALK_IN"],
+      required: true,
+    },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+    // Registered patient (always set for checked-in bookings, optional for walk-ins)
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    patientInfo: {
+      name: { type: String, trim: true, required: true },
+      contact: { type: String, trim: true, default: "" },
+    },
+
+    status: {
+      type: String,
+      enum: QUEUE_STATUSES,
+      default: "WAITING",
+    },
+
+    checkedInAt: { type: Date, default: Date.now },
+    calledAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    // Actual consultation length, filled when the visit is finished
+    consultationMinutes: { type: Number, default: null, min: 0 },
+
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Tokens are unique per doctor per day
+queueEntrySchema.index({ doctorId: 1, date: 1, tokenNumber: 1 }, { unique: true });
+
+// Live queue order
+queueEntrySchema.index({ doctorId: 1, date: 1, status: 1, tokenNumber: 1 });
+
+// Recent finished visits for wait-time estimates
+queueEntrySchema.index({ doctorId: 1, status: 1, completedAt: -1 });
+
+// A booking is checked in once
+queueEntrySchema.index(
+  { appointmentId: 1 },
+  { unique: true, partialFilterExpression: { appointmentId: { $type: "objectId" } } }
+);
+
+export default mongoose.model("QueueEntry", queueEntrySchema);
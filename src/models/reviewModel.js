@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+export const REVIEW_STATUSES = ["PUBLISHED", "HIDDEN"];
+
+/**
+ * A patient's rating of one completed visit (in-clinic or video).
+ * One review per appointment; the rating counts towards both the doctor's
+ * and the clinic's aggregate while PUBLISHED. Clinics moderate by hiding
+ * reviews and may post one public response.
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+      unique: true,
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+      index: true,
+    },
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+      index: true,
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String, trim: true, maxlength: 1000, default: "" },
+    // Shown publicly instead of the patient's full name
+    reviewerName: { type: String, trim: true, maxlength: 60, default: "" },
+    consultationType: { type: String, enum: ["in-clinic", "video"], default: "in-clinic" },
+    visitedAt: { type: Date, required: true },
+
+    status: {
+      type: String,
+      enum: REVIEW_STATUSES,
+      default: "PUBLISHED",
+      index: true,
+    },
+    moderation: {
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      at: { type: Date, default: null },
+      reason: { type: String, trim: true, maxlength: 300, default: "" },
+    },
+
+    // Clinic's public reply
+    response: {
+      text: { type: String, trim: true, maxlength: 1000, default: "" },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      at: { type: Date, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+// Public listings, newest first
+reviewSchema.index({ doctorId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model("Review", reviewSchema);
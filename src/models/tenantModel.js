@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { DEFAULT_APPOINTMENT_POLICY, NO_SHOW_ACTIONS } from "../utils/appointmentPolicy.js";
+import { CLINIC_TIMEZONE, isValidTimeZone } from "../utils/dateTime.js";
+import { DEFAULT_REMINDER_OFFSETS } from "../utils/reminderSchedule.js";
 
 const { Schema } = mongoose;
 
@@ -52,6 +55,11 @@ const tenantSchema = new Schema(
       type: String,
       maxlength: [500, "Description cannot exceed 500 characters"],
     },
+    // Published review aggregate (maintained by ReviewService)
+    rating: {
+      average: { type: Number, default: 0, min: 0, max: 5 },
+      count: { type: Number, default: 0, min: 0 },
+    },
     settings: {
       themeColor: { type: String, default: "#8DAA9D" },
       isPublic: { type: Boolean, default: true, index: true },
@@ -63,12 +71,34 @@ const tenantSchema = new Schema(
       },
       notifications: {
         patientBookings: { email: { type: Boolean, default: true }, push: { type: Boolean, default: true } },
-        appointmentReminders: { email: { type: Boolean, default: true }, push: { type: Boolean, default: false } },
+        appointmentReminders: {
+          email: { type: Boolean, default: true },
+          push: { type: Boolean, default: false },
+          // Minutes before each visit (see utils/reminderSchedule.js)
+          offsetsMinutes: { type: [Number], default: () => [...DEFAULT_REMINDER_OFFSETS] },
+        },
         billingAlerts: { email: { type: Boolean, default: true }, push: { type: Boolean, default: true } },
         securityLogs: { email: { type: Boolean, default: true }, push: { type: Boolean, default: true } },
         marketingUpdates: { email: { type: Boolean, default: false }, push: { type: Boolean, default: false } },
       },
       globalMute: { type: Boolean, default: false },
+      // IANA zone used to read booked slots and show appointment times
+      timezone: {
+        type: String,
+        trim: true,
+        default: CLINIC_TIMEZONE,
+        validate: { validator: isValidTimeZone, message: "Invalid time zone" },
+      },
+      // Cancellation window + no-show rules (see utils/appointmentPolicy.js)
+      appointmentPolicy: {
+        cancellationWindowHours: { type: Number, min: 0, max: 168, default: DEFAULT_APPOINTMENT_POLICY.cancellationWindowHours },
+        autoNoShow: { type: Boolean, default: DEFAULT_APPOINTMENT_POLICY.autoNoShow },
+        noShowGraceMinutes: { type: Number, min: 0, max: 1440, default: DEFAULT_APPOINTMENT_POLICY.noShowGraceMinutes },
+        noShowThreshold: { type: Number, min: 0, max: 50, default: DEFAULT_APPOINTMENT_POLICY.noShowThreshold },
+        noShowAction: { type: String, enum: NO_SHOW_ACTIONS, default: DEFAULT_APPOINTMENT_POLICY.noShowAction },
+        noShowLookbackDays: { type: Number, min: 0, max: 3650, default: DEFAULT_APPOINTMENT_POLICY.noShowLookbackDays },
+        requirePrepayment: { type: Boolean, default: DEFAULT_APPOINTMENT_POLICY.requirePrepayment },
+      },
     },
     isActive: { type: Boolean, default: true, index: true },
     subscription: {
@@ -105,10 +135,16 @@ const tenantSchema = new Schema(
         default: "MONTHLY",
         index: true,
       },
+      activatedAt: { type: Date },
       nextRenewalDate: {
         type: Date,
         index: true,
       },
+      // Dunning state (see scheduler/subscriptionRenewal.js)
+      pastDueSince: { type: Date, default: null },
+      remindersSent: { type: [Number], default: [] }, // days-before buckets for the current period
+      suspendedAt: { type: Date, default: null }, // set only when suspended for non-payment
+      dunningStartedAt: { type: Date, default: null }, // first activation or legacy backfill under the scheduler
       paymentMethodStatus: {
         type: String,
         enum: ["ON_FILE", "MISSING"],
@@ -123,6 +159,13 @@ const tenantSchema = new Schema(
         type: Boolean,
         default: false,
       },
+      // Coupon applied by a super admin, used on the next checkout
+      pendingCoupon: {
+        couponId: { type: Schema.Types.ObjectId, ref: "Coupon" },
+        code: { type: String, uppercase: true, trim: true },
+        appliedBy: { type: Schema.Types.ObjectId, ref: "User" },
+        appliedAt: { type: Date },
+      },
       auditLogs: [{
         action: String,
         performedBy: { type: Schema.Types.ObjectId, ref: "User" },
@@ -183,6 +226,7 @@ tenantSchema.virtual("formattedSubscriptionPrice").get(function () {
 ========================================================= */
 tenantSchema.index({ "settings.isPublic": 1, createdAt: -1 });
 tenantSchema.index({ name: 1 });
+tenantSchema.index({ "settings.isPublic": 1, "rating.average": -1, "rating.count": -1 });
 
 /* =========================================================
    SLUG GENERATION
@@ -21,7 +21,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["SUPER_ADMIN", "CLINIC_ADMIN", "PATIENT"],
+      enum: ["SUPER_ADMIN", "CLINIC_ADMIN", "DOCTOR", "PATIENT"],
       default: "PATIENT",
       required: true,
     },
@@ -31,6 +31,13 @@ const userSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    // DOCTOR accounts: the practitioner profile at the home clinic (tenantId).
+    // Profiles at other clinics point back here through Doctor.userId.
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      default: null,
+    },
     isVerified: {
       type: Boolean,
       default: false,
@@ -91,8 +98,15 @@ const userSchema = new mongoose.Schema(
       default: 0,
       required: true,
     },
+    // Secret for the patient's read-only iCalendar feed URL
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
   },
   { timestamps: true },
 );
 
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+
 export default mongoose.model("User", userSchema);
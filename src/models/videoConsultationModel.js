@@ -26,6 +26,12 @@ const videoConsultationSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Family member (null = the account holder)
+    dependentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Dependent",
+      default: null,
+    },
     tenantId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Tenant",
@@ -55,6 +61,17 @@ const videoConsultationSchema = new mongoose.Schema(
     },
     doctorJoinedAt: { type: Date, default: null },
     patientJoinedAt: { type: Date, default: null },
+
+    // In-call chat transcript (persisted before being relayed)
+    chatMessages: [
+      {
+        senderId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        senderRole: { type: String, enum: ["DOCTOR", "PATIENT"], required: true },
+        senderName: { type: String, trim: true, maxlength: 100, default: "" },
+        message: { type: String, required: true, trim: true, maxlength: 2000 },
+        sentAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
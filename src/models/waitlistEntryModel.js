@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+const WAITLIST_STATUSES = ["WAITING", "OFFERED", "BOOKED", "EXPIRED", "CANCELLED"];
+
+/**
+ * A patient waiting for a doctor on a clinic-local date.
+ * When a slot frees up the oldest matching WAITING entry is OFFERED a
+ * time-limited hold; unclaimed holds expire and roll to the next entry.
+ */
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+      index: true,
+    },
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // Family member (null = the account holder)
+    dependentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Dependent",
+      default: null,
+    },
+
+    date: {
+      type: String, // "YYYY-MM-DD" (clinic-local)
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Date must be YYYY-MM-DD"],
+    },
+    slot: {
+      type: String, // "HH:mm"; empty = any slot that day
+      default: "",
+    },
+
+    consultationType: {
+      type: String,
+      enum: ["in-clinic", "video"],
+      default: "in-clinic",
+    },
+
+    // Booking snapshot used when the offer is claimed
+    patientInfo: {
+      name: { type: String, trim: true, required: true },
+      email: { type: String, trim: true, lowercase: true, default: "" },
+      contact: { type: String, trim: true, required: true },
+      symptoms: { type: String, trim: true, default: "" },
+    },
+
+    status: {
+      type: String,
+      enum: WAITLIST_STATUSES,
+      default: "WAITING",
+      index: true,
+    },
+
+    // Current hold (status OFFERED)
+    offer: {
+      dateTime: { type: Date, default: null },
+      slot: { type: String, default: "" },
+      durationMinutes: { type: Number, default: 30 },
+      offeredAt: { type: Date, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+
+    offersMade: { type: Number, default: 0 },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// FIFO lookup of the next patient for a doctor/date
+waitlistEntrySchema.index({ doctorId: 1, date: 1, status: 1, createdAt: 1 });
+
+// Active holds on a slot
+waitlistEntrySchema.index({ doctorId: 1, "offer.dateTime": 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 });
+
+// One active entry per family member per doctor/date
+waitlistEntrySchema.index(
+  { doctorId: 1, patientId: 1, dependentId: 1, date: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ["WAITING", "OFFERED"] } } }
+);
+
+export default mongoose.model("WaitlistEntry", waitlistEntrySchema);
@@ -10,7 +10,10 @@ import {
     getAdminProfile,
     updateAdminProfile,
     changeAdminPassword,
-    getAdminNotifications
+    getAdminNotifications,
+    getDoctorVerificationQueue,
+    getDoctorVerification,
+    decideDoctorVerification
 } from "../controllers/adminController.js";
 import { protect, authorize } from "../middlewares/authMiddleware.js";
 
@@ -40,6 +43,11 @@ adminRouter.get("/settings/profile", getAdminProfile);
 adminRouter.put("/settings/profile", updateAdminProfile);
 adminRouter.put("/settings/change-password", changeAdminPassword);
 
+// DOCTOR CREDENTIAL VERIFICATION
+adminRouter.get("/doctor-verifications", getDoctorVerificationQueue);
+adminRouter.get("/doctor-verifications/:doctorId", getDoctorVerification);
+adminRouter.patch("/doctor-verifications/:doctorId", decideDoctorVerification);
+
 // NOTIFICATIONS
 adminRouter.get("/notifications", getAdminNotifications);
 
@@ -12,6 +12,22 @@ appointmentRouter.get(
   AppointmentController.getBookedSlots
 );
 
+appointmentRouter.get(
+  "/available-slots",
+  AppointmentController.getAvailableSlots
+);
+
+// Calendar subscription feeds — the unguessable token is the credential
+appointmentRouter.get(
+  "/calendar/feeds/doctor/:token.ics",
+  AppointmentController.getDoctorCalendarFeed
+);
+
+appointmentRouter.get(
+  "/calendar/feeds/patient/:token.ics",
+  AppointmentController.getPatientCalendarFeed
+);
+
 // Debug route: manually trigger the 10-min video reminder check
 appointmentRouter.get("/debug/trigger-reminders", async (req, res) => {
   try {
@@ -63,12 +79,105 @@ appointmentRouter.get(
   AppointmentController.getMyAppointments
 );
 
+// Waitlist for fully booked slots
+appointmentRouter.post(
+  "/waitlist",
+  restrictTo("PATIENT"),
+  AppointmentController.joinWaitlist
+);
+
+appointmentRouter.get(
+  "/waitlist/mine",
+  restrictTo("PATIENT"),
+  AppointmentController.getMyWaitlist
+);
+
+appointmentRouter.get(
+  "/waitlist",
+  restrictTo("CLINIC_ADMIN"),
+  AppointmentController.getClinicWaitlist
+);
+
+appointmentRouter.post(
+  "/waitlist/:entryId/claim",
+  restrictTo("PATIENT"),
+  AppointmentController.claimWaitlistOffer
+);
+
+appointmentRouter.delete(
+  "/waitlist/:entryId",
+  restrictTo("PATIENT"),
+  AppointmentController.leaveWaitlist
+);
+
+appointmentRouter.get(
+  "/calendar/feed",
+  restrictTo("PATIENT"),
+  AppointmentController.getMyCalendarFeed
+);
+
+appointmentRouter.post(
+  "/calendar/feed/rotate",
+  restrictTo("PATIENT"),
+  AppointmentController.getMyCalendarFeed
+);
+
+appointmentRouter.get(
+  "/calendar/doctors/:doctorId/feed",
+  restrictTo("CLINIC_ADMIN"),
+  AppointmentController.getDoctorCalendarFeedUrl
+);
+
+appointmentRouter.post(
+  "/calendar/doctors/:doctorId/feed/rotate",
+  restrictTo("CLINIC_ADMIN"),
+  AppointmentController.getDoctorCalendarFeedUrl
+);
+
+appointmentRouter.get(
+  "/patients/:patientId/no-shows",
+  restrictTo("CLINIC_ADMIN"),
+  AppointmentController.getPatientNoShows
+);
+
 // Patient count per tenant for plan enforcement
 const countUniquePatients = async (tenantId) => {
   const patients = await Appointment.distinct("patientId", { tenantId });
   return patients.length;
 };
 
+// Recurring series (whole series or a single occurrence)
+appointmentRouter.post(
+  "/series",
+  restrictTo("PATIENT", "CLINIC_ADMIN"),
+  enforcePlanFeature("maxPatients", countUniquePatients),
+  AppointmentController.createSeries
+);
+
+appointmentRouter.get(
+  "/series/:seriesId",
+  restrictTo("PATIENT", "CLINIC_ADMIN"),
+  AppointmentController.getSeries
+);
+
+appointmentRouter.patch(
+  "/series/:seriesId/cancel",
+  restrictTo("PATIENT", "CLINIC_ADMIN"),
+  AppointmentController.cancelSeries
+);
+
+appointmentRouter.patch(
+  "/series/:seriesId/reschedule",
+  restrictTo("PATIENT", "CLINIC_ADMIN"),
+  AppointmentController.rescheduleSeries
+);
+
+appointmentRouter.patch(
+  "/series/:seriesId/occurrences/:appointmentId/cancel",
+  restrictTo("PATIENT", "CLINIC_ADMIN"),
+  AppointmentController.cancelSeriesOccurrence
+);
+
 // 2. Resource collection routes
 appointmentRouter.post(
   "/",
@@ -83,6 +192,12 @@ appointmentRouter.get(
   AppointmentController.getAll
 );
 
+appointmentRouter.get(
+  "/export-csv",
+  restrictTo("CLINIC_ADMIN"),
+  AppointmentController.exportCSV
+);
+
 // 3. Dynamic ID routes LAST
 appointmentRouter.patch(
   "/:id/status",
@@ -90,6 +205,48 @@ appointmentRouter.patch(
   AppointmentController.updateStatus
 );
 
+appointmentRouter.get(
+  "/:id/status-history",
+  restrictTo("PATIENT", "CLINIC_ADMIN", "DOCTOR"),
+  AppointmentController.getStatusHistory
+);
+
+appointmentRouter.patch(
+  "/:id/cancel",
+  restrictTo("PATIENT", "CLINIC_ADMIN"),
+  AppointmentController.cancel
+);
+
+appointmentRouter.patch(
+  "/:id/reschedule",
+  restrictTo("PATIENT", "CLINIC_ADMIN"),
+  AppointmentController.reschedule
+);
+
+appointmentRouter.post(
+  "/:id/follow-up",
+  restrictTo("CLINIC_ADMIN"),
+  AppointmentController.createFollowUp
+);
+
+appointmentRouter.put(
+  "/:id/prescription",
+  restrictTo("CLINIC_ADMIN", "DOCTOR"),
+  AppointmentController.savePrescription
+);
+
+appointmentRouter.get(
+  "/:id/prescription",
+  restrictTo("PATIENT", "CLINIC_ADMIN", "DOCTOR"),
+  AppointmentController.getPrescription
+);
+
+appointmentRouter.get(
+  "/:id/prescription/pdf",
+  restrictTo("PATIENT", "CLINIC_ADMIN", "DOCTOR"),
+  AppointmentController.downloadPrescriptionPdf
+);
+
 // If you ever add a "Get Single Appointment", put it here at the very end:
 // appointmentRouter.get("/:id", AppointmentController.getOne);
 
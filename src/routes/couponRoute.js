@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  validateCoupon,
+  createCoupon,
+  listCoupons,
+  getCoupon,
+  updateCoupon,
+  deactivateCoupon,
+} from "../controllers/couponController.js";
+import { protect, protectPayment, authorize } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/* =========================================================
+   1) CHECKOUT
+   Clinic admins validate a code during the payment flow,
+   so this accepts the restricted "PAYMENT" token.
+========================================================= */
+router.post("/validate", protectPayment, authorize("CLINIC_ADMIN"), validateCoupon);
+
+/* =========================================================
+   2) COUPON MANAGEMENT (Super Admin)
+========================================================= */
+router.get("/", protect, authorize("SUPER_ADMIN"), listCoupons);
+router.post("/", protect, authorize("SUPER_ADMIN"), createCoupon);
+router.get("/:id", protect, authorize("SUPER_ADMIN"), getCoupon);
+router.patch("/:id", protect, authorize("SUPER_ADMIN"), updateCoupon);
+router.delete("/:id", protect, authorize("SUPER_ADMIN"), deactivateCoupon);
+
+export default router;
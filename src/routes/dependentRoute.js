@@ -0,0 +1,15 @@
+import express from "express";
+import DependentController from "../controllers/dependentController.js";
+import { protect, restrictTo } from "../middlewares/authMiddleware.js";
+
+const dependentRouter = express.Router();
+
+// Patients manage the family members they book for
+dependentRouter.use(protect, restrictTo("PATIENT"));
+
+dependentRouter.get("/", DependentController.list);
+dependentRouter.post("/", DependentController.create);
+dependentRouter.patch("/:id", DependentController.update);
+dependentRouter.delete("/:id", DependentController.remove);
+
+export default dependentRouter;
@@ -0,0 +1,25 @@
+import express from "express";
+import DoctorPortalController from "../controllers/doctorPortalController.js";
+import { protect, restrictTo } from "../middlewares/authMiddleware.js";
+
+const doctorPortalRouter = express.Router();
+
+// Public — invitation link from the clinic's email
+doctorPortalRouter.get("/invitations/:token", DoctorPortalController.getInvitation);
+doctorPortalRouter.post("/invitations/accept", DoctorPortalController.acceptInvitation);
+
+// Everything else is the signed-in doctor's own data
+doctorPortalRouter.use(protect, restrictTo("DOCTOR"));
+
+// ─── Profile & schedule ───
+doctorPortalRouter.get("/me", DoctorPortalController.getProfile);
+doctorPortalRouter.put("/schedule", DoctorPortalController.updateSchedule);
+
+// ─── Appointments ───
+// Prescriptions and status history use the shared /api/appointments/:id/... routes
+doctorPortalRouter.get("/appointments", DoctorPortalController.getAppointments);
+doctorPortalRouter.get("/appointments/:id", DoctorPortalController.getAppointment);
+doctorPortalRouter.patch("/appointments/:id/status", DoctorPortalController.updateAppointmentStatus);
+doctorPortalRouter.put("/appointments/:id/notes", DoctorPortalController.saveNotes);
+
+export default doctorPortalRouter;
@@ -10,9 +10,15 @@ import {
   getDoctorsByClinic,
   bulkUpdateStatus,
   exportDoctorsCSV,
+  updateDoctorSchedule,
+  resendInvitation,
+  getDoctorCredentials,
+  uploadDoctorCredential,
+  deleteDoctorCredential,
+  submitDoctorVerification,
 } from "../controllers/doctorController.js";
 
-import upload from "../middlewares/uploadMiddleware.js";
+import upload, { documentUpload } from "../middlewares/uploadMiddleware.js";
 import { protect, authorize } from "../middlewares/authMiddleware.js";
 import { enforceDoctorLimit } from "../middlewares/enforceDoctorLimit.js";
 
@@ -66,6 +72,20 @@ doctorRouter.post(
 // Update Practitioner: PUT /api/doctors/:id
 doctorRouter.put("/:id", upload.single("image"), updateDoctor);
 
+// Weekly Schedule: PUT /api/doctors/:id/schedule
+doctorRouter.put("/:id/schedule", updateDoctorSchedule);
+
+// Portal Invitation: POST /api/doctors/:id/invite
+doctorRouter.post("/:id/invite", resendInvitation);
+
+// Credential Documents: /api/doctors/:id/credentials
+doctorRouter.get("/:id/credentials", getDoctorCredentials);
+doctorRouter.post("/:id/credentials", documentUpload.single("file"), uploadDoctorCredential);
+doctorRouter.delete("/:id/credentials/:credentialId", deleteDoctorCredential);
+
+// Submit for Verification: POST /api/doctors/:id/verification
+doctorRouter.post("/:id/verification", submitDoctorVerification);
+
 // Archive Practitioner: DELETE /api/doctors/:id
 doctorRouter.delete("/:id", deleteDoctor);
 
@@ -29,6 +29,9 @@ knowledgeRouter.post("/upload", upload.single("file"), KnowledgeController.uploa
 // List all documents
 knowledgeRouter.get("/documents", KnowledgeController.listDocuments);
 
+// Preview retrieval results for a query
+knowledgeRouter.get("/search", KnowledgeController.search);
+
 // Single document details
 knowledgeRouter.get("/documents/:id", KnowledgeController.getDocument);
 
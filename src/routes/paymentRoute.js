@@ -3,7 +3,12 @@ import {
   createOrder,
   verifyOrder,
   submitManualPayment,
+  reviewManualPayment,
   getInvoices,
+  razorpayWebhook,
+  refundPayment,
+  createConsultationOrder,
+  verifyConsultationPayment,
 } from "../controllers/paymentController.js";
 // ✅ Import protectPayment specifically
 import { protect, protectPayment, authorize } from "../middlewares/authMiddleware.js";
@@ -26,4 +31,22 @@ router.post("/manual", protectPayment, authorize("CLINIC_ADMIN"), submitManualPa
 ========================================================= */
 router.get("/invoices", protect, authorize("CLINIC_ADMIN"), getInvoices);
 
+// Super admin: approve / reject a manual payment submission
+router.patch("/:id/review", protect, authorize("SUPER_ADMIN"), reviewManualPayment);
+
+// Super admin: full / partial refund of a payment
+router.post("/:id/refund", protect, authorize("SUPER_ADMIN"), refundPayment);
+
+// Patient: pay the consultation fee for a held online booking
+router.post("/consultation/order", protect, authorize("PATIENT"), createConsultationOrder);
+router.post("/consultation/verify", protect, authorize("PATIENT"), verifyConsultationPayment);
+
+/* =========================================================
+   3) RAZORPAY WEBHOOK
+   No auth token: requests are verified by signature.
+   server.js parses this path with express.raw so the exact
+   bytes Razorpay signed are available.
+========================================================= */
+router.post("/webhook", razorpayWebhook);
+
 export default router;
\ No newline at end of file
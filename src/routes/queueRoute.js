@@ -0,0 +1,24 @@
+import express from "express";
+import QueueController from "../controllers/queueController.js";
+import { protect, restrictTo } from "../middlewares/authMiddleware.js";
+
+const queueRouter = express.Router();
+
+// Public waiting-room display — token numbers only
+queueRouter.get("/display/:tenantId", QueueController.getDisplayBoard);
+
+// All routes below require auth
+queueRouter.use(protect);
+
+// ─── Patient ───
+queueRouter.get("/mine", restrictTo("PATIENT"), QueueController.getMyStatus);
+
+// ─── Reception ───
+queueRouter.get("/", restrictTo("CLINIC_ADMIN"), QueueController.getClinicQueues);
+queueRouter.post("/check-in", restrictTo("CLINIC_ADMIN"), QueueController.checkIn);
+queueRouter.post("/walk-ins", restrictTo("CLINIC_ADMIN"), QueueController.addWalkIn);
+queueRouter.get("/doctors/:doctorId", restrictTo("CLINIC_ADMIN"), QueueController.getDoctorQueue);
+queueRouter.post("/doctors/:doctorId/call-next", restrictTo("CLINIC_ADMIN"), QueueController.callNext);
+queueRouter.patch("/entries/:entryId/status", restrictTo("CLINIC_ADMIN"), QueueController.updateEntryStatus);
+
+export default queueRouter;
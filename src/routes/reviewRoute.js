@@ -0,0 +1,23 @@
+import express from "express";
+import ReviewController from "../controllers/reviewController.js";
+import { protect, restrictTo } from "../middlewares/authMiddleware.js";
+
+const reviewRouter = express.Router();
+
+// Public — published reviews only
+reviewRouter.get("/doctors/:doctorId", ReviewController.getDoctorReviews);
+reviewRouter.get("/clinics/:tenantId", ReviewController.getClinicReviews);
+
+// All routes below require auth
+reviewRouter.use(protect);
+
+// ─── Patient ───
+reviewRouter.post("/", restrictTo("PATIENT"), ReviewController.create);
+reviewRouter.get("/mine", restrictTo("PATIENT"), ReviewController.getMyReviews);
+
+// ─── Clinic moderation ───
+reviewRouter.get("/clinic", restrictTo("CLINIC_ADMIN"), ReviewController.getClinicModerationList);
+reviewRouter.patch("/:id/moderation", restrictTo("CLINIC_ADMIN"), ReviewController.moderate);
+reviewRouter.put("/:id/response", restrictTo("CLINIC_ADMIN"), ReviewController.respond);
+
+export default reviewRouter;
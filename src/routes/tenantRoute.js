@@ -21,6 +21,8 @@ import {
    activateSubscriptionAfterPayment,
    getSecuritySettings,
    updateSecuritySettings,
+   getAppointmentPolicy,
+   updateAppointmentPolicy,
    updatePlan,
    cancelSubscription as cancelSub,
    pauseSubscription as pauseSub,
@@ -63,6 +65,8 @@ router.put("/change-password", protect, authorize("CLINIC_ADMIN"), changePasswor
 router.post("/upload-image", protect, authorize("CLINIC_ADMIN"), upload.single("image"), uploadImage);
 router.get("/security", protect, authorize("CLINIC_ADMIN"), getSecuritySettings);
 router.put("/security", protect, authorize("CLINIC_ADMIN"), updateSecuritySettings);
+router.get("/appointment-policy", protect, authorize("CLINIC_ADMIN"), getAppointmentPolicy);
+router.put("/appointment-policy", protect, authorize("CLINIC_ADMIN"), updateAppointmentPolicy);
 
 /* =========================================================
    3. PAYMENT FLOW
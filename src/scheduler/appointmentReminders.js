@@ -0,0 +1,129 @@
+import cron from "node-cron";
+import Appointment from "../models/appointmentModel.js";
+import Tenant from "../models/tenantModel.js";
+import NotificationService from "../services/notificationService.js";
+import { sendEmail } from "../utils/emailService.js";
+import { appointmentReminderTemplate } from "../utils/emailTemplates.js";
+import { formatAppointmentDateTime, resolveTenantTimeZone } from "../utils/dateTime.js";
+import { resolveReminderSchedule, describeReminderLead } from "../utils/reminderSchedule.js";
+
+const CLIENT_URL = (
+  process.env.CLIENT_URL ||
+  process.env.FRONTEND_URL ||
+  "https://sovereigns.site"
+).replace(/\/+$/, "");
+
+const MINUTE_MS = 60 * 1000;
+
+// When the current time was booked (or last moved); reminders that were
+// already due at that point are skipped rather than sent straight away
+const scheduledAt = (appointment) => {
+  const history = appointment.rescheduleHistory || [];
+  return new Date(history.length ? history[history.length - 1].at : appointment.createdAt).getTime();
+};
+
+const sendReminder = async (appointment, tenant, schedule, offset) => {
+  const doctorName = appointment.doctorId?.name || "your doctor";
+  const patientName = appointment.patientInfo?.name || appointment.patientId?.name || "Patient";
+  const email = appointment.patientInfo?.email || appointment.patientId?.email;
+  const whenStr = formatAppointmentDateTime(appointment.dateTime, resolveTenantTimeZone(tenant));
+  const leadText = describeReminderLead(offset);
+  const link = `${CLIENT_URL}/my-appointments`;
+
+  if (schedule.push && appointment.patientId?._id) {
+    NotificationService.create({
+      recipient: appointment.patientId._id,
+      type: "REMINDER",
+      title: "Appointment Reminder",
+      message: `Your ${appointment.consultationType === "video" ? "video consultation" : "appointment"} with Dr. ${doctorName} is ${leadText} (${whenStr}).`,
+      meta: { appointmentId: appointment._id, offsetMinutes: offset },
+      link,
+    }).catch((e) => console.error("[Reminders] Patient notification failed:", e.message));
+  }
+
+  if (schedule.email && email) {
+    try {
+      await sendEmail({
+        to: email,
+        subject: `Appointment Reminder — ${tenant.name}`,
+        html: appointmentReminderTemplate(patientName.split(" ")[0], doctorName, whenStr, appointment.consultationType, {
+          leadText,
+          clinicName: tenant.name,
+          clinicAddress: tenant.address,
+          manageLink: link,
+        }),
+      });
+    } catch (err) {
+      console.error(`[Reminders] Email failed for appointment ${appointment._id}:`, err.message);
+    }
+  }
+};
+
+/**
+ * For each clinic with reminders on, find upcoming visits whose reminder
+ * offsets have come due. Due offsets are claimed atomically on
+ * Appointment.remindersSent before sending, so each goes out once; when
+ * several fall due together only the closest one is sent.
+ */
+const runReminderCheck = async (now = new Date()) => {
+  try {
+    const tenants = await Tenant.find({ isActive: true, "settings.globalMute": { $ne: true } })
+      .select("name address settings")
+      .lean();
+
+    let sent = 0;
+    for (const tenant of tenants) {
+      const schedule = resolveReminderSchedule(tenant);
+      if (schedule.offsetsMinutes.length === 0) continue;
+
+      const horizon = new Date(now.getTime() + schedule.offsetsMinutes[0] * MINUTE_MS);
+      const appointments = await Appointment.find({
+        tenantId: tenant._id,
+        status: { $in: ["PENDING", "CONFIRMED"] },
+        "payment.status": { $ne: "PENDING" },
+        dateTime: { $gt: now, $lte: horizon },
+        remindersSent: { $not: { $all: schedule.offsetsMinutes } },
+      })
+        .select("doctorId patientId patientInfo dateTime consultationType remindersSent rescheduleHistory createdAt")
+        .populate("doctorId", "name")
+        .populate("patientId", "name email")
+        .lean();
+
+      for (const appt of appointments) {
+        const start = new Date(appt.dateTime).getTime();
+        const already = new Set(appt.remindersSent || []);
+        const due = schedule.offsetsMinutes.filter(
+          (o) => !already.has(o) && start - o * MINUTE_MS <= now.getTime()
+        );
+        if (due.length === 0) continue;
+
+        const claimed = await Appointment.updateOne(
+          { _id: appt._id, dateTime: appt.dateTime, remindersSent: { $nin: due } },
+          { $addToSet: { remindersSent: { $each: due } } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const bookedAt = scheduledAt(appt);
+        const eligible = due.filter((o) => start - o * MINUTE_MS >= bookedAt);
+        if (eligible.length === 0) continue;
+
+        await sendReminder(appt, tenant, schedule, Math.min(...eligible));
+        sent += 1;
+      }
+    }
+
+    if (sent > 0) console.log(`[Reminders] Sent ${sent} appointment reminder(s)`);
+    return { sent };
+  } catch (err) {
+    console.error("[Reminders] Reminder check error:", err.message);
+    return { error: err.message };
+  }
+};
+
+/**
+ * Start the appointment reminder cron — runs every 5 minutes
+ */
+export const startAppointmentReminderScheduler = () => {
+  cron.schedule("*/5 * * * *", () => runReminderCheck());
+  console.log("[Reminders] ✅ Appointment reminders started (every 5 min)");
+};
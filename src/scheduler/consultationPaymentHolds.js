@@ -0,0 +1,54 @@
+import cron from "node-cron";
+import AppointmentService from "../services/appointmentService.js";
+import NotificationService from "../services/notificationService.js";
+import { retryPendingConsultationRefunds } from "../services/paymentService.js";
+import { getTenantTimeZones } from "../services/tenantService.js";
+import { formatAppointmentDateTime } from "../utils/dateTime.js";
+
+/**
+ * Cancel online bookings whose consultation fee wasn't paid within the
+ * hold and tell the patient the slot was released.
+ */
+const runHoldExpiry = async () => {
+  try {
+    const { expired } = await AppointmentService.expireUnpaidHolds(new Date());
+    const zones = await getTenantTimeZones(expired.map((a) => a.tenantId));
+
+    for (const appointment of expired) {
+      const whenStr = formatAppointmentDateTime(appointment.dateTime, zones.get(String(appointment.tenantId)));
+      NotificationService.create({
+        recipient: appointment.patientId,
+        type: "APPOINTMENT",
+        title: "Booking Expired",
+        message: `Your booking for ${whenStr} was released because payment wasn't completed in time. Please book again.`,
+        meta: { appointmentId: appointment._id },
+      }).catch((e) => console.error("[Payments] Patient notification failed:", e.message));
+    }
+
+    if (expired.length > 0) console.log(`[Payments] Released ${expired.length} unpaid booking(s)`);
+  } catch (err) {
+    console.error("[Payments] Hold expiry error:", err.message);
+  }
+};
+
+/**
+ * Retry refunds of fees paid after their booking was released
+ */
+const runRefundRetry = async () => {
+  try {
+    const { pending, refunded } = await retryPendingConsultationRefunds();
+    if (pending > 0) console.log(`[Payments] Retried ${pending} pending refund(s), ${refunded} done`);
+  } catch (err) {
+    console.error("[Payments] Refund retry error:", err.message);
+  }
+};
+
+/**
+ * Start the unpaid-booking cron — runs every minute — and the refund
+ * retry — every 15 min
+ */
+export const startConsultationPaymentScheduler = () => {
+  cron.schedule("* * * * *", runHoldExpiry);
+  cron.schedule("*/15 * * * *", runRefundRetry);
+  console.log("[Payments] ✅ Consultation payment hold expiry started (every 1 min), refund retry (every 15 min)");
+};
@@ -0,0 +1,39 @@
+import cron from "node-cron";
+import AppointmentService from "../services/appointmentService.js";
+import NotificationService from "../services/notificationService.js";
+import { getTenantTimeZones } from "../services/tenantService.js";
+import { formatAppointmentDateTime } from "../utils/dateTime.js";
+
+/**
+ * Mark unattended appointments NO_SHOW after each clinic's grace period
+ * and let the patient know the visit was recorded as missed.
+ */
+const runNoShowCheck = async () => {
+  try {
+    const { marked } = await AppointmentService.markNoShows(new Date());
+    const zones = await getTenantTimeZones(marked.map((a) => a.tenantId));
+
+    for (const appointment of marked) {
+      const whenStr = formatAppointmentDateTime(appointment.dateTime, zones.get(String(appointment.tenantId)));
+      NotificationService.create({
+        recipient: appointment.patientId,
+        type: "APPOINTMENT",
+        title: "Missed Appointment",
+        message: `Your appointment on ${whenStr} was marked as missed. Please contact the clinic if this is a mistake.`,
+        meta: { appointmentId: appointment._id },
+      }).catch((e) => console.error("[NoShow] Patient notification failed:", e.message));
+    }
+
+    if (marked.length > 0) console.log(`[NoShow] Marked ${marked.length} appointment(s) as NO_SHOW`);
+  } catch (err) {
+    console.error("[NoShow] No-show check error:", err.message);
+  }
+};
+
+/**
+ * Start the no-show cron — runs every 10 minutes
+ */
+export const startNoShowScheduler = () => {
+  cron.schedule("*/10 * * * *", runNoShowCheck);
+  console.log("[NoShow] ✅ No-show tracker started (every 10 min)");
+};
@@ -0,0 +1,358 @@
+import cron from "node-cron";
+import Tenant from "../models/tenantModel.js";
+import User from "../models/userModel.js";
+import NotificationService from "../services/notificationService.js";
+import { sendEmail } from "../utils/emailService.js";
+import { subscriptionNoticeTemplate } from "../utils/emailTemplates.js";
+import { resolveTenantTimeZone } from "../utils/dateTime.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminder buckets: days before nextRenewalDate
+const REMINDER_DAYS = [7, 3, 1];
+
+// Days a PAST_DUE tenant keeps access before the expiry action runs
+const GRACE_DAYS = Math.max(0, Number(process.env.SUBSCRIPTION_GRACE_DAYS ?? 7) || 0);
+
+// DOWNGRADE → FREE plan, SUSPEND → tenant.isActive = false
+const EXPIRY_ACTION =
+  String(process.env.SUBSCRIPTION_EXPIRY_ACTION || "DOWNGRADE").toUpperCase() === "SUSPEND"
+    ? "SUSPEND"
+    : "DOWNGRADE";
+
+const CLIENT_URL = (
+  process.env.CLIENT_URL ||
+  process.env.FRONTEND_URL ||
+  "https://sovereigns.site"
+).replace(/\/+$/, "");
+
+// Dates are shown in the clinic's own time zone
+const formatDate = (dt, timeZone) =>
+  new Date(dt).toLocaleDateString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    timeZone,
+  });
+
+const auditEntry = (action, details) => ({
+  action,
+  performedBy: null, // system
+  details,
+  timestamp: new Date(),
+});
+
+/**
+ * Email + in-app notice to the clinic owner, honouring the clinic's
+ * billingAlerts / globalMute notification settings.
+ */
+const notifyOwner = async (tenant, { title, tag, heading, message, details = [] }) => {
+  const prefs = tenant.settings?.notifications?.billingAlerts || {};
+  if (tenant.settings?.globalMute) return;
+
+  const owner = await User.findById(tenant.ownerId).select("name email").lean();
+  if (!owner) return;
+
+  if (prefs.push !== false) {
+    NotificationService.create({
+      recipient: owner._id,
+      type: "BILLING",
+      title,
+      message,
+      meta: { tenantId: tenant._id, plan: tenant.subscription?.plan },
+    }).catch(() => {});
+  }
+
+  if (prefs.email !== false && owner.email) {
+    try {
+      await sendEmail({
+        to: owner.email,
+        subject: `${title} — ${tenant.name}`,
+        html: subscriptionNoticeTemplate(owner.name || tenant.name, {
+          tag,
+          heading,
+          message,
+          details,
+          ctaLink: `${CLIENT_URL}/clinic-login`,
+        }),
+      });
+    } catch (err) {
+      console.error(`[Renewal] Email failed for tenant ${tenant._id}:`, err.message);
+    }
+  }
+};
+
+// ── 1. Renewal reminders (7 / 3 / 1 days ahead) ──
+const sendRenewalReminders = async (now) => {
+  try {
+    const horizon = new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS);
+
+    const tenants = await Tenant.find({
+      "subscription.status": "ACTIVE",
+      "subscription.isPaused": { $ne: true },
+      "subscription.cancelAtPeriodEnd": { $ne: true },
+      "subscription.plan": { $ne: "FREE" },
+      "subscription.nextRenewalDate": { $gt: now, $lte: horizon },
+    })
+      .select("name ownerId settings subscription")
+      .lean();
+
+    let sent = 0;
+    for (const tenant of tenants) {
+      const timeZone = resolveTenantTimeZone(tenant);
+      const renewal = new Date(tenant.subscription.nextRenewalDate);
+      const daysLeft = Math.ceil((renewal.getTime() - now.getTime()) / DAY_MS);
+      const bucket = [...REMINDER_DAYS].sort((a, b) => a - b).find((d) => daysLeft <= d);
+      if (!bucket) continue;
+
+      // Claim the bucket atomically so each reminder goes out once per period
+      const claimed = await Tenant.updateOne(
+        {
+          _id: tenant._id,
+          "subscription.nextRenewalDate": renewal,
+          "subscription.remindersSent": { $ne: bucket },
+        },
+        { $addToSet: { "subscription.remindersSent": bucket } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      await notifyOwner(tenant, {
+        title: "Subscription Renewal Due",
+        tag: `Renewal in ${daysLeft} Day${daysLeft === 1 ? "" : "s"}`,
+        heading: "Your <b>Subscription</b> Renews Soon",
+        message: `your ${tenant.subscription.plan} plan is due for renewal on ${formatDate(renewal, timeZone)}. Please complete the payment to avoid interruption.`,
+        details: [
+          { label: "Plan", value: tenant.subscription.plan },
+          { label: "Renewal Date", value: formatDate(renewal, timeZone) },
+          { label: "Amount", value: `₹${tenant.subscription.price?.amount ?? 0}` },
+        ],
+      });
+      sent++;
+    }
+
+    if (sent > 0) console.log(`[Renewal] Reminders sent: ${sent}`);
+  } catch (err) {
+    console.error("[Renewal] Reminder check error:", err.message);
+  }
+};
+
+// ── 2. Period end: cancel (cancelAtPeriodEnd) or mark PAST_DUE ──
+const processPeriodEnds = async (now) => {
+  try {
+    const due = await Tenant.find({
+      "subscription.status": "ACTIVE",
+      "subscription.isPaused": { $ne: true },
+      "subscription.plan": { $ne: "FREE" },
+      "subscription.nextRenewalDate": { $lte: now },
+    })
+      .select("name ownerId settings subscription")
+      .lean();
+
+    for (const tenant of due) {
+      const timeZone = resolveTenantTimeZone(tenant);
+      const periodEnd = tenant.subscription.nextRenewalDate;
+      const guard = {
+        _id: tenant._id,
+        "subscription.status": "ACTIVE",
+        "subscription.nextRenewalDate": periodEnd,
+      };
+
+      if (tenant.subscription.cancelAtPeriodEnd) {
+        const res = await Tenant.updateOne(guard, {
+          $set: {
+            "subscription.status": "CANCELED",
+            "subscription.plan": "FREE",
+            "subscription.price.amount": 0,
+            "subscription.cancelAtPeriodEnd": false,
+            "subscription.nextRenewalDate": null,
+            "subscription.remindersSent": [],
+          },
+          $push: {
+            "subscription.auditLogs": auditEntry(
+              "SUBSCRIPTION_ENDED",
+              `${tenant.subscription.plan} canceled at period end (${formatDate(periodEnd, timeZone)})`
+            ),
+          },
+        });
+        if (res.modifiedCount === 0) continue;
+
+        await notifyOwner(tenant, {
+          title: "Subscription Ended",
+          tag: "Subscription Canceled",
+          heading: "Your <b>Subscription</b> has Ended",
+          message: `your ${tenant.subscription.plan} plan was canceled at the end of the billing period as requested.`,
+          details: [{ label: "Ended On", value: formatDate(periodEnd, timeZone) }],
+        });
+        continue;
+      }
+
+      const graceEnds = new Date(new Date(periodEnd).getTime() + GRACE_DAYS * DAY_MS);
+      const res = await Tenant.updateOne(guard, {
+        $set: {
+          "subscription.status": "PAST_DUE",
+          "subscription.pastDueSince": periodEnd,
+        },
+        $push: {
+          "subscription.auditLogs": auditEntry(
+            "SUBSCRIPTION_PAST_DUE",
+            `Renewal missed on ${formatDate(periodEnd, timeZone)}; grace period until ${formatDate(graceEnds, timeZone)}`
+          ),
+        },
+      });
+      if (res.modifiedCount === 0) continue;
+
+      await notifyOwner(tenant, {
+        title: "Subscription Payment Overdue",
+        tag: "Payment Overdue",
+        heading: "Your <b>Renewal</b> is Overdue",
+        message: `we could not find a renewal payment for your ${tenant.subscription.plan} plan. Please pay before ${formatDate(graceEnds, timeZone)} to keep your current plan.`,
+        details: [
+          { label: "Due Date", value: formatDate(periodEnd, timeZone) },
+          { label: "Grace Period Ends", value: formatDate(graceEnds, timeZone) },
+        ],
+      });
+    }
+
+    if (due.length > 0) console.log(`[Renewal] Period ended for ${due.length} tenant(s)`);
+  } catch (err) {
+    console.error("[Renewal] Period-end check error:", err.message);
+  }
+};
+
+// ── 3. Grace period over: downgrade or suspend ──
+const expireOverdueSubscriptions = async (now) => {
+  try {
+    const cutoff = new Date(now.getTime() - GRACE_DAYS * DAY_MS);
+
+    const overdue = await Tenant.find({
+      "subscription.status": "PAST_DUE",
+      "subscription.isPaused": { $ne: true },
+      "subscription.pastDueSince": { $ne: null, $lte: cutoff },
+    })
+      .select("name ownerId settings subscription")
+      .lean();
+
+    for (const tenant of overdue) {
+      const previousPlan = tenant.subscription.plan;
+      const guard = { _id: tenant._id, "subscription.status": "PAST_DUE" };
+
+      const update =
+        EXPIRY_ACTION === "SUSPEND"
+          ? {
+            $set: {
+              isActive: false,
+              "subscription.status": "CANCELED",
+              "subscription.suspendedAt": now,
+              "subscription.pastDueSince": null,
+              "subscription.nextRenewalDate": null,
+            },
+            $push: {
+              "subscription.auditLogs": auditEntry(
+                "SUBSCRIPTION_SUSPENDED",
+                `Suspended for non-payment after ${GRACE_DAYS}-day grace period (${previousPlan})`
+              ),
+            },
+          }
+          : {
+            $set: {
+              "subscription.status": "ACTIVE",
+              "subscription.plan": "FREE",
+              "subscription.price.amount": 0,
+              "subscription.pastDueSince": null,
+              "subscription.nextRenewalDate": null,
+              "subscription.remindersSent": [],
+            },
+            $push: {
+              "subscription.auditLogs": auditEntry(
+                "SUBSCRIPTION_DOWNGRADED",
+                `Downgraded from ${previousPlan} to FREE after ${GRACE_DAYS}-day grace period`
+              ),
+            },
+          };
+
+      const res = await Tenant.updateOne(guard, update);
+      if (res.modifiedCount === 0) continue;
+
+      await notifyOwner(tenant, EXPIRY_ACTION === "SUSPEND"
+        ? {
+          title: "Clinic Suspended",
+          tag: "Account Suspended",
+          heading: "Your <b>Clinic</b> is Suspended",
+          message: `your ${previousPlan} subscription was not renewed within the grace period, so your clinic has been suspended. Complete the payment to restore access.`,
+        }
+        : {
+          title: "Subscription Downgraded",
+          tag: "Plan Downgraded",
+          heading: "Moved to the <b>Free</b> Plan",
+          message: `your ${previousPlan} subscription was not renewed within the grace period, so your clinic has been moved to the FREE plan. Upgrade at any time to restore your features.`,
+        });
+    }
+
+    if (overdue.length > 0) {
+      console.log(`[Renewal] ${EXPIRY_ACTION} applied to ${overdue.length} tenant(s)`);
+    }
+  } catch (err) {
+    console.error("[Renewal] Expiry check error:", err.message);
+  }
+};
+
+// ── 0. Tenants that predate the scheduler ──
+// Their nextRenewalDate was never enforced, so one already in the past would
+// otherwise go straight to PAST_DUE. Move it out to the full reminder window
+// instead; dunningStartedAt marks each tenant as handled exactly once.
+const backfillLegacyRenewals = async (now) => {
+  try {
+    const legacy = {
+      "subscription.dunningStartedAt": null,
+      "subscription.status": "ACTIVE",
+      "subscription.plan": { $ne: "FREE" },
+    };
+    const renewFrom = new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS);
+
+    const moved = await Tenant.updateMany(
+      { ...legacy, "subscription.nextRenewalDate": { $ne: null, $lt: renewFrom } },
+      {
+        $set: {
+          "subscription.nextRenewalDate": renewFrom,
+          "subscription.remindersSent": [],
+          "subscription.dunningStartedAt": now,
+        },
+        $push: {
+          "subscription.auditLogs": auditEntry(
+            "RENEWAL_DATE_BACKFILLED",
+            `Renewal date moved to ${renewFrom.toISOString()} when renewal enforcement started`
+          ),
+        },
+      }
+    );
+    await Tenant.updateMany(legacy, { $set: { "subscription.dunningStartedAt": now } });
+
+    if (moved.modifiedCount > 0) {
+      console.log(`[Renewal] Backfilled renewal dates for ${moved.modifiedCount} existing tenant(s)`);
+    }
+  } catch (err) {
+    console.error("[Renewal] Backfill error:", err.message);
+  }
+};
+
+/**
+ * Run all renewal checks in sequence
+ */
+const runRenewalChecks = async () => {
+  const now = new Date();
+  await sendRenewalReminders(now);
+  await processPeriodEnds(now);
+  await expireOverdueSubscriptions(now);
+};
+
+/**
+ * Start the subscription renewal cron — runs hourly.
+ * Existing tenants are backfilled first so none is overdue on the first run.
+ */
+export const startSubscriptionRenewalScheduler = async () => {
+  await backfillLegacyRenewals(new Date());
+  cron.schedule("0 * * * *", runRenewalChecks);
+  console.log(
+    `[Renewal] ✅ Subscription renewal scheduler started (hourly, ${GRACE_DAYS}-day grace, ${EXPIRY_ACTION})`
+  );
+};
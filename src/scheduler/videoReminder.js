@@ -3,11 +3,13 @@ import Appointment from "../models/appointmentModel.js";
 import { sendEmail } from "../utils/emailService.js";
 import { videoReminderTemplate } from "../utils/emailTemplates.js";
 import NotificationService from "../services/notificationService.js";
+import { getTenantTimeZones } from "../services/tenantService.js";
 
 /**
  * Format a Date to a human-readable string like "06 Mar 2026, 02:30 PM"
+ * in the clinic's time zone
  */
-const formatDateTime = (dt) => {
+const formatDateTime = (dt, timeZone) => {
   const d = new Date(dt);
   return d.toLocaleString("en-IN", {
     day: "2-digit",
@@ -16,7 +18,7 @@ const formatDateTime = (dt) => {
     hour: "2-digit",
     minute: "2-digit",
     hour12: true,
-    timeZone: "Asia/Kolkata",
+    timeZone,
   });
 };
 
@@ -84,12 +86,15 @@ const sendVideoReminders = async (verbose = false) => {
 
     console.log(`[Reminder] Processing ${appointments.length} video appointment(s)...`);
 
+    // The window is absolute (5 min before start); only the displayed time is zoned
+    const zones = await getTenantTimeZones(appointments.map((a) => a.tenantId));
+
     for (const appt of appointments) {
       const doctorName = appt.doctorId?.name || "Doctor";
       const doctorEmail = appt.doctorId?.email;
       const patientName = appt.patientInfo?.name || appt.patientId?.name || "Patient";
       const patientEmail = appt.patientInfo?.email || appt.patientId?.email;
-      const dateTimeStr = formatDateTime(appt.dateTime);
+      const dateTimeStr = formatDateTime(appt.dateTime, zones.get(String(appt.tenantId)));
       const patientLink = appt.meetingLink;
       const doctorLink = appt.doctorMeetingLink || appt.meetingLink;
       const isPast = new Date(appt.dateTime).getTime() < now.getTime();
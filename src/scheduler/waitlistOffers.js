@@ -0,0 +1,25 @@
+import cron from "node-cron";
+import WaitlistService from "../services/waitlistService.js";
+
+/**
+ * Expire unclaimed waitlist holds and roll each slot to the next patient.
+ * Also closes WAITING entries whose date has passed.
+ */
+const runWaitlistCheck = async () => {
+  try {
+    const { expired, rolled, staleClosed } = await WaitlistService.processExpiredOffers();
+    if (expired > 0 || staleClosed > 0) {
+      console.log(`[Waitlist] Expired holds: ${expired}, re-offered: ${rolled}, stale entries closed: ${staleClosed}`);
+    }
+  } catch (err) {
+    console.error("[Waitlist] Hold expiry check error:", err.message);
+  }
+};
+
+/**
+ * Start the waitlist hold cron — runs every minute
+ */
+export const startWaitlistScheduler = () => {
+  cron.schedule("* * * * *", runWaitlistCheck);
+  console.log("[Waitlist] ✅ Waitlist hold scheduler started (every 1 min)");
+};
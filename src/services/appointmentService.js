@@ -1,9 +1,47 @@
 import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import Appointment from "../models/appointmentModel.js";
+import AppointmentSeries, { SERIES_FREQUENCIES } from "../models/appointmentSeriesModel.js";
 import Doctor from "../models/doctorModel.js";
+import Tenant from "../models/tenantModel.js";
+import User from "../models/userModel.js";
+import Prescription from "../models/prescriptionModel.js";
 import VideoConsultation from "../models/videoConsultationModel.js";
+import Payment from "../models/paymentModel.js";
+import PrescriptionService from "./prescriptionService.js";
+import WaitlistService from "./waitlistService.js";
+import DependentService from "./dependentService.js";
+import ReviewService from "./reviewService.js";
+import doctorService from "./doctorService.js";
+import SlotOverlapService from "./slotOverlapService.js";
 import mongoose from "mongoose";
+import { setTimeout as sleep } from "timers/promises";
+import DoctorIdentity from "../models/doctorIdentityModel.js";
+import {
+  getZonedDateSlot,
+  getZonedDayBounds,
+  parseZonedDateTime,
+  resolveTenantTimeZone,
+} from "../utils/dateTime.js";
+import {
+  resolveSchedule,
+  buildDaySlots,
+  isSlotInSchedule,
+  DATE_REGEX,
+  TIME_REGEX,
+} from "../utils/doctorSchedule.js";
+import { resolveAppointmentPolicy } from "../utils/appointmentPolicy.js";
+import {
+  APPOINTMENT_STATUSES,
+  SLOT_HOLDING_STATUSES,
+  UPCOMING_STATUSES,
+  buildStatusUpdate,
+  canTransition,
+  invalidTransitionError,
+  statusHistoryEntry,
+} from "../utils/appointmentStatus.js";
+import { refundConsultationForAppointment } from "./paymentService.js";
+import { closeConsultationRoom } from "../socket/signalingHandler.js";
 
 const DEFAULT_CLIENT_URL = (
   process.env.CLIENT_URL ||
@@ -11,6 +49,70 @@ const DEFAULT_CLIENT_URL = (
   "https://sovereigns.site"
 ).replace(/\/+$/, "");
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Per-doctor booking lock: held for at most TTL (a crashed request can't
+// wedge the calendar), and a booking waits at most WAIT for its turn
+const BOOKING_LOCK_TTL_MS = 15 * 1000;
+const BOOKING_LOCK_WAIT_MS = 5 * 1000;
+
+// Upper bound on occurrences in one recurring series (~1 year weekly)
+const MAX_SERIES_OCCURRENCES = 52;
+
+// Clinic appointment list: page size cap, export cap and sortable columns
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+const SORT_FIELDS = {
+  dateTime: "dateTime",
+  createdAt: "createdAt",
+  status: "status",
+  patientName: "patientInfo.name",
+  fee: "consultationFee",
+};
+
+// Family member details shown alongside an appointment
+const DEPENDENT_FIELDS = "name relationship dob gender bloodGroup";
+
+// The no-show sweep only looks this far back, so older unresolved
+// bookings are left for the clinic to close out by hand
+const NO_SHOW_SCAN_DAYS = 2;
+
+// How long an unpaid online booking holds its slot
+const PAYMENT_HOLD_MINUTES = Math.max(Number(process.env.CONSULTATION_PAYMENT_HOLD_MINUTES) || 15, 1);
+
+// Controllers map this to 409 and offer the waitlist
+const slotTakenError = () =>
+  Object.assign(new Error("This slot is already booked."), { code: "SLOT_TAKEN" });
+
+const bookedElsewhereError = () =>
+  Object.assign(new Error("The doctor has an appointment at another clinic at this time."), { code: "SLOT_TAKEN" });
+
+const bookingBusyError = () =>
+  Object.assign(new Error("Another booking for this doctor is in progress. Please try again."), {
+    code: "SLOT_TAKEN",
+  });
+
+// Controllers map this to 403
+const bookingBlockedError = () =>
+  Object.assign(
+    new Error("Online booking is unavailable due to repeated missed appointments. Please contact the clinic."),
+    { code: "BOOKING_BLOCKED" }
+  );
+
+const lateCancellationError = (hours) =>
+  Object.assign(
+    new Error(`Appointments can't be cancelled within ${hours} hour(s) of the visit. Please contact the clinic.`),
+    { code: "LATE_CANCELLATION" }
+  );
+
+// Controllers map this to 409 with the per-occurrence conflicts
+const seriesConflictError = (conflicts) =>
+  Object.assign(
+    new Error(`${conflicts.length} occurrence(s) in this series cannot be booked.`),
+    { code: "SERIES_CONFLICT", conflicts }
+  );
+
 class AppointmentService {
   // ---------- helpers ----------
   #isValidObjectId(id) {
@@ -21,30 +123,114 @@ class AppointmentService {
     return new mongoose.Types.ObjectId(String(id));
   }
 
-  #parseDateTime(dateStr, slotStr) {
-    // dateStr: "YYYY-MM-DD", slotStr: "HH:mm"
-    if (!dateStr || !slotStr) return null;
+  #parseDateTime(dateStr, slotStr, timeZone) {
+    // dateStr: "YYYY-MM-DD", slotStr: "HH:mm" in clinic time, independent of server TZ
+    return parseZonedDateTime(dateStr, slotStr, timeZone);
+  }
+
+  async #timeZoneFor(tenantId) {
+    const tenant = await Tenant.findById(tenantId).select("settings.timezone").lean();
+    return resolveTenantTimeZone(tenant);
+  }
 
+  #validateDateStr(dateStr) {
+    if (!dateStr) throw new Error("Date is required.");
     const [y, m, d] = String(dateStr).split("-").map(Number);
-    const [hh, mm] = String(slotStr).split(":").map(Number);
+    if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(d)) {
+      throw new Error("Invalid date format. Use YYYY-MM-DD.");
+    }
+  }
 
-    const bad =
-      !Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(d) ||
-      !Number.isFinite(hh) || !Number.isFinite(mm) ||
-      m < 1 || m > 12 || d < 1 || d > 31 ||
-      hh < 0 || hh > 23 || mm < 0 || mm > 59;
+  /**
+   * Booked "HH:mm" slots for a doctor on a clinic-local calendar date
+   */
+  async #findBookedSlots(doctorId, dateStr, timeZone) {
+    const bounds = getZonedDayBounds(dateStr, timeZone);
+    if (!bounds) throw new Error("Invalid date format. Use YYYY-MM-DD.");
+    const { start: dayStart, end: dayEnd } = bounds;
 
-    if (bad) return null;
+    const dId = this.#toObjectId(doctorId);
+    const [appointments, held] = await Promise.all([
+      Appointment.find({
+        doctorId: dId,
+        dateTime: { $gte: dayStart, $lt: dayEnd },
+        status: { $in: SLOT_HOLDING_STATUSES },
+      })
+        .select("dateTime")
+        .lean(),
+      // Slots held for a waitlisted patient are unavailable too
+      WaitlistService.findHeldIntervals(dId, dayStart, dayEnd),
+    ]);
 
-    // Force IST (+05:30) timezone representation so it accurately aligns 
-    // to Indian time regardless of server environment TZ settings (e.g. AWS EC2 in UTC)
-    const pad = (n) => String(n).padStart(2, "0");
-    const isoStr = `${y}-${pad(m)}-${pad(d)}T${pad(hh)}:${pad(mm)}:00+05:30`;
-    const dt = new Date(isoStr);
-    
-    if (Number.isNaN(dt.getTime())) return null;
+    const times = [
+      ...appointments.map((a) => a.dateTime),
+      ...held.filter((h) => h.start >= dayStart).map((h) => h.start),
+    ];
+    return [...new Set(times.map((t) => getZonedDateSlot(t, timeZone).slot))];
+  }
 
-    return dt;
+  // The patient's own hold on exactly this time, claimed once they book it
+  #ownHoldAt(holds, dateTime) {
+    return holds.find((h) => new Date(h.offer.dateTime).getTime() === dateTime.getTime()) || null;
+  }
+
+  /**
+   * Run `fn` while holding the booking lock of the person behind this doctor
+   * profile. The unique slot index only covers one clinic profile, so bookings
+   * at any of the doctor's clinics are serialised here: their overlap checks
+   * and writes can't interleave.
+   */
+  async #withBookingLock(doctorId, fn) {
+    const identityId = this.#isValidObjectId(doctorId) ? await doctorService.getIdentityId(doctorId) : null;
+    if (!identityId) return fn(); // fn reports the missing doctor
+
+    const token = new mongoose.Types.ObjectId();
+    const giveUpAt = Date.now() + BOOKING_LOCK_WAIT_MS;
+    for (;;) {
+      const now = new Date();
+      const acquired = await DoctorIdentity.updateOne(
+        { _id: identityId, "bookingLock.expiresAt": { $not: { $gt: now } } },
+        { $set: { bookingLock: { token, expiresAt: new Date(now.getTime() + BOOKING_LOCK_TTL_MS) } } }
+      );
+      if (acquired.modifiedCount > 0) break;
+      if (Date.now() >= giveUpAt) throw bookingBusyError();
+      await sleep(50 + Math.floor(Math.random() * 100));
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await DoctorIdentity.updateOne(
+        { _id: identityId, "bookingLock.token": token },
+        { $set: { bookingLock: { token: null, expiresAt: null } } }
+      ).catch((e) => console.error("[Booking] Lock release failed:", e.message));
+    }
+  }
+
+  /**
+   * Sign role-scoped meeting tokens for a video room
+   */
+  #issueMeetingLinks(roomId, appointmentId) {
+    const sign = (role) =>
+      jwt.sign(
+        { roomId, appointmentId: String(appointmentId), purpose: "VIDEO_CONSULTATION", role },
+        process.env.JWT_SECRET,
+        { expiresIn: "7d" }
+      );
+
+    return {
+      meetingLink: `${DEFAULT_CLIENT_URL}/consultation/${sign("PATIENT")}`,
+      doctorMeetingLink: `${DEFAULT_CLIENT_URL}/consultation/${sign("DOCTOR")}`,
+    };
+  }
+
+  /**
+   * A slot became free — offer it to the waitlist (fire-and-forget)
+   */
+  #releaseSlot(doctorId, dateTime) {
+    WaitlistService.offerFreedSlot({ doctorId, dateTime }).catch((e) =>
+      console.error("[Waitlist] Offer after release failed:", e.message)
+    );
   }
 
   #normalizeFee(fee, doctor) {
@@ -91,13 +277,251 @@ class AppointmentService {
     return { name, email, contact: phone, symptoms: sx };
   }
 
+  /**
+   * Booking for a family member: it must be on the patient's account, and the
+   * snapshot carries their name (contact details stay the account holder's)
+   */
+  async #applyDependent(patientId, dependentId, patientInfo) {
+    if (!dependentId) return { dependentId: null, patientInfo };
+    const dependent = await DependentService.getOwned(patientId, dependentId);
+    return { dependentId: dependent._id, patientInfo: { ...patientInfo, name: dependent.name } };
+  }
+
+  async #loadPolicy(tenantId) {
+    const tenant = await Tenant.findById(tenantId).select("settings.appointmentPolicy").lean();
+    return resolveAppointmentPolicy(tenant);
+  }
+
+  /**
+   * NO_SHOW count for a patient at a clinic within the policy's lookback
+   */
+  async #countNoShows(tenantId, patientId, policy) {
+    const query = { tenantId, patientId, status: "NO_SHOW" };
+    if (policy.noShowLookbackDays > 0) {
+      query.dateTime = { $gte: new Date(Date.now() - policy.noShowLookbackDays * DAY_MS) };
+    }
+    return Appointment.countDocuments(query);
+  }
+
+  #isInsideCancellationWindow(dateTime, policy) {
+    const windowMs = policy.cancellationWindowHours * 60 * 60 * 1000;
+    return windowMs > 0 && new Date(dateTime).getTime() - Date.now() < windowMs;
+  }
+
+  // Clinic-side cancellations give back an online-paid fee. A failed
+  // refund is logged for follow-up rather than undoing the cancellation.
+  async #refundClinicCancellation(appointment, actor = {}) {
+    if (!["PAID", "PARTIALLY_REFUNDED"].includes(appointment.payment?.status)) return;
+    try {
+      await refundConsultationForAppointment({
+        appointmentId: appointment._id,
+        reason: "Appointment cancelled by the clinic",
+        initiatedBy: actor.userId || null,
+      });
+    } catch (err) {
+      console.error(`[Payments] Refund failed for appointment ${appointment._id}:`, err.message);
+    }
+  }
+
+  /**
+   * Cancelled and no-show visits can't be joined any more: cancel their open
+   * video sessions and drop anyone still in the room. A failure is logged;
+   * the status change stands.
+   */
+  async #closeVideoSessions(appointmentIds) {
+    if (appointmentIds.length === 0) return;
+    try {
+      const sessions = await VideoConsultation.find({
+        appointmentId: { $in: appointmentIds },
+        status: { $nin: ["COMPLETED", "CANCELLED"] },
+      })
+        .select("roomId")
+        .lean();
+      if (sessions.length === 0) return;
+
+      await VideoConsultation.updateMany(
+        { _id: { $in: sessions.map((v) => v._id) }, status: { $nin: ["COMPLETED", "CANCELLED"] } },
+        { $set: { status: "CANCELLED" } }
+      );
+      for (const v of sessions) closeConsultationRoom(v.roomId, "cancelled");
+    } catch (err) {
+      console.error("[Video] Closing sessions failed:", err.message);
+    }
+  }
+
+  #videoIds(appointments) {
+    return appointments.filter((a) => a.consultationType === "video").map((a) => a._id);
+  }
+
+  /**
+   * Write a validated transition, matching on the status it was checked
+   * against so a concurrent change can't be overwritten
+   */
+  async #applyTransition(current, to, { filter = {}, actor, reason, set, at } = {}) {
+    let updated;
+    try {
+      updated = await Appointment.findOneAndUpdate(
+        { _id: current._id, ...filter, status: current.status },
+        buildStatusUpdate(current.status, to, { actor, reason, set, at }),
+        { new: true }
+      ).lean();
+    } catch (err) {
+      // Re-opening a freed slot (e.g. NO_SHOW → CHECKED_IN) that was rebooked
+      if (err?.code === 11000) throw slotTakenError();
+      throw err;
+    }
+    if (!updated) throw new Error("Appointment was updated by someone else. Please refresh.");
+    return updated;
+  }
+
+  // Calendar arithmetic on "YYYY-MM-DD" strings (no timezone involved)
+  #addDays(dateStr, days) {
+    const [y, m, d] = String(dateStr).split("-").map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Occurrence dates for a series: every 7/14 days from startDate until
+   * `occurrences` is reached and/or `until` (inclusive) is passed
+   */
+  #buildSeriesDates(startDate, frequency, { occurrences, until }) {
+    const step = SERIES_FREQUENCIES[frequency];
+    if (!step) {
+      throw new Error(`Frequency must be one of: ${Object.keys(SERIES_FREQUENCIES).join(", ")}.`);
+    }
+    if (!DATE_REGEX.test(String(startDate || ""))) {
+      throw new Error("Invalid start date. Use YYYY-MM-DD.");
+    }
+
+    const hasCount = occurrences !== undefined && occurrences !== null && occurrences !== "";
+    const count = hasCount ? Number(occurrences) : null;
+    if (hasCount && (!Number.isInteger(count) || count < 1)) {
+      throw new Error("occurrences must be a positive whole number.");
+    }
+    if (count > MAX_SERIES_OCCURRENCES) {
+      throw new Error(`A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences.`);
+    }
+
+    const untilDate = String(until || "").trim();
+    if (untilDate && !DATE_REGEX.test(untilDate)) {
+      throw new Error("Invalid until date. Use YYYY-MM-DD.");
+    }
+    if (!hasCount && !untilDate) throw new Error("Provide occurrences or an until date.");
+    if (untilDate && untilDate < startDate) {
+      throw new Error("Until date must be on or after the start date.");
+    }
+
+    const limit = count ?? MAX_SERIES_OCCURRENCES;
+    const dates = [];
+    let next = startDate;
+    while (dates.length < limit && (!untilDate || next <= untilDate)) {
+      dates.push(next);
+      next = this.#addDays(next, step);
+    }
+
+    if (!hasCount && next <= untilDate) {
+      throw new Error(`A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences.`);
+    }
+
+    return { dates, occurrences: count, untilDate };
+  }
+
+  /**
+   * Why a slot can't be booked for this patient, or null when it is free.
+   * `ignoreIds` skips appointments that are about to move (series reschedule).
+   */
+  async #findSlotConflict({ doctorId, patientId, schedule, timeZone, date, slot, ignoreIds = [] }) {
+    const dateTime = this.#parseDateTime(date, slot, timeZone);
+    if (!dateTime) return { reason: "INVALID", message: "Invalid date/slot." };
+    if (dateTime.getTime() <= Date.now()) {
+      return { reason: "PAST", message: "This time is in the past." };
+    }
+    if (!isSlotInSchedule(schedule, date, slot)) {
+      return { reason: "OUTSIDE_SCHEDULE", message: "Outside the doctor's schedule." };
+    }
+
+    if (await SlotOverlapService.isSlotTaken(doctorId, dateTime, schedule.slotDuration, ignoreIds)) {
+      return { reason: "BOOKED", message: "This slot is already booked." };
+    }
+
+    if (await SlotOverlapService.isBookedElsewhere(doctorId, dateTime, schedule.slotDuration, ignoreIds)) {
+      return { reason: "BOOKED", message: "The doctor has an appointment at another clinic at this time." };
+    }
+
+    const holds = await WaitlistService.findActiveHolds(doctorId, dateTime, schedule.slotDuration);
+    if (holds.some((h) => String(h.patientId) !== String(patientId))) {
+      return { reason: "HELD", message: "This slot is held for a waitlisted patient." };
+    }
+    return null;
+  }
+
+  /**
+   * Load a series the actor may manage (owning patient or the clinic)
+   */
+  async #loadSeriesFor(seriesId, actor = {}) {
+    if (!this.#isValidObjectId(seriesId)) throw new Error("Invalid seriesId.");
+
+    const series = await AppointmentSeries.findById(seriesId);
+    if (!series) throw new Error("Appointment series not found.");
+
+    const role = String(actor.role || "").toUpperCase();
+    const isOwner = role === "PATIENT" && String(series.patientId) === String(actor.userId);
+    const isClinic = role === "CLINIC_ADMIN" && String(series.tenantId) === String(actor.tenantId);
+    if (!isOwner && !isClinic) {
+      throw new Error("You are not allowed to manage this appointment series.");
+    }
+    return series;
+  }
+
+  async #upcomingOccurrences(seriesId) {
+    return Appointment.find({
+      seriesId,
+      status: { $in: UPCOMING_STATUSES },
+      dateTime: { $gt: new Date() },
+    })
+      .sort({ dateTime: 1 })
+      .lean();
+  }
+
+  /**
+   * Undo a half-created series (nothing has been announced yet)
+   */
+  async #discardSeries(series, appointments) {
+    const ids = appointments.map((a) => a._id);
+    await Promise.all([
+      Appointment.deleteMany({ _id: { $in: ids } }),
+      VideoConsultation.deleteMany({ appointmentId: { $in: ids } }),
+      AppointmentSeries.deleteOne({ _id: series._id }),
+    ]);
+  }
+
   /**
    * Create appointment (Patient booking)
    * - tenantId comes from body (public clinic)
    * - patientId MUST be injected by controller from req.user._id
    */
   async createAppointment(tenantId, appointmentData) {
-    const { doctorId, patientId, date, slot, fee, consultationType } = appointmentData;
+    return this.#withBookingLock(appointmentData?.doctorId, () =>
+      this.#createAppointment(tenantId, appointmentData)
+    );
+  }
+
+  async #createAppointment(tenantId, appointmentData) {
+    const {
+      doctorId,
+      patientId,
+      date,
+      slot,
+      fee,
+      consultationType,
+      seriesId,
+      seriesIndex,
+      followUpOf,
+      bookedByRole,
+      bookedBy,
+      dependentId,
+      payOnline,
+    } = appointmentData;
 
     // 1) Validate IDs
     if (!this.#isValidObjectId(tenantId)) {
@@ -112,17 +536,17 @@ class AppointmentService {
       throw new Error("Patient auth missing. Please login again.");
     }
 
-    // 2) Parse datetime
-    const appointmentDateTime = this.#parseDateTime(date, slot);
-    if (!appointmentDateTime) throw new Error("Invalid date/slot.");
-
     const tId = this.#toObjectId(tenantId);
     const dId = this.#toObjectId(doctorId);
     const pId = this.#toObjectId(patientId);
 
+    // 2) Parse datetime in the clinic's zone
+    const appointmentDateTime = this.#parseDateTime(date, slot, await this.#timeZoneFor(tId));
+    if (!appointmentDateTime) throw new Error("Invalid date/slot.");
+
     // 3) Verify doctor belongs to tenant
     const doctor = await Doctor.findById(dId)
-      .select("tenantId consultationFee fee")
+      .select("tenantId consultationFee fee schedule availability")
       .lean();
 
     if (!doctor) throw new Error("Doctor not found.");
@@ -131,25 +555,58 @@ class AppointmentService {
       throw new Error("Doctor does not belong to this clinic.");
     }
 
-    // 4) Prevent double booking (business rule)
-    const clash = await Appointment.exists({
-      doctorId: dId,
-      tenantId: tId,
-      dateTime: appointmentDateTime,
-      status: { $in: ["PENDING", "CONFIRMED"] },
-    });
+    // 3b) Slot must fall inside the doctor's working hours
+    const schedule = resolveSchedule(doctor);
+    if (!isSlotInSchedule(schedule, date, slot)) {
+      throw new Error("Selected time is outside the doctor's schedule.");
+    }
+
+    // 4) Prevent double booking (business rule), including visits that
+    // started earlier under a longer slot and are still running
+    if (await SlotOverlapService.isSlotTaken(dId, appointmentDateTime, schedule.slotDuration)) {
+      throw slotTakenError();
+    }
+
+    // 4a) ...or at any of the doctor's other clinics
+    if (await SlotOverlapService.isBookedElsewhere(dId, appointmentDateTime, schedule.slotDuration)) {
+      throw bookedElsewhereError();
+    }
 
-    if (clash) {
-      throw new Error("This slot is already booked.");
+    // 4b) Slot may be held for a waitlisted patient
+    const holds = await WaitlistService.findActiveHolds(dId, appointmentDateTime, schedule.slotDuration);
+    if (holds.some((h) => String(h.patientId) !== String(pId))) throw slotTakenError();
+    const hold = this.#ownHoldAt(holds, appointmentDateTime);
+
+    // 4c) Repeated no-shows: block online booking or require clinic confirmation
+    let requiresConfirmation = false;
+    const policy = bookedByRole === "CLINIC_ADMIN" ? null : await this.#loadPolicy(tId);
+    if (policy) {
+      if (policy.noShowThreshold > 0) {
+        const noShows = await this.#countNoShows(tId, pId, policy);
+        if (noShows >= policy.noShowThreshold) {
+          if (policy.noShowAction === "BLOCK") throw bookingBlockedError();
+          requiresConfirmation = true;
+        }
+      }
     }
 
     // 5) Normalize fee + patient snapshot
     const consultationFee = this.#normalizeFee(fee, doctor);
-    const patientInfoNormalized = this.#normalizePatientInfo(appointmentData);
+    const member = await this.#applyDependent(pId, dependentId, this.#normalizePatientInfo(appointmentData));
+
+    // 5b) Online fee payment: required by the clinic or chosen by the patient.
+    // Series visits and clinic bookings are paid at the clinic.
+    const payment = { status: "NOT_REQUIRED" };
+    if (policy && !seriesId && consultationFee >= 1 && (policy.requirePrepayment || payOnline)) {
+      Object.assign(payment, {
+        status: "PENDING",
+        amountPaise: Math.round(consultationFee * 100),
+        holdExpiresAt: new Date(Date.now() + PAYMENT_HOLD_MINUTES * 60 * 1000),
+      });
+    }
 
     // 6) Generate meeting link for video consultations
     const type = consultationType || "in-clinic";
-    const FRONTEND_URL = DEFAULT_CLIENT_URL;
     let meetingLink = "";
     let roomId = "";
     if (type === "video") {
@@ -162,12 +619,27 @@ class AppointmentService {
         tenantId: tId,
         doctorId: dId,
         patientId: pId,
-        patientInfo: patientInfoNormalized,
+        dependentId: member.dependentId,
+        patientInfo: member.patientInfo,
         dateTime: appointmentDateTime,
+        durationMinutes: schedule.slotDuration,
         consultationFee,
         consultationType: type,
         meetingLink: "", // will be updated after JWT signing
         status: "PENDING",
+        requiresConfirmation,
+        payment,
+        seriesId: seriesId || null,
+        seriesIndex: seriesId ? seriesIndex : null,
+        followUpOf: followUpOf || null,
+        statusHistory: [
+          statusHistoryEntry(null, "PENDING", {
+            actor: {
+              userId: bookedBy ?? (bookedByRole === "CLINIC_ADMIN" ? null : pId),
+              role: bookedByRole || "PATIENT",
+            },
+          }),
+        ],
       });
 
       // 8) For video appointments: auto-create VideoConsultation + sign JWT meeting links
@@ -177,36 +649,25 @@ class AppointmentService {
           roomId,
           doctorId: dId,
           patientId: pId,
+          dependentId: member.dependentId,
           tenantId: tId,
         });
 
-        // Generate separate tokens for doctor and patient with embedded roles
-        const doctorMeetingToken = jwt.sign(
-          { roomId, appointmentId: String(created._id), purpose: "VIDEO_CONSULTATION", role: "DOCTOR" },
-          process.env.JWT_SECRET,
-          { expiresIn: "7d" }
-        );
-
-        const patientMeetingToken = jwt.sign(
-          { roomId, appointmentId: String(created._id), purpose: "VIDEO_CONSULTATION", role: "PATIENT" },
-          process.env.JWT_SECRET,
-          { expiresIn: "7d" }
-        );
-
-        meetingLink = `${FRONTEND_URL}/consultation/${patientMeetingToken}`;
-        const doctorMeetingLink = `${FRONTEND_URL}/consultation/${doctorMeetingToken}`;
+        const links = this.#issueMeetingLinks(roomId, created._id);
+        meetingLink = links.meetingLink;
+        const doctorMeetingLink = links.doctorMeetingLink;
 
         created.meetingLink = meetingLink;
         created.doctorMeetingLink = doctorMeetingLink;
         await Appointment.findByIdAndUpdate(created._id, { meetingLink, doctorMeetingLink });
       }
 
+      if (hold) await WaitlistService.markBooked(hold._id, created._id);
+
       return created;
     } catch (err) {
       // If you keep unique index, duplicate slot will throw E11000
-      if (err?.code === 11000) {
-        throw new Error("This slot is already booked.");
-      }
+      if (err?.code === 11000) throw slotTakenError();
       throw err;
     }
   }
@@ -216,90 +677,1033 @@ class AppointmentService {
    */
   async getBookedSlots(doctorId, dateStr) {
     if (!this.#isValidObjectId(doctorId)) throw new Error("Invalid doctorId.");
-    if (!dateStr) throw new Error("Date is required.");
+    this.#validateDateStr(dateStr);
 
-    const [y, m, d] = String(dateStr).split("-").map(Number);
-    if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(d)) {
-      throw new Error("Invalid date format. Use YYYY-MM-DD.");
+    const doctor = await Doctor.findById(doctorId).select("tenantId").lean();
+    if (!doctor) throw new Error("Doctor not found.");
+
+    return this.#findBookedSlots(doctorId, dateStr, await this.#timeZoneFor(doctor.tenantId));
+  }
+
+  /**
+   * Get open (bookable) slots for a doctor on a given date (public)
+   * Built from the doctor's weekly schedule minus exceptions, breaks,
+   * slots overlapping a booked visit (here or at the doctor's other
+   * clinics) or a waitlist hold and, for today, slots that have already started.
+   */
+  async getAvailableSlots(doctorId, dateStr) {
+    if (!this.#isValidObjectId(doctorId)) throw new Error("Invalid doctorId.");
+    this.#validateDateStr(dateStr);
+
+    const doctor = await Doctor.findOne({ _id: doctorId, isActive: true })
+      .select("tenantId schedule availability")
+      .lean();
+    if (!doctor) throw new Error("Doctor not found.");
+
+    const timeZone = await this.#timeZoneFor(doctor.tenantId);
+    const schedule = resolveSchedule(doctor);
+    const allSlots = buildDaySlots(schedule, dateStr);
+    const booked = new Set(await this.#findBookedSlots(doctorId, dateStr, timeZone));
+    const { start: dayStart, end: dayEnd } = getZonedDayBounds(dateStr, timeZone);
+    const windowEnd = new Date(dayEnd.getTime() + schedule.slotDuration * MINUTE_MS);
+    const [busyHere, busyElsewhere, held] = await Promise.all([
+      SlotOverlapService.findBusyIntervals([this.#toObjectId(doctorId)], dayStart, windowEnd),
+      SlotOverlapService.findBusyElsewhere(doctorId, dayStart, windowEnd),
+      WaitlistService.findHeldIntervals(this.#toObjectId(doctorId), dayStart, windowEnd),
+    ]);
+    const busy = [...busyHere, ...busyElsewhere, ...held];
+
+    // Slots skipped by a DST jump don't parse and drop out here
+    const now = Date.now();
+    const slots = allSlots.filter((slot) => {
+      if (booked.has(slot)) return false;
+      const start = this.#parseDateTime(dateStr, slot, timeZone);
+      if (!start || start.getTime() <= now) return false;
+      const end = new Date(start.getTime() + schedule.slotDuration * MINUTE_MS);
+      return !busy.some((b) => b.start < end && b.end > start);
+    });
+
+    return {
+      date: dateStr,
+      slotDuration: schedule.slotDuration,
+      isWorkingDay: allSlots.length > 0,
+      slots,
+      booked: [...booked],
+    };
+  }
+
+  /**
+   * Time zone of the clinic an appointment belongs to
+   */
+  async getTimeZoneForAppointment(appointmentId) {
+    if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+
+    const appointment = await Appointment.findById(appointmentId).select("tenantId").lean();
+    if (!appointment) throw new Error("Appointment not found.");
+
+    return this.#timeZoneFor(appointment.tenantId);
+  }
+
+  /**
+   * Move an appointment to a new slot
+   * - actor: { userId, role, tenantId } from the auth context
+   * - patients may only move their own bookings; clinic admins only their tenant's
+   * - video bookings get a fresh room + meeting links (old links stop working)
+   * @returns {{ appointment: object, previousDateTime: Date }}
+   */
+  async rescheduleAppointment(appointmentId, actor = {}, options = {}) {
+    if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+
+    const current = await Appointment.findById(appointmentId).select("doctorId").lean();
+    return this.#withBookingLock(current?.doctorId, () =>
+      this.#rescheduleAppointment(appointmentId, actor, options)
+    );
+  }
+
+  async #rescheduleAppointment(appointmentId, actor = {}, { date, slot, reason } = {}) {
+
+    const role = String(actor.role || "").toUpperCase();
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) throw new Error("Appointment not found.");
+
+    const isOwner = role === "PATIENT" && String(appointment.patientId) === String(actor.userId);
+    const isClinic = role === "CLINIC_ADMIN" && String(appointment.tenantId) === String(actor.tenantId);
+    if (!isOwner && !isClinic) {
+      throw new Error("You are not allowed to reschedule this appointment.");
     }
 
-    const dayStart = new Date(y, m - 1, d, 0, 0, 0, 0);
-    const dayEnd = new Date(y, m - 1, d, 23, 59, 59, 999);
+    if (!UPCOMING_STATUSES.includes(appointment.status)) {
+      throw new Error(`Cannot reschedule a ${appointment.status.toLowerCase()} appointment.`);
+    }
 
-    const appointments = await Appointment.find({
-      doctorId: this.#toObjectId(doctorId),
-      dateTime: { $gte: dayStart, $lte: dayEnd },
-      status: { $in: ["PENDING", "CONFIRMED"] },
-    })
-      .select("dateTime")
+    const newDateTime = this.#parseDateTime(date, slot, await this.#timeZoneFor(appointment.tenantId));
+    if (!newDateTime) throw new Error("Invalid date/slot.");
+    if (newDateTime.getTime() <= Date.now()) {
+      throw new Error("New time must be in the future.");
+    }
+
+    const previousDateTime = appointment.dateTime;
+    if (newDateTime.getTime() === new Date(previousDateTime).getTime()) {
+      throw new Error("Appointment is already booked for this time.");
+    }
+
+    const doctor = await Doctor.findById(appointment.doctorId)
+      .select("schedule availability")
       .lean();
+    if (!doctor) throw new Error("Doctor not found.");
+
+    const schedule = resolveSchedule(doctor);
+    if (!isSlotInSchedule(schedule, date, slot)) {
+      throw new Error("Selected time is outside the doctor's schedule.");
+    }
+
+    if (await SlotOverlapService.isSlotTaken(appointment.doctorId, newDateTime, schedule.slotDuration, [appointment._id])) {
+      throw slotTakenError();
+    }
+    if (await SlotOverlapService.isBookedElsewhere(appointment.doctorId, newDateTime, schedule.slotDuration)) {
+      throw bookedElsewhereError();
+    }
 
-    const pad = (n) => String(n).padStart(2, "0");
-    return appointments.map((a) => {
-      const dt = new Date(a.dateTime);
-      return `${pad(dt.getHours())}:${pad(dt.getMinutes())}`;
+    const holds = await WaitlistService.findActiveHolds(appointment.doctorId, newDateTime, schedule.slotDuration);
+    if (holds.some((h) => String(h.patientId) !== String(appointment.patientId))) throw slotTakenError();
+    const hold = this.#ownHoldAt(holds, newDateTime);
+
+    appointment.dateTime = newDateTime;
+    appointment.durationMinutes = schedule.slotDuration;
+    appointment.reminderSent = false;
+    appointment.remindersSent = [];
+    appointment.rescheduleHistory.push({
+      from: previousDateTime,
+      to: newDateTime,
+      rescheduledBy: actor.userId,
+      role,
+      reason: String(reason || "").trim().slice(0, 500),
     });
+
+    let roomId = "";
+    if (appointment.consultationType === "video") {
+      roomId = crypto.randomBytes(16).toString("hex");
+      const links = this.#issueMeetingLinks(roomId, appointment._id);
+      appointment.meetingLink = links.meetingLink;
+      appointment.doctorMeetingLink = links.doctorMeetingLink;
+    }
+
+    try {
+      await appointment.save();
+    } catch (err) {
+      if (err?.code === 11000) throw slotTakenError();
+      throw err;
+    }
+
+    if (hold) await WaitlistService.markBooked(hold._id, appointment._id);
+    this.#releaseSlot(appointment.doctorId, previousDateTime);
+
+    if (roomId) {
+      const session = await VideoConsultation.findOneAndUpdate(
+        { appointmentId: appointment._id },
+        {
+          $set: {
+            roomId,
+            status: "WAITING",
+            startedAt: null,
+            endedAt: null,
+            doctorJoinedAt: null,
+            patientJoinedAt: null,
+          },
+        },
+        { new: true }
+      );
+
+      if (!session) {
+        await VideoConsultation.create({
+          appointmentId: appointment._id,
+          roomId,
+          doctorId: appointment.doctorId,
+          patientId: appointment.patientId,
+          dependentId: appointment.dependentId || null,
+          tenantId: appointment.tenantId,
+        });
+      }
+    }
+
+    return { appointment: appointment.toObject(), previousDateTime };
   }
 
   async getTenantAppointments(tenantId, filters = {}) {
     if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
 
     const tId = this.#toObjectId(tenantId);
-
-    return Appointment.find({ tenantId: tId, ...filters })
+    const appointments = await Appointment.find({ tenantId: tId, ...filters })
       .populate("doctorId", "name specialization consultationFee image")
       .populate("patientId", "name email phone contact")
+      .populate("dependentId", DEPENDENT_FIELDS)
       .sort({ dateTime: 1 })
       .lean();
+
+    return this.#withNoShowCounts(tId, appointments);
+  }
+
+  /**
+   * Filtered, sorted, paginated clinic appointment list
+   * - query: { from?, to? (clinic-local YYYY-MM-DD, inclusive), doctorId?, status? (comma list),
+   *   consultationType?, paymentStatus?, search? (patient name/contact/email),
+   *   sortBy?, sortOrder?, page?, limit? }
+   * @returns {{ appointments: object[], pagination: object }}
+   */
+  async searchTenantAppointments(tenantId, query = {}) {
+    if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
+
+    const tId = this.#toObjectId(tenantId);
+    const filter = await this.#buildTenantFilter(tId, query);
+    const sort = this.#resolveSort(query);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    const [appointments, total] = await Promise.all([
+      Appointment.find(filter)
+        .populate("doctorId", "name specialization consultationFee image")
+        .populate("patientId", "name email phone contact")
+        .populate("dependentId", DEPENDENT_FIELDS)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Appointment.countDocuments(filter),
+    ]);
+
+    return {
+      appointments: await this.#withNoShowCounts(tId, appointments),
+      pagination: { total, page, limit, totalPages: Math.ceil(total / limit) },
+    };
   }
 
-  async getPatientAppointments(tenantId, patientId) {
+  /**
+   * Same filters and sort as searchTenantAppointments, unpaginated, for export
+   * @returns {{ appointments: object[], timeZone: string, truncated: boolean }}
+   */
+  async exportTenantAppointments(tenantId, query = {}) {
+    if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
+
+    const tId = this.#toObjectId(tenantId);
+    const filter = await this.#buildTenantFilter(tId, query);
+
+    const [appointments, timeZone] = await Promise.all([
+      Appointment.find(filter)
+        .select(
+          "doctorId dependentId patientInfo dateTime durationMinutes consultationType status " +
+            "consultationFee payment.status payment.paidAt cancellation.reason createdAt"
+        )
+        .populate("doctorId", "name")
+        .populate("dependentId", "relationship")
+        .sort(this.#resolveSort(query))
+        .limit(MAX_EXPORT_ROWS + 1)
+        .lean(),
+      this.#timeZoneFor(tId),
+    ]);
+
+    const truncated = appointments.length > MAX_EXPORT_ROWS;
+    return { appointments: appointments.slice(0, MAX_EXPORT_ROWS), timeZone, truncated };
+  }
+
+  async #buildTenantFilter(tId, query = {}) {
+    const filter = { tenantId: tId };
+
+    const from = String(query.from || "").trim();
+    const to = String(query.to || "").trim();
+    if (from || to) {
+      if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+        throw new Error("Invalid date range. Use YYYY-MM-DD.");
+      }
+      if (from && to && from > to) throw new Error("'from' must be on or before 'to'.");
+
+      const timeZone = await this.#timeZoneFor(tId);
+      filter.dateTime = {};
+      if (from) filter.dateTime.$gte = getZonedDayBounds(from, timeZone).start;
+      if (to) filter.dateTime.$lt = getZonedDayBounds(to, timeZone).end;
+    }
+
+    if (query.doctorId) {
+      if (!this.#isValidObjectId(query.doctorId)) throw new Error("Invalid doctorId.");
+      filter.doctorId = this.#toObjectId(query.doctorId);
+    }
+
+    if (query.status) {
+      const statuses = String(query.status)
+        .split(",")
+        .map((st) => st.trim().toUpperCase())
+        .filter(Boolean);
+      const unknown = statuses.find((st) => !APPOINTMENT_STATUSES.includes(st));
+      if (unknown) throw new Error(`Invalid status: ${unknown}.`);
+      filter.status = { $in: statuses };
+    }
+
+    if (query.consultationType) {
+      const type = String(query.consultationType).trim();
+      if (!["in-clinic", "video"].includes(type)) throw new Error("Invalid consultationType.");
+      filter.consultationType = type;
+    }
+
+    if (query.paymentStatus) filter["payment.status"] = String(query.paymentStatus).trim().toUpperCase();
+
+    const search = String(query.search || "").trim().slice(0, 100);
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      filter.$or = [
+        { "patientInfo.name": pattern },
+        { "patientInfo.contact": pattern },
+        { "patientInfo.email": pattern },
+      ];
+    }
+
+    return filter;
+  }
+
+  #resolveSort(query = {}) {
+    const field = SORT_FIELDS[query.sortBy] || SORT_FIELDS.dateTime;
+    const direction = String(query.sortOrder || "").toLowerCase() === "desc" ? -1 : 1;
+    // _id keeps paging stable when the sort field ties
+    return { [field]: direction, _id: direction };
+  }
+
+  // Per-patient no-show counts (same lookback the booking policy uses)
+  async #withNoShowCounts(tId, appointments) {
+    if (appointments.length === 0) return appointments;
+
+    const policy = await this.#loadPolicy(tId);
+    const patientIds = [...new Set(appointments.map((a) => String(a.patientId?._id || a.patientId)))]
+      .filter((id) => this.#isValidObjectId(id));
+    const match = {
+      tenantId: tId,
+      patientId: { $in: patientIds.map((id) => this.#toObjectId(id)) },
+      status: "NO_SHOW",
+    };
+    if (policy.noShowLookbackDays > 0) {
+      match.dateTime = { $gte: new Date(Date.now() - policy.noShowLookbackDays * DAY_MS) };
+    }
+    const counts = await Appointment.aggregate([
+      { $match: match },
+      { $group: { _id: "$patientId", count: { $sum: 1 } } },
+    ]);
+    const noShows = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    return appointments.map((a) => ({
+      ...a,
+      patientNoShowCount: noShows.get(String(a.patientId?._id || a.patientId)) || 0,
+    }));
+  }
+
+  /**
+   * A patient's appointments across clinics
+   * - dependentId: "self", a family member's id, or omitted for everyone
+   */
+  async getPatientAppointments(tenantId, patientId, { dependentId } = {}) {
     if (!this.#isValidObjectId(patientId)) throw new Error("Invalid patientId.");
 
-    const query = { patientId: this.#toObjectId(patientId) };
+    const query = {
+      patientId: this.#toObjectId(patientId),
+      ...(await DependentService.resolveMemberFilter(patientId, dependentId)),
+    };
     if (tenantId && tenantId !== "undefined" && tenantId !== "null") {
       if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
       query.tenantId = this.#toObjectId(tenantId);
     }
 
-    return Appointment.find(query)
+    const appointments = await Appointment.find(query)
       .populate("doctorId", "name specialization image")
       .populate("tenantId", "name")
+      .populate("dependentId", DEPENDENT_FIELDS)
       .sort({ dateTime: -1 })
       .lean();
+
+    // Flag which visits have a downloadable prescription
+    const prescribed = await PrescriptionService.findPrescribedAppointmentIds(
+      appointments.map((a) => a._id)
+    );
+    return appointments.map((a) => ({ ...a, hasPrescription: prescribed.has(String(a._id)) }));
   }
 
-  async updateStatus(tenantId, appointmentId, status) {
-    const valid = ["PENDING", "CONFIRMED", "CANCELLED", "COMPLETED"];
+  /**
+   * Move an appointment to its next lifecycle stage (see utils/appointmentStatus.js)
+   * - actor: { userId, role } recorded in statusHistory
+   * - CANCELLED goes through cancelAppointment and needs a reason
+   * - invalid transitions throw with code INVALID_TRANSITION
+   */
+  async updateStatus(tenantId, appointmentId, status, actor = {}, { reason } = {}) {
     const normalized = String(status || "").toUpperCase();
 
-    if (!valid.includes(normalized)) throw new Error("Invalid status.");
+    if (!APPOINTMENT_STATUSES.includes(normalized)) throw new Error("Invalid status.");
     if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
     if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
 
     const tId = this.#toObjectId(tenantId);
 
-    const updated = await Appointment.findOneAndUpdate(
-      { _id: appointmentId, tenantId: tId },
-      { status: normalized },
-      { new: true }
-    ).lean();
+    if (normalized === "CANCELLED") {
+      return this.cancelAppointment(
+        appointmentId,
+        { ...actor, role: "CLINIC_ADMIN", tenantId: tId },
+        { reason }
+      );
+    }
+
+    const current = await Appointment.findOne({ _id: appointmentId, tenantId: tId })
+      .select("status dateTime payment.status")
+      .lean();
+    if (!current) throw new Error("Appointment not found for this clinic.");
+    if (!canTransition(current.status, normalized)) throw invalidTransitionError(current.status, normalized);
+
+    if (current.payment?.status === "PENDING") {
+      throw new Error("This booking is awaiting online payment and can't be confirmed yet.");
+    }
+    if (normalized === "NO_SHOW" && new Date(current.dateTime).getTime() > Date.now()) {
+      throw new Error("Cannot mark a future appointment as a no-show.");
+    }
 
-    if (!updated) throw new Error("Appointment not found for this clinic.");
+    const updated = await this.#applyTransition(current, normalized, {
+      filter: { tenantId: tId },
+      actor,
+      reason,
+      set: normalized === "CONFIRMED" ? { requiresConfirmation: false } : {},
+    });
+
+    if (normalized === "COMPLETED") {
+      ReviewService.requestReview(updated._id).catch((e) =>
+        console.error("Review request failed:", e.message)
+      );
+    }
+    if (normalized === "NO_SHOW") await this.#closeVideoSessions(this.#videoIds([updated]));
     return updated;
   }
 
-  async cancelAppointment(tenantId, appointmentId) {
-    if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
+  /**
+   * Status history and stage timestamps for disputes
+   * (the clinic that owns the appointment, its doctor, or the patient who booked it)
+   */
+  async getStatusHistory(appointmentId, actor = {}) {
+    if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+
+    const appointment = await Appointment.findById(appointmentId)
+      .select(
+        "tenantId doctorId patientId status statusHistory createdAt confirmedAt checkedInAt " +
+          "consultationStartedAt completedAt noShowAt cancellation rescheduleHistory"
+      )
+      .populate("statusHistory.by", "name role")
+      .lean();
+    if (!appointment) throw new Error("Appointment not found.");
+
+    const role = String(actor.role || "").toUpperCase();
+    const isOwner = role === "PATIENT" && String(appointment.patientId) === String(actor.userId);
+    const isClinic = role === "CLINIC_ADMIN" && String(appointment.tenantId) === String(actor.tenantId);
+    const isDoctor = role === "DOCTOR" && (actor.doctorIds || []).includes(String(appointment.doctorId));
+    if (!isOwner && !isClinic && !isDoctor) throw new Error("You are not allowed to view this appointment.");
+
+    return {
+      appointmentId: appointment._id,
+      status: appointment.status,
+      timestamps: {
+        bookedAt: appointment.createdAt,
+        confirmedAt: appointment.confirmedAt,
+        checkedInAt: appointment.checkedInAt,
+        consultationStartedAt: appointment.consultationStartedAt,
+        completedAt: appointment.completedAt,
+        cancelledAt: appointment.cancellation?.at || null,
+        noShowAt: appointment.noShowAt,
+      },
+      history: appointment.statusHistory || [],
+      cancellation: appointment.cancellation?.at ? appointment.cancellation : null,
+      rescheduleHistory: appointment.rescheduleHistory || [],
+    };
+  }
+
+  /**
+   * Cancel an upcoming appointment (patient owner or clinic admin)
+   * - patients can't cancel inside the clinic's cancellation window
+   * - clinic cancellations always go through; late ones are flagged
+   */
+  async cancelAppointment(appointmentId, actor = {}, { reason } = {}) {
     if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
 
+    const role = String(actor.role || "").toUpperCase();
+    const appointment = await Appointment.findById(appointmentId).lean();
+    if (!appointment) throw new Error("Appointment not found.");
+
+    const isOwner = role === "PATIENT" && String(appointment.patientId) === String(actor.userId);
+    const isClinic = role === "CLINIC_ADMIN" && String(appointment.tenantId) === String(actor.tenantId);
+    if (!isOwner && !isClinic) {
+      throw new Error("You are not allowed to cancel this appointment.");
+    }
+
+    // Patients can only cancel before they arrive; the clinic can until the consultation starts
+    if (isOwner && !UPCOMING_STATUSES.includes(appointment.status)) {
+      throw new Error(`Cannot cancel a ${appointment.status.toLowerCase()} appointment.`);
+    }
+    if (!canTransition(appointment.status, "CANCELLED")) {
+      throw invalidTransitionError(appointment.status, "CANCELLED");
+    }
+
+    const cleanReason = String(reason || "").trim().slice(0, 500);
+    if (isClinic && !cleanReason) throw new Error("A reason is required to cancel an appointment.");
+
+    const policy = await this.#loadPolicy(appointment.tenantId);
+    const isLate = this.#isInsideCancellationWindow(appointment.dateTime, policy);
+    if (isOwner) {
+      if (new Date(appointment.dateTime).getTime() <= Date.now()) {
+        throw new Error("This appointment has already started.");
+      }
+      if (isLate) throw lateCancellationError(policy.cancellationWindowHours);
+    }
+
+    const at = new Date();
+    const cancelled = await this.#applyTransition(appointment, "CANCELLED", {
+      actor: { userId: actor.userId, role },
+      reason: cleanReason || "Cancelled by the patient",
+      at,
+      set: {
+        cancellation: { at, by: actor.userId, role, reason: cleanReason, isLate },
+      },
+    });
+
+    this.#releaseSlot(cancelled.doctorId, cancelled.dateTime);
+    await this.#closeVideoSessions(this.#videoIds([cancelled]));
+    if (isClinic) await this.#refundClinicCancellation(cancelled, actor);
+    return cancelled;
+  }
+
+  /**
+   * No-show counter for a patient at this clinic, with the policy outcome
+   */
+  async getNoShowSummary(tenantId, patientId) {
+    if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
+    if (!this.#isValidObjectId(patientId)) throw new Error("Invalid patientId.");
+
     const tId = this.#toObjectId(tenantId);
+    const pId = this.#toObjectId(patientId);
+    const policy = await this.#loadPolicy(tId);
+    const count = await this.#countNoShows(tId, pId, policy);
+    const overThreshold = policy.noShowThreshold > 0 && count >= policy.noShowThreshold;
+
+    return {
+      patientId: pId,
+      noShowCount: count,
+      lookbackDays: policy.noShowLookbackDays,
+      threshold: policy.noShowThreshold,
+      restriction: overThreshold ? policy.noShowAction : null,
+    };
+  }
+
+  /**
+   * Mark unattended visits NO_SHOW once the clinic's grace period after the
+   * slot has passed. Video visits the patient joined are left to the clinic.
+   * @returns {{ marked: object[] }}
+   */
+  async markNoShows(now = new Date()) {
+    const candidates = await Appointment.find({
+      status: { $in: UPCOMING_STATUSES },
+      dateTime: { $lte: now, $gte: new Date(now.getTime() - NO_SHOW_SCAN_DAYS * DAY_MS) },
+    })
+      .select("tenantId doctorId patientId status dateTime durationMinutes consultationType")
+      .lean();
+    if (candidates.length === 0) return { marked: [] };
+
+    const tenantIds = [...new Set(candidates.map((a) => String(a.tenantId)))];
+    const tenants = await Tenant.find({ _id: { $in: tenantIds } })
+      .select("settings.appointmentPolicy")
+      .lean();
+    const policies = new Map(tenants.map((t) => [String(t._id), resolveAppointmentPolicy(t)]));
+
+    const videoIds = candidates.filter((a) => a.consultationType === "video").map((a) => a._id);
+    const joinedSessions = videoIds.length
+      ? await VideoConsultation.find({ appointmentId: { $in: videoIds }, patientJoinedAt: { $ne: null } })
+        .select("appointmentId")
+        .lean()
+      : [];
+    const joined = new Set(joinedSessions.map((v) => String(v.appointmentId)));
+
+    const marked = [];
+    for (const a of candidates) {
+      const policy = policies.get(String(a.tenantId)) || resolveAppointmentPolicy();
+      if (!policy.autoNoShow || joined.has(String(a._id))) continue;
+
+      const graceEnds =
+        new Date(a.dateTime).getTime() + ((a.durationMinutes || 0) + policy.noShowGraceMinutes) * 60 * 1000;
+      if (graceEnds > now.getTime()) continue;
+
+      const res = await Appointment.updateOne(
+        { _id: a._id, status: a.status },
+        buildStatusUpdate(a.status, "NO_SHOW", { at: now, reason: "Not attended within the grace period" })
+      );
+      if (res.modifiedCount === 0) continue;
+      marked.push(a);
+    }
+
+    await this.#closeVideoSessions(this.#videoIds(marked));
+    return { marked };
+  }
+
+  /**
+   * Release online bookings whose fee wasn't paid before the hold ran out
+   * @returns {{ expired: object[] }}
+   */
+  async expireUnpaidHolds(now = new Date()) {
+    const candidates = await Appointment.find({
+      status: "PENDING",
+      "payment.status": "PENDING",
+      "payment.holdExpiresAt": { $lte: now },
+    })
+      .select("tenantId doctorId patientId dateTime consultationType payment")
+      .lean();
+
+    const expired = [];
+    for (const a of candidates) {
+      const res = await Appointment.updateOne(
+        { _id: a._id, status: "PENDING", "payment.status": "PENDING" },
+        buildStatusUpdate("PENDING", "CANCELLED", {
+          at: now,
+          reason: "Payment not completed in time",
+          set: {
+            "payment.status": "EXPIRED",
+            cancellation: {
+              at: now,
+              by: null,
+              role: null,
+              reason: "Payment not completed in time",
+              isLate: false,
+            },
+          },
+        })
+      );
+      if (res.modifiedCount === 0) continue;
+
+      if (a.payment?.paymentId) {
+        await Payment.updateOne(
+          { _id: a.payment.paymentId, status: "PENDING" },
+          { status: "FAILED", failureReason: "Booking hold expired" }
+        );
+      }
+      this.#releaseSlot(a.doctorId, a.dateTime);
+      expired.push(a);
+    }
+
+    await this.#closeVideoSessions(this.#videoIds(expired));
+    return { expired };
+  }
+
+  /**
+   * Book a weekly/biweekly series of visits at the same time of day
+   * - input: { doctorId, patientId, date, slot, frequency, occurrences?, until?,
+   *   consultationType?, patientInfo, notes?, skipConflicts?, createdBy, createdByRole,
+   *   kind?, sourceAppointmentId?, dependentId? }
+   * - every occurrence is checked against the schedule, other bookings and
+   *   waitlist holds; any conflict rejects the series unless skipConflicts is set
+   * @returns {{ series: object, appointments: object[], skipped: object[] }}
+   */
+  async createSeries(tenantId, input = {}) {
+    const {
+      doctorId,
+      patientId,
+      date,
+      slot,
+      frequency,
+      occurrences,
+      until,
+      consultationType,
+      notes,
+      skipConflicts = false,
+      createdBy = null,
+      createdByRole = "PATIENT",
+      kind = "RECURRING",
+      sourceAppointmentId = null,
+      dependentId = null,
+    } = input;
+
+    if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid clinic (tenantId).");
+    if (!this.#isValidObjectId(doctorId)) throw new Error("Invalid doctorId.");
+    if (!this.#isValidObjectId(patientId)) throw new Error("Invalid patientId.");
+    if (!TIME_REGEX.test(String(slot || ""))) throw new Error("Invalid slot. Use HH:mm.");
+
+    const freq = String(frequency || "").toUpperCase();
+    const plan = this.#buildSeriesDates(date, freq, { occurrences, until });
+    const type = consultationType === "video" ? "video" : "in-clinic";
+
+    const doctor = await Doctor.findById(doctorId).select("tenantId schedule availability").lean();
+    if (!doctor) throw new Error("Doctor not found.");
+    if (String(doctor.tenantId) !== String(tenantId)) {
+      throw new Error("Doctor does not belong to this clinic.");
+    }
+
+    if (createdByRole === "CLINIC_ADMIN" && !(await User.exists({ _id: patientId }))) {
+      throw new Error("Patient not found.");
+    }
+    const member = await this.#applyDependent(patientId, dependentId, this.#normalizePatientInfo(input));
+
+    // 1) Check every occurrence up front (same wall-clock time across DST changes)
+    const schedule = resolveSchedule(doctor);
+    const timeZone = await this.#timeZoneFor(tenantId);
+    const conflicts = [];
+    const free = [];
+    for (const [i, occurrenceDate] of plan.dates.entries()) {
+      const conflict = await this.#findSlotConflict({
+        doctorId: doctor._id,
+        patientId,
+        schedule,
+        timeZone,
+        date: occurrenceDate,
+        slot,
+      });
+      if (conflict) conflicts.push({ index: i + 1, date: occurrenceDate, slot, ...conflict });
+      else free.push({ index: i + 1, date: occurrenceDate });
+    }
+
+    if (free.length === 0 || (conflicts.length > 0 && !skipConflicts)) {
+      throw seriesConflictError(conflicts);
+    }
+
+    // 2) Book the free occurrences
+    const series = await AppointmentSeries.create({
+      tenantId,
+      doctorId,
+      patientId,
+      dependentId: member.dependentId,
+      kind,
+      sourceAppointmentId,
+      frequency: freq,
+      startDate: date,
+      slot,
+      occurrences: plan.occurrences,
+      untilDate: plan.untilDate,
+      consultationType: type,
+      notes: String(notes || "").trim().slice(0, 500),
+      createdBy,
+      createdByRole,
+    });
+
+    const appointments = [];
+    for (const occurrence of free) {
+      try {
+        appointments.push(
+          await this.createAppointment(tenantId, {
+            doctorId,
+            patientId,
+            date: occurrence.date,
+            slot,
+            consultationType: type,
+            patientInfo: member.patientInfo,
+            dependentId: member.dependentId,
+            seriesId: series._id,
+            seriesIndex: occurrence.index,
+            followUpOf: sourceAppointmentId,
+            bookedByRole: createdByRole,
+            bookedBy: createdBy,
+          })
+        );
+      } catch (err) {
+        if (err?.code !== "SLOT_TAKEN") {
+          await this.#discardSeries(series, appointments);
+          throw err;
+        }
+        // Lost a race for this slot since the check above
+        conflicts.push({ index: occurrence.index, date: occurrence.date, slot, reason: "BOOKED", message: err.message });
+        if (!skipConflicts) {
+          await this.#discardSeries(series, appointments);
+          throw seriesConflictError(conflicts);
+        }
+      }
+    }
+
+    if (appointments.length === 0) {
+      await this.#discardSeries(series, appointments);
+      throw seriesConflictError(conflicts);
+    }
+
+    return { series: series.toObject(), appointments, skipped: conflicts };
+  }
+
+  /**
+   * Doctor-initiated follow-up from a completed appointment (clinic side)
+   * - single visit, or a recurring follow-up when `frequency` is given
+   * - date defaults to the prescription's follow-up date
+   * @returns {{ series: object|null, appointments: object[], skipped: object[] }}
+   */
+  async createFollowUp(appointmentId, actor = {}, input = {}) {
+    if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+    if (!this.#isValidObjectId(actor.tenantId)) throw new Error("Invalid tenantId.");
+
+    const source = await Appointment.findOne({
+      _id: appointmentId,
+      tenantId: this.#toObjectId(actor.tenantId),
+    }).lean();
+    if (!source) throw new Error("Appointment not found for this clinic.");
+    if (source.status !== "COMPLETED") {
+      throw new Error("Follow-ups can only be created from a completed appointment.");
+    }
+
+    let date = String(input.date || "").trim();
+    if (!date) {
+      const prescription = await Prescription.findOne({ appointmentId: source._id })
+        .select("followUpDate")
+        .lean();
+      if (prescription?.followUpDate) {
+        date = new Date(prescription.followUpDate).toISOString().slice(0, 10);
+      }
+    }
+    const slot = String(input.slot || "").trim();
+    if (!date || !slot) throw new Error("date and slot are required for a follow-up.");
+
+    const base = {
+      doctorId: source.doctorId,
+      patientId: source.patientId,
+      dependentId: source.dependentId,
+      date,
+      slot,
+      consultationType: input.consultationType || source.consultationType,
+      patientInfo: source.patientInfo,
+    };
+
+    if (input.frequency) {
+      return this.createSeries(source.tenantId, {
+        ...base,
+        frequency: input.frequency,
+        occurrences: input.occurrences,
+        until: input.until,
+        notes: input.notes,
+        skipConflicts: Boolean(input.skipConflicts),
+        createdBy: actor.userId,
+        createdByRole: "CLINIC_ADMIN",
+        kind: "FOLLOW_UP",
+        sourceAppointmentId: source._id,
+      });
+    }
+
+    const dateTime = this.#parseDateTime(date, slot, await this.#timeZoneFor(source.tenantId));
+    if (!dateTime) throw new Error("Invalid date/slot.");
+    if (dateTime.getTime() <= Date.now()) throw new Error("Follow-up time must be in the future.");
+
+    const appointment = await this.createAppointment(source.tenantId, {
+      ...base,
+      followUpOf: source._id,
+      bookedByRole: "CLINIC_ADMIN",
+      bookedBy: actor.userId,
+    });
+    return { series: null, appointments: [appointment], skipped: [] };
+  }
+
+  /**
+   * Series details with all of its occurrences (owning patient or clinic)
+   */
+  async getSeries(seriesId, actor = {}) {
+    const series = await this.#loadSeriesFor(seriesId, actor);
+
+    const appointments = await Appointment.find({ seriesId: series._id })
+      .populate("doctorId", "name specialization image")
+      .sort({ seriesIndex: 1, dateTime: 1 })
+      .lean();
+
+    return { ...series.toObject(), appointments };
+  }
+
+  /**
+   * Cancel every upcoming occurrence of a series
+   * - for patients, visits inside the cancellation window stay booked (`kept`)
+   * @returns {{ series: object, cancelled: object[], kept: object[] }}
+   */
+  async cancelSeries(seriesId, actor = {}, { reason } = {}) {
+    const series = await this.#loadSeriesFor(seriesId, actor);
+    if (series.status === "CANCELLED") throw new Error("This series is already cancelled.");
+
+    const role = String(actor.role || "").toUpperCase();
+    const policy = await this.#loadPolicy(series.tenantId);
+    const upcoming = await this.#upcomingOccurrences(series._id);
+
+    const cancellable = [];
+    const kept = [];
+    for (const a of upcoming) {
+      const isLate = this.#isInsideCancellationWindow(a.dateTime, policy);
+      if (isLate && role === "PATIENT") kept.push(a);
+      else cancellable.push({ ...a, isLate });
+    }
+
+    const cleanReason = String(reason || "").trim().slice(0, 500);
+    if (role === "CLINIC_ADMIN" && !cleanReason) throw new Error("A reason is required to cancel a series.");
+
+    const cancelledAt = new Date();
+    for (const a of cancellable) {
+      await Appointment.updateOne(
+        { _id: a._id, status: a.status },
+        buildStatusUpdate(a.status, "CANCELLED", {
+          actor: { userId: actor.userId, role },
+          reason: cleanReason || "Series cancelled by the patient",
+          at: cancelledAt,
+          set: {
+            cancellation: { at: cancelledAt, by: actor.userId, role, reason: cleanReason, isLate: a.isLate },
+          },
+        })
+      );
+    }
+
+    series.status = "CANCELLED";
+    series.cancelledAt = cancelledAt;
+    series.cancelReason = cleanReason;
+    await series.save();
+
+    for (const a of cancellable) this.#releaseSlot(a.doctorId, a.dateTime);
+    await this.#closeVideoSessions(this.#videoIds(cancellable));
+
+    return {
+      series: series.toObject(),
+      cancelled: cancellable.map(({ isLate, ...a }) => ({ ...a, status: "CANCELLED" })),
+      kept,
+    };
+  }
+
+  /**
+   * Cancel one upcoming occurrence (same rules as cancelAppointment);
+   * the series ends with its last one
+   * @returns {{ series: object, appointment: object }}
+   */
+  async cancelSeriesOccurrence(seriesId, appointmentId, actor = {}, { reason } = {}) {
+    const series = await this.#loadSeriesFor(seriesId, actor);
+    if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+
+    const inSeries = await Appointment.exists({ _id: appointmentId, seriesId: series._id });
+    if (!inSeries) throw new Error("Appointment not found in this series.");
+
+    const cancelled = await this.cancelAppointment(appointmentId, actor, { reason });
+
+    const remaining = await Appointment.exists({
+      seriesId: series._id,
+      status: { $in: UPCOMING_STATUSES },
+      dateTime: { $gt: new Date() },
+    });
+    if (!remaining && series.status !== "CANCELLED") {
+      series.status = "CANCELLED";
+      series.cancelledAt = new Date();
+      await series.save();
+    }
+
+    return { series: series.toObject(), appointment: cancelled };
+  }
+
+  /**
+   * Move every upcoming occurrence of a series
+   * - date: new date for the next upcoming occurrence; later ones shift by the same days
+   * - slot: new time of day for all of them
+   * All moves are checked first; any conflict rejects the whole reschedule.
+   * @returns {{ series: object, moved: { appointment: object, previousDateTime: Date }[] }}
+   */
+  async rescheduleSeries(seriesId, actor = {}, { date, slot, reason } = {}) {
+    const series = await this.#loadSeriesFor(seriesId, actor);
+    if (series.status === "CANCELLED") throw new Error("Cannot reschedule a cancelled series.");
+
+    const newSlot = String(slot || "").trim();
+    const newDate = String(date || "").trim();
+    if (!newSlot && !newDate) throw new Error("Provide a new date and/or slot.");
+    if (newSlot && !TIME_REGEX.test(newSlot)) throw new Error("Invalid slot. Use HH:mm.");
+    if (newDate && !DATE_REGEX.test(newDate)) throw new Error("Invalid date. Use YYYY-MM-DD.");
+
+    const upcoming = await this.#upcomingOccurrences(series._id);
+    if (upcoming.length === 0) throw new Error("This series has no upcoming appointments.");
+
+    const timeZone = await this.#timeZoneFor(series.tenantId);
+    const anchor = getZonedDateSlot(upcoming[0].dateTime, timeZone);
+    const shiftDays = newDate ? Math.round((Date.parse(newDate) - Date.parse(anchor.date)) / DAY_MS) : 0;
+
+    const moves = upcoming
+      .map((appointment) => {
+        const current = getZonedDateSlot(appointment.dateTime, timeZone);
+        return {
+          appointment,
+          date: this.#addDays(current.date, shiftDays),
+          slot: newSlot || current.slot,
+          current,
+        };
+      })
+      .filter((m) => m.date !== m.current.date || m.slot !== m.current.slot);
+    if (moves.length === 0) throw new Error("The series is already booked for these times.");
+
+    const doctor = await Doctor.findById(series.doctorId).select("schedule availability").lean();
+    if (!doctor) throw new Error("Doctor not found.");
+    const schedule = resolveSchedule(doctor);
+
+    // Siblings are about to move too, so their current slots don't count as clashes
+    const ignoreIds = upcoming.map((a) => a._id);
+    const conflicts = [];
+    for (const m of moves) {
+      const conflict = await this.#findSlotConflict({
+        doctorId: series.doctorId,
+        patientId: series.patientId,
+        schedule,
+        timeZone,
+        date: m.date,
+        slot: m.slot,
+        ignoreIds,
+      });
+      if (conflict) {
+        conflicts.push({ index: m.appointment.seriesIndex, date: m.date, slot: m.slot, ...conflict });
+      }
+    }
+    if (conflicts.length > 0) throw seriesConflictError(conflicts);
+
+    // Move in an order that never lands on a sibling's not-yet-moved slot
+    const ordered = shiftDays > 0 ? [...moves].reverse() : moves;
+    const moved = [];
+    for (const m of ordered) {
+      try {
+        moved.push(
+          await this.rescheduleAppointment(m.appointment._id, actor, { date: m.date, slot: m.slot, reason })
+        );
+      } catch (err) {
+        if (moved.length === 0) throw err;
+        throw new Error(
+          `Rescheduled ${moved.length} of ${ordered.length} appointments; the rest could not be moved: ${err.message}`
+        );
+      }
+    }
+
+    if (newSlot && series.slot !== newSlot) {
+      series.slot = newSlot;
+      await series.save();
+    }
 
-    return Appointment.findOneAndUpdate(
-      { _id: appointmentId, tenantId: tId },
-      { status: "CANCELLED" },
-      { new: true }
-    ).lean();
+    return { series: series.toObject(), moved };
   }
 }
 
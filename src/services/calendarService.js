@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Appointment from "../models/appointmentModel.js";
+import Doctor from "../models/doctorModel.js";
+import User from "../models/userModel.js";
+import { SLOT_HOLDING_STATUSES } from "../utils/appointmentStatus.js";
+import { buildAppointmentEvent, buildCalendar, describeAppointmentEvent } from "../utils/icalendar.js";
+
+const TOKEN_REGEX = /^[A-Za-z0-9_-]{32}$/;
+
+// Visits from the last day stay in the feed so today's don't vanish once started
+const FEED_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const MAX_FEED_EVENTS = 500;
+
+class CalendarService {
+  // ---------- helpers ----------
+  #isValidObjectId(id) {
+    return Boolean(id) && mongoose.Types.ObjectId.isValid(id);
+  }
+
+  #newToken() {
+    return crypto.randomBytes(24).toString("base64url");
+  }
+
+  #upcomingQuery(filter) {
+    return Appointment.find({
+      ...filter,
+      status: { $in: SLOT_HOLDING_STATUSES },
+      dateTime: { $gte: new Date(Date.now() - FEED_LOOKBACK_MS) },
+    })
+      .select("tenantId doctorId patientInfo.name dateTime durationMinutes consultationType status rescheduleHistory")
+      .populate("tenantId", "name address")
+      .sort({ dateTime: 1 })
+      .limit(MAX_FEED_EVENTS)
+      .lean();
+  }
+
+  // ---------- feed tokens ----------
+
+  /**
+   * Feed token for a clinic's doctor, created on first use
+   * @param {{ rotate?: boolean }} [options] rotate invalidates the old URL
+   */
+  async getDoctorFeedToken(tenantId, doctorId, { rotate = false } = {}) {
+    if (!this.#isValidObjectId(doctorId)) throw new Error("Invalid doctorId.");
+
+    const doctor = await Doctor.findOne({ _id: doctorId, tenantId }).select("+calendarFeedToken");
+    if (!doctor) throw new Error("Doctor not found.");
+
+    if (!doctor.calendarFeedToken || rotate) {
+      doctor.calendarFeedToken = this.#newToken();
+      await doctor.save({ validateBeforeSave: false });
+    }
+    return doctor.calendarFeedToken;
+  }
+
+  /**
+   * Feed token for a patient's own appointments, created on first use
+   */
+  async getPatientFeedToken(userId, { rotate = false } = {}) {
+    if (!this.#isValidObjectId(userId)) throw new Error("Invalid userId.");
+
+    const user = await User.findById(userId).select("+calendarFeedToken");
+    if (!user) throw new Error("User not found.");
+
+    if (!user.calendarFeedToken || rotate) {
+      user.calendarFeedToken = this.#newToken();
+      await user.save({ validateBeforeSave: false });
+    }
+    return user.calendarFeedToken;
+  }
+
+  // ---------- feeds ----------
+
+  /**
+   * ICS feed of a doctor's upcoming appointments, or null for an unknown token
+   */
+  async buildDoctorFeed(token) {
+    if (!TOKEN_REGEX.test(String(token || ""))) return null;
+
+    const doctor = await Doctor.findOne({ calendarFeedToken: token }).select("name tenantId").lean();
+    if (!doctor) return null;
+
+    const appointments = await this.#upcomingQuery({ doctorId: doctor._id });
+    const events = appointments.map((a) =>
+      buildAppointmentEvent(
+        a,
+        describeAppointmentEvent(a, { audience: "DOCTOR", doctorName: doctor.name, clinic: a.tenantId })
+      )
+    );
+    return buildCalendar(events, { name: `Dr. ${doctor.name} — Appointments` });
+  }
+
+  /**
+   * ICS feed of a patient's upcoming appointments at every clinic, or null
+   */
+  async buildPatientFeed(token) {
+    if (!TOKEN_REGEX.test(String(token || ""))) return null;
+
+    const user = await User.findOne({ calendarFeedToken: token }).select("name").lean();
+    if (!user) return null;
+
+    const appointments = await this.#upcomingQuery({ patientId: user._id });
+    const doctorIds = [...new Set(appointments.map((a) => String(a.doctorId)))];
+    const doctors = await Doctor.find({ _id: { $in: doctorIds } })
+      .setOptions({ includeDeleted: true })
+      .select("name")
+      .lean();
+    const doctorNames = new Map(doctors.map((d) => [String(d._id), d.name]));
+
+    const events = appointments.map((a) =>
+      buildAppointmentEvent(
+        a,
+        describeAppointmentEvent(a, {
+          audience: "PATIENT",
+          doctorName: doctorNames.get(String(a.doctorId)),
+          clinic: a.tenantId,
+        })
+      )
+    );
+    return buildCalendar(events, { name: "My Appointments" });
+  }
+}
+
+export default new CalendarService();
@@ -3,6 +3,7 @@ import Doctor from "../models/doctorModel.js";
 import Appointment from "../models/appointmentModel.js";
 import Ticket from "../models/ticketModel.js";
 import Tenant from "../models/tenantModel.js";
+import KnowledgeService from "./knowledgeService.js";
 import mongoose from "mongoose";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 
@@ -147,6 +148,10 @@ When recommending doctors or actions, use this JSON block at the END of your mes
 
 Only include ACTION blocks when relevant. Your human-readable message should be complete without them.`;
 
+// How many knowledge base chunks to inject per reply
+const RAG_TOP_K = 4;
+const RAG_EXCERPT_CHARS = 280;
+
 /* =========================================================
    Chatbot Service
 ========================================================= */
@@ -177,6 +182,7 @@ class ChatbotService {
       specialization: regex,
       isActive: true,
       isDeleted: { $ne: true },
+      verificationStatus: "VERIFIED",
       status: { $in: ["On Duty", "On Break"] },
     })
       .select("name specialization consultationFee experience availability image tenantId")
@@ -185,6 +191,46 @@ class ChatbotService {
       .lean();
   }
 
+  /* ---------- Retrieve knowledge base context ---------- */
+  async #retrieveKnowledge(session, message) {
+    try {
+      // Include recent symptoms so short follow-ups ("what about fees?") still match
+      const query = [message, ...(session.context.symptoms || []).slice(-3)].join(" ");
+      const hits = await KnowledgeService.search(query, { limit: RAG_TOP_K });
+      return hits.map((h, i) => ({ ...h, index: i + 1 }));
+    } catch (err) {
+      console.error("Knowledge retrieval failed:", err.message);
+      return [];
+    }
+  }
+
+  #buildKnowledgePrompt(knowledge) {
+    if (knowledge.length === 0) return "";
+
+    const blocks = knowledge
+      .map((k) => `[${k.index}] ${k.title}\n${k.content}`)
+      .join("\n\n");
+
+    return `\n\n## Knowledge Base (clinic policies, FAQs and reference material):
+${blocks}
+
+When your answer uses the knowledge base above, rely on it over general knowledge and cite the source number inline, e.g. [1]. Do not cite sources you did not use.`;
+  }
+
+  #toRagSources(knowledge) {
+    return knowledge.map((k) => ({
+      index: k.index,
+      docId: k.docId,
+      title: k.title,
+      category: k.category,
+      chunkIndex: k.chunkIndex,
+      excerpt: k.content.length > RAG_EXCERPT_CHARS
+        ? `${k.content.slice(0, RAG_EXCERPT_CHARS).trim()}…`
+        : k.content,
+      score: k.score,
+    }));
+  }
+
   /* ---------- Parse ACTION blocks from LLM response ---------- */
   #parseActions(text) {
     const actions = [];
@@ -248,7 +294,7 @@ class ChatbotService {
 
 
   /* ---------- Generate LLM response ---------- */
-  async #generateLLMResponse(session) {
+  async #generateLLMResponse(session, knowledge = []) {
     // Build conversation history for Gemini (last 20 messages for context window)
     const recentMessages = session.messages.slice(-20);
     const conversationParts = recentMessages.map((m) => ({
@@ -276,7 +322,7 @@ class ChatbotService {
 
     const chat = geminiModel.startChat({
       history: conversationParts.slice(0, -1), // all but last
-      systemInstruction: { parts: [{ text: SYSTEM_PROMPT + contextInfo }] },
+      systemInstruction: { parts: [{ text: SYSTEM_PROMPT + contextInfo + this.#buildKnowledgePrompt(knowledge) }] },
     });
 
     const lastMsg = conversationParts[conversationParts.length - 1];
@@ -285,7 +331,7 @@ class ChatbotService {
   }
 
   /* ---------- Rule-based fallback (no API key) ---------- */
-  #generateRuleResponse(message, sessionContext) {
+  #generateRuleResponse(message, sessionContext, knowledge = []) {
     const lower = message.toLowerCase();
 
     // Emergency check
@@ -355,6 +401,15 @@ class ChatbotService {
       };
     }
 
+    // Knowledge base match (policies, FAQs)
+    if (knowledge.length > 0) {
+      const top = knowledge[0];
+      return {
+        content: `Here's what I found in our knowledge base:\n\n${top.content} [${top.index}]\n\nDoes that answer your question? If not, tell me a bit more and I'll help further.`,
+        usedKnowledge: [top],
+      };
+    }
+
     // Default: ask for more details
     return {
       content: "I'd like to help you better. Could you describe your symptoms in more detail? For example:\n\n• **What** are you feeling? (pain, discomfort, etc.)\n• **Where** in your body?\n• **How long** has it been going on?\n• **How severe** is it? (mild, moderate, severe)\n\nThe more details you share, the better I can guide you to the right specialist. 🩺",
@@ -425,21 +480,27 @@ class ChatbotService {
 
 
 
+    // ── Retrieve knowledge base context (RAG) ──
+    const knowledge = await this.#retrieveKnowledge(session, message);
+    let usedKnowledge = [];
+
     // ── Generate response ──
     if (geminiModel) {
       try {
-        const rawResponse = await this.#generateLLMResponse(session);
+        const rawResponse = await this.#generateLLMResponse(session, knowledge);
         const { cleanText, actions } = this.#parseActions(rawResponse);
         responseText = cleanText;
+        usedKnowledge = knowledge;
 
         // Process any actions the LLM requested
         const extraText = await this.#processActions(actions, session, userId);
         responseText += extraText;
       } catch (err) {
         console.error("Gemini API error, falling back to rules:", err.message);
-        const fallback = this.#generateRuleResponse(message, session.context);
+        const fallback = this.#generateRuleResponse(message, session.context, knowledge);
         const { cleanText, actions } = this.#parseActions(fallback.content);
         responseText = cleanText;
+        usedKnowledge = fallback.usedKnowledge || [];
         const extraText = await this.#processActions(actions, session, userId);
         responseText += extraText;
         if (fallback.symptoms) session.context.symptoms = fallback.symptoms;
@@ -447,9 +508,10 @@ class ChatbotService {
       }
     } else {
       // No API key — use rule-based engine
-      const fallback = this.#generateRuleResponse(message, session.context);
+      const fallback = this.#generateRuleResponse(message, session.context, knowledge);
       const { cleanText, actions } = this.#parseActions(fallback.content);
       responseText = cleanText;
+      usedKnowledge = fallback.usedKnowledge || [];
       const extraText = await this.#processActions(actions, session, userId);
       responseText += extraText;
       if (fallback.symptoms) session.context.symptoms = fallback.symptoms;
@@ -457,8 +519,17 @@ class ChatbotService {
       if (fallback.isEmergency) session.context.isEmergency = true;
     }
 
+    // Only keep sources the reply actually cites
+    const ragSources = this.#toRagSources(
+      usedKnowledge.filter((k) => responseText.includes(`[${k.index}]`))
+    );
+
     // Add assistant response
-    session.messages.push({ role: "assistant", content: responseText });
+    session.messages.push({
+      role: "assistant",
+      content: responseText,
+      sources: ragSources.map(({ index, docId, title, chunkIndex }) => ({ index, docId, title, chunkIndex })),
+    });
 
     // Auto-title from first detected symptoms
     if (session.title === "New Chat" && session.context.symptoms?.length > 0) {
@@ -474,7 +545,7 @@ class ChatbotService {
       session: { _id: session._id, title: session.title },
       messages: session.messages,
       context: session.context,
-
+      ragSources,
     };
   }
 
@@ -0,0 +1,260 @@
+import mongoose from "mongoose";
+import Coupon from "../models/couponModel.js";
+import Payment from "../models/paymentModel.js";
+
+/* =========================================================
+   Utils
+========================================================= */
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+export const normalizeCouponCode = (v) => String(v || "").trim().toUpperCase();
+
+// Razorpay rejects orders below ₹1
+const MIN_PAYABLE_PAISE = 100;
+
+const EDITABLE_FIELDS = [
+  "description",
+  "discountType",
+  "value",
+  "maxDiscountRupees",
+  "validFrom",
+  "validUntil",
+  "maxRedemptions",
+  "perTenantLimit",
+  "applicablePlans",
+  "applicableCycles",
+  "isActive",
+];
+
+const pickEditable = (data = {}) => {
+  const out = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (data[key] !== undefined) out[key] = data[key];
+  }
+  if (out.discountType) out.discountType = String(out.discountType).trim().toUpperCase();
+  if (Array.isArray(out.applicablePlans)) {
+    out.applicablePlans = out.applicablePlans.map((p) => String(p).trim().toUpperCase());
+  }
+  if (Array.isArray(out.applicableCycles)) {
+    out.applicableCycles = out.applicableCycles.map((c) => String(c).trim().toLowerCase());
+  }
+  return out;
+};
+
+/**
+ * Redemptions a tenant has used: every counted payment, refunded or not,
+ * including manual submissions awaiting review (see recordCouponRedemption)
+ */
+const tenantUsage = (coupon, tenantId) => Number(coupon.tenantRedemptions?.[String(tenantId)]) || 0;
+
+/**
+ * Discount in paise for a given amount (never more than the amount itself)
+ */
+export const computeDiscountPaise = (coupon, amountPaise) => {
+  let discount;
+  if (coupon.discountType === "PERCENTAGE") {
+    discount = Math.round((amountPaise * Number(coupon.value)) / 100);
+    if (coupon.maxDiscountRupees != null) {
+      discount = Math.min(discount, Math.round(Number(coupon.maxDiscountRupees) * 100));
+    }
+  } else {
+    discount = Math.round(Number(coupon.value) * 100);
+  }
+  return Math.max(0, Math.min(discount, amountPaise));
+};
+
+/* =========================================================
+   1) Validate + price a coupon for a subscription purchase
+   - Throws with a user-facing message when not applicable
+========================================================= */
+export const resolveCouponForPurchase = async ({
+  code,
+  tenantId,
+  planCode,
+  billingCycle,
+  amountPaise,
+}) => {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) throw new Error("Coupon code is required.");
+
+  const coupon = await Coupon.findOne({ code: normalized }).lean();
+  if (!coupon || !coupon.isActive) throw new Error("Invalid or inactive coupon code.");
+
+  const now = new Date();
+  if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+    throw new Error("This coupon is not active yet.");
+  }
+  if (coupon.validUntil && now > new Date(coupon.validUntil)) {
+    throw new Error("This coupon has expired.");
+  }
+
+  if (coupon.maxRedemptions != null && coupon.redemptionCount >= coupon.maxRedemptions) {
+    throw new Error("This coupon has reached its redemption limit.");
+  }
+
+  if (planCode && coupon.applicablePlans?.length && !coupon.applicablePlans.includes(planCode)) {
+    throw new Error(`This coupon is not valid for the ${planCode} plan.`);
+  }
+  if (
+    billingCycle &&
+    coupon.applicableCycles?.length &&
+    !coupon.applicableCycles.includes(billingCycle)
+  ) {
+    throw new Error(`This coupon is not valid for ${billingCycle} billing.`);
+  }
+
+  if (tenantId && tenantUsage(coupon, tenantId) >= (coupon.perTenantLimit || 1)) {
+    throw new Error("This coupon has already been used by your clinic.");
+  }
+
+  if (amountPaise === undefined) return { coupon };
+
+  const discountPaise = computeDiscountPaise(coupon, amountPaise);
+  const finalAmountPaise = amountPaise - discountPaise;
+  if (finalAmountPaise < MIN_PAYABLE_PAISE) {
+    throw new Error("Discounted amount is below the minimum payable amount of ₹1.");
+  }
+
+  return {
+    coupon,
+    discountPaise,
+    finalAmountPaise,
+    snapshot: {
+      couponId: coupon._id,
+      code: coupon.code,
+      discountType: coupon.discountType,
+      value: coupon.value,
+      originalAmountPaise: amountPaise,
+      discountPaise,
+    },
+  };
+};
+
+/* =========================================================
+   2) Record a redemption (idempotent per payment)
+   - Marks payment.coupon.redeemedAt, then bumps the counters
+   - The counters only move while under maxRedemptions and the
+     tenant's perTenantLimit, so concurrent purchases can't overshoot
+     either cap; when one is full the mark is undone and the
+     redemption fails with COUPON_EXHAUSTED
+========================================================= */
+export const recordCouponRedemption = async (paymentId) => {
+  const marked = await Payment.updateOne(
+    { _id: paymentId, "coupon.couponId": { $ne: null }, "coupon.redeemedAt": null },
+    { $set: { "coupon.redeemedAt": new Date() } }
+  );
+  if (marked.modifiedCount === 0) return false;
+
+  const payment = await Payment.findById(paymentId).select("tenantId coupon.couponId").lean();
+  const tenantKey = `tenantRedemptions.${payment.tenantId}`;
+  const counted = await Coupon.updateOne(
+    {
+      _id: payment.coupon.couponId,
+      $and: [
+        {
+          $or: [
+            { maxRedemptions: null },
+            { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } },
+          ],
+        },
+        { $expr: { $lt: [{ $ifNull: [`$${tenantKey}`, 0] }, { $ifNull: ["$perTenantLimit", 1] }] } },
+      ],
+    },
+    { $inc: { redemptionCount: 1, [tenantKey]: 1 } }
+  );
+
+  if (counted.modifiedCount === 0) {
+    await Payment.updateOne({ _id: paymentId }, { $set: { "coupon.redeemedAt": null } });
+    const coupon = await Coupon.findById(payment.coupon.couponId).lean();
+    const tenantFull = coupon && tenantUsage(coupon, payment.tenantId) >= (coupon.perTenantLimit || 1);
+    throw Object.assign(
+      new Error(
+        tenantFull
+          ? "This coupon has already been used by your clinic."
+          : "This coupon has reached its redemption limit."
+      ),
+      { code: "COUPON_EXHAUSTED" }
+    );
+  }
+  return true;
+};
+
+/* =========================================================
+   2b) Release a redemption (e.g. manual payment rejected)
+   - Only a payment that was counted gives its redemption back
+========================================================= */
+export const releaseCouponRedemption = async (paymentId) => {
+  const unmarked = await Payment.updateOne(
+    { _id: paymentId, "coupon.couponId": { $ne: null }, "coupon.redeemedAt": { $ne: null } },
+    { $set: { "coupon.redeemedAt": null } }
+  );
+  if (unmarked.modifiedCount === 0) return false;
+
+  const payment = await Payment.findById(paymentId).select("tenantId coupon.couponId").lean();
+  const tenantKey = `tenantRedemptions.${payment.tenantId}`;
+  await Coupon.updateOne(
+    { _id: payment.coupon.couponId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+  await Coupon.updateOne(
+    { _id: payment.coupon.couponId, [tenantKey]: { $gt: 0 } },
+    { $inc: { [tenantKey]: -1 } }
+  );
+  return true;
+};
+
+/* =========================================================
+   3) Admin CRUD
+========================================================= */
+export const createCouponService = async (data = {}, adminId = null) => {
+  const code = normalizeCouponCode(data.code);
+  if (!code) throw new Error("Coupon code is required.");
+
+  const exists = await Coupon.exists({ code });
+  if (exists) throw new Error(`Coupon "${code}" already exists.`);
+
+  const coupon = await Coupon.create({
+    ...pickEditable(data),
+    code,
+    createdBy: adminId && isValidObjectId(adminId) ? adminId : null,
+  });
+  return coupon.toObject();
+};
+
+export const listCouponsService = async ({ active } = {}) => {
+  const filter = {};
+  if (active === "true" || active === true) filter.isActive = true;
+  if (active === "false" || active === false) filter.isActive = false;
+
+  return Coupon.find(filter).sort({ createdAt: -1 }).lean();
+};
+
+export const getCouponService = async (couponId) => {
+  if (!isValidObjectId(couponId)) throw new Error("Invalid coupon id.");
+  const coupon = await Coupon.findById(couponId).lean();
+  if (!coupon) throw new Error("Coupon not found.");
+  return coupon;
+};
+
+export const updateCouponService = async (couponId, data = {}) => {
+  if (!isValidObjectId(couponId)) throw new Error("Invalid coupon id.");
+
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) throw new Error("Coupon not found.");
+
+  coupon.set(pickEditable(data));
+  await coupon.save();
+  return coupon.toObject();
+};
+
+export const deactivateCouponService = async (couponId) => {
+  if (!isValidObjectId(couponId)) throw new Error("Invalid coupon id.");
+
+  const coupon = await Coupon.findByIdAndUpdate(
+    couponId,
+    { $set: { isActive: false } },
+    { new: true }
+  ).lean();
+  if (!coupon) throw new Error("Coupon not found.");
+  return coupon;
+};
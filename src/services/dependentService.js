@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import Dependent, { DEPENDENT_RELATIONSHIPS } from "../models/dependentModel.js";
+
+const MAX_DEPENDENTS = 10;
+const GENDERS = ["MALE", "FEMALE", "OTHER", "PREFER_NOT_TO_SAY"];
+const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+
+// Public fields for a dependent profile
+const PROFILE_FIELDS = "name relationship dob gender bloodGroup isActive createdAt";
+
+class DependentService {
+  // ---------- helpers ----------
+  #isValidObjectId(id) {
+    return Boolean(id) && mongoose.Types.ObjectId.isValid(id);
+  }
+
+  #clean(value, max = 200) {
+    return String(value ?? "").trim().slice(0, max);
+  }
+
+  /**
+   * Validate profile input. With `partial`, only the fields present are checked.
+   */
+  #normalize(input = {}, { partial = false } = {}) {
+    const data = {};
+    const has = (key) => !partial || input[key] !== undefined;
+
+    if (has("name")) {
+      data.name = this.#clean(input.name, 100);
+      if (!data.name) throw new Error("Name is required.");
+    }
+
+    if (has("relationship")) {
+      data.relationship = String(input.relationship || "").toUpperCase();
+      if (!DEPENDENT_RELATIONSHIPS.includes(data.relationship)) {
+        throw new Error(`Relationship must be one of ${DEPENDENT_RELATIONSHIPS.join(", ")}.`);
+      }
+    }
+
+    if (input.dob !== undefined) {
+      if (input.dob === "" || input.dob === null) {
+        data.dob = null;
+      } else {
+        const dob = new Date(input.dob);
+        if (Number.isNaN(dob.getTime())) throw new Error("Invalid date of birth.");
+        if (dob.getTime() > Date.now()) throw new Error("Date of birth cannot be in the future.");
+        data.dob = dob;
+      }
+    }
+
+    if (input.gender !== undefined) {
+      data.gender = input.gender ? String(input.gender).toUpperCase() : null;
+      if (data.gender && !GENDERS.includes(data.gender)) throw new Error("Invalid gender.");
+    }
+
+    if (input.bloodGroup !== undefined) {
+      data.bloodGroup = input.bloodGroup ? String(input.bloodGroup).trim().toUpperCase() : null;
+      if (data.bloodGroup && !BLOOD_GROUPS.includes(data.bloodGroup)) {
+        throw new Error("Invalid blood group.");
+      }
+    }
+
+    return data;
+  }
+
+  // ---------- patient actions ----------
+
+  async listForOwner(ownerId) {
+    if (!this.#isValidObjectId(ownerId)) throw new Error("Invalid user.");
+    return Dependent.find({ ownerId, isActive: true }).select(PROFILE_FIELDS).sort({ createdAt: 1 }).lean();
+  }
+
+  async create(ownerId, input) {
+    if (!this.#isValidObjectId(ownerId)) throw new Error("Invalid user.");
+
+    const data = this.#normalize(input);
+    const count = await Dependent.countDocuments({ ownerId, isActive: true });
+    if (count >= MAX_DEPENDENTS) throw new Error(`You can add at most ${MAX_DEPENDENTS} family members.`);
+
+    const dependent = await Dependent.create({ ...data, ownerId });
+    return this.getOwned(ownerId, dependent._id);
+  }
+
+  async update(ownerId, dependentId, input) {
+    const data = this.#normalize(input, { partial: true });
+    if (Object.keys(data).length === 0) throw new Error("Nothing to update.");
+
+    await this.getOwned(ownerId, dependentId);
+    return Dependent.findByIdAndUpdate(dependentId, { $set: data }, { new: true })
+      .select(PROFILE_FIELDS)
+      .lean();
+  }
+
+  /**
+   * Deactivate a profile. Its appointments and prescriptions are kept.
+   */
+  async remove(ownerId, dependentId) {
+    await this.getOwned(ownerId, dependentId);
+    await Dependent.updateOne({ _id: dependentId }, { $set: { isActive: false } });
+  }
+
+  // ---------- used by booking / history ----------
+
+  /**
+   * An active dependent of this account holder, or throws
+   */
+  async getOwned(ownerId, dependentId) {
+    if (!this.#isValidObjectId(dependentId)) throw new Error("Invalid dependentId.");
+
+    const dependent = await Dependent.findOne({ _id: dependentId, ownerId, isActive: true })
+      .select(PROFILE_FIELDS)
+      .lean();
+    if (!dependent) throw new Error("Family member not found.");
+    return dependent;
+  }
+
+  /**
+   * Query filter for one family member's history:
+   * undefined/"" → everyone, "self" → the account holder, otherwise a dependent id.
+   * Removed dependents are still filterable so their history stays reachable.
+   * @returns {Promise<object>} to spread into a query on { patientId, dependentId }
+   */
+  async resolveMemberFilter(ownerId, member) {
+    if (member === undefined || member === null || member === "") return {};
+    if (String(member).toLowerCase() === "self") return { dependentId: null };
+
+    if (!this.#isValidObjectId(member)) throw new Error("Invalid family member.");
+    const exists = await Dependent.exists({ _id: member, ownerId });
+    if (!exists) throw new Error("Family member not found.");
+    return { dependentId: new mongoose.Types.ObjectId(String(member)) };
+  }
+}
+
+export default new DependentService();
@@ -0,0 +1,283 @@
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import Doctor from "../models/doctorModel.js";
+import User from "../models/userModel.js";
+import Tenant from "../models/tenantModel.js";
+import Appointment from "../models/appointmentModel.js";
+import VideoConsultation from "../models/videoConsultationModel.js";
+import AppointmentService from "./appointmentService.js";
+import doctorService, { hashInvitationToken } from "./doctorService.js";
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NOTES_LENGTH = 2000;
+
+// Reception confirms and checks patients in; cancellations stay with the clinic
+const DOCTOR_STATUSES = ["IN_CONSULTATION", "COMPLETED", "NO_SHOW"];
+
+const PROFILE_FIELDS =
+  "tenantId userId name email regNo phoneNumber specialization consultationFee education " +
+  "experience status availability schedule image rating isActive";
+
+class DoctorPortalService {
+  // ---------- helpers ----------
+  #isValidObjectId(id) {
+    return Boolean(id) && mongoose.Types.ObjectId.isValid(id);
+  }
+
+  #userId(user = {}) {
+    return user._id || user.id || null;
+  }
+
+  // Appointment without the clinic's billing fields
+  #withoutBilling({ payment, ...appointment }) {
+    return appointment;
+  }
+
+  async #findInvitedDoctor(token) {
+    const raw = String(token || "").trim();
+    if (!raw) throw new Error("Invitation token is required.");
+
+    const doctor = await Doctor.findOne({ "invitation.tokenHash": hashInvitationToken(raw) })
+      .select("tenantId userId name email phoneNumber specialization invitation")
+      .populate("tenantId", "name isActive")
+      .lean();
+    if (!doctor || doctor.userId) throw new Error("Invitation not found or already used.");
+    if (!doctor.invitation?.expiresAt || new Date(doctor.invitation.expiresAt).getTime() < Date.now()) {
+      throw new Error("This invitation has expired. Ask your clinic to send a new one.");
+    }
+    return doctor;
+  }
+
+  /**
+   * The practitioner profile behind a DOCTOR login at one clinic, or throws.
+   * user.clinicId picks one of the doctor's clinics (default: the account's own).
+   * Archived or deactivated profiles lose portal access immediately.
+   */
+  async #loadDoctor(user = {}) {
+    if (String(user.role || "").toUpperCase() !== "DOCTOR") {
+      throw new Error("Your account is not linked to a practitioner profile.");
+    }
+    const tenantId = user.clinicId || user.tenantId;
+    if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid clinicId.");
+
+    const doctor = await Doctor.findOne({
+      tenantId,
+      userId: this.#userId(user),
+    })
+      .select(PROFILE_FIELDS)
+      .lean();
+    if (!doctor || doctor.isActive === false) {
+      throw new Error("Your practitioner profile is not active. Please contact your clinic.");
+    }
+    return doctor;
+  }
+
+  async #loadOwnAppointment(doctor, appointmentId) {
+    if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+
+    const appointment = await Appointment.findOne({
+      _id: appointmentId,
+      tenantId: doctor.tenantId,
+      doctorId: doctor._id,
+    }).lean();
+    if (!appointment) throw new Error("Appointment not found.");
+    return appointment;
+  }
+
+  // Link only if no concurrent acceptance got there first
+  async #linkAccount(doctor, user, token) {
+    const linked = await Doctor.findOneAndUpdate(
+      { _id: doctor._id, userId: null, "invitation.tokenHash": hashInvitationToken(String(token).trim()) },
+      {
+        $set: { userId: user._id, "invitation.acceptedAt": new Date() },
+        $unset: { "invitation.tokenHash": 1 },
+      },
+      { new: true }
+    ).lean();
+    if (!linked) throw new Error("Invitation not found or already used.");
+  }
+
+  // ---------- invitations (public, token in link) ----------
+
+  async getInvitation(token) {
+    const doctor = await this.#findInvitedDoctor(token);
+    return {
+      name: doctor.name,
+      email: doctor.email,
+      specialization: doctor.specialization,
+      clinicName: doctor.tenantId?.name || "",
+      expiresAt: doctor.invitation.expiresAt,
+      // Doctors already on the portal (via another clinic) sign in instead of choosing a password
+      hasAccount: Boolean(await User.exists({ email: doctor.email, role: "DOCTOR" })),
+    };
+  }
+
+  /**
+   * Accept an invitation: set a password and create the DOCTOR login, or,
+   * for a doctor already on the portal through another clinic, confirm the
+   * existing password and add this clinic to that account.
+   * Accepting is what puts this clinic's profile on the doctor's identity, so
+   * its bookings are checked against their other clinics' calendars.
+   * The token is single-use: it is cleared when the account is linked.
+   * @returns {Promise<object>} the new or existing user
+   */
+  async acceptInvitation(token, { password } = {}) {
+    const doctor = await this.#findInvitedDoctor(token);
+
+    if (!doctor.tenantId || doctor.tenantId.isActive === false) {
+      throw new Error("Clinic access suspended. Please contact support.");
+    }
+
+    const emailInUse = Object.assign(
+      new Error("An account with this email already exists. Ask your clinic to invite a different email."),
+      { code: "EMAIL_IN_USE" }
+    );
+
+    const existing = await User.findOne({ email: doctor.email }).select("+password");
+    if (existing) {
+      if (existing.role !== "DOCTOR") throw emailInUse;
+      if (!(await bcrypt.compare(String(password || ""), existing.password))) {
+        throw Object.assign(new Error("Incorrect password for your existing portal account."), {
+          code: "INVALID_CREDENTIALS",
+        });
+      }
+      await this.#linkAccount(doctor, existing, token);
+      await doctorService.joinAccountIdentity(doctor._id, existing._id);
+      return existing;
+    }
+
+    if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        name: doctor.name,
+        email: doctor.email,
+        password: await bcrypt.hash(String(password), 12),
+        role: "DOCTOR",
+        tenantId: doctor.tenantId._id,
+        doctorId: doctor._id,
+        phoneNumber: doctor.phoneNumber || null,
+        isVerified: true, // the invitation went to this address
+      });
+    } catch (err) {
+      if (err?.code === 11000) throw emailInUse;
+      throw err;
+    }
+
+    try {
+      await this.#linkAccount(doctor, user, token);
+    } catch (err) {
+      await User.deleteOne({ _id: user._id });
+      throw err;
+    }
+    await doctorService.joinAccountIdentity(doctor._id, user._id);
+    return user;
+  }
+
+  // ---------- doctor portal ----------
+
+  /**
+   * Profile at the selected clinic, plus every clinic the doctor works at
+   */
+  async getProfile(user) {
+    const doctor = await this.#loadDoctor(user);
+    const [clinic, affiliations] = await Promise.all([
+      Tenant.findById(doctor.tenantId).select("name slug address settings.timezone").lean(),
+      Doctor.find({ userId: this.#userId(user) })
+        .select("tenantId specialization consultationFee status isActive verificationStatus")
+        .populate("tenantId", "name slug")
+        .lean(),
+    ]);
+    return { ...doctor, clinic, affiliations };
+  }
+
+  async updateSchedule(user, schedule) {
+    const doctor = await this.#loadDoctor(user);
+    return doctorService.updateDoctorSchedule(doctor.tenantId, doctor._id, schedule);
+  }
+
+  /**
+   * The doctor's own appointments; same filters as the clinic list
+   * except paymentStatus, and without payment details
+   */
+  async listAppointments(user, query = {}) {
+    const doctor = await this.#loadDoctor(user);
+    const { paymentStatus, doctorId, clinicId, ...filters } = query;
+
+    const { appointments, pagination } = await AppointmentService.searchTenantAppointments(
+      doctor.tenantId,
+      { ...filters, doctorId: String(doctor._id) }
+    );
+    return { appointments: appointments.map((a) => this.#withoutBilling(a)), pagination };
+  }
+
+  async getAppointment(user, appointmentId) {
+    const doctor = await this.#loadDoctor(user);
+    if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+
+    const appointment = await Appointment.findOne({
+      _id: appointmentId,
+      tenantId: doctor.tenantId,
+      doctorId: doctor._id,
+    })
+      .populate("patientId", "name email phoneNumber dob gender bloodGroup")
+      .populate("dependentId", "name relationship dob gender bloodGroup")
+      .lean();
+    if (!appointment) throw new Error("Appointment not found.");
+    return this.#withoutBilling(appointment);
+  }
+
+  /**
+   * Start, complete or mark a visit as a no-show (see utils/appointmentStatus.js)
+   */
+  async updateAppointmentStatus(user, appointmentId, status, { reason } = {}) {
+    const normalized = String(status || "").toUpperCase();
+    if (!DOCTOR_STATUSES.includes(normalized)) {
+      throw new Error(`Status must be one of ${DOCTOR_STATUSES.join(", ")}.`);
+    }
+
+    const doctor = await this.#loadDoctor(user);
+    await this.#loadOwnAppointment(doctor, appointmentId);
+
+    const updated = await AppointmentService.updateStatus(
+      doctor.tenantId,
+      appointmentId,
+      normalized,
+      { userId: this.#userId(user), role: "DOCTOR" },
+      { reason }
+    );
+    return this.#withoutBilling(updated);
+  }
+
+  /**
+   * Replace the consultation notes; video visits keep the session's copy in sync
+   */
+  async saveNotes(user, appointmentId, notes) {
+    const text = String(notes ?? "").trim();
+    if (text.length > MAX_NOTES_LENGTH) {
+      throw new Error(`Notes must be ${MAX_NOTES_LENGTH} characters or fewer.`);
+    }
+
+    const doctor = await this.#loadDoctor(user);
+    const appointment = await this.#loadOwnAppointment(doctor, appointmentId);
+    if (appointment.status === "CANCELLED") throw new Error("Cannot add notes to a cancelled appointment.");
+
+    const updated = await Appointment.findByIdAndUpdate(
+      appointment._id,
+      { $set: { doctorNotes: text } },
+      { new: true }
+    )
+      .select("status consultationType doctorNotes updatedAt")
+      .lean();
+
+    if (appointment.consultationType === "video") {
+      await VideoConsultation.updateOne({ appointmentId: appointment._id }, { $set: { doctorNotes: text } });
+    }
+    return updated;
+  }
+}
+
+export default new DoctorPortalService();
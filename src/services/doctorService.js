@@ -1,6 +1,10 @@
+import crypto from "crypto";
 import Doctor from "../models/doctorModel.js";
+import DoctorIdentity from "../models/doctorIdentityModel.js";
 import Tenant from "../models/tenantModel.js";
+import User from "../models/userModel.js";
 import mongoose from "mongoose";
+import { normalizeSchedule, summarizeSchedule } from "../utils/doctorSchedule.js";
 
 /**
  * Custom Error Class for Service Layer
@@ -13,6 +17,12 @@ class AppError extends Error {
   }
 }
 
+// Portal invitation links stay valid for a week
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const hashInvitationToken = (token) =>
+  crypto.createHash("sha256").update(String(token || "")).digest("hex");
+
 /**
  * Plan Limit Helper - SaaS Quota Management
  */
@@ -42,6 +52,13 @@ const normalizeDoctorData = (doctorData = {}) => {
       .join(" ");
   }
 
+  // Maintained from published reviews only
+  delete data.rating;
+
+  // Set by the credential review only (DoctorVerificationService)
+  delete data.verificationStatus;
+  delete data.verification;
+
   if (data.regNo) data.regNo = String(data.regNo).trim();
   if (data.phoneNumber) data.phoneNumber = String(data.phoneNumber).trim();
 
@@ -55,6 +72,18 @@ const normalizeDoctorData = (doctorData = {}) => {
     data.consultationFee = Number.isFinite(v) && v >= 0 ? v : 0;
   }
 
+  // Structured schedule (may arrive as a JSON string from multipart forms)
+  if (data.schedule !== undefined && data.schedule !== "") {
+    try {
+      data.schedule = normalizeSchedule(data.schedule);
+    } catch (err) {
+      throw new AppError(err.message, 400, "INVALID_SCHEDULE");
+    }
+    data.availability = summarizeSchedule(data.schedule);
+  } else {
+    delete data.schedule;
+  }
+
   return data;
 };
 
@@ -99,6 +128,7 @@ class DoctorService {
     if (!tenant) throw new AppError("Clinic profile not found.", 404, "TENANT_NOT_FOUND");
 
     const data = normalizeDoctorData(doctorData);
+    delete data.identityId;
 
     try {
       const doctor = await Doctor.create({
@@ -108,6 +138,7 @@ class DoctorService {
         imagePublicId,
         isActive: true,
       });
+      doctor.identityId = await this.getIdentityId(doctor._id);
       return { doctor, tenantName: tenant.name };
     } catch (err) {
       if (err?.code === 11000) throw new AppError("Email already exists in protocol.", 409, "DUPLICATE_EMAIL");
@@ -121,7 +152,8 @@ class DoctorService {
   async getAllDoctorsPublic({ page = 1, limit = 10, search = "", filters = {}, sort = { createdAt: -1 } } = {}) {
     const skip = (page - 1) * limit;
 
-    const query = { isDeleted: { $ne: true } };
+    // Only doctors whose credentials passed review are listed publicly
+    const query = { isDeleted: { $ne: true }, verificationStatus: "VERIFIED" };
 
     // Default behavior for public view: only show active/verified? 
     // Actually, let's make it flexible based on passed filters
@@ -132,10 +164,6 @@ class DoctorService {
       // The user wants a "Status filter", so let's show all if no filter is active.
     }
 
-    if (filters.verificationStatus) {
-      query.verificationStatus = filters.verificationStatus;
-    }
-
     if (filters.specialization) {
       query.specialization = { $regex: filters.specialization, $options: "i" };
     }
@@ -169,7 +197,7 @@ class DoctorService {
       .lean();
 
     return {
-      data: doctors,
+      data: doctors.map((d) => ({ ...d, rating: d.rating || { average: 0, count: 0 } })),
       total,
       page: Number(page),
       totalPages
@@ -179,17 +207,17 @@ class DoctorService {
   /**
    * ✅ ADMIN: BULK STATUS UPDATE
    */
-  async bulkUpdateStatus(doctorIds, statusData) {
+  async bulkUpdateStatus(tenantId, doctorIds, statusData) {
     if (!Array.isArray(doctorIds) || doctorIds.length === 0) {
       throw new AppError("No practitioners selected.", 400);
     }
 
+    // verificationStatus is only changed through the credential review
     const update = {};
     if (statusData.isActive !== undefined) update.isActive = statusData.isActive;
-    if (statusData.verificationStatus) update.verificationStatus = statusData.verificationStatus;
 
     return Doctor.updateMany(
-      { _id: { $in: doctorIds } },
+      { _id: { $in: doctorIds }, tenantId },
       { $set: update }
     );
   }
@@ -218,16 +246,31 @@ class DoctorService {
 
   /**
    * ✅ PUBLIC: Profile View
+   * Includes the other clinics the same doctor is listed at.
    */
   async getDoctorByIdPublic(doctorId) {
     if (!mongoose.Types.ObjectId.isValid(doctorId)) throw new AppError("Invalid ID.", 400);
 
     const doctor = await Doctor.findOne({ _id: doctorId, isDeleted: { $ne: true } })
+      .select("-verification -invitation")
       .populate("tenantId", "name slug about address")
       .lean();
 
     if (!doctor) throw new AppError("Specialist profile not found.", 404);
-    return doctor;
+
+    const affiliations = doctor.identityId
+      ? await Doctor.find({
+        identityId: doctor.identityId,
+        _id: { $ne: doctor._id },
+        isActive: true,
+        verificationStatus: "VERIFIED",
+      })
+        .select("tenantId specialization consultationFee availability")
+        .populate("tenantId", "name slug address")
+        .lean()
+      : [];
+
+    return { ...doctor, affiliations };
   }
 
   /**
@@ -241,10 +284,20 @@ class DoctorService {
 
   /**
    * ✅ UPDATE RECORD
+   * A new registration number sends a verified doctor back for review.
    */
   async updateDoctor(tenantId, doctorId, updateData) {
     const dataToUpdate = normalizeDoctorData(updateData);
     delete dataToUpdate.tenantId; // Immutable context
+    delete dataToUpdate.identityId; // Follows the accepted invitation (joinAccountIdentity)
+
+    if (dataToUpdate.regNo !== undefined) {
+      const current = await Doctor.findOne({ _id: doctorId, tenantId }).select("regNo verificationStatus").lean();
+      if (current?.verificationStatus === "VERIFIED" && current.regNo !== dataToUpdate.regNo) {
+        dataToUpdate.verificationStatus = "PENDING";
+        dataToUpdate["verification.reason"] = "Registration number changed.";
+      }
+    }
 
     const updated = await Doctor.findOneAndUpdate(
       { _id: doctorId, tenantId, isDeleted: { $ne: true } },
@@ -252,12 +305,150 @@ class DoctorService {
       { new: true, runValidators: true }
     ).lean();
 
+    if (!updated) throw new AppError("Target record not found.", 404);
+
+    return updated;
+  }
+
+  /**
+   * ✅ IDENTITY OF A PROFILE
+   * Until its invitation is accepted a profile is on an identity of its own
+   * (created on first use), so it never shares a calendar with other clinics.
+   * @returns {Promise<mongoose.Types.ObjectId|null>} null when the doctor doesn't exist
+   */
+  async getIdentityId(doctorId) {
+    const doctor = await Doctor.findById(doctorId).select("name identityId").lean();
+    if (!doctor) return null;
+    if (doctor.identityId) return doctor.identityId;
+
+    const identity = await DoctorIdentity.create({ name: doctor.name || "" });
+    const claimed = await Doctor.updateOne(
+      { _id: doctor._id, identityId: null },
+      { $set: { identityId: identity._id } }
+    );
+    if (claimed.modifiedCount > 0) return identity._id;
+
+    // A concurrent request linked it first
+    await DoctorIdentity.deleteOne({ _id: identity._id });
+    return (await Doctor.findById(doctorId).select("identityId").lean()).identityId;
+  }
+
+  /**
+   * ✅ IDENTITY ON ACCEPTANCE
+   * The doctor behind `userId` accepted this clinic's invitation: move the
+   * profile onto that account's identity (its other clinics' calendars).
+   * The first accepted profile's own identity becomes the account's.
+   * @returns {Promise<mongoose.Types.ObjectId>} identityId
+   */
+  async joinAccountIdentity(doctorId, userId) {
+    const ownId = await this.getIdentityId(doctorId);
+
+    let identity = await DoctorIdentity.findOne({ userId }).select("_id").lean();
+    if (!identity) {
+      try {
+        identity = await DoctorIdentity.findOneAndUpdate(
+          { _id: ownId, userId: null },
+          { $set: { userId } },
+          { new: true }
+        ).lean();
+      } catch (err) {
+        // Two of the account's invitations accepted at once: the other claim won
+        if (err?.code !== 11000) throw err;
+      }
+      // ...or the profile's identity already belongs to another account
+      if (!identity) {
+        identity = await DoctorIdentity.findOneAndUpdate(
+          { userId },
+          { $setOnInsert: { userId } },
+          { upsert: true, new: true }
+        ).lean();
+      }
+    }
+
+    if (String(identity._id) !== String(ownId)) {
+      await Doctor.updateOne({ _id: doctorId }, { $set: { identityId: identity._id } });
+      if (!(await Doctor.exists({ identityId: ownId }))) {
+        await DoctorIdentity.deleteOne({ _id: ownId, userId: null });
+      }
+    }
+    return identity._id;
+  }
+
+  /**
+   * ✅ AFFILIATIONS
+   * Ids of every clinic profile of the same person (including this one).
+   * Only profiles whose invitation the doctor accepted share an identity.
+   */
+  async getAffiliatedDoctorIds(doctorId) {
+    const identityId = await this.getIdentityId(doctorId);
+    if (!identityId) return [];
+
+    const profiles = await Doctor.find({ identityId }).select("_id").lean();
+    return profiles.map((p) => p._id);
+  }
+
+  /**
+   * ✅ UPDATE WEEKLY SCHEDULE
+   * Replaces working hours, breaks, slot length and date exceptions.
+   */
+  async updateDoctorSchedule(tenantId, doctorId, scheduleInput) {
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) throw new AppError("Invalid ID.", 400);
+
+    let schedule;
+    try {
+      schedule = normalizeSchedule(scheduleInput);
+    } catch (err) {
+      throw new AppError(err.message, 400, "INVALID_SCHEDULE");
+    }
+
+    const updated = await Doctor.findOneAndUpdate(
+      { _id: doctorId, tenantId, isDeleted: { $ne: true } },
+      { $set: { schedule, availability: summarizeSchedule(schedule) } },
+      { new: true, runValidators: true }
+    ).lean();
+
     if (!updated) throw new AppError("Target record not found.", 404);
     return updated;
   }
 
+  /**
+   * ✅ PORTAL INVITATION
+   * Issues a fresh single-use token (replacing any earlier one).
+   * Returns the raw token for the email link; only its hash is stored.
+   */
+  async issueInvitation(tenantId, doctorId) {
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) throw new AppError("Invalid ID.", 400);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const now = new Date();
+
+    const doctor = await Doctor.findOneAndUpdate(
+      { _id: doctorId, tenantId, isDeleted: { $ne: true }, userId: null },
+      {
+        $set: {
+          "invitation.tokenHash": hashInvitationToken(token),
+          "invitation.sentAt": now,
+          "invitation.expiresAt": new Date(now.getTime() + INVITATION_TTL_MS),
+          "invitation.acceptedAt": null,
+        },
+      },
+      { new: true }
+    ).lean();
+
+    if (!doctor) {
+      const exists = await Doctor.exists({ _id: doctorId, tenantId, isDeleted: { $ne: true } });
+      if (exists) throw new AppError("This practitioner already has a portal account.", 409, "ALREADY_ACCEPTED");
+      throw new AppError("Target record not found.", 404);
+    }
+
+    const tenant = await Tenant.findById(tenantId).select("name").lean();
+    return { doctor, token, tenantName: tenant?.name || "" };
+  }
+
   /**
    * ✅ ARCHIVE (SOFT DELETE)
+   * The doctor's portal login moves to another of their clinics,
+   * or is signed out and disabled when this was the last one.
    */
   async softDeleteDoctor(tenantId, doctorId) {
     const updated = await Doctor.findOneAndUpdate(
@@ -267,6 +458,21 @@ class DoctorService {
     ).lean();
 
     if (!updated) throw new AppError("Archive target not found.", 404);
+
+    if (updated.userId) {
+      const other = await Doctor.findOne({ userId: updated.userId, isActive: true }).select("tenantId").lean();
+      if (other) {
+        await User.updateOne(
+          { _id: updated.userId, role: "DOCTOR", doctorId: updated._id },
+          { $set: { tenantId: other.tenantId, doctorId: other._id } }
+        );
+      } else {
+        await User.updateOne(
+          { _id: updated.userId, role: "DOCTOR" },
+          { $set: { isActive: false }, $inc: { tokenVersion: 1 } }
+        );
+      }
+    }
     return updated;
   }
 }
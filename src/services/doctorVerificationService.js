@@ -0,0 +1,329 @@
+import mongoose from "mongoose";
+import Doctor from "../models/doctorModel.js";
+import DoctorCredential, { CREDENTIAL_TYPES } from "../models/doctorCredentialModel.js";
+import Tenant from "../models/tenantModel.js";
+import User from "../models/userModel.js";
+import NotificationService from "./notificationService.js";
+import { AppError } from "./doctorService.js";
+import { sendEmail } from "../utils/emailService.js";
+import { doctorVerificationTemplate } from "../utils/emailTemplates.js";
+import {
+  uploadDocumentToCloudinary,
+  getSignedDocumentUrl,
+  deleteDocumentFromCloudinary,
+} from "../utils/cloudinaryUpload.js";
+
+const DEFAULT_CLIENT_URL = (
+  process.env.CLIENT_URL ||
+  process.env.FRONTEND_URL ||
+  "https://sovereigns.site"
+).replace(/\/+$/, "");
+
+const MAX_CREDENTIALS = 10;
+const MAX_PAGE_SIZE = 50;
+const DECISIONS = ["VERIFIED", "REJECTED"];
+
+// Must be on file before a doctor can be submitted for review
+const REQUIRED_TYPES = ["REGISTRATION_CERTIFICATE", "DEGREE"];
+
+const REVIEW_FIELDS = "tenantId userId name email regNo specialization education experience image verificationStatus verification";
+
+/**
+ * Doctor credential verification.
+ *
+ *   clinic uploads documents ──> submit ──> super-admin queue ──> VERIFIED
+ *                                                             └─> REJECTED (reason) ──> resubmit
+ *
+ * Only VERIFIED doctors are listed in the public directory and by the chatbot.
+ */
+class DoctorVerificationService {
+  // ---------- helpers ----------
+  #isValidObjectId(id) {
+    return Boolean(id) && mongoose.Types.ObjectId.isValid(id);
+  }
+
+  #clean(value, max = 200) {
+    return String(value ?? "").trim().slice(0, max);
+  }
+
+  #paging({ page, limit } = {}) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+    return { page: current, limit: size, skip: (current - 1) * size };
+  }
+
+  #inReview(doctor) {
+    return doctor.verificationStatus === "PENDING" && Boolean(doctor.verification?.submittedAt);
+  }
+
+  // Credential with a short-lived view link instead of the storage id
+  #withUrl({ publicId, resourceType, format, ...credential }) {
+    return { ...credential, format, url: getSignedDocumentUrl(publicId, { format, resourceType }) };
+  }
+
+  async #loadClinicDoctor(tenantId, doctorId) {
+    if (!this.#isValidObjectId(doctorId)) throw new AppError("Invalid ID.", 400);
+
+    const doctor = await Doctor.findOne({ _id: doctorId, tenantId }).select(REVIEW_FIELDS).lean();
+    if (!doctor) throw new AppError("Target record not found.", 404);
+    return doctor;
+  }
+
+  async #notifySuperAdmins(doctor) {
+    const [admins, tenant] = await Promise.all([
+      User.find({ role: "SUPER_ADMIN", isActive: { $ne: false } }).select("_id").lean(),
+      Tenant.findById(doctor.tenantId).select("name").lean(),
+    ]);
+    if (admins.length === 0) return;
+
+    await NotificationService.createBulk(
+      admins.map((a) => a._id),
+      {
+        type: "SYSTEM",
+        title: "Doctor verification requested",
+        message: `${tenant?.name || "A clinic"} submitted Dr. ${doctor.name}'s credentials for review.`,
+        meta: { doctorId: doctor._id },
+        link: `/admin/doctor-verifications/${doctor._id}`,
+      }
+    );
+  }
+
+  async #notifyDecision(doctor) {
+    const approved = doctor.verificationStatus === "VERIFIED";
+    const clinicName = doctor.tenantId?.name || "your clinic";
+    const reason = doctor.verification?.reason || "";
+
+    const clinicAdmins = await User.find({ tenantId: doctor.tenantId?._id, role: "CLINIC_ADMIN" })
+      .select("_id")
+      .lean();
+    const recipients = [...clinicAdmins.map((u) => u._id), ...(doctor.userId ? [doctor.userId] : [])];
+
+    await NotificationService.createBulk(recipients, {
+      type: "SYSTEM",
+      title: approved ? "Doctor verified" : "Doctor verification declined",
+      message: (approved
+        ? `Dr. ${doctor.name}'s credentials were verified. The profile is now listed publicly.`
+        : `Dr. ${doctor.name}'s credentials were not verified: ${reason}`
+      ).slice(0, 500),
+      meta: { doctorId: doctor._id },
+    });
+
+    await sendEmail({
+      to: doctor.email,
+      subject: approved ? `Credentials verified | ${clinicName}` : `Credential review update | ${clinicName}`,
+      html: doctorVerificationTemplate(doctor.name, clinicName, approved, reason, `${DEFAULT_CLIENT_URL}/login`),
+    });
+  }
+
+  // ---------- clinic ----------
+
+  async listCredentials(tenantId, doctorId) {
+    const doctor = await this.#loadClinicDoctor(tenantId, doctorId);
+    const credentials = await DoctorCredential.find({ doctorId: doctor._id }).sort({ createdAt: 1 }).lean();
+
+    return {
+      verificationStatus: doctor.verificationStatus,
+      verification: doctor.verification,
+      credentials: credentials.map((c) => this.#withUrl(c)),
+    };
+  }
+
+  /**
+   * Upload one document (multer file) for a doctor of this clinic
+   */
+  async addCredential(tenantId, doctorId, file, { type, label } = {}, actor = {}) {
+    const doctor = await this.#loadClinicDoctor(tenantId, doctorId);
+
+    if (!file?.buffer) throw new AppError("A document file is required.", 400, "FILE_REQUIRED");
+    const normalizedType = String(type || "").toUpperCase();
+    if (!CREDENTIAL_TYPES.includes(normalizedType)) {
+      throw new AppError(`Document type must be one of ${CREDENTIAL_TYPES.join(", ")}.`, 400, "INVALID_TYPE");
+    }
+    if (this.#inReview(doctor)) {
+      throw new AppError("Documents are locked while the review is in progress.", 409, "IN_REVIEW");
+    }
+
+    const count = await DoctorCredential.countDocuments({ doctorId: doctor._id });
+    if (count >= MAX_CREDENTIALS) {
+      throw new AppError(`A practitioner can have at most ${MAX_CREDENTIALS} documents.`, 400, "LIMIT_REACHED");
+    }
+
+    const asset = await uploadDocumentToCloudinary(file.buffer, "doctor-credentials");
+    try {
+      const credential = await DoctorCredential.create({
+        tenantId: doctor.tenantId,
+        doctorId: doctor._id,
+        type: normalizedType,
+        label: this.#clean(label, 120),
+        fileName: this.#clean(file.originalname, 200),
+        mimeType: file.mimetype,
+        size: file.size,
+        publicId: asset.public_id,
+        resourceType: asset.resource_type,
+        format: asset.format || "",
+        uploadedBy: actor.userId || null,
+      });
+      return this.#withUrl(credential.toObject());
+    } catch (err) {
+      await deleteDocumentFromCloudinary(asset.public_id, asset.resource_type).catch(() => { });
+      throw err;
+    }
+  }
+
+  /**
+   * Remove a document. Verified doctors keep theirs on record.
+   */
+  async removeCredential(tenantId, doctorId, credentialId) {
+    const doctor = await this.#loadClinicDoctor(tenantId, doctorId);
+    if (!this.#isValidObjectId(credentialId)) throw new AppError("Invalid document ID.", 400);
+
+    if (this.#inReview(doctor)) {
+      throw new AppError("Documents are locked while the review is in progress.", 409, "IN_REVIEW");
+    }
+    if (doctor.verificationStatus === "VERIFIED") {
+      throw new AppError("Documents of a verified practitioner cannot be removed.", 409, "ALREADY_VERIFIED");
+    }
+
+    const credential = await DoctorCredential.findOneAndDelete({ _id: credentialId, doctorId: doctor._id }).lean();
+    if (!credential) throw new AppError("Document not found.", 404);
+
+    await deleteDocumentFromCloudinary(credential.publicId, credential.resourceType).catch((e) =>
+      console.error("[Verification] Document cleanup failed:", e.message)
+    );
+  }
+
+  /**
+   * Put a doctor in the super-admin review queue
+   */
+  async submitForReview(tenantId, doctorId, actor = {}) {
+    const doctor = await this.#loadClinicDoctor(tenantId, doctorId);
+
+    if (doctor.verificationStatus === "VERIFIED") {
+      throw new AppError("This practitioner is already verified.", 409, "ALREADY_VERIFIED");
+    }
+    if (this.#inReview(doctor)) {
+      throw new AppError("This practitioner is already awaiting review.", 409, "IN_REVIEW");
+    }
+    if (!doctor.regNo) {
+      throw new AppError("Add the practitioner's registration number before submitting.", 400, "REG_NO_REQUIRED");
+    }
+
+    const types = await DoctorCredential.distinct("type", { doctorId: doctor._id });
+    const missing = REQUIRED_TYPES.filter((t) => !types.includes(t));
+    if (missing.length > 0) {
+      throw new AppError(`Missing required documents: ${missing.join(", ")}.`, 400, "DOCUMENTS_MISSING");
+    }
+
+    const updated = await Doctor.findOneAndUpdate(
+      { _id: doctor._id, tenantId, verificationStatus: { $ne: "VERIFIED" }, "verification.submittedAt": null },
+      {
+        $set: {
+          verificationStatus: "PENDING",
+          "verification.submittedAt": new Date(),
+          "verification.submittedBy": actor.userId || null,
+          "verification.reason": "",
+        },
+      },
+      { new: true }
+    )
+      .select(REVIEW_FIELDS)
+      .lean();
+    if (!updated) throw new AppError("This practitioner is already awaiting review.", 409, "IN_REVIEW");
+
+    this.#notifySuperAdmins(updated).catch((e) =>
+      console.error("[Verification] Admin notification failed:", e.message)
+    );
+    return updated;
+  }
+
+  // ---------- super admin ----------
+
+  /**
+   * Review queue. PENDING lists submitted doctors oldest first;
+   * VERIFIED / REJECTED list past decisions, newest first.
+   */
+  async listQueue({ status, ...paging } = {}) {
+    const normalized = String(status || "PENDING").toUpperCase();
+    if (![...DECISIONS, "PENDING"].includes(normalized)) throw new AppError("Invalid status.", 400);
+
+    const filter =
+      normalized === "PENDING"
+        ? { verificationStatus: "PENDING", "verification.submittedAt": { $ne: null } }
+        : { verificationStatus: normalized };
+    const sort = normalized === "PENDING" ? { "verification.submittedAt": 1 } : { "verification.reviewedAt": -1 };
+
+    const { page, limit, skip } = this.#paging(paging);
+    const [doctors, total] = await Promise.all([
+      Doctor.find(filter)
+        .select(REVIEW_FIELDS)
+        .populate("tenantId", "name")
+        .sort({ ...sort, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Doctor.countDocuments(filter),
+    ]);
+
+    return { doctors, pagination: { total, page, limit, totalPages: Math.ceil(total / limit) } };
+  }
+
+  async getForReview(doctorId) {
+    if (!this.#isValidObjectId(doctorId)) throw new AppError("Invalid ID.", 400);
+
+    const doctor = await Doctor.findById(doctorId)
+      .select(REVIEW_FIELDS)
+      .populate("tenantId", "name email address registrationId")
+      .populate("verification.reviewedBy", "name email")
+      .lean();
+    if (!doctor) throw new AppError("Target record not found.", 404);
+
+    const credentials = await DoctorCredential.find({ doctorId: doctor._id }).sort({ createdAt: 1 }).lean();
+    return { doctor, credentials: credentials.map((c) => this.#withUrl(c)) };
+  }
+
+  /**
+   * Approve or reject a submitted doctor; a reason is required to reject
+   */
+  async decide(doctorId, { decision, reason } = {}, actor = {}) {
+    if (!this.#isValidObjectId(doctorId)) throw new AppError("Invalid ID.", 400);
+
+    const normalized = String(decision || "").toUpperCase();
+    if (!DECISIONS.includes(normalized)) {
+      throw new AppError(`Decision must be one of ${DECISIONS.join(", ")}.`, 400, "INVALID_DECISION");
+    }
+    const cleanReason = this.#clean(reason, 500);
+    if (normalized === "REJECTED" && !cleanReason) {
+      throw new AppError("A reason is required to reject a verification.", 400, "REASON_REQUIRED");
+    }
+
+    const updated = await Doctor.findOneAndUpdate(
+      { _id: doctorId, verificationStatus: "PENDING", "verification.submittedAt": { $ne: null } },
+      {
+        $set: {
+          verificationStatus: normalized,
+          "verification.submittedAt": null,
+          "verification.reviewedAt": new Date(),
+          "verification.reviewedBy": actor.userId || null,
+          "verification.reason": cleanReason,
+        },
+      },
+      { new: true }
+    )
+      .select(REVIEW_FIELDS)
+      .populate("tenantId", "name")
+      .lean();
+
+    if (!updated) {
+      const exists = await Doctor.exists({ _id: doctorId });
+      if (!exists) throw new AppError("Target record not found.", 404);
+      throw new AppError("This practitioner is not awaiting review.", 409, "NOT_IN_REVIEW");
+    }
+
+    this.#notifyDecision(updated).catch((e) =>
+      console.error("[Verification] Decision notification failed:", e.message)
+    );
+    return updated;
+  }
+}
+
+export default new DoctorVerificationService();
@@ -1,10 +1,50 @@
 import fs from "fs/promises";
-import { createRequire } from "module";
-const require = createRequire(import.meta.url);
-const pdf = require("pdf-parse/lib/pdf-parse.js");
+import { PDFParse } from "pdf-parse";
 import KnowledgeDoc from "../models/knowledgeDocModel.js";
+import KnowledgeChunk from "../models/knowledgeChunkModel.js";
+import { tokenize, countTerms, chunkText, rankBM25 } from "../utils/textRetrieval.js";
+
+// Upper bound on chunks scored per query (keeps ranking cheap on large corpora)
+const MAX_CANDIDATES = 500;
 
 class KnowledgeService {
+  async #extractPdfText(filePath) {
+    const buffer = await fs.readFile(filePath);
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const parsed = await parser.getText();
+      return parsed.text;
+    } finally {
+      await parser.destroy().catch(() => {});
+    }
+  }
+
+  /**
+   * Replace a document's chunks with freshly tokenized ones.
+   * @returns {number} chunk count
+   */
+  async #storeChunks(doc, text) {
+    await KnowledgeChunk.deleteMany({ docId: doc._id });
+
+    const chunks = chunkText(text).map((content, chunkIndex) => {
+      const tokens = tokenize(`${doc.title} ${content}`);
+      const termCounts = countTerms(tokens);
+      return {
+        docId: doc._id,
+        title: doc.title,
+        category: doc.category,
+        chunkIndex,
+        content,
+        terms: Object.keys(termCounts),
+        termCounts,
+        length: tokens.length,
+      };
+    });
+
+    if (chunks.length > 0) await KnowledgeChunk.insertMany(chunks);
+    return chunks.length;
+  }
+
   /**
    * Ingest a document: extract text and store metadata.
    * Runs asynchronously after the upload response is sent.
@@ -18,9 +58,7 @@ class KnowledgeService {
       let text = rawText || "";
       if (!text && filePath) {
         if (doc.sourceType === "pdf") {
-          const buffer = await fs.readFile(filePath);
-          const parsed = await pdf(buffer);
-          text = parsed.text;
+          text = await this.#extractPdfText(filePath);
         } else {
           text = await fs.readFile(filePath, "utf-8");
         }
@@ -33,6 +71,8 @@ class KnowledgeService {
         return;
       }
 
+      // 2) Chunk + index for retrieval
+      doc.chunkCount = await this.#storeChunks(doc, text);
       doc.textLength = text.length;
       doc.status = "ready";
       doc.errorMessage = undefined;
@@ -43,12 +83,13 @@ class KnowledgeService {
         await fs.unlink(filePath).catch(() => {});
       }
 
-      console.log(`✅ Knowledge doc "${doc.title}" ingested`);
+      console.log(`✅ Knowledge doc "${doc.title}" ingested (${doc.chunkCount} chunks)`);
     } catch (err) {
       console.error(`❌ Ingestion failed for doc ${docId}:`, err.message);
       doc.status = "failed";
       doc.errorMessage = err.message;
       await doc.save();
+      await KnowledgeChunk.deleteMany({ docId }).catch(() => {});
     }
   }
 
@@ -60,6 +101,7 @@ class KnowledgeService {
     if (!doc) throw new Error("Document not found.");
 
     await KnowledgeDoc.findByIdAndDelete(docId);
+    await KnowledgeChunk.deleteMany({ docId });
     return { message: "Document deleted." };
   }
 
@@ -72,7 +114,7 @@ class KnowledgeService {
     if (status) filter.status = status;
 
     return KnowledgeDoc.find(filter)
-      .select("title description category sourceType textLength status createdAt")
+      .select("title description category sourceType textLength chunkCount status createdAt")
       .sort({ createdAt: -1 })
       .lean();
   }
@@ -85,6 +127,52 @@ class KnowledgeService {
     if (!doc) throw new Error("Document not found.");
     return doc;
   }
+
+  /**
+   * Rank stored chunks against a free-text query (BM25).
+   * @returns {Promise<Array<{ docId, title, category, chunkIndex, content, score }>>}
+   */
+  async search(query, { limit = 4, category, minScore = 0.5 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    const scope = category ? { category } : {};
+
+    const candidates = await KnowledgeChunk.find({ ...scope, terms: { $in: terms } })
+      .select("docId title category chunkIndex content termCounts length")
+      .limit(MAX_CANDIDATES)
+      .lean();
+    if (candidates.length === 0) return [];
+
+    const [corpus] = await KnowledgeChunk.aggregate([
+      { $match: scope },
+      { $group: { _id: null, totalChunks: { $sum: 1 }, avgLength: { $avg: "$length" } } },
+    ]);
+
+    const dfRows = await KnowledgeChunk.aggregate([
+      { $match: { ...scope, terms: { $in: terms } } },
+      { $unwind: "$terms" },
+      { $match: { terms: { $in: terms } } },
+      { $group: { _id: "$terms", count: { $sum: 1 } } },
+    ]);
+    const docFreq = Object.fromEntries(dfRows.map((r) => [r._id, r.count]));
+
+    return rankBM25(terms, candidates, {
+      totalChunks: corpus?.totalChunks || candidates.length,
+      avgLength: corpus?.avgLength || 1,
+      docFreq,
+    })
+      .filter((r) => r.score >= minScore)
+      .slice(0, limit)
+      .map(({ chunk, score }) => ({
+        docId: chunk.docId,
+        title: chunk.title,
+        category: chunk.category,
+        chunkIndex: chunk.chunkIndex,
+        content: chunk.content,
+        score: Number(score.toFixed(3)),
+      }));
+  }
 }
 
 export default new KnowledgeService();
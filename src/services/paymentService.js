@@ -4,6 +4,17 @@ import mongoose from "mongoose";
 import Payment from "../models/paymentModel.js";
 import Tenant from "../models/tenantModel.js";
 import Plan from "../models/planModel.js";
+import Appointment from "../models/appointmentModel.js";
+import Doctor from "../models/doctorModel.js";
+import NotificationService from "./notificationService.js";
+import {
+  resolveCouponForPurchase,
+  recordCouponRedemption,
+  releaseCouponRedemption,
+} from "./couponService.js";
+import { computeNextRenewalDate } from "../utils/billingPeriod.js";
+import { formatAppointmentDateTime, resolveTenantTimeZone } from "../utils/dateTime.js";
+import { buildStatusUpdate } from "../utils/appointmentStatus.js";
 
 /* =========================================================
    Env + Razorpay Client (SAFE: no crash on import)
@@ -50,6 +61,13 @@ const ALLOWED_CYCLES = new Set(["monthly", "yearly"]);
 
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
+// Renewing clinics keep access while the new payment is pending
+const RENEWABLE_STATUSES = new Set(["ACTIVE", "PAST_DUE"]);
+const pendingStatusFor = (tenant) =>
+  RENEWABLE_STATUSES.has(tenant?.subscription?.status)
+    ? tenant.subscription.status
+    : "PENDING_VERIFICATION";
+
 /* =========================================================
    0) Get plan price from DB (single source of truth)
 ========================================================= */
@@ -74,9 +92,35 @@ const getPlanPriceRupees = async ({ planCode, billingCycle }) => {
   return { code, cycle, rupees: Number(rupees) };
 };
 
+/* =========================================================
+   0b) Apply coupon (explicit code, else one pre-applied by admin)
+   - Explicit codes that don't apply are an error
+   - A stale pre-applied coupon is ignored (full price charged)
+========================================================= */
+const applyCoupon = async ({ tenant, couponCode, planCode, billingCycle, amountPaise }) => {
+  const explicit = String(couponCode || "").trim();
+  const code = explicit || tenant?.subscription?.pendingCoupon?.code;
+  if (!code) return { amountPaise, coupon: null };
+
+  try {
+    const { finalAmountPaise, snapshot } = await resolveCouponForPurchase({
+      code,
+      tenantId: tenant._id,
+      planCode,
+      billingCycle,
+      amountPaise,
+    });
+    return { amountPaise: finalAmountPaise, coupon: snapshot };
+  } catch (err) {
+    if (explicit) throw err;
+    return { amountPaise, coupon: null };
+  }
+};
+
 /* =========================================================
    1) Create Razorpay Order (DB-driven)
    - Always compute amount from Plan DB (never trust frontend)
+   - Coupon discount applied server-side
    - Creates Payment(PENDING)
    - Stores orderId in tenant.subscription.razorpayOrderId
 ========================================================= */
@@ -87,6 +131,7 @@ export const createRazorpayOrderService = async ({
   planCode,
   billingCycle = "monthly",
   currency = "INR",
+  couponCode = null,
 }) => {
   if (!tenantId || !isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
   if (userId && !isValidObjectId(userId)) throw new Error("Invalid userId.");
@@ -107,7 +152,13 @@ export const createRazorpayOrderService = async ({
     billingCycle,
   });
 
-  const amountPaise = toPaise(rupees);
+  const { amountPaise, coupon } = await applyCoupon({
+    tenant,
+    couponCode,
+    planCode: code,
+    billingCycle: cycle,
+    amountPaise: toPaise(rupees),
+  });
   const razorpay = getRazorpayClient();
 
   // src/services/paymentService.js
@@ -125,6 +176,7 @@ const options = {
     planCode: code,
     billingCycle: cycle,
     email: emailLower,
+    ...(coupon ? { couponCode: coupon.code } : {}),
   },
 };
 
@@ -153,6 +205,7 @@ const options = {
     method: "RAZORPAY",
     status: "PENDING",
     razorpayOrderId: order.id,
+    coupon,
     notes: options.notes,
   });
 
@@ -167,7 +220,7 @@ const options = {
         "subscription.price.currency": options.currency,
         "subscription.razorpayOrderId": order.id,
         // keep status pending until verified
-        "subscription.status": "PENDING_VERIFICATION",
+        "subscription.status": pendingStatusFor(tenant),
       },
     }
   );
@@ -179,6 +232,7 @@ const options = {
     currency: options.currency,
     planCode: code,
     billingCycle: cycle,
+    coupon,
   };
 };
 
@@ -195,6 +249,162 @@ export const verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
   return generated === signature;
 };
 
+/* =========================================================
+   2b) Complete a Razorpay payment + activate the tenant
+   - Single activation path for /verify and the webhook
+   - PENDING/FAILED -> COMPLETED is claimed atomically, so a
+     browser verify racing the webhook activates only once
+========================================================= */
+const activateTenantForPayment = async (payment) => {
+  const current = await Tenant.findById(payment.tenantId)
+    .select("subscription.nextRenewalDate subscription.suspendedAt subscription.dunningStartedAt")
+    .lean();
+  const now = new Date();
+
+  // A newer Razorpay order supersedes this one; manual payments have none
+  const result = await Tenant.updateOne(
+    {
+      _id: payment.tenantId,
+      ...(payment.method === "RAZORPAY" ? { "subscription.razorpayOrderId": payment.razorpayOrderId } : {}),
+    },
+    {
+      $set: {
+        "subscription.plan": payment.planCode,
+        "subscription.status": "ACTIVE",
+        ...(payment.razorpayPaymentId ? { "subscription.razorpayPaymentId": payment.razorpayPaymentId } : {}),
+        "subscription.billingCycle": payment.billingCycle || "monthly",
+        "subscription.price.amount": (payment.amountPaise || 0) / 100,
+        "subscription.price.currency": payment.currency || "INR",
+        "subscription.activatedAt": now,
+        "subscription.paymentMethodStatus": "ON_FILE",
+        // New billing period + reset dunning state
+        "subscription.nextRenewalDate": computeNextRenewalDate(
+          current?.subscription?.nextRenewalDate,
+          payment.billingCycle,
+          now
+        ),
+        "subscription.pastDueSince": null,
+        "subscription.remindersSent": [],
+        ...(current?.subscription?.dunningStartedAt ? {} : { "subscription.dunningStartedAt": now }),
+        // Lift a non-payment suspension (manual suspensions have no suspendedAt)
+        ...(current?.subscription?.suspendedAt
+          ? { isActive: true, "subscription.suspendedAt": null }
+          : {}),
+      },
+      $unset: { "subscription.pendingCoupon": "" },
+    }
+  );
+
+  return result.matchedCount > 0;
+};
+
+/* =========================================================
+   2c) Consultation fee paid -> confirm the held appointment
+   - Only a booking still waiting on this payment is confirmed
+   - Bookings flagged requiresConfirmation stay PENDING for the clinic
+   - Payment for a hold that already expired is refunded in full
+========================================================= */
+const notifyConsultationPaid = async (appointment) => {
+  const [doctor, tenant] = await Promise.all([
+    Doctor.findById(appointment.doctorId).select("name").lean(),
+    Tenant.findById(appointment.tenantId).select("ownerId settings.timezone").lean(),
+  ]);
+  const whenStr = formatAppointmentDateTime(appointment.dateTime, resolveTenantTimeZone(tenant));
+  const amount = (appointment.payment?.amountPaise || 0) / 100;
+  const meta = { appointmentId: appointment._id };
+
+  NotificationService.create({
+    recipient: appointment.patientId,
+    type: "APPOINTMENT",
+    title: "Payment Received",
+    message: `We received ₹${amount} for your appointment with Dr. ${doctor?.name || "your doctor"} on ${whenStr}.${appointment.requiresConfirmation ? " The clinic will confirm this booking." : " Your booking is confirmed."}`,
+    meta,
+  }).catch((e) => console.error("Patient notification failed:", e.message));
+
+  if (tenant?.ownerId) {
+    NotificationService.create({
+      recipient: tenant.ownerId,
+      type: "APPOINTMENT",
+      title: "Consultation Fee Paid",
+      message: `${appointment.patientInfo?.name || "A patient"} paid ₹${amount} online for their appointment with Dr. ${doctor?.name || "a doctor"} on ${whenStr}.`,
+      meta,
+    }).catch((e) => console.error("Clinic admin notification failed:", e.message));
+  }
+};
+
+const confirmAppointmentForPayment = async (payment) => {
+  const current = await Appointment.findById(payment.appointmentId)
+    .select("requiresConfirmation")
+    .lean();
+
+  // Clinics that vet bookings still confirm by hand once the fee is in
+  const paidFields = {
+    "payment.status": "PAID",
+    "payment.paymentId": payment._id,
+    "payment.paidAt": new Date(),
+    "payment.holdExpiresAt": null,
+  };
+  const update = current?.requiresConfirmation
+    ? { $set: paidFields }
+    : buildStatusUpdate("PENDING", "CONFIRMED", { reason: "Consultation fee paid", set: paidFields });
+
+  const appointment = current
+    ? await Appointment.findOneAndUpdate(
+      {
+        _id: payment.appointmentId,
+        status: "PENDING",
+        "payment.status": "PENDING",
+      },
+      update,
+      { new: true }
+    )
+    : null;
+
+  if (appointment) {
+    notifyConsultationPaid(appointment).catch((e) =>
+      console.error("Consultation payment notification failed:", e.message)
+    );
+    return true;
+  }
+
+  // Hold expired or booking cancelled before the money arrived
+  await refundUnheldConsultation(payment);
+  return false;
+};
+
+const completeRazorpayPayment = async (payment, { razorpayPaymentId, razorpaySignature = null }) => {
+  const completed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["PENDING", "FAILED"] } },
+    {
+      $set: {
+        status: "COMPLETED",
+        razorpayPaymentId,
+        ...(razorpaySignature ? { razorpaySignature } : {}),
+      },
+    },
+    { new: true }
+  );
+
+  // Already completed elsewhere (or refunded) — nothing to do
+  if (!completed) return { claimed: false, activated: false, payment };
+
+  // The discounted amount is already captured; if a concurrent purchase took
+  // the last redemption (overall or for this clinic), the cap holds and this
+  // one simply isn't counted
+  if (completed.coupon?.couponId) {
+    await recordCouponRedemption(completed._id).catch((err) => {
+      if (err.code !== "COUPON_EXHAUSTED") throw err;
+      console.warn(`[Coupon] ${completed.coupon.code} over its limit on payment ${completed._id}`);
+    });
+  }
+
+  const activated =
+    completed.purpose === "CONSULTATION"
+      ? await confirmAppointmentForPayment(completed)
+      : await activateTenantForPayment(completed);
+  return { claimed: true, activated, payment: completed };
+};
+
 /* =========================================================
    3) Confirm Payment + Activate Subscription
    - Idempotent
@@ -213,6 +423,9 @@ export const confirmRazorpayPaymentService = async ({
   // 1) Find payment record
   const payment = await Payment.findOne({ razorpayOrderId });
   if (!payment) throw new Error("Payment record not found for this order.");
+  if (payment.purpose !== "SUBSCRIPTION") {
+    throw new Error("This order is not a subscription payment.");
+  }
 
   // ✅ Idempotent: if already completed just return
   if (payment.status === "COMPLETED") {
@@ -253,38 +466,19 @@ export const confirmRazorpayPaymentService = async ({
     payment.status = "FAILED";
     payment.razorpayPaymentId = razorpayPaymentId;
     payment.razorpaySignature = razorpaySignature;
+    payment.failureReason = "Signature mismatch";
     await payment.save();
 
     throw new Error("Security verification failed: Signature mismatch.");
   }
 
-  // 3) Mark payment completed
-  payment.status = "COMPLETED";
-  payment.razorpayPaymentId = razorpayPaymentId;
-  payment.razorpaySignature = razorpaySignature;
-  await payment.save();
-
-  // 4) Activate tenant subscription (CRITICAL FIX for your PENDING_VERIFICATION issue)
-  const result = await Tenant.updateOne(
-    {
-      _id: payment.tenantId,
-      "subscription.razorpayOrderId": razorpayOrderId,
-    },
-    {
-      $set: {
-        "subscription.plan": payment.planCode,
-        "subscription.status": "ACTIVE",
-        "subscription.razorpayPaymentId": razorpayPaymentId,
-        "subscription.billingCycle": payment.billingCycle || "monthly",
-        "subscription.price.amount": (payment.amountPaise || 0) / 100,
-        "subscription.price.currency": payment.currency || "INR",
-        "subscription.activatedAt": new Date(),
-        "subscription.paymentMethodStatus": "ON_FILE",
-      },
-    }
-  );
+  // 3) Mark payment completed + activate (shared with the webhook)
+  const { claimed, activated } = await completeRazorpayPayment(payment, {
+    razorpayPaymentId,
+    razorpaySignature,
+  });
 
-  if (result.matchedCount === 0) {
+  if (claimed && !activated) {
     throw new Error(
       "Tenant subscription update failed: orderId mismatch or tenant not found."
     );
@@ -311,6 +505,7 @@ export const submitManualPaymentService = async ({
   billingCycle = "monthly",
   transactionRef,
   amountRupees = 0, // optional display only
+  couponCode = null,
 }) => {
   if (!tenantId || !isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
   if (userId && !isValidObjectId(userId)) throw new Error("Invalid userId.");
@@ -325,9 +520,18 @@ export const submitManualPaymentService = async ({
   const cycle = normalizeCycle(billingCycle);
   if (!ALLOWED_CYCLES.has(cycle)) throw new Error("Invalid billingCycle.");
 
+  const tenant = await Tenant.findById(tenantId).select("_id subscription").lean();
+  if (!tenant) throw new Error("Tenant not found.");
+
   // For manual, you can still compute canonical amount from DB for consistency
   const { rupees } = await getPlanPriceRupees({ planCode: code, billingCycle: cycle });
-  const amountPaise = toPaise(rupees);
+  const { amountPaise, coupon } = await applyCoupon({
+    tenant,
+    couponCode,
+    planCode: code,
+    billingCycle: cycle,
+    amountPaise: toPaise(rupees),
+  });
 
   const paymentDoc = await Payment.create({
     tenantId,
@@ -341,11 +545,23 @@ export const submitManualPaymentService = async ({
     method: "MANUAL",
     status: "PENDING",
     transactionRef: String(transactionRef).trim(),
+    coupon,
     metadata: {
       clientAmountRupees: Number(amountRupees) || 0,
     },
   });
 
+  // Reserve the redemption now (released if the payment is rejected) so
+  // the coupon's cap can't be oversubscribed while the review is pending
+  if (coupon) {
+    try {
+      await recordCouponRedemption(paymentDoc._id);
+    } catch (err) {
+      await Payment.deleteOne({ _id: paymentDoc._id });
+      throw err;
+    }
+  }
+
   // Keep tenant pending until admin approves
   await Tenant.updateOne(
     { _id: tenantId },
@@ -355,19 +571,724 @@ export const submitManualPaymentService = async ({
         "subscription.billingCycle": cycle,
         "subscription.price.amount": amountPaise / 100,
         "subscription.price.currency": "INR",
-        "subscription.status": "PENDING_VERIFICATION",
+        "subscription.status": pendingStatusFor(tenant),
       },
+      ...(coupon ? { $unset: { "subscription.pendingCoupon": "" } } : {}),
     }
   );
 
   return {
     paymentId: paymentDoc._id,
     status: paymentDoc.status,
+    amountPaise,
+    coupon,
+  };
+};
+
+/* =========================================================
+   4b) Manual payment review (Super Admin)
+   - APPROVE completes the payment and activates the plan
+   - REJECT fails it and gives back the coupon redemption
+     reserved at submission
+========================================================= */
+const MANUAL_DECISIONS = new Set(["APPROVE", "REJECT"]);
+
+export const reviewManualPaymentService = async ({ paymentId, decision, reason = "", adminId = null }) => {
+  if (!paymentId || !isValidObjectId(paymentId)) throw new Error("Invalid paymentId.");
+
+  const normalized = String(decision || "").trim().toUpperCase();
+  if (!MANUAL_DECISIONS.has(normalized)) throw new Error("decision must be APPROVE or REJECT.");
+
+  const cleanReason = safeString(reason).trim().slice(0, 500);
+  if (normalized === "REJECT" && !cleanReason) throw new Error("A reason is required to reject a payment.");
+
+  // Claim the pending payment so two reviewers can't both act on it
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, method: "MANUAL", status: "PENDING" },
+    {
+      $set:
+        normalized === "APPROVE"
+          ? { status: "COMPLETED" }
+          : { status: "FAILED", failureReason: cleanReason },
+    },
+    { new: true }
+  );
+  if (!payment) {
+    const exists = await Payment.exists({ _id: paymentId });
+    throw new Error(exists ? "Only pending manual payments can be reviewed." : "Payment not found.");
+  }
+
+  const performedBy = adminId && isValidObjectId(adminId) ? adminId : null;
+
+  if (normalized === "APPROVE") {
+    await activateTenantForPayment(payment);
+  } else {
+    await releaseCouponRedemption(payment._id);
+  }
+
+  await Tenant.updateOne(
+    { _id: payment.tenantId },
+    {
+      $push: {
+        "subscription.auditLogs": {
+          action: normalized === "APPROVE" ? "MANUAL_PAYMENT_APPROVED" : "MANUAL_PAYMENT_REJECTED",
+          performedBy,
+          details: `Manual payment ${payment._id} (${payment.transactionRef})${cleanReason ? `: ${cleanReason}` : ""}`,
+        },
+      },
+    }
+  );
+
+  return {
+    paymentId: payment._id,
+    status: payment.status,
+    planCode: payment.planCode,
+    amountPaise: payment.amountPaise,
+  };
+};
+
+/* =========================================================
+   5) Price preview with coupon (checkout UI)
+========================================================= */
+export const quoteSubscriptionPriceService = async ({
+  tenantId,
+  planCode,
+  billingCycle = "monthly",
+  couponCode,
+}) => {
+  if (!tenantId || !isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
+
+  const { code, cycle, rupees } = await getPlanPriceRupees({ planCode, billingCycle });
+  const originalAmountPaise = toPaise(rupees);
+
+  const { coupon, discountPaise, finalAmountPaise } = await resolveCouponForPurchase({
+    code: couponCode,
+    tenantId,
+    planCode: code,
+    billingCycle: cycle,
+    amountPaise: originalAmountPaise,
+  });
+
+  return {
+    code: coupon.code,
+    description: coupon.description,
+    planCode: code,
+    billingCycle: cycle,
+    originalAmountPaise,
+    discountPaise,
+    amountPaise: finalAmountPaise,
+    currency: "INR",
+  };
+};
+
+/* =========================================================
+   5b) Refunds (Super Admin)
+   - RAZORPAY payments are refunded through the Razorpay API
+   - MANUAL payments record an out-of-band refund
+   - Optionally downgrades the tenant to FREE
+========================================================= */
+const REFUNDABLE_STATUSES = new Set(["COMPLETED", "PARTIALLY_REFUNDED"]);
+
+// Recompute refundedPaise + status from the refund lines
+const applyRefundTotals = (payment) => {
+  payment.refundedPaise = payment.refunds
+    .filter((r) => r.status === "PROCESSED")
+    .reduce((sum, r) => sum + r.amountPaise, 0);
+
+  if (payment.refundedPaise >= payment.amountPaise) payment.status = "REFUNDED";
+  else if (payment.refundedPaise > 0) payment.status = "PARTIALLY_REFUNDED";
+};
+
+const refundablePaise = (payment) =>
+  payment.amountPaise -
+  payment.refunds
+    .filter((r) => r.status !== "FAILED")
+    .reduce((sum, r) => sum + r.amountPaise, 0);
+
+// Keep a consultation appointment's payment status in step with its Payment
+const syncAppointmentPayment = async (payment) => {
+  if (payment.purpose !== "CONSULTATION" || !payment.appointmentId) return;
+
+  const status = { COMPLETED: "PAID", PARTIALLY_REFUNDED: "PARTIALLY_REFUNDED", REFUNDED: "REFUNDED" }[
+    payment.status
+  ];
+  if (!status) return;
+
+  await Appointment.updateOne(
+    { _id: payment.appointmentId, "payment.paymentId": payment._id },
+    { $set: { "payment.status": status } }
+  );
+};
+
+// Sum of refund lines still counting against the balance (PENDING + PROCESSED)
+const committedRefundsExpr = {
+  $sum: {
+    $map: {
+      input: { $filter: { input: "$refunds", cond: { $ne: ["$$this.status", "FAILED"] } } },
+      in: "$$this.amountPaise",
+    },
+  },
+};
+
+const setRefundLine = (paymentId, lineId, fields) =>
+  Payment.updateOne(
+    { _id: paymentId, "refunds._id": lineId },
+    { $set: Object.fromEntries(Object.entries(fields).map(([k, v]) => [`refunds.$.${k}`, v])) }
+  );
+
+// Reload, recompute refundedPaise + status, and mirror onto the appointment
+const saveRefundTotals = async (paymentId) => {
+  const fresh = await Payment.findById(paymentId);
+  applyRefundTotals(fresh);
+  await fresh.save();
+  await syncAppointmentPayment(fresh);
+  return fresh;
+};
+
+/**
+ * Refund part or all of a payment and record the refund line.
+ * - The line is reserved first, atomically, only while the refunds so far
+ *   plus this one fit in the payment, so concurrent refunds can't over-refund
+ * - RAZORPAY goes through the API; MANUAL needs an out-of-band reference
+ * @returns {{ refund: object, payment: Payment }} the recorded line + reloaded payment
+ */
+const issueRefund = async (payment, { amountPaise, reason = "", reference = null, initiatedBy = null }) => {
+  const cleanReason = safeString(reason).trim().slice(0, 500);
+  const isRazorpay = payment.method === "RAZORPAY";
+
+  const ref = safeString(reference).trim();
+  if (isRazorpay && !payment.razorpayPaymentId) throw new Error("Razorpay payment id missing on this payment.");
+  if (!isRazorpay && !ref) throw new Error("reference is required for manual refunds.");
+
+  const lineId = new mongoose.Types.ObjectId();
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: [...REFUNDABLE_STATUSES] },
+      $expr: { $lte: [{ $add: [committedRefundsExpr, amountPaise] }, "$amountPaise"] },
+    },
+    {
+      $push: {
+        refunds: {
+          _id: lineId,
+          amountPaise,
+          method: payment.method,
+          reason: cleanReason,
+          initiatedBy: initiatedBy && isValidObjectId(initiatedBy) ? initiatedBy : null,
+          // Manual refunds already happened out of band
+          ...(isRazorpay
+            ? { status: "PENDING" }
+            : { reference: ref, status: "PROCESSED", processedAt: new Date() }),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!reserved) throw new Error("Refund exceeds the refundable balance of this payment.");
+
+  if (isRazorpay) {
+    let refund;
+    try {
+      refund = await getRazorpayClient().payments.refund(payment.razorpayPaymentId, {
+        amount: amountPaise,
+        // refundLineId lets the refund webhooks find this line before its Razorpay id is saved
+        notes: { reason: cleanReason, paymentRecordId: String(payment._id), refundLineId: String(lineId) },
+      });
+    } catch (err) {
+      await setRefundLine(payment._id, lineId, { status: "FAILED" });
+      const msg = err?.error?.description || err?.message || "Razorpay refund failed.";
+      throw new Error(msg);
+    }
+
+    // "pending" refunds are finalised by the refund.processed webhook,
+    // which may already have run — never move a line back to PENDING
+    await setRefundLine(payment._id, lineId, {
+      razorpayRefundId: refund?.id || null,
+      ...(refund?.status === "processed" ? { status: "PROCESSED", processedAt: new Date() } : {}),
+    });
+  }
+
+  const fresh = await saveRefundTotals(payment._id);
+  return { refund: fresh.refunds.id(lineId), payment: fresh };
+};
+
+export const refundPaymentService = async ({
+  paymentId,
+  amountRupees = null, // null = refund the remaining balance
+  reason = "",
+  reference = null,
+  downgrade = false,
+  adminId = null,
+}) => {
+  if (!paymentId || !isValidObjectId(paymentId)) throw new Error("Invalid paymentId.");
+
+  const payment = await Payment.findById(paymentId);
+  if (!payment) throw new Error("Payment not found.");
+  if (!REFUNDABLE_STATUSES.has(payment.status)) {
+    throw new Error(`Only completed payments can be refunded (current status: ${payment.status}).`);
+  }
+
+  const remaining = refundablePaise(payment);
+  if (remaining <= 0) throw new Error("This payment has already been fully refunded.");
+
+  const hasAmount = amountRupees !== null && amountRupees !== undefined && amountRupees !== "";
+  const amountPaise = hasAmount ? toPaise(amountRupees) : remaining;
+  if (amountPaise > remaining) {
+    throw new Error(`Refund exceeds the refundable balance of ₹${remaining / 100}.`);
+  }
+
+  const { refund, payment: fresh } = await issueRefund(payment, {
+    amountPaise,
+    reason,
+    reference,
+    initiatedBy: adminId,
+  });
+  const cleanReason = refund.reason;
+
+  if (payment.purpose !== "SUBSCRIPTION") {
+    return {
+      paymentId: fresh._id,
+      status: fresh.status,
+      amountPaise: fresh.amountPaise,
+      refundedPaise: fresh.refundedPaise,
+      refund,
+      downgraded: false,
+    };
+  }
+
+  // Audit + optional downgrade on the tenant
+  const tenantUpdate = {
+    $push: {
+      "subscription.auditLogs": {
+        action: "PAYMENT_REFUNDED",
+        performedBy: refund.initiatedBy,
+        details: `Refunded ₹${amountPaise / 100} of payment ${fresh._id}${cleanReason ? ` (${cleanReason})` : ""}`,
+      },
+    },
+  };
+  if (downgrade) {
+    tenantUpdate.$set = {
+      "subscription.plan": "FREE",
+      "subscription.status": "ACTIVE",
+      "subscription.price.amount": 0,
+      "subscription.nextRenewalDate": null,
+      "subscription.pastDueSince": null,
+      "subscription.remindersSent": [],
+    };
+    tenantUpdate.$push["subscription.auditLogs"] = {
+      $each: [
+        tenantUpdate.$push["subscription.auditLogs"],
+        {
+          action: "SUBSCRIPTION_DOWNGRADED",
+          performedBy: refund.initiatedBy,
+          details: `Downgraded from ${payment.planCode} to FREE after refund`,
+        },
+      ],
+    };
+  }
+  await Tenant.updateOne({ _id: payment.tenantId }, tenantUpdate);
+
+  return {
+    paymentId: fresh._id,
+    status: fresh.status,
+    amountPaise: fresh.amountPaise,
+    refundedPaise: fresh.refundedPaise,
+    refund,
+    downgraded: Boolean(downgrade),
   };
 };
 
 /* =========================================================
-   5) List invoices for UI
+   5c) Consultation fees (patient pays at booking time)
+   - The appointment is created PENDING with payment.status PENDING
+     and a hold; this order pays for it
+   - Verified payments confirm the booking via completeRazorpayPayment,
+     the same path the webhook takes
+========================================================= */
+export const createConsultationOrderService = async ({ appointmentId, userId, email = null }) => {
+  if (!appointmentId || !isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+  if (!userId || !isValidObjectId(userId)) throw new Error("Invalid userId.");
+
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment) throw new Error("Appointment not found.");
+  if (String(appointment.patientId) !== String(userId)) {
+    throw new Error("Not authorized to pay for this appointment.");
+  }
+  if (appointment.status !== "PENDING" || appointment.payment?.status !== "PENDING") {
+    throw new Error("This appointment is not awaiting payment.");
+  }
+  if (appointment.payment.holdExpiresAt && appointment.payment.holdExpiresAt <= new Date()) {
+    throw new Error("The booking hold has expired. Please book again.");
+  }
+
+  // Reuse the open order if checkout is retried within the hold
+  const open = appointment.payment.paymentId
+    ? await Payment.findOne({ _id: appointment.payment.paymentId, status: "PENDING" }).lean()
+    : null;
+  if (open) {
+    return {
+      order: { id: open.razorpayOrderId, amount: open.amountPaise, currency: open.currency },
+      paymentId: open._id,
+      amountPaise: open.amountPaise,
+      currency: open.currency,
+      holdExpiresAt: appointment.payment.holdExpiresAt,
+    };
+  }
+
+  const amountPaise = appointment.payment.amountPaise;
+  if (!Number.isInteger(amountPaise) || amountPaise <= 0) throw new Error("Invalid amount.");
+
+  const emailLower = normalizeEmail(email || appointment.patientInfo?.email);
+  if (!emailLower) throw new Error("email is required.");
+
+  const options = {
+    amount: amountPaise,
+    currency: "INR",
+    receipt: `appt_${String(appointment._id).slice(-10)}_${Date.now()}`,
+    notes: {
+      purpose: "CONSULTATION",
+      appointmentId: String(appointment._id),
+      tenantId: String(appointment.tenantId),
+      email: emailLower,
+    },
+  };
+
+  let order;
+  try {
+    order = await getRazorpayClient().orders.create(options);
+  } catch (err) {
+    const msg =
+      err?.error?.description || err?.message || "Razorpay order creation failed.";
+    throw new Error(msg);
+  }
+
+  const paymentDoc = await Payment.create({
+    tenantId: appointment.tenantId,
+    userId,
+    email: emailLower,
+    amountPaise,
+    currency: options.currency,
+    purpose: "CONSULTATION",
+    appointmentId: appointment._id,
+    billingCycle: null,
+    method: "RAZORPAY",
+    status: "PENDING",
+    razorpayOrderId: order.id,
+    notes: options.notes,
+  });
+
+  await Appointment.updateOne(
+    { _id: appointment._id, "payment.status": "PENDING" },
+    { $set: { "payment.paymentId": paymentDoc._id } }
+  );
+
+  return {
+    order,
+    paymentId: paymentDoc._id,
+    amountPaise,
+    currency: options.currency,
+    holdExpiresAt: appointment.payment.holdExpiresAt,
+  };
+};
+
+export const confirmConsultationPaymentService = async ({
+  razorpayOrderId,
+  razorpayPaymentId,
+  razorpaySignature,
+  userId,
+}) => {
+  if (!razorpayOrderId || !razorpayPaymentId || !razorpaySignature) {
+    throw new Error("Missing payment verification fields.");
+  }
+
+  const payment = await Payment.findOne({ razorpayOrderId, purpose: "CONSULTATION" });
+  if (!payment) throw new Error("Payment record not found for this order.");
+  if (String(payment.userId) !== String(userId)) {
+    throw new Error("Not authorized to verify this payment.");
+  }
+
+  const ok = verifyPaymentSignature({
+    orderId: razorpayOrderId,
+    paymentId: razorpayPaymentId,
+    signature: razorpaySignature,
+  });
+
+  if (!ok) {
+    await Payment.updateOne(
+      { _id: payment._id, status: "PENDING" },
+      {
+        $set: {
+          status: "FAILED",
+          razorpayPaymentId,
+          razorpaySignature,
+          failureReason: "Signature mismatch",
+        },
+      }
+    );
+    throw new Error("Security verification failed: Signature mismatch.");
+  }
+
+  const { claimed, activated } = await completeRazorpayPayment(payment, {
+    razorpayPaymentId,
+    razorpaySignature,
+  });
+
+  if (claimed && !activated) {
+    throw new Error("Payment arrived after the booking hold expired; it has been refunded.");
+  }
+
+  const appointment = await Appointment.findById(payment.appointmentId)
+    .select("status payment")
+    .lean();
+
+  return {
+    appointmentId: payment.appointmentId,
+    appointmentStatus: appointment?.status || null,
+    paymentStatus: appointment?.payment?.status || null,
+    razorpayOrderId,
+    razorpayPaymentId,
+  };
+};
+
+const UNHELD_REFUND_REASON = "Appointment no longer held when payment completed";
+
+/**
+ * Refund a consultation fee that arrived after its booking was released.
+ * The payment is already COMPLETED, so a retried verify/webhook won't come
+ * back here: on failure the payment is flagged refundPending for the
+ * scheduler (retryPendingConsultationRefunds) instead of throwing.
+ * @returns {Promise<boolean>} whether nothing is left to refund
+ */
+const refundUnheldConsultation = async (payment) => {
+  const remaining = REFUNDABLE_STATUSES.has(payment.status) ? refundablePaise(payment) : 0;
+  try {
+    if (remaining > 0) await issueRefund(payment, { amountPaise: remaining, reason: UNHELD_REFUND_REASON });
+  } catch (err) {
+    console.error(`[Payments] Refund of unheld consultation payment ${payment._id} failed:`, err.message);
+    await Payment.updateOne({ _id: payment._id }, { $set: { refundPending: true } });
+    return false;
+  }
+  if (payment.refundPending) await Payment.updateOne({ _id: payment._id }, { $set: { refundPending: false } });
+  return true;
+};
+
+/**
+ * Retry refunds flagged by refundUnheldConsultation. Run by the scheduler.
+ */
+export const retryPendingConsultationRefunds = async ({ limit = 50 } = {}) => {
+  const pending = await Payment.find({ refundPending: true, purpose: "CONSULTATION" })
+    .sort({ updatedAt: 1 })
+    .limit(limit);
+
+  let refunded = 0;
+  for (const payment of pending) {
+    if (await refundUnheldConsultation(payment)) refunded++;
+  }
+  return { pending: pending.length, refunded };
+};
+
+/**
+ * Refund whatever is left of an appointment's consultation fee
+ * (clinic-side cancellations). Returns null when nothing was paid.
+ */
+export const refundConsultationForAppointment = async ({ appointmentId, reason = "", initiatedBy = null }) => {
+  const payment = await Payment.findOne({
+    appointmentId,
+    purpose: "CONSULTATION",
+    status: { $in: [...REFUNDABLE_STATUSES] },
+  });
+  if (!payment) return null;
+
+  const remaining = refundablePaise(payment);
+  if (remaining <= 0) return null;
+
+  const { refund, payment: fresh } = await issueRefund(payment, {
+    amountPaise: remaining,
+    reason,
+    initiatedBy,
+  });
+  return { paymentId: fresh._id, status: fresh.status, refund };
+};
+
+/* =========================================================
+   6) Razorpay webhook
+   - Signature: HMAC-SHA256 of the raw body with RAZORPAY_WEBHOOK_SECRET
+   - Idempotent: event ids are claimed on the Payment, and state
+     transitions are guarded, so retries / verify races are no-ops
+========================================================= */
+const WEBHOOK_EVENTS = new Set([
+  "payment.captured",
+  "payment.failed",
+  "order.paid",
+  "refund.processed",
+  "refund.failed",
+]);
+
+const MAX_STORED_EVENT_IDS = 50;
+
+export const verifyWebhookSignature = (rawBody, signature) => {
+  if (!rawBody || !signature) return false;
+
+  const secret = requireEnvOnUse("RAZORPAY_WEBHOOK_SECRET");
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(rawBody).digest("hex")
+  );
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const claimWebhookEvent = async (paymentId, eventId) => {
+  if (!eventId) return true;
+  const res = await Payment.updateOne(
+    { _id: paymentId, webhookEventIds: { $ne: eventId } },
+    { $push: { webhookEventIds: { $each: [eventId], $slice: -MAX_STORED_EVENT_IDS } } }
+  );
+  return res.modifiedCount > 0;
+};
+
+// Let Razorpay retry an event whose processing failed
+const releaseWebhookEvent = (paymentId, eventId) =>
+  eventId
+    ? Payment.updateOne({ _id: paymentId }, { $pull: { webhookEventIds: eventId } })
+    : null;
+
+const onPaymentCaptured = async (payment, entity) => {
+  const amount = Number(entity?.amount);
+  if (Number.isFinite(amount) && amount !== payment.amountPaise) {
+    console.error(
+      `[Webhook] Amount mismatch for order ${payment.razorpayOrderId}: expected ${payment.amountPaise}, got ${amount}`
+    );
+    return { handled: false, reason: "amount_mismatch" };
+  }
+
+  const { claimed, activated } = await completeRazorpayPayment(payment, {
+    razorpayPaymentId: entity?.id || payment.razorpayPaymentId,
+  });
+
+  if (claimed && !activated) {
+    // Tenant has since started a different order (or the booking hold
+    // lapsed and the fee was refunded); payment stays recorded
+    console.warn(
+      payment.purpose === "CONSULTATION"
+        ? `[Webhook] Payment ${payment._id} arrived after appointment ${payment.appointmentId} was released; refunded.`
+        : `[Webhook] Payment ${payment._id} completed but tenant order changed.`
+    );
+  }
+  return { handled: true, activated: claimed && activated };
+};
+
+const onPaymentFailed = async (payment, entity) => {
+  const res = await Payment.updateOne(
+    { _id: payment._id, status: "PENDING" },
+    {
+      $set: {
+        status: "FAILED",
+        failureReason: safeString(entity?.error_description || entity?.error_reason) || null,
+      },
+    }
+  );
+  return { handled: res.modifiedCount > 0 };
+};
+
+// Our line for a Razorpay refund: by refund id, or by the line id sent in its notes
+const findRefundLine = (doc, entity) =>
+  doc.refunds.find((r) => r.razorpayRefundId === entity.id) ||
+  (entity.notes?.refundLineId ? doc.refunds.id(String(entity.notes.refundLineId)) : null);
+
+const onRefundProcessed = async (payment, entity) => {
+  const amount = Number(entity?.amount);
+  if (!entity?.id || !Number.isInteger(amount) || amount <= 0) {
+    return { handled: false, reason: "invalid_refund" };
+  }
+
+  const doc = await Payment.findById(payment._id);
+  const line = findRefundLine(doc, entity);
+
+  if (line) {
+    if (line.status === "PROCESSED") return { handled: false, reason: "already_processed" };
+    line.razorpayRefundId = entity.id;
+    line.status = "PROCESSED";
+    line.processedAt = new Date();
+  } else {
+    // Issued from the Razorpay dashboard, not through this API
+    doc.refunds.push({
+      razorpayRefundId: entity.id,
+      amountPaise: amount,
+      method: "RAZORPAY",
+      status: "PROCESSED",
+      reason: safeString(entity.notes?.reason),
+      processedAt: new Date(),
+    });
+  }
+
+  applyRefundTotals(doc);
+  await doc.save();
+  await syncAppointmentPayment(doc);
+  return { handled: true };
+};
+
+// A pending refund Razorpay gave up on: its amount is refundable again
+const onRefundFailed = async (payment, entity) => {
+  if (!entity?.id) return { handled: false, reason: "invalid_refund" };
+
+  const doc = await Payment.findById(payment._id);
+  const line = findRefundLine(doc, entity);
+  if (!line) return { handled: false, reason: "refund_not_found" };
+  if (line.status !== "PENDING") return { handled: false, reason: `already_${line.status.toLowerCase()}` };
+
+  line.razorpayRefundId = entity.id;
+  line.status = "FAILED";
+  // Nobody is waiting on the automatic refund of an unheld booking; queue it again
+  if (line.reason === UNHELD_REFUND_REASON) doc.refundPending = true;
+
+  applyRefundTotals(doc);
+  await doc.save();
+  await syncAppointmentPayment(doc);
+  return { handled: true };
+};
+
+export const handleRazorpayWebhookService = async ({ event, eventId = null }) => {
+  const type = event?.event;
+  if (!WEBHOOK_EVENTS.has(type)) return { handled: false, reason: "ignored_event" };
+
+  const paymentEntity = event?.payload?.payment?.entity || null;
+  const orderEntity = event?.payload?.order?.entity || null;
+  const refundEntity = event?.payload?.refund?.entity || null;
+
+  const orderId = paymentEntity?.order_id || orderEntity?.id || null;
+  const razorpayPaymentId = refundEntity?.payment_id || paymentEntity?.id || null;
+
+  let payment = orderId ? await Payment.findOne({ razorpayOrderId: orderId }) : null;
+  if (!payment && razorpayPaymentId) payment = await Payment.findOne({ razorpayPaymentId });
+
+  // Not one of ours (or created outside this API) — acknowledge and move on
+  if (!payment) return { handled: false, reason: "payment_not_found" };
+
+  if (!(await claimWebhookEvent(payment._id, eventId))) {
+    return { handled: false, reason: "duplicate_event" };
+  }
+
+  try {
+    let result;
+    if (type === "payment.captured" || type === "order.paid") {
+      result = await onPaymentCaptured(payment, paymentEntity || { amount: orderEntity?.amount_paid });
+    } else if (type === "payment.failed") {
+      result = await onPaymentFailed(payment, paymentEntity);
+    } else if (type === "refund.failed") {
+      result = await onRefundFailed(payment, refundEntity);
+    } else {
+      result = await onRefundProcessed(payment, refundEntity);
+    }
+    return { ...result, event: type, paymentId: payment._id };
+  } catch (err) {
+    await releaseWebhookEvent(payment._id, eventId);
+    throw err;
+  }
+};
+
+/* =========================================================
+   7) List invoices for UI
 ========================================================= */
 export const listTenantInvoicesService = async (tenantId, { limit = 20 } = {}) => {
   if (!tenantId || !isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
@@ -375,7 +1296,7 @@ export const listTenantInvoicesService = async (tenantId, { limit = 20 } = {}) =
   const rows = await Payment.find({
     tenantId,
     purpose: "SUBSCRIPTION",
-    status: "COMPLETED",
+    status: { $in: ["COMPLETED", "PARTIALLY_REFUNDED", "REFUNDED"] },
   })
     .sort({ createdAt: -1 })
     .limit(Math.min(Math.max(Number(limit) || 20, 1), 100))
@@ -390,5 +1311,14 @@ export const listTenantInvoicesService = async (tenantId, { limit = 20 } = {}) =
     billingCycle: p.billingCycle,
     method: p.method,
     status: p.status,
+    couponCode: p.coupon?.code || null,
+    discount: (p.coupon?.discountPaise || 0) / 100,
+    refundedAmount: (p.refundedPaise || 0) / 100,
+    refunds: (p.refunds || []).map((r) => ({
+      amount: r.amountPaise / 100,
+      status: r.status,
+      reason: r.reason,
+      date: r.processedAt || r.createdAt,
+    })),
   }));
 };
@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import Prescription from "../models/prescriptionModel.js";
+import Appointment from "../models/appointmentModel.js";
+import Doctor from "../models/doctorModel.js";
+import Tenant from "../models/tenantModel.js";
+import VideoConsultation from "../models/videoConsultationModel.js";
+import { renderPrescriptionPdf } from "../utils/prescriptionPdf.js";
+import { getZonedDateSlot, resolveTenantTimeZone } from "../utils/dateTime.js";
+
+const MAX_ITEMS = 30;
+
+class PrescriptionService {
+  #isValidObjectId(id) {
+    return Boolean(id) && mongoose.Types.ObjectId.isValid(id);
+  }
+
+  #clean(value, max) {
+    return String(value ?? "").trim().slice(0, max);
+  }
+
+  #normalize(input = {}) {
+    const rawItems = Array.isArray(input) ? input : input.items;
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+      throw new Error("Prescription must contain at least one medicine.");
+    }
+    if (rawItems.length > MAX_ITEMS) {
+      throw new Error(`Prescription cannot contain more than ${MAX_ITEMS} medicines.`);
+    }
+
+    const items = rawItems.map((item, i) => {
+      const drug = this.#clean(item?.drug ?? item?.name, 120);
+      if (!drug) throw new Error(`Medicine name is required (item ${i + 1}).`);
+      return {
+        drug,
+        dose: this.#clean(item.dose, 60),
+        frequency: this.#clean(item.frequency, 60),
+        duration: this.#clean(item.duration, 60),
+        instructions: this.#clean(item.instructions, 300),
+      };
+    });
+
+    let followUpDate = null;
+    if (input.followUpDate) {
+      followUpDate = new Date(input.followUpDate);
+      if (Number.isNaN(followUpDate.getTime())) throw new Error("Invalid follow-up date.");
+    }
+
+    return {
+      items,
+      followUpDate,
+      diagnosis: this.#clean(input.diagnosis, 500),
+      notes: this.#clean(input.notes, 2000),
+    };
+  }
+
+  /**
+   * Plain-text summary kept in VideoConsultation.prescription for older clients
+   */
+  #toSummary({ items, followUpDate }) {
+    const lines = items.map((it, i) =>
+      [`${i + 1}. ${it.drug}`, it.dose, it.frequency, it.duration, it.instructions]
+        .filter(Boolean)
+        .join(" — ")
+    );
+    if (followUpDate) lines.push(`Follow-up: ${followUpDate.toISOString().slice(0, 10)}`);
+    return lines.join("\n").slice(0, 3000);
+  }
+
+  async #loadAppointment(appointmentId) {
+    if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+    const appointment = await Appointment.findById(appointmentId).lean();
+    if (!appointment) throw new Error("Appointment not found.");
+    return appointment;
+  }
+
+  // The clinic that owns the appointment, or the doctor it was booked with
+  // (actor.doctorIds: the doctor's profiles at each of their clinics)
+  #isCareTeam(appointment, actor = {}) {
+    const role = String(actor.role || "").toUpperCase();
+    if (role === "CLINIC_ADMIN") return String(appointment.tenantId) === String(actor.tenantId);
+    return role === "DOCTOR" && (actor.doctorIds || []).includes(String(appointment.doctorId));
+  }
+
+  #assertCanView(appointment, actor = {}) {
+    const role = String(actor.role || "").toUpperCase();
+    const isPatient = role === "PATIENT" && String(appointment.patientId) === String(actor.id);
+    if (!isPatient && !this.#isCareTeam(appointment, actor)) {
+      throw new Error("You are not authorized to view this prescription.");
+    }
+  }
+
+  #assertCanWrite(appointment, actor = {}) {
+    if (!this.#isCareTeam(appointment, actor)) {
+      throw new Error("You are not authorized to write prescriptions for this appointment.");
+    }
+    if (appointment.status === "CANCELLED") {
+      throw new Error("Cannot prescribe for a cancelled appointment.");
+    }
+  }
+
+  /**
+   * Create or replace the prescription for an appointment (clinic or its doctor)
+   */
+  async upsertForAppointment(appointmentId, actor, input) {
+    const appointment = await this.#loadAppointment(appointmentId);
+    this.#assertCanWrite(appointment, actor);
+
+    const data = this.#normalize(input);
+
+    const prescription = await Prescription.findOneAndUpdate(
+      { appointmentId: appointment._id },
+      {
+        $set: { ...data, issuedBy: actor.id || actor._id },
+        $setOnInsert: {
+          tenantId: appointment.tenantId,
+          doctorId: appointment.doctorId,
+          patientId: appointment.patientId,
+          dependentId: appointment.dependentId || null,
+        },
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    if (appointment.consultationType === "video") {
+      await VideoConsultation.updateOne(
+        { appointmentId: appointment._id },
+        { $set: { prescription: this.#toSummary(data) } }
+      );
+    }
+
+    return prescription;
+  }
+
+  async getForAppointment(appointmentId, actor) {
+    const appointment = await this.#loadAppointment(appointmentId);
+    this.#assertCanView(appointment, actor);
+
+    const prescription = await Prescription.findOne({ appointmentId: appointment._id })
+      .populate("doctorId", "name specialization regNo")
+      .lean();
+    if (!prescription) throw new Error("No prescription has been issued for this appointment.");
+    return prescription;
+  }
+
+  /**
+   * Appointment ids (as strings) that have a prescription
+   */
+  async findPrescribedAppointmentIds(appointmentIds = []) {
+    if (appointmentIds.length === 0) return new Set();
+    const rows = await Prescription.find({ appointmentId: { $in: appointmentIds } })
+      .select("appointmentId")
+      .lean();
+    return new Set(rows.map((r) => String(r.appointmentId)));
+  }
+
+  /**
+   * Branded PDF for download
+   * @returns {Promise<{ buffer: Buffer, filename: string }>}
+   */
+  async generatePdf(appointmentId, actor) {
+    const appointment = await this.#loadAppointment(appointmentId);
+    this.#assertCanView(appointment, actor);
+
+    const prescription = await Prescription.findOne({ appointmentId: appointment._id }).lean();
+    if (!prescription) throw new Error("No prescription has been issued for this appointment.");
+
+    const [doctor, tenant] = await Promise.all([
+      Doctor.findById(appointment.doctorId)
+        .setOptions({ includeDeleted: true })
+        .select("name specialization regNo education")
+        .lean(),
+      Tenant.findById(appointment.tenantId).select("name address settings.branding settings.timezone").lean(),
+    ]);
+
+    const buffer = await renderPrescriptionPdf({ prescription, appointment, doctor, tenant });
+    const datePart = getZonedDateSlot(appointment.dateTime, resolveTenantTimeZone(tenant))?.date;
+
+    return { buffer, filename: `prescription-${datePart}-${String(appointment._id).slice(-6)}.pdf` };
+  }
+}
+
+export default new PrescriptionService();
@@ -0,0 +1,454 @@
+import mongoose from "mongoose";
+import QueueEntry from "../models/queueEntryModel.js";
+import Appointment from "../models/appointmentModel.js";
+import Doctor from "../models/doctorModel.js";
+import Tenant from "../models/tenantModel.js";
+import AppointmentService from "./appointmentService.js";
+import { getZonedDateSlot, resolveTenantTimeZone } from "../utils/dateTime.js";
+import { resolveSchedule, DATE_REGEX } from "../utils/doctorSchedule.js";
+import { canTransition, invalidTransitionError } from "../utils/appointmentStatus.js";
+
+const ACTIVE_STATUSES = ["WAITING", "IN_CONSULTATION"];
+
+// Allowed moves; "call" (→ IN_CONSULTATION) goes through callNext
+const TRANSITIONS = {
+  WAITING: ["SKIPPED", "LEFT"],
+  IN_CONSULTATION: ["DONE"],
+  SKIPPED: ["WAITING", "LEFT"],
+  DONE: [],
+  LEFT: [],
+};
+
+// Finished visits used for the running average
+const ESTIMATE_SAMPLE_SIZE = 20;
+const ESTIMATE_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_TOKEN_ATTEMPTS = 5;
+
+class QueueService {
+  // ---------- helpers ----------
+  #isValidObjectId(id) {
+    return Boolean(id) && mongoose.Types.ObjectId.isValid(id);
+  }
+
+  #clean(value, max = 200) {
+    return String(value ?? "").trim().slice(0, max);
+  }
+
+  /**
+   * Keep a checked-in booking's lifecycle in step with its queue entry.
+   * Queue actions are reception's, so they're recorded as CLINIC_ADMIN.
+   * Logged, not thrown: the queue is the source of truth at the desk.
+   */
+  async #syncAppointment(tenantId, appointmentId, status, actor = {}, options) {
+    if (!appointmentId) return;
+    try {
+      await AppointmentService.updateStatus(
+        tenantId,
+        appointmentId,
+        status,
+        { ...actor, role: "CLINIC_ADMIN" },
+        options
+      );
+    } catch (err) {
+      console.error(`[Queue] Appointment ${appointmentId} → ${status} failed:`, err.message);
+    }
+  }
+
+  async #timeZoneFor(tenantId) {
+    const tenant = await Tenant.findById(tenantId).select("settings.timezone").lean();
+    return resolveTenantTimeZone(tenant);
+  }
+
+  async #resolveDate(tenantId, date) {
+    const dateStr = this.#clean(date, 10);
+    if (dateStr) {
+      if (!DATE_REGEX.test(dateStr)) throw new Error("Invalid date format. Use YYYY-MM-DD.");
+      return dateStr;
+    }
+    return getZonedDateSlot(new Date(), await this.#timeZoneFor(tenantId)).date;
+  }
+
+  async #findClinicDoctor(tenantId, doctorId) {
+    if (!this.#isValidObjectId(doctorId)) throw new Error("Invalid doctorId.");
+    const doctor = await Doctor.findOne({ _id: doctorId, tenantId })
+      .select("name schedule availability")
+      .lean();
+    if (!doctor) throw new Error("Doctor not found for this clinic.");
+    return doctor;
+  }
+
+  /**
+   * Mean of the doctor's recent actual consultation lengths, falling back
+   * to the schedule's slot length until enough visits have been timed.
+   */
+  async #averageConsultationMinutes(doctor) {
+    const recent = await QueueEntry.find({
+      doctorId: doctor._id,
+      status: "DONE",
+      consultationMinutes: { $ne: null },
+      completedAt: { $gte: new Date(Date.now() - ESTIMATE_LOOKBACK_MS) },
+    })
+      .sort({ completedAt: -1 })
+      .limit(ESTIMATE_SAMPLE_SIZE)
+      .select("consultationMinutes")
+      .lean();
+
+    if (recent.length === 0) return resolveSchedule(doctor).slotDuration;
+
+    const total = recent.reduce((sum, e) => sum + e.consultationMinutes, 0);
+    return Math.max(1, Math.round(total / recent.length));
+  }
+
+  // Next token for the doctor/day; the unique index settles races
+  async #createWithToken(fields) {
+    for (let attempt = 0; attempt < MAX_TOKEN_ATTEMPTS; attempt++) {
+      const last = await QueueEntry.findOne({ doctorId: fields.doctorId, date: fields.date })
+        .sort({ tokenNumber: -1 })
+        .select("tokenNumber")
+        .lean();
+      try {
+        return await QueueEntry.create({ ...fields, tokenNumber: (last?.tokenNumber || 0) + 1 });
+      } catch (err) {
+        if (err?.code !== 11000 || err?.keyPattern?.appointmentId) throw err;
+      }
+    }
+    throw new Error("Queue is busy. Please try again.");
+  }
+
+  // ---------- snapshots ----------
+
+  /**
+   * Live queue for a doctor/day with positions and estimated waits.
+   * The patient in consultation is position 0; waiting patients follow
+   * in token order, each expected after everyone ahead of them.
+   */
+  async #buildSnapshot(tenantId, doctor, date) {
+    const [entries, averageMinutes] = await Promise.all([
+      QueueEntry.find({ doctorId: doctor._id, date, status: { $in: ACTIVE_STATUSES } })
+        .sort({ tokenNumber: 1 })
+        .lean(),
+      this.#averageConsultationMinutes(doctor),
+    ]);
+
+    const now = Date.now();
+    const current = entries.find((e) => e.status === "IN_CONSULTATION") || null;
+    const remaining = current
+      ? Math.max(0, averageMinutes - (now - new Date(current.calledAt).getTime()) / 60000)
+      : 0;
+
+    let ahead = 0;
+    const queue = entries.map((e) => {
+      if (e.status === "IN_CONSULTATION") return { ...e, position: 0, estimatedWaitMinutes: 0 };
+      const estimatedWaitMinutes = Math.round(remaining + ahead * averageMinutes);
+      ahead += 1;
+      return { ...e, position: ahead, estimatedWaitMinutes };
+    });
+
+    return {
+      tenantId: String(tenantId),
+      doctorId: String(doctor._id),
+      doctorName: doctor.name,
+      date,
+      averageConsultationMinutes: averageMinutes,
+      nowServing: current?.tokenNumber ?? null,
+      waitingCount: ahead,
+      entries: queue,
+    };
+  }
+
+  // ---------- clinic actions ----------
+
+  /**
+   * Reception checks in a booked in-clinic patient for today
+   * @returns {{ entry: object, snapshot: object }}
+   */
+  async checkIn(tenantId, appointmentId, actor = {}) {
+    if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+
+    const appointment = await Appointment.findOne({ _id: appointmentId, tenantId })
+      .select("doctorId patientId patientInfo dateTime status consultationType payment")
+      .lean();
+    if (!appointment) throw new Error("Appointment not found for this clinic.");
+    if (appointment.consultationType !== "in-clinic") {
+      throw new Error("Only in-clinic appointments can be checked in.");
+    }
+    // NO_SHOW is allowed: the patient turned up after the grace period
+    if (!canTransition(appointment.status, "CHECKED_IN")) {
+      throw invalidTransitionError(appointment.status, "CHECKED_IN");
+    }
+    if (appointment.payment?.status === "PENDING") {
+      throw new Error("This booking is awaiting online payment.");
+    }
+
+    const timeZone = await this.#timeZoneFor(tenantId);
+    const today = getZonedDateSlot(new Date(), timeZone).date;
+    if (getZonedDateSlot(appointment.dateTime, timeZone).date !== today) {
+      throw new Error("Only today's appointments can be checked in.");
+    }
+
+    const doctor = await this.#findClinicDoctor(tenantId, appointment.doctorId);
+
+    // Throws on a concurrent check-in, before a token is handed out
+    await AppointmentService.updateStatus(tenantId, appointment._id, "CHECKED_IN", {
+      ...actor,
+      role: "CLINIC_ADMIN",
+    });
+
+    let entry;
+    try {
+      entry = await this.#createWithToken({
+        tenantId,
+        doctorId: doctor._id,
+        date: today,
+        kind: "APPOINTMENT",
+        appointmentId: appointment._id,
+        patientId: appointment.patientId,
+        patientInfo: {
+          name: appointment.patientInfo?.name || "Patient",
+          contact: appointment.patientInfo?.contact || "",
+        },
+        addedBy: actor.userId || null,
+      });
+    } catch (err) {
+      if (err?.code === 11000) throw new Error("This appointment is already checked in.");
+      throw err;
+    }
+
+    return { entry: entry.toObject(), snapshot: await this.#buildSnapshot(tenantId, doctor, today) };
+  }
+
+  /**
+   * Add a walk-in patient to today's queue for a doctor
+   * - patientId is optional (walk-ins don't need an account)
+   */
+  async addWalkIn(tenantId, { doctorId, name, contact, patientId } = {}, actor = {}) {
+    const doctor = await this.#findClinicDoctor(tenantId, doctorId);
+
+    const patientName = this.#clean(name, 120);
+    if (!patientName) throw new Error("Patient name is required.");
+    if (patientId && !this.#isValidObjectId(patientId)) throw new Error("Invalid patientId.");
+
+    const today = await this.#resolveDate(tenantId);
+    const entry = await this.#createWithToken({
+      tenantId,
+      doctorId: doctor._id,
+      date: today,
+      kind: "WALK_IN",
+      patientId: patientId || null,
+      patientInfo: { name: patientName, contact: this.#clean(contact, 30) },
+      addedBy: actor.userId || null,
+    });
+
+    return { entry: entry.toObject(), snapshot: await this.#buildSnapshot(tenantId, doctor, today) };
+  }
+
+  /**
+   * Call the next patient (or a specific waiting entry) in.
+   * Whoever is still in consultation with the doctor is finished first.
+   * @returns {{ entry: object|null, finished: object|null, snapshot: object }}
+   */
+  async callNext(tenantId, doctorId, { entryId } = {}, actor = {}) {
+    const doctor = await this.#findClinicDoctor(tenantId, doctorId);
+    const today = await this.#resolveDate(tenantId);
+
+    if (entryId && !this.#isValidObjectId(entryId)) throw new Error("Invalid entryId.");
+
+    const next = await QueueEntry.findOne({
+      doctorId: doctor._id,
+      date: today,
+      status: "WAITING",
+      ...(entryId ? { _id: entryId } : {}),
+    })
+      .sort({ tokenNumber: 1 })
+      .lean();
+    if (entryId && !next) throw new Error("That patient is not waiting in this queue.");
+
+    const inConsultation = await QueueEntry.findOne({
+      doctorId: doctor._id,
+      date: today,
+      status: "IN_CONSULTATION",
+    }).select("_id");
+
+    const finished = inConsultation
+      ? await this.#finish(tenantId, inConsultation._id, actor)
+      : null;
+
+    let entry = null;
+    if (next) {
+      entry = await QueueEntry.findOneAndUpdate(
+        { _id: next._id, status: "WAITING" },
+        { $set: { status: "IN_CONSULTATION", calledAt: new Date() } },
+        { new: true }
+      ).lean();
+      await this.#syncAppointment(tenantId, entry?.appointmentId, "IN_CONSULTATION", actor);
+    }
+
+    return { entry, finished, snapshot: await this.#buildSnapshot(tenantId, doctor, today) };
+  }
+
+  async #finish(tenantId, entryId, actor) {
+    const completedAt = new Date();
+    const current = await QueueEntry.findOne({ _id: entryId, tenantId, status: "IN_CONSULTATION" })
+      .select("calledAt")
+      .lean();
+    if (!current) return null;
+
+    const minutes = current.calledAt
+      ? Math.round(((completedAt.getTime() - new Date(current.calledAt).getTime()) / 60000) * 10) / 10
+      : null;
+
+    const entry = await QueueEntry.findOneAndUpdate(
+      { _id: entryId, status: "IN_CONSULTATION" },
+      { $set: { status: "DONE", completedAt, consultationMinutes: minutes } },
+      { new: true }
+    ).lean();
+
+    // A finished check-in completes the booking itself
+    await this.#syncAppointment(tenantId, entry?.appointmentId, "COMPLETED", actor);
+    return entry;
+  }
+
+  /**
+   * Finish, skip, re-queue or drop an entry
+   * @param {"DONE"|"SKIPPED"|"WAITING"|"LEFT"} status
+   */
+  async updateEntryStatus(tenantId, entryId, status, actor = {}) {
+    if (!this.#isValidObjectId(entryId)) throw new Error("Invalid entryId.");
+    const target = String(status || "").toUpperCase();
+
+    const existing = await QueueEntry.findOne({ _id: entryId, tenantId }).lean();
+    if (!existing) throw new Error("Queue entry not found for this clinic.");
+    if (!(TRANSITIONS[existing.status] || []).includes(target)) {
+      throw new Error(`Cannot move a ${existing.status} entry to ${target || "that status"}.`);
+    }
+
+    const entry =
+      target === "DONE"
+        ? await this.#finish(tenantId, entryId, actor)
+        : await QueueEntry.findOneAndUpdate(
+          { _id: entryId, status: existing.status },
+          { $set: { status: target } },
+          { new: true }
+        ).lean();
+    if (!entry) throw new Error("Queue entry changed. Please refresh and try again.");
+
+    if (target === "LEFT") {
+      await this.#syncAppointment(tenantId, entry.appointmentId, "CANCELLED", actor, {
+        reason: "Left before being seen",
+      });
+    }
+
+    const doctor = await this.#findClinicDoctor(tenantId, existing.doctorId);
+    return { entry, snapshot: await this.#buildSnapshot(tenantId, doctor, existing.date) };
+  }
+
+  // ---------- reads ----------
+
+  /**
+   * Full queue for one doctor (clinic staff view)
+   */
+  async getDoctorQueue(tenantId, doctorId, date) {
+    const doctor = await this.#findClinicDoctor(tenantId, doctorId);
+    return this.#buildSnapshot(tenantId, doctor, await this.#resolveDate(tenantId, date));
+  }
+
+  /**
+   * Every doctor with patients in today's queue (clinic staff view)
+   */
+  async getClinicQueues(tenantId, date) {
+    const day = await this.#resolveDate(tenantId, date);
+    const doctorIds = await QueueEntry.distinct("doctorId", {
+      tenantId,
+      date: day,
+      status: { $in: ACTIVE_STATUSES },
+    });
+    const doctors = await Doctor.find({ _id: { $in: doctorIds }, tenantId })
+      .select("name schedule availability")
+      .sort({ name: 1 })
+      .lean();
+
+    return Promise.all(doctors.map((d) => this.#buildSnapshot(tenantId, d, day)));
+  }
+
+  /**
+   * Waiting-room display: token numbers and waits only, no patient details
+   */
+  async getDisplayBoard(tenantId) {
+    if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid clinic id.");
+    const tenant = await Tenant.findOne({ _id: tenantId, isActive: true }).select("name").lean();
+    if (!tenant) throw new Error("Clinic not found.");
+
+    const queues = await this.getClinicQueues(tenantId);
+    return { clinicName: tenant.name, doctors: queues.map((q) => this.toDisplay(q)) };
+  }
+
+  /**
+   * Public shape of a snapshot
+   */
+  toDisplay(snapshot) {
+    return {
+      doctorId: snapshot.doctorId,
+      doctorName: snapshot.doctorName,
+      date: snapshot.date,
+      nowServing: snapshot.nowServing,
+      waiting: snapshot.entries
+        .filter((e) => e.status === "WAITING")
+        .map((e) => ({ tokenNumber: e.tokenNumber, estimatedWaitMinutes: e.estimatedWaitMinutes })),
+    };
+  }
+
+  /**
+   * A patient's active queue entries today with their live position
+   */
+  async getPatientStatus(patientId) {
+    if (!this.#isValidObjectId(patientId)) throw new Error("Invalid patientId.");
+
+    const active = await QueueEntry.find({ patientId, status: { $in: ACTIVE_STATUSES } })
+      .select("tenantId doctorId date")
+      .lean();
+
+    const statuses = [];
+    for (const e of active) {
+      const doctor = await Doctor.findById(e.doctorId).select("name schedule availability").lean();
+      if (!doctor) continue;
+      const snapshot = await this.#buildSnapshot(e.tenantId, doctor, e.date);
+      const mine = snapshot.entries.find((x) => String(x._id) === String(e._id));
+      if (mine) statuses.push(this.toPatientStatus(snapshot, mine));
+    }
+    return statuses;
+  }
+
+  /**
+   * What a patient sees about their own entry
+   */
+  toPatientStatus(snapshot, entry) {
+    return {
+      entryId: String(entry._id),
+      tenantId: snapshot.tenantId,
+      doctorId: snapshot.doctorId,
+      doctorName: snapshot.doctorName,
+      date: snapshot.date,
+      tokenNumber: entry.tokenNumber,
+      status: entry.status,
+      position: entry.position ?? null,
+      peopleAhead: entry.position ? entry.position - 1 + (snapshot.nowServing !== null ? 1 : 0) : 0,
+      estimatedWaitMinutes: entry.estimatedWaitMinutes ?? null,
+      nowServing: snapshot.nowServing,
+    };
+  }
+
+  /**
+   * Average estimated wait (minutes) across everyone waiting at the clinic
+   * right now; 0 when nobody is waiting.
+   */
+  async getClinicWaitEstimate(tenantId) {
+    const queues = await this.getClinicQueues(tenantId);
+    const waits = queues.flatMap((q) =>
+      q.entries.filter((e) => e.status === "WAITING").map((e) => e.estimatedWaitMinutes)
+    );
+    if (waits.length === 0) return 0;
+    return Math.round(waits.reduce((a, b) => a + b, 0) / waits.length);
+  }
+}
+
+export default new QueueService();
@@ -0,0 +1,311 @@
+import mongoose from "mongoose";
+import Review, { REVIEW_STATUSES } from "../models/reviewModel.js";
+import Appointment from "../models/appointmentModel.js";
+import Doctor from "../models/doctorModel.js";
+import Tenant from "../models/tenantModel.js";
+import User from "../models/userModel.js";
+import NotificationService from "./notificationService.js";
+import { sendEmail } from "../utils/emailService.js";
+import { reviewRequestTemplate } from "../utils/emailTemplates.js";
+import { formatAppointmentDateTime, resolveTenantTimeZone } from "../utils/dateTime.js";
+
+const DEFAULT_CLIENT_URL = (
+  process.env.CLIENT_URL ||
+  process.env.FRONTEND_URL ||
+  "https://sovereigns.site"
+).replace(/\/+$/, "");
+
+// Visits can be reviewed for this long after they were completed
+const REVIEW_WINDOW_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PAGE_SIZE = 50;
+
+// What the public sees of a review (no patient ids)
+const PUBLIC_FIELDS = "doctorId rating comment reviewerName consultationType visitedAt response.text response.at createdAt";
+
+class ReviewService {
+  // ---------- helpers ----------
+  #isValidObjectId(id) {
+    return Boolean(id) && mongoose.Types.ObjectId.isValid(id);
+  }
+
+  #clean(value, max = 200) {
+    return String(value ?? "").trim().slice(0, max);
+  }
+
+  #paging({ page, limit } = {}) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_PAGE_SIZE);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+    return { page: current, limit: size, skip: (current - 1) * size };
+  }
+
+  // "Riya Sharma" → "Riya S."
+  #publicName(name) {
+    const [first, ...rest] = String(name || "").trim().split(/\s+/);
+    if (!first) return "Patient";
+    const last = rest.pop();
+    return last ? `${first} ${last[0].toUpperCase()}.` : first;
+  }
+
+  #reviewDeadline(appointment) {
+    const completedAt = appointment.completedAt || appointment.dateTime;
+    return new Date(new Date(completedAt).getTime() + REVIEW_WINDOW_DAYS * DAY_MS);
+  }
+
+  /**
+   * Recompute the published average/count for the doctor and the clinic
+   */
+  async #refreshAggregates(doctorId, tenantId) {
+    const summarize = async (match) => {
+      const [row] = await Review.aggregate([
+        { $match: { ...match, status: "PUBLISHED" } },
+        { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+      ]);
+      return {
+        average: row ? Math.round(row.average * 10) / 10 : 0,
+        count: row?.count || 0,
+      };
+    };
+
+    const [doctorRating, clinicRating] = await Promise.all([
+      summarize({ doctorId }),
+      summarize({ tenantId }),
+    ]);
+    await Promise.all([
+      Doctor.updateOne({ _id: doctorId }, { $set: { rating: doctorRating } }).setOptions({ includeDeleted: true }),
+      Tenant.updateOne({ _id: tenantId }, { $set: { rating: clinicRating } }),
+    ]);
+  }
+
+  async #loadClinicReview(tenantId, reviewId) {
+    if (!this.#isValidObjectId(reviewId)) throw new Error("Invalid reviewId.");
+    const review = await Review.findOne({ _id: reviewId, tenantId }).lean();
+    if (!review) throw new Error("Review not found for this clinic.");
+    return review;
+  }
+
+  // ---------- review requests ----------
+
+  /**
+   * Ask the patient to rate a visit that just completed. Claimed on
+   * Appointment.reviewRequestedAt so it is only ever sent once.
+   */
+  async requestReview(appointmentId) {
+    const appointment = await Appointment.findOneAndUpdate(
+      { _id: appointmentId, status: "COMPLETED", reviewRequestedAt: null },
+      { $set: { reviewRequestedAt: new Date() } },
+      { new: true }
+    )
+      .select("tenantId doctorId patientId patientInfo dateTime")
+      .lean();
+    if (!appointment) return;
+
+    const [doctor, tenant, patient] = await Promise.all([
+      Doctor.findById(appointment.doctorId).setOptions({ includeDeleted: true }).select("name").lean(),
+      Tenant.findById(appointment.tenantId).select("name settings.timezone").lean(),
+      User.findById(appointment.patientId).select("name email").lean(),
+    ]);
+
+    const doctorName = doctor?.name || "your doctor";
+    const clinicName = tenant?.name || "the clinic";
+    const reviewLink = `${DEFAULT_CLIENT_URL}/my-appointments?review=${appointment._id}`;
+
+    NotificationService.create({
+      recipient: appointment.patientId,
+      type: "APPOINTMENT",
+      title: "How was your visit?",
+      message: `Rate your consultation with Dr. ${doctorName} at ${clinicName}.`,
+      meta: { appointmentId: appointment._id },
+      link: reviewLink,
+    }).catch((e) => console.error("[Reviews] Notification failed:", e.message));
+
+    const email = patient?.email || appointment.patientInfo?.email;
+    if (email) {
+      sendEmail({
+        to: email,
+        subject: `How was your visit? | ${clinicName}`,
+        html: reviewRequestTemplate(
+          (patient?.name || appointment.patientInfo?.name || "Patient").split(" ")[0],
+          doctorName,
+          clinicName,
+          formatAppointmentDateTime(appointment.dateTime, resolveTenantTimeZone(tenant)),
+          reviewLink
+        ),
+      }).catch((e) => console.error("[Reviews] Request email failed:", e.message));
+    }
+  }
+
+  // ---------- patient actions ----------
+
+  /**
+   * Rate a completed visit (the patient who booked it, within the review window)
+   */
+  async create(patientId, { appointmentId, rating, comment } = {}) {
+    if (!this.#isValidObjectId(appointmentId)) throw new Error("Invalid appointmentId.");
+
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      throw new Error("Rating must be a whole number from 1 to 5.");
+    }
+
+    const appointment = await Appointment.findById(appointmentId)
+      .select("tenantId doctorId patientId patientInfo status consultationType dateTime completedAt")
+      .lean();
+    if (!appointment || String(appointment.patientId) !== String(patientId)) {
+      throw new Error("Appointment not found.");
+    }
+    if (appointment.status !== "COMPLETED") {
+      throw new Error("Only completed visits can be reviewed.");
+    }
+    if (this.#reviewDeadline(appointment).getTime() < Date.now()) {
+      throw new Error(`Visits can only be reviewed within ${REVIEW_WINDOW_DAYS} days.`);
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        appointmentId: appointment._id,
+        tenantId: appointment.tenantId,
+        doctorId: appointment.doctorId,
+        patientId: appointment.patientId,
+        rating: stars,
+        comment: this.#clean(comment, 1000),
+        reviewerName: this.#publicName(appointment.patientInfo?.name),
+        consultationType: appointment.consultationType,
+        visitedAt: appointment.dateTime,
+      });
+    } catch (err) {
+      if (err?.code === 11000) throw new Error("You have already reviewed this visit.");
+      throw err;
+    }
+
+    await this.#refreshAggregates(review.doctorId, review.tenantId);
+    return review.toObject();
+  }
+
+  async listForPatient(patientId) {
+    if (!this.#isValidObjectId(patientId)) throw new Error("Invalid patientId.");
+
+    return Review.find({ patientId })
+      .populate("doctorId", "name specialization image")
+      .populate("tenantId", "name")
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+  }
+
+  // ---------- public ----------
+
+  /**
+   * Published reviews for a doctor or a clinic, newest first
+   * @param {{ doctorId?: string, tenantId?: string }} target
+   */
+  async listPublished(target, paging) {
+    const [key, id] = target.doctorId ? ["doctorId", target.doctorId] : ["tenantId", target.tenantId];
+    if (!this.#isValidObjectId(id)) throw new Error(`Invalid ${key}.`);
+
+    const { page, limit, skip } = this.#paging(paging);
+    const filter = { [key]: id, status: "PUBLISHED" };
+
+    const [reviews, total, owner] = await Promise.all([
+      Review.find(filter)
+        .select(PUBLIC_FIELDS)
+        .populate("doctorId", "name specialization")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+      key === "doctorId"
+        ? Doctor.findById(id).select("rating").lean()
+        : Tenant.findById(id).select("rating").lean(),
+    ]);
+
+    return {
+      rating: owner?.rating || { average: 0, count: 0 },
+      reviews,
+      pagination: { total, page, limit, totalPages: Math.ceil(total / limit) },
+    };
+  }
+
+  // ---------- clinic moderation ----------
+
+  async listForClinic(tenantId, { status, doctorId, ...paging } = {}) {
+    if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
+
+    const filter = { tenantId };
+    if (status) {
+      const normalized = String(status).toUpperCase();
+      if (!REVIEW_STATUSES.includes(normalized)) throw new Error("Invalid status.");
+      filter.status = normalized;
+    }
+    if (doctorId) {
+      if (!this.#isValidObjectId(doctorId)) throw new Error("Invalid doctorId.");
+      filter.doctorId = doctorId;
+    }
+
+    const { page, limit, skip } = this.#paging(paging);
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate("doctorId", "name specialization")
+        .populate("appointmentId", "dateTime patientInfo.name")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+    ]);
+
+    return { reviews, pagination: { total, page, limit, totalPages: Math.ceil(total / limit) } };
+  }
+
+  /**
+   * Hide or re-publish a review; hidden reviews drop out of the aggregates
+   */
+  async moderate(tenantId, reviewId, { status, reason } = {}, actor = {}) {
+    const review = await this.#loadClinicReview(tenantId, reviewId);
+
+    const normalized = String(status || "").toUpperCase();
+    if (!REVIEW_STATUSES.includes(normalized)) {
+      throw new Error(`Status must be one of ${REVIEW_STATUSES.join(", ")}.`);
+    }
+    const cleanReason = this.#clean(reason, 300);
+    if (normalized === "HIDDEN" && !cleanReason) throw new Error("A reason is required to hide a review.");
+
+    const updated = await Review.findByIdAndUpdate(
+      review._id,
+      {
+        $set: {
+          status: normalized,
+          moderation: { by: actor.userId || null, at: new Date(), reason: cleanReason },
+        },
+      },
+      { new: true }
+    ).lean();
+
+    if (review.status !== normalized) await this.#refreshAggregates(review.doctorId, review.tenantId);
+    return updated;
+  }
+
+  /**
+   * Post, replace or (with empty text) remove the clinic's public response
+   */
+  async respond(tenantId, reviewId, text, actor = {}) {
+    const review = await this.#loadClinicReview(tenantId, reviewId);
+    const clean = this.#clean(text, 1000);
+
+    return Review.findByIdAndUpdate(
+      review._id,
+      {
+        $set: {
+          response: clean
+            ? { text: clean, by: actor.userId || null, at: new Date() }
+            : { text: "", by: null, at: null },
+        },
+      },
+      { new: true }
+    ).lean();
+  }
+}
+
+export default new ReviewService();
@@ -0,0 +1,64 @@
+import Appointment from "../models/appointmentModel.js";
+import doctorService from "./doctorService.js";
+import { SLOT_HOLDING_STATUSES } from "../utils/appointmentStatus.js";
+import { DEFAULT_SLOT_DURATION, MAX_SLOT_DURATION } from "../utils/doctorSchedule.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Whether a doctor is busy over a time range, here or at their other clinics.
+ * Visits are compared as intervals using each one's own durationMinutes, so a
+ * visit booked under a longer (or differently aligned) slot length still
+ * counts. Shared by booking and the waitlist so both see the same calendar.
+ */
+class SlotOverlapService {
+  /**
+   * Booked visits of the given doctor profiles that overlap [from, to).
+   * `ignoreIds` skips appointments that are about to move.
+   * @returns {Promise<{ start: Date, end: Date }[]>}
+   */
+  async findBusyIntervals(doctorIds, from, to, ignoreIds = []) {
+    if (doctorIds.length === 0) return [];
+
+    const appointments = await Appointment.find({
+      _id: { $nin: ignoreIds },
+      doctorId: { $in: doctorIds },
+      status: { $in: SLOT_HOLDING_STATUSES },
+      dateTime: { $lt: to, $gt: new Date(from.getTime() - MAX_SLOT_DURATION * MINUTE_MS) },
+    })
+      .select("dateTime durationMinutes")
+      .lean();
+
+    return appointments
+      .map((a) => ({
+        start: new Date(a.dateTime),
+        end: new Date(new Date(a.dateTime).getTime() + (a.durationMinutes || DEFAULT_SLOT_DURATION) * MINUTE_MS),
+      }))
+      .filter((busy) => busy.end > from);
+  }
+
+  /**
+   * When the same doctor is busy at their other clinics within [from, to).
+   * Other clinics may use different slot lengths and time zones, so those
+   * are compared as intervals too.
+   */
+  async findBusyElsewhere(doctorId, from, to, ignoreIds = []) {
+    const otherIds = (await doctorService.getAffiliatedDoctorIds(doctorId)).filter(
+      (id) => String(id) !== String(doctorId)
+    );
+    return this.findBusyIntervals(otherIds, from, to, ignoreIds);
+  }
+
+  // A visit of `minutes` starting at `start` would overlap one already booked with this doctor
+  async isSlotTaken(doctorId, start, minutes, ignoreIds = []) {
+    const end = new Date(start.getTime() + minutes * MINUTE_MS);
+    return (await this.findBusyIntervals([doctorId], start, end, ignoreIds)).length > 0;
+  }
+
+  async isBookedElsewhere(doctorId, start, minutes, ignoreIds = []) {
+    const end = new Date(start.getTime() + minutes * MINUTE_MS);
+    return (await this.findBusyElsewhere(doctorId, start, end, ignoreIds)).length > 0;
+  }
+}
+
+export default new SlotOverlapService();
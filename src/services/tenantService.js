@@ -10,6 +10,11 @@ import Doctor from "../models/doctorModel.js";
 import Appointment from "../models/appointmentModel.js";
 import TempRegistration from "../models/tempRegistrationModel.js";
 import OTP from "../models/otpModel.js";
+import { resolveCouponForPurchase } from "./couponService.js";
+import QueueService from "./queueService.js";
+import { computeNextRenewalDate } from "../utils/billingPeriod.js";
+import { resolveAppointmentPolicy, normalizeAppointmentPolicy } from "../utils/appointmentPolicy.js";
+import { getZonedDateSlot, getZonedDayBounds, resolveTenantTimeZone } from "../utils/dateTime.js";
 
 /* =========================================================
    Subscription Configuration (Server-Side Source of Truth)
@@ -173,7 +178,7 @@ const getTransporter = () => {
 /* =========================================================
    ✅ GET ALL PUBLIC CLINICS (The missing function)
    ========================================================= */
-export const getAllPublicClinics = async ({ page = 1, limit = 20, search = "" }) => {
+export const getAllPublicClinics = async ({ page = 1, limit = 20, search = "", sortBy = "" }) => {
   const skip = (page - 1) * limit;
   const query = { "settings.isPublic": { $ne: false } };
 
@@ -185,10 +190,15 @@ export const getAllPublicClinics = async ({ page = 1, limit = 20, search = "" })
     ];
   }
 
+  // Best rated first (more reviews wins a tie), otherwise newest
+  const sort = sortBy === "rating"
+    ? { "rating.average": -1, "rating.count": -1, createdAt: -1 }
+    : { createdAt: -1 };
+
   const [data, total] = await Promise.all([
     Tenant.find(query)
-      .select("name registrationId address image tags description settings subscription createdAt")
-      .sort({ createdAt: -1 })
+      .select("name registrationId address image tags description rating settings subscription createdAt")
+      .sort(sort)
       .skip(skip)
       .limit(limit)
       .lean(),
@@ -290,6 +300,55 @@ export const updateTenantSettings = async (tenantId, updateData) => {
   return tenant;
 };
 
+/**
+ * Cancellation window + no-show rules, merged over the defaults
+ */
+export const getAppointmentPolicyService = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select("settings.appointmentPolicy").lean();
+  if (!tenant) throw new Error("Tenant not found.");
+  return resolveAppointmentPolicy(tenant);
+};
+
+export const updateAppointmentPolicyService = async (tenantId, input) => {
+  const changes = normalizeAppointmentPolicy(input);
+
+  const update = {};
+  for (const [key, value] of Object.entries(changes)) {
+    update[`settings.appointmentPolicy.${key}`] = value;
+  }
+
+  const tenant = await Tenant.findByIdAndUpdate(
+    tenantId,
+    { $set: update },
+    { new: true, runValidators: true }
+  )
+    .select("settings.appointmentPolicy")
+    .lean();
+  if (!tenant) throw new Error("Tenant not found.");
+  return resolveAppointmentPolicy(tenant);
+};
+
+/**
+ * The clinic's IANA time zone (default when unset or unknown tenant)
+ */
+export const getTenantTimeZone = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select("settings.timezone").lean();
+  return resolveTenantTimeZone(tenant);
+};
+
+/**
+ * Time zones for several clinics at once, keyed by tenant id string
+ * @returns {Promise<Map<string, string>>}
+ */
+export const getTenantTimeZones = async (tenantIds) => {
+  const ids = [...new Set(tenantIds.map(String))];
+  if (ids.length === 0) return new Map();
+  const tenants = await Tenant.find({ _id: { $in: ids } }).select("settings.timezone").lean();
+  const zones = new Map(tenants.map((t) => [String(t._id), resolveTenantTimeZone(t)]));
+  ids.forEach((id) => zones.has(id) || zones.set(id, resolveTenantTimeZone(null)));
+  return zones;
+};
+
 export const updateTenantImageService = async (tenantId, imageUrl) => {
   return await Tenant.findByIdAndUpdate(
     tenantId,
@@ -306,13 +365,34 @@ export const activateTenantSubscription = async ({
 }) => {
   if (!isValidObjectId(tenantId)) throw new Error("Invalid Clinic Reference.");
 
+  const current = await Tenant.findById(tenantId)
+    .select("subscription.billingCycle subscription.nextRenewalDate subscription.suspendedAt subscription.dunningStartedAt")
+    .lean();
+  if (!current) throw new Error("Tenant not found.");
+
+  const now = new Date();
   const update = {
     "subscription.status": "ACTIVE",
     "subscription.razorpayOrderId": normalizeStr(razorpayOrderId),
     "subscription.razorpayPaymentId": normalizeStr(razorpayPaymentId),
     "subscription.paymentMethodStatus": "ON_FILE",
+    "subscription.activatedAt": now,
+    "subscription.nextRenewalDate": computeNextRenewalDate(
+      current.subscription?.nextRenewalDate,
+      current.subscription?.billingCycle,
+      now
+    ),
+    "subscription.pastDueSince": null,
+    "subscription.remindersSent": [],
   };
 
+  if (!current.subscription?.dunningStartedAt) update["subscription.dunningStartedAt"] = now;
+
+  if (current.subscription?.suspendedAt) {
+    update.isActive = true;
+    update["subscription.suspendedAt"] = null;
+  }
+
   if (plan) {
     const planInfo = getPlanDetails(plan);
     update["subscription.plan"] = planInfo.plan;
@@ -361,27 +441,31 @@ export const resendOTP = async (email) => {
 export const getClinicStats = async (tenantId) => {
   const tId = new mongoose.Types.ObjectId(tenantId);
 
-  const todayStart = new Date();
-  todayStart.setHours(0, 0, 0, 0);
-  const todayEnd = new Date();
-  todayEnd.setHours(23, 59, 59, 999);
+  // "Today" is the clinic's local day, not the server's
+  const timeZone = await getTenantTimeZone(tId);
+  const { start: todayStart, end: todayEnd } = getZonedDayBounds(
+    getZonedDateSlot(new Date(), timeZone).date,
+    timeZone
+  );
 
   const [
     totalDoctors,
     uniquePatients,
     todayAppointments,
-    totalRevenue
+    totalRevenue,
+    waitTime
   ] = await Promise.all([
     Doctor.countDocuments({ tenantId: tId, isDeleted: { $ne: true } }),
     Appointment.distinct("patientId", { tenantId: tId }),
     Appointment.countDocuments({
       tenantId: tId,
-      dateTime: { $gte: todayStart, $lte: todayEnd }
+      dateTime: { $gte: todayStart, $lt: todayEnd }
     }),
     Appointment.aggregate([
       { $match: { tenantId: tId, status: "COMPLETED" } },
       { $group: { _id: null, total: { $sum: "$consultationFee" } } }
-    ])
+    ]),
+    QueueService.getClinicWaitEstimate(tId)
   ]);
 
   return {
@@ -389,7 +473,7 @@ export const getClinicStats = async (tenantId) => {
     totalPatients: uniquePatients.length,
     todayAppointments,
     totalRevenue: totalRevenue[0]?.total || 0,
-    waitTime: 15 // Placeholder for now or calculate if logic exists
+    waitTime // Average live estimate for patients waiting right now (minutes)
   };
 };
 
@@ -414,7 +498,7 @@ export const updateSubscriptionPlan = async (tenantId, newPlan, adminId) => {
         "subscription.price.currency": planInfo.currency,
       },
       $push: {
-        auditLogs: {
+        "subscription.auditLogs": {
           action: "PLAN_UPGRADE_DOWNGRADE",
           performedBy: adminId,
           details: `Plan changed to ${planInfo.plan}`,
@@ -437,7 +521,7 @@ export const cancelSubscription = async (tenantId, immediate, adminId) => {
     {
       $set: update,
       $push: {
-        auditLogs: {
+        "subscription.auditLogs": {
           action: "SUBSCRIPTION_CANCEL",
           performedBy: adminId,
           details: immediate ? "Canceled immediately" : "Canceled at period end",
@@ -456,7 +540,7 @@ export const pauseSubscription = async (tenantId, adminId) => {
 
   const isPaused = !tenant.subscription.isPaused;
   tenant.subscription.isPaused = isPaused;
-  tenant.auditLogs.push({
+  tenant.subscription.auditLogs.push({
     action: "SUBSCRIPTION_PAUSE",
     performedBy: adminId,
     details: isPaused ? "Subscription paused" : "Subscription resumed",
@@ -467,21 +551,42 @@ export const pauseSubscription = async (tenantId, adminId) => {
 };
 
 export const applyCoupon = async (tenantId, couponCode, adminId) => {
-  // Placeholder: Real coupon logic would involve checking a Coupon model
-  const tenant = await Tenant.findByIdAndUpdate(
+  if (!isValidObjectId(tenantId)) throw new Error("Invalid Clinic Reference.");
+
+  const tenant = await Tenant.findById(tenantId).select("subscription").lean();
+  if (!tenant) throw new Error("Tenant not found.");
+
+  // Only check plan/cycle restrictions when the tenant is already on a paid plan
+  const plan = String(tenant.subscription?.plan || "").toUpperCase();
+  const cycle = String(tenant.subscription?.billingCycle || "").toLowerCase();
+  const { coupon } = await resolveCouponForPurchase({
+    code: couponCode,
+    tenantId,
+    planCode: SUBSCRIPTION_CONFIG[plan] ? plan : null,
+    billingCycle: cycle === "annual" ? "yearly" : cycle || null,
+  });
+
+  return Tenant.findByIdAndUpdate(
     tenantId,
     {
+      $set: {
+        "subscription.pendingCoupon": {
+          couponId: coupon._id,
+          code: coupon.code,
+          appliedBy: adminId,
+          appliedAt: new Date(),
+        },
+      },
       $push: {
-        auditLogs: {
+        "subscription.auditLogs": {
           action: "COUPON_APPLIED",
           performedBy: adminId,
-          details: `Manual coupon applied: ${couponCode}`,
+          details: `Coupon ${coupon.code} applied to next payment`,
         }
       }
     },
     { new: true }
   ).lean();
-  return tenant;
 };
 
 export const updateBillingCycle = async (tenantId, newCycle, adminId) => {
@@ -494,7 +599,7 @@ export const updateBillingCycle = async (tenantId, newCycle, adminId) => {
     {
       $set: { "subscription.billingCycle": newCycle.toUpperCase() },
       $push: {
-        auditLogs: {
+        "subscription.auditLogs": {
           action: "BILLING_CYCLE_CHANGE",
           performedBy: adminId,
           details: `Changed to ${newCycle}`,
@@ -511,7 +616,7 @@ export const recordManualOverride = async (tenantId, details, adminId) => {
     tenantId,
     {
       $push: {
-        auditLogs: {
+        "subscription.auditLogs": {
           action: "MANUAL_OVERRIDE",
           performedBy: adminId,
           details: details,
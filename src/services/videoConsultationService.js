@@ -2,12 +2,65 @@ import VideoConsultation from "../models/videoConsultationModel.js";
 import Appointment from "../models/appointmentModel.js";
 import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
+import PrescriptionService from "./prescriptionService.js";
+import AppointmentService from "./appointmentService.js";
+import DependentService from "./dependentService.js";
+import { canTransition } from "../utils/appointmentStatus.js";
 
 class VideoConsultationService {
   #isValidObjectId(id) {
     return Boolean(id) && mongoose.Types.ObjectId.isValid(id);
   }
 
+  /**
+   * Which side of the call a user is on, or null if they are not a participant.
+   * The clinic admin of the session's tenant joins on the doctor's side,
+   * as does the session's own doctor when signed in to the doctor portal
+   * (user.doctorIds holds their profile at each clinic).
+   */
+  #resolveParticipantRole(session, user = {}) {
+    const userId = String(user._id || user.id || "");
+    const role = String(user.role || "").toUpperCase();
+
+    if (role === "PATIENT" && String(session.patientId?._id || session.patientId) === userId) {
+      return "PATIENT";
+    }
+    if (
+      role === "CLINIC_ADMIN" &&
+      user.tenantId &&
+      String(session.tenantId?._id || session.tenantId) === String(user.tenantId)
+    ) {
+      return "DOCTOR";
+    }
+    if (role === "DOCTOR" && (user.doctorIds || []).includes(String(session.doctorId?._id || session.doctorId))) {
+      return "DOCTOR";
+    }
+    return null;
+  }
+
+  /**
+   * Check that a user may take part in a room.
+   * @param {string} roomId
+   * @param {object} user - authenticated user ({ id, role, tenantId })
+   * @param {{ allowClosed?: boolean }} [options] - allow COMPLETED/CANCELLED sessions (history views)
+   * @returns {Promise<{ session: object, role: "DOCTOR"|"PATIENT" }>}
+   */
+  async authorizeParticipant(roomId, user, { allowClosed = false } = {}) {
+    if (!roomId) throw new Error("Room ID is required.");
+
+    const session = await VideoConsultation.findOne({ roomId }).lean();
+    if (!session) throw new Error("Consultation session not found.");
+
+    const role = this.#resolveParticipantRole(session, user);
+    if (!role) throw new Error("You are not authorized to join this consultation.");
+
+    if (!allowClosed && ["COMPLETED", "CANCELLED"].includes(session.status)) {
+      throw new Error(`This consultation has already been ${session.status.toLowerCase()}.`);
+    }
+
+    return { session, role };
+  }
+
   /**
    * Get or create a video consultation session from an appointment
    */
@@ -41,6 +94,7 @@ class VideoConsultationService {
       roomId,
       doctorId: appointment.doctorId,
       patientId: appointment.patientId,
+      dependentId: appointment.dependentId || null,
       tenantId: appointment.tenantId,
     });
 
@@ -51,10 +105,11 @@ class VideoConsultationService {
   }
 
   /**
-   * Get session by room ID (used when joining via link)
+   * Get session by room ID (used when joining via link).
+   * Participants only; includes the chat transcript.
    */
-  async getSessionByRoomId(roomId) {
-    if (!roomId) throw new Error("Room ID is required.");
+  async getSessionByRoomId(roomId, user) {
+    await this.authorizeParticipant(roomId, user, { allowClosed: true });
 
     const session = await VideoConsultation.findOne({ roomId })
       .populate("doctorId", "name specialization image")
@@ -66,6 +121,53 @@ class VideoConsultationService {
     return session;
   }
 
+  /**
+   * Append an in-call chat message to the transcript
+   * @returns {Promise<object>} the stored message
+   */
+  async addChatMessage(roomId, { senderId, senderRole, senderName, message }) {
+    if (!roomId) throw new Error("Room ID is required.");
+
+    const text = String(message || "").trim().slice(0, 2000);
+    if (!text) throw new Error("Message cannot be empty.");
+
+    const entry = {
+      _id: new mongoose.Types.ObjectId(),
+      senderId,
+      senderRole,
+      senderName: String(senderName || "").trim().slice(0, 100),
+      message: text,
+      sentAt: new Date(),
+    };
+
+    const updated = await VideoConsultation.updateOne(
+      { roomId, status: { $nin: ["COMPLETED", "CANCELLED"] } },
+      { $push: { chatMessages: entry } }
+    );
+    if (updated.matchedCount === 0) throw new Error("Consultation is not active.");
+
+    return entry;
+  }
+
+  /**
+   * Walk the appointment forward through its lifecycle to `target`
+   * (a call ending before it was marked started goes via IN_CONSULTATION).
+   * Failures are logged so they never break the call itself.
+   */
+  async #advanceAppointment(session, target, actor) {
+    const steps = target === "COMPLETED" ? ["IN_CONSULTATION", "COMPLETED"] : [target];
+    try {
+      const appointment = await Appointment.findById(session.appointmentId).select("status").lean();
+      let status = appointment?.status;
+      for (const step of steps) {
+        if (status === step || !canTransition(status, step)) continue;
+        status = (await AppointmentService.updateStatus(session.tenantId, session.appointmentId, step, actor)).status;
+      }
+    } catch (err) {
+      console.error(`[Video] Appointment ${session.appointmentId} status update failed:`, err.message);
+    }
+  }
+
   /**
    * Record participant join
    */
@@ -94,14 +196,34 @@ class VideoConsultationService {
       }
     }
 
-    return VideoConsultation.findOneAndUpdate({ roomId }, update, { new: true }).lean();
+    const updated = await VideoConsultation.findOneAndUpdate({ roomId }, update, { new: true }).lean();
+    if (update.status === "IN_PROGRESS") {
+      await this.#advanceAppointment(session, "IN_CONSULTATION", { userId, role });
+    }
+    return updated;
   }
 
   /**
-   * End consultation session
+   * Structured prescriptions (object / item array) go to the Prescription model;
+   * plain strings keep using the legacy free-text field.
    */
-  async endSession(roomId, { doctorNotes, prescription } = {}) {
-    if (!roomId) throw new Error("Room ID is required.");
+  async #applyPrescription(session, user, prescription, update) {
+    if (prescription === undefined || prescription === null || prescription === "") return;
+
+    if (typeof prescription === "string") {
+      update.prescription = prescription.trim();
+      return;
+    }
+
+    // Also refreshes the legacy text summary on this session
+    await PrescriptionService.upsertForAppointment(session.appointmentId, user, prescription);
+  }
+
+  /**
+   * End consultation session (participants only)
+   */
+  async endSession(roomId, user, { doctorNotes, prescription } = {}) {
+    await this.authorizeParticipant(roomId, user);
 
     const session = await VideoConsultation.findOne({ roomId });
     if (!session) throw new Error("Session not found.");
@@ -116,23 +238,32 @@ class VideoConsultationService {
       duration,
     };
     if (doctorNotes) update.doctorNotes = doctorNotes.trim();
-    if (prescription) update.prescription = prescription.trim();
+    await this.#applyPrescription(session, user, prescription, update);
 
     // Also update the appointment status
-    await Appointment.findByIdAndUpdate(session.appointmentId, { status: "COMPLETED" });
+    await this.#advanceAppointment(session, "COMPLETED", {
+      userId: user?._id || user?.id,
+      role: user?.role,
+    });
 
     return VideoConsultation.findOneAndUpdate({ roomId }, update, { new: true }).lean();
   }
 
   /**
-   * Add doctor notes / prescription after session
+   * Add doctor notes / prescription after session (clinic of the session only)
    */
-  async addNotes(sessionId, { doctorNotes, prescription }) {
+  async addNotes(sessionId, user, { doctorNotes, prescription }) {
     if (!this.#isValidObjectId(sessionId)) throw new Error("Invalid session ID.");
 
+    const existing = await VideoConsultation.findById(sessionId).select("appointmentId tenantId").lean();
+    if (!existing) throw new Error("Session not found.");
+    if (String(existing.tenantId) !== String(user?.tenantId)) {
+      throw new Error("You are not authorized to update this consultation.");
+    }
+
     const update = {};
     if (doctorNotes !== undefined) update.doctorNotes = doctorNotes.trim();
-    if (prescription !== undefined) update.prescription = prescription.trim();
+    await this.#applyPrescription(existing, user, prescription, update);
 
     const session = await VideoConsultation.findByIdAndUpdate(sessionId, update, { new: true }).lean();
     if (!session) throw new Error("Session not found.");
@@ -171,21 +302,24 @@ class VideoConsultationService {
 
   /**
    * Get patient's consultation history
+   * - dependentId: "self", a family member's id, or omitted for everyone
    */
-  async getPatientConsultations(patientId, { page = 1, limit = 20 } = {}) {
+  async getPatientConsultations(patientId, { page = 1, limit = 20, dependentId } = {}) {
     if (!this.#isValidObjectId(patientId)) throw new Error("Invalid patient ID.");
 
+    const query = { patientId, ...(await DependentService.resolveMemberFilter(patientId, dependentId)) };
     const skip = (Math.max(1, Number(page)) - 1) * Number(limit);
     const [consultations, total] = await Promise.all([
-      VideoConsultation.find({ patientId })
+      VideoConsultation.find(query)
         .populate("doctorId", "name specialization image")
         .populate("tenantId", "name")
+        .populate("dependentId", "name relationship")
         .populate("appointmentId", "dateTime patientInfo consultationFee")
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(Number(limit))
         .lean(),
-      VideoConsultation.countDocuments({ patientId }),
+      VideoConsultation.countDocuments(query),
     ]);
 
     return {
@@ -200,9 +334,9 @@ class VideoConsultationService {
    * Verify JWT meeting token and authorize user to join
    * Returns session data if token valid + user authorized
    */
-  async verifyMeetingToken(meetingToken, userId, userRole) {
+  async verifyMeetingToken(meetingToken, user = {}) {
     if (!meetingToken) throw new Error("Meeting token is required.");
-    if (!userId) throw new Error("Authentication required.");
+    if (!user._id && !user.id) throw new Error("Authentication required.");
 
     let decoded;
     try {
@@ -218,7 +352,7 @@ class VideoConsultationService {
       throw new Error("Invalid meeting token purpose.");
     }
 
-    const { roomId, appointmentId, role: tokenRole } = decoded;
+    const { roomId, role: tokenRole } = decoded;
     if (!roomId) throw new Error("Invalid meeting token data.");
 
     // Find the consultation session
@@ -230,31 +364,25 @@ class VideoConsultationService {
 
     if (!session) throw new Error("Consultation session not found.");
 
-    // Authorization: verify user is the doctor or patient
-    const isDoctor =
-      String(session.doctorId?._id || session.doctorId) === String(userId);
-    const isPatient =
-      String(session.patientId?._id || session.patientId) === String(userId);
-    const isClinicAdmin =
-      userRole === "CLINIC_ADMIN" &&
-      String(session.tenantId) === String(userId); // if admin token has tenantId matching
-
-    if (!isDoctor && !isPatient && userRole !== "CLINIC_ADMIN") {
+    // Authorization: only the booked patient or the clinic that owns the session
+    const participantRole = this.#resolveParticipantRole(session, user);
+    if (!participantRole) {
       throw new Error("You are not authorized to join this consultation.");
     }
 
+    if (tokenRole && tokenRole !== participantRole) {
+      throw new Error("This meeting link was issued for the other participant.");
+    }
+
     // Check consultation status
     if (["COMPLETED", "CANCELLED"].includes(session.status)) {
       throw new Error(`This consultation has already been ${session.status.toLowerCase()}.`);
     }
 
-    // Use role from meeting token if available, otherwise infer from user identity
-    const resolvedRole = tokenRole || (isDoctor || userRole === "CLINIC_ADMIN" ? "DOCTOR" : "PATIENT");
-
     return {
       session,
       roomId,
-      role: resolvedRole,
+      role: participantRole,
     };
   }
 }
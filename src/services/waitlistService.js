@@ -0,0 +1,439 @@
+import mongoose from "mongoose";
+import WaitlistEntry from "../models/waitlistEntryModel.js";
+import Doctor from "../models/doctorModel.js";
+import User from "../models/userModel.js";
+import Tenant from "../models/tenantModel.js";
+import NotificationService from "./notificationService.js";
+import DependentService from "./dependentService.js";
+import SlotOverlapService from "./slotOverlapService.js";
+import { sendEmail } from "../utils/emailService.js";
+import { waitlistOfferTemplate, waitlistExpiredTemplate } from "../utils/emailTemplates.js";
+import {
+  addDaysToDateStr,
+  getZonedDateSlot,
+  parseZonedDateTime,
+  formatAppointmentDateTime,
+  resolveTenantTimeZone,
+} from "../utils/dateTime.js";
+import {
+  resolveSchedule,
+  buildDaySlots,
+  isSlotInSchedule,
+  DATE_REGEX,
+  TIME_REGEX,
+  DEFAULT_SLOT_DURATION,
+  MAX_SLOT_DURATION,
+} from "../utils/doctorSchedule.js";
+
+const DEFAULT_CLIENT_URL = (
+  process.env.CLIENT_URL ||
+  process.env.FRONTEND_URL ||
+  "https://sovereigns.site"
+).replace(/\/+$/, "");
+
+// How long a freed slot is held for the offered patient
+const HOLD_MINUTES = Math.max(1, Number(process.env.WAITLIST_HOLD_MINUTES) || 15);
+
+const ACTIVE_STATUSES = ["WAITING", "OFFERED"];
+
+const MINUTE_MS = 60 * 1000;
+
+class WaitlistService {
+  // ---------- helpers ----------
+  #isValidObjectId(id) {
+    return Boolean(id) && mongoose.Types.ObjectId.isValid(id);
+  }
+
+  #clean(value, max = 200) {
+    return String(value ?? "").trim().slice(0, max);
+  }
+
+  #todayStr(timeZone) {
+    return getZonedDateSlot(new Date(), timeZone).date;
+  }
+
+  async #timeZoneFor(tenantId) {
+    const tenant = await Tenant.findById(tenantId).select("settings.timezone").lean();
+    return resolveTenantTimeZone(tenant);
+  }
+
+  // Same overlap rules as booking: a longer visit, or one at another clinic, blocks the slot
+  async #isSlotBooked(doctorId, dateTime, minutes) {
+    return (
+      (await SlotOverlapService.isSlotTaken(doctorId, dateTime, minutes)) ||
+      (await SlotOverlapService.isBookedElsewhere(doctorId, dateTime, minutes))
+    );
+  }
+
+  #holdEnd(offer) {
+    return new Date(new Date(offer.dateTime).getTime() + (offer.durationMinutes || DEFAULT_SLOT_DURATION) * MINUTE_MS);
+  }
+
+  // Unexpired holds on a doctor whose interval overlaps [from, to)
+  async #findHoldsOverlapping(doctorId, from, to) {
+    const rows = await WaitlistEntry.find({
+      doctorId,
+      status: "OFFERED",
+      "offer.dateTime": { $lt: to, $gt: new Date(from.getTime() - MAX_SLOT_DURATION * MINUTE_MS) },
+      "offer.expiresAt": { $gt: new Date() },
+    })
+      .select("patientId offer")
+      .lean();
+    return rows.filter((r) => this.#holdEnd(r.offer) > from);
+  }
+
+  async #notifyOffer(entry) {
+    const [doctor, patient, timeZone] = await Promise.all([
+      Doctor.findById(entry.doctorId).select("name").lean(),
+      User.findById(entry.patientId).select("name email").lean(),
+      this.#timeZoneFor(entry.tenantId),
+    ]);
+
+    const doctorName = doctor?.name || "your doctor";
+    const whenStr = formatAppointmentDateTime(entry.offer.dateTime, timeZone);
+    const expiresStr = formatAppointmentDateTime(entry.offer.expiresAt, timeZone);
+    const claimLink = `${DEFAULT_CLIENT_URL}/my-appointments?waitlist=${entry._id}`;
+
+    NotificationService.create({
+      recipient: entry.patientId,
+      type: "APPOINTMENT",
+      title: "Waitlist Slot Available",
+      message: `A slot with Dr. ${doctorName} on ${whenStr} is being held for you until ${expiresStr}. Confirm it before the hold expires.`,
+      meta: { waitlistEntryId: entry._id, dateTime: entry.offer.dateTime },
+      link: claimLink,
+    }).catch((e) => console.error("[Waitlist] Notification failed:", e.message));
+
+    const email = patient?.email || entry.patientInfo?.email;
+    if (email) {
+      sendEmail({
+        to: email,
+        subject: "A Slot Opened Up | Sovereign",
+        html: waitlistOfferTemplate(
+          entry.patientInfo?.name || patient?.name || "Patient",
+          doctorName,
+          whenStr,
+          expiresStr,
+          claimLink
+        ),
+      }).catch((e) => console.error("[Waitlist] Offer email failed:", e.message));
+    }
+  }
+
+  // Hold lapsed: the entry is closed, so tell the patient rather than drop them silently
+  async #notifyOfferExpired(entry) {
+    const [doctor, patient, timeZone] = await Promise.all([
+      Doctor.findById(entry.doctorId).select("name").lean(),
+      User.findById(entry.patientId).select("name email").lean(),
+      this.#timeZoneFor(entry.tenantId),
+    ]);
+
+    const doctorName = doctor?.name || "your doctor";
+    const whenStr = formatAppointmentDateTime(entry.offer.dateTime, timeZone);
+    const bookLink = `${DEFAULT_CLIENT_URL}/my-appointments`;
+
+    NotificationService.create({
+      recipient: entry.patientId,
+      type: "APPOINTMENT",
+      title: "Waitlist Hold Expired",
+      message: `The slot with Dr. ${doctorName} on ${whenStr} was not confirmed in time and has been offered to the next patient. You have been removed from the waitlist; book another time or join it again.`,
+      meta: { waitlistEntryId: entry._id, dateTime: entry.offer.dateTime },
+      link: bookLink,
+    }).catch((e) => console.error("[Waitlist] Notification failed:", e.message));
+
+    const email = patient?.email || entry.patientInfo?.email;
+    if (email) {
+      sendEmail({
+        to: email,
+        subject: "Your Waitlist Hold Expired | Sovereign",
+        html: waitlistExpiredTemplate(
+          entry.patientInfo?.name || patient?.name || "Patient",
+          doctorName,
+          whenStr,
+          bookLink
+        ),
+      }).catch((e) => console.error("[Waitlist] Expiry email failed:", e.message));
+    }
+  }
+
+  // ---------- patient actions ----------
+
+  /**
+   * Join the waitlist for a doctor on a date (optionally a specific slot)
+   * Only allowed when the requested slot / the whole day is fully booked.
+   */
+  async join(patientId, { tenantId, doctorId, date, slot = "", consultationType, patientInfo, dependentId } = {}) {
+    if (!this.#isValidObjectId(patientId)) throw new Error("Patient auth missing. Please login again.");
+    if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid clinic (tenantId).");
+    if (!this.#isValidObjectId(doctorId)) throw new Error("Invalid doctorId.");
+
+    const dateStr = this.#clean(date, 10);
+    const slotStr = this.#clean(slot, 5);
+    if (!DATE_REGEX.test(dateStr)) throw new Error("Invalid date format. Use YYYY-MM-DD.");
+    if (slotStr && !TIME_REGEX.test(slotStr)) throw new Error("Invalid slot. Use HH:mm.");
+
+    const doctor = await Doctor.findOne({ _id: doctorId, isActive: true })
+      .select("tenantId schedule availability")
+      .lean();
+    if (!doctor) throw new Error("Doctor not found.");
+    if (String(doctor.tenantId) !== String(tenantId)) {
+      throw new Error("Doctor does not belong to this clinic.");
+    }
+
+    const timeZone = await this.#timeZoneFor(doctor.tenantId);
+    if (dateStr < this.#todayStr(timeZone)) throw new Error("Cannot join the waitlist for a past date.");
+
+    const schedule = resolveSchedule(doctor);
+    const daySlots = buildDaySlots(schedule, dateStr);
+    if (daySlots.length === 0) throw new Error("The doctor is not available on this date.");
+    if (slotStr && !isSlotInSchedule(schedule, dateStr, slotStr)) {
+      throw new Error("Selected time is outside the doctor's schedule.");
+    }
+
+    // Waitlist is for full slots only — free ones should be booked directly
+    const candidates = slotStr ? [slotStr] : daySlots;
+    const now = Date.now();
+    for (const s of candidates) {
+      const dt = parseZonedDateTime(dateStr, s, timeZone);
+      if (!dt || dt.getTime() <= now) continue;
+      const [booked, holds] = await Promise.all([
+        this.#isSlotBooked(doctorId, dt, schedule.slotDuration),
+        this.findActiveHolds(doctorId, dt, schedule.slotDuration),
+      ]);
+      if (!booked && holds.length === 0) {
+        throw new Error(
+          slotStr
+            ? "This slot is available — please book it directly."
+            : `Slots are still available on this date (e.g. ${s}).`
+        );
+      }
+    }
+
+    const info = patientInfo && typeof patientInfo === "object" ? patientInfo : {};
+    const dependent = dependentId ? await DependentService.getOwned(patientId, dependentId) : null;
+    const name = this.#clean(dependent?.name ?? info.name, 120);
+    const contact = this.#clean(info.contact ?? info.phone, 40);
+    if (!name) throw new Error("Patient name is required.");
+    if (!contact) throw new Error("Patient contact is required.");
+
+    try {
+      const entry = await WaitlistEntry.create({
+        tenantId,
+        doctorId,
+        patientId,
+        dependentId: dependent?._id || null,
+        date: dateStr,
+        slot: slotStr,
+        consultationType: consultationType === "video" ? "video" : "in-clinic",
+        patientInfo: {
+          name,
+          contact,
+          email: this.#clean(info.email, 200).toLowerCase(),
+          symptoms: this.#clean(info.symptoms, 1000),
+        },
+      });
+
+      const position = await WaitlistEntry.countDocuments({
+        doctorId,
+        date: dateStr,
+        status: "WAITING",
+        createdAt: { $lte: entry.createdAt },
+      });
+
+      return { entry: entry.toObject(), position };
+    } catch (err) {
+      if (err?.code === 11000) throw new Error("You are already on the waitlist for this doctor and date.");
+      throw err;
+    }
+  }
+
+  async listForPatient(patientId) {
+    if (!this.#isValidObjectId(patientId)) throw new Error("Invalid patientId.");
+
+    return WaitlistEntry.find({ patientId })
+      .populate("doctorId", "name specialization image")
+      .populate("tenantId", "name")
+      .populate("dependentId", "name relationship")
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+  }
+
+  async listForClinic(tenantId, { doctorId, date, status } = {}) {
+    if (!this.#isValidObjectId(tenantId)) throw new Error("Invalid tenantId.");
+
+    const query = { tenantId };
+    if (doctorId) {
+      if (!this.#isValidObjectId(doctorId)) throw new Error("Invalid doctorId.");
+      query.doctorId = doctorId;
+    }
+    if (date) query.date = this.#clean(date, 10);
+    query.status = status ? String(status).toUpperCase() : { $in: ACTIVE_STATUSES };
+
+    return WaitlistEntry.find(query)
+      .populate("doctorId", "name specialization")
+      .sort({ date: 1, createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Leave the waitlist; a held slot is passed on to the next patient
+   */
+  async leave(entryId, patientId) {
+    if (!this.#isValidObjectId(entryId)) throw new Error("Invalid waitlist entry.");
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: entryId, patientId, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: "CANCELLED" } }
+    ).lean();
+    if (!entry) throw new Error("Active waitlist entry not found.");
+
+    if (entry.status === "OFFERED" && entry.offer?.dateTime) {
+      this.offerFreedSlot({ doctorId: entry.doctorId, dateTime: entry.offer.dateTime }).catch((e) =>
+        console.error("[Waitlist] Roll-over failed:", e.message)
+      );
+    }
+    return { ...entry, status: "CANCELLED" };
+  }
+
+  /**
+   * Offer the patient currently holds (must be theirs and not expired)
+   */
+  async getClaimableOffer(entryId, patientId) {
+    if (!this.#isValidObjectId(entryId)) throw new Error("Invalid waitlist entry.");
+
+    const entry = await WaitlistEntry.findOne({ _id: entryId, patientId }).lean();
+    if (!entry) throw new Error("Waitlist entry not found.");
+    if (entry.status !== "OFFERED") throw new Error("There is no open offer on this waitlist entry.");
+    if (new Date(entry.offer.expiresAt).getTime() <= Date.now()) {
+      throw new Error("This offer has expired.");
+    }
+    return entry;
+  }
+
+  // ---------- holds (used by AppointmentService) ----------
+
+  /**
+   * Unexpired holds overlapping a visit of `minutes` starting at `dateTime`.
+   * Holds are compared as intervals, so one offered under a different slot
+   * length (or alignment) still blocks the time it covers.
+   */
+  async findActiveHolds(doctorId, dateTime, minutes) {
+    const start = new Date(dateTime);
+    return this.#findHoldsOverlapping(doctorId, start, new Date(start.getTime() + minutes * MINUTE_MS));
+  }
+
+  /**
+   * Held intervals for a doctor overlapping [from, to)
+   * @returns {Promise<{ start: Date, end: Date }[]>}
+   */
+  async findHeldIntervals(doctorId, from, to) {
+    const rows = await this.#findHoldsOverlapping(doctorId, from, to);
+    return rows.map((r) => ({ start: new Date(r.offer.dateTime), end: this.#holdEnd(r.offer) }));
+  }
+
+  async markBooked(entryId, appointmentId) {
+    await WaitlistEntry.updateOne(
+      { _id: entryId, status: "OFFERED" },
+      { $set: { status: "BOOKED", appointmentId } }
+    );
+  }
+
+  /**
+   * A slot was freed (cancellation / reschedule / lapsed hold):
+   * hold it for the oldest WAITING patient who wants that doctor + date.
+   * @returns {Promise<object|null>} the offered entry
+   */
+  async offerFreedSlot({ doctorId, dateTime }) {
+    const start = new Date(dateTime);
+    if (!this.#isValidObjectId(doctorId) || Number.isNaN(start.getTime())) return null;
+    if (start.getTime() <= Date.now()) return null;
+
+    const doctor = await Doctor.findById(doctorId).select("tenantId schedule availability").lean();
+    if (!doctor) return null;
+    const { slotDuration } = resolveSchedule(doctor);
+
+    if (await this.#isSlotBooked(doctorId, start, slotDuration)) return null;
+    if ((await this.findActiveHolds(doctorId, start, slotDuration)).length > 0) return null;
+
+    const { date, slot } = getZonedDateSlot(start, await this.#timeZoneFor(doctor.tenantId));
+    const now = new Date();
+
+    // Claim atomically so two concurrent frees can't offer the same entry
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      {
+        doctorId,
+        date,
+        status: "WAITING",
+        $or: [{ slot: "" }, { slot }],
+      },
+      {
+        $set: {
+          status: "OFFERED",
+          offer: {
+            dateTime: start,
+            slot,
+            durationMinutes: slotDuration,
+            offeredAt: now,
+            expiresAt: new Date(now.getTime() + HOLD_MINUTES * 60 * 1000),
+          },
+        },
+        $inc: { offersMade: 1 },
+      },
+      { new: true, sort: { createdAt: 1 } }
+    ).lean();
+
+    if (!entry) return null;
+
+    console.log(`[Waitlist] Offered ${date} ${slot} to entry ${entry._id} (hold ${HOLD_MINUTES} min)`);
+    this.#notifyOffer(entry).catch((e) => console.error("[Waitlist] Offer notify error:", e.message));
+    return entry;
+  }
+
+  /**
+   * Expire lapsed holds (rolling each slot to the next patient and telling
+   * the lapsed patient they've left the waitlist) and close WAITING entries
+   * whose date has passed. Run by the scheduler.
+   */
+  async processExpiredOffers() {
+    const now = new Date();
+
+    const lapsed = await WaitlistEntry.find({
+      status: "OFFERED",
+      "offer.expiresAt": { $lte: now },
+    })
+      .select("tenantId doctorId patientId patientInfo offer")
+      .lean();
+
+    let rolled = 0;
+    for (const entry of lapsed) {
+      const res = await WaitlistEntry.updateOne(
+        { _id: entry._id, status: "OFFERED" },
+        { $set: { status: "EXPIRED" } }
+      );
+      if (res.modifiedCount === 0) continue;
+
+      this.#notifyOfferExpired(entry).catch((e) => console.error("[Waitlist] Expiry notify error:", e.message));
+
+      const next = await this.offerFreedSlot({ doctorId: entry.doctorId, dateTime: entry.offer.dateTime });
+      if (next) rolled++;
+    }
+
+    // "Past" depends on each clinic's zone; no zone is past an entry dated after today (UTC)
+    const staleTenantIds = await WaitlistEntry.distinct("tenantId", {
+      status: "WAITING",
+      date: { $lt: addDaysToDateStr(now.toISOString().slice(0, 10), 1) },
+    });
+    let staleClosed = 0;
+    for (const tenantId of staleTenantIds) {
+      const stale = await WaitlistEntry.updateMany(
+        { tenantId, status: "WAITING", date: { $lt: this.#todayStr(await this.#timeZoneFor(tenantId)) } },
+        { $set: { status: "EXPIRED" } }
+      );
+      staleClosed += stale.modifiedCount;
+    }
+
+    return { expired: lapsed.length, rolled, staleClosed };
+  }
+}
+
+export default new WaitlistService();
@@ -0,0 +1,76 @@
+/**
+ * Socket.IO push for the walk-in queue.
+ *
+ * Every authenticated socket joins a personal `user:<id>` room, so a
+ * patient receives `queue-position` updates for their own entries without
+ * subscribing. Clinic admins may `queue:watch` their clinic and receive a
+ * `queue-updated` board (tokens only) whenever any doctor's queue moves.
+ */
+import QueueService from "../services/queueService.js";
+
+let ioRef = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const clinicRoom = (tenantId) => `queue:${tenantId}`;
+
+/**
+ * Push a queue change to the clinic board and to every patient in it.
+ * `changed` is an entry that just left the live queue (done, skipped…) so
+ * its patient hears about it too.
+ */
+export const publishQueueUpdate = (snapshot, ...changed) => {
+  if (!ioRef || !snapshot) return;
+
+  ioRef.to(clinicRoom(snapshot.tenantId)).emit("queue-updated", QueueService.toDisplay(snapshot));
+
+  const notified = new Set();
+  for (const entry of snapshot.entries) {
+    if (!entry.patientId) continue;
+    notified.add(String(entry._id));
+    ioRef.to(userRoom(entry.patientId)).emit("queue-position", QueueService.toPatientStatus(snapshot, entry));
+  }
+
+  for (const entry of changed) {
+    if (!entry?.patientId || notified.has(String(entry._id))) continue;
+    ioRef.to(userRoom(entry.patientId)).emit("queue-position", QueueService.toPatientStatus(snapshot, entry));
+  }
+};
+
+export default function registerQueueHandlers(io) {
+  ioRef = io;
+
+  io.on("connection", (socket) => {
+    const user = socket.data.user;
+    if (!user?.id) return;
+
+    socket.join(userRoom(user.id));
+
+    // Current position on (re)connect
+    socket.on("queue:status", async (_payload, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      try {
+        reply({ success: true, data: await QueueService.getPatientStatus(user.id) });
+      } catch (err) {
+        reply({ success: false, message: err.message });
+      }
+    });
+
+    socket.on("queue:watch", async (_payload, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      if (user.role !== "CLINIC_ADMIN" || !user.tenantId) {
+        return reply({ success: false, message: "Only clinic staff can watch the queue." });
+      }
+      try {
+        socket.join(clinicRoom(user.tenantId));
+        const queues = await QueueService.getClinicQueues(user.tenantId);
+        reply({ success: true, data: queues.map((q) => QueueService.toDisplay(q)) });
+      } catch (err) {
+        reply({ success: false, message: err.message });
+      }
+    });
+
+    socket.on("queue:unwatch", () => {
+      if (user.tenantId) socket.leave(clinicRoom(user.tenantId));
+    });
+  });
+}
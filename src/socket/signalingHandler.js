@@ -1,87 +1,187 @@
 /**
  * Socket.IO signaling handler for WebRTC video calls + real-time chat.
  *
- * Rooms follow the pattern:  `room:<sortedId1>_<sortedId2>`
- * so both parties always join the same room regardless of who initiates.
+ * Every connection is authenticated during the handshake (same JWT checks as
+ * the HTTP `protect` middleware). A socket may only join the room of a
+ * VideoConsultation it belongs to, and each room holds at most one DOCTOR-side
+ * and one PATIENT-side socket. Signaling/chat events are relayed only to the
+ * room the socket actually joined.
  */
+import { authenticateSocket } from "../middlewares/authMiddleware.js";
+import VideoConsultationService from "../services/videoConsultationService.js";
 
-const activeRooms = new Map(); // roomId → Set<socketId>
+const activeRooms = new Map(); // roomId → { DOCTOR?: socketId, PATIENT?: socketId }
+
+let ioRef = null;
+
+const participantCount = (roomId) => Object.keys(activeRooms.get(roomId) || {}).length;
+
+/**
+ * Remove everyone from a consultation room (session ended / cancelled).
+ * Safe to call when the room has no live sockets.
+ */
+export const closeConsultationRoom = (roomId, reason = "ended") => {
+  if (!ioRef || !roomId) return;
+
+  ioRef.in(roomId).emit("room-closed", { roomId, reason });
+  ioRef.in(roomId).emit("call-ended", { by: "server" });
+
+  const members = activeRooms.get(roomId) || {};
+  for (const socketId of Object.values(members)) {
+    const s = ioRef.sockets.sockets.get(socketId);
+    if (s && s.data.roomId === roomId) {
+      s.data.roomId = null;
+      s.data.participantRole = null;
+    }
+  }
+
+  ioRef.in(roomId).socketsLeave(roomId);
+  activeRooms.delete(roomId);
+};
 
 export default function registerSignalingHandlers(io) {
+  ioRef = io;
+  io.use(authenticateSocket);
+
   io.on("connection", (socket) => {
-    console.log(`🔌 Socket connected: ${socket.id}`);
+    const user = socket.data.user;
+    console.log(`🔌 Socket connected: ${socket.id} (${user?.role})`);
 
-    /* ---- Room management ---- */
-    socket.on("join-room", ({ roomId, userId }) => {
-      if (!roomId || !userId) return;
+    // Only relay for the room this socket was authorized into
+    const inRoom = (roomId) => Boolean(roomId) && socket.data.roomId === roomId;
 
-      socket.join(roomId);
-      socket.data.roomId = roomId;
-      socket.data.userId = userId;
+    const leaveCurrentRoom = () => {
+      const roomId = socket.data.roomId;
+      if (!roomId) return;
 
-      if (!activeRooms.has(roomId)) activeRooms.set(roomId, new Set());
-      activeRooms.get(roomId).add(socket.id);
+      const members = activeRooms.get(roomId);
+      const role = socket.data.participantRole;
+      if (members && members[role] === socket.id) {
+        delete members[role];
+        if (Object.keys(members).length === 0) activeRooms.delete(roomId);
+      }
+
+      socket.leave(roomId);
+      socket.to(roomId).emit("user-left", {
+        userId: user.id,
+        role,
+        socketId: socket.id,
+      });
 
-      // Notify others in the room that a new user joined
-      socket.to(roomId).emit("user-joined", { userId, socketId: socket.id });
+      socket.data.roomId = null;
+      socket.data.participantRole = null;
+    };
 
-      // Tell the joiner how many people are already in the room
-      const count = activeRooms.get(roomId).size;
-      socket.emit("room-info", { roomId, participantCount: count });
+    /* ---- Room management ---- */
+    socket.on("join-room", async ({ roomId } = {}, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      if (!roomId) return reply({ success: false, message: "Room ID is required." });
+
+      try {
+        const { role } = await VideoConsultationService.authorizeParticipant(roomId, user);
+
+        if (socket.data.roomId && socket.data.roomId !== roomId) leaveCurrentRoom();
+
+        if (!activeRooms.has(roomId)) activeRooms.set(roomId, {});
+        const members = activeRooms.get(roomId);
+
+        // Same participant reconnecting (new tab / refresh) replaces the old socket
+        const previousId = members[role];
+        if (previousId && previousId !== socket.id) {
+          const previous = io.sockets.sockets.get(previousId);
+          if (previous) {
+            previous.emit("session-replaced", { roomId });
+            previous.leave(roomId);
+            previous.data.roomId = null;
+            previous.data.participantRole = null;
+          }
+        }
+
+        members[role] = socket.id;
+        socket.join(roomId);
+        socket.data.roomId = roomId;
+        socket.data.participantRole = role;
+
+        // Notify the other participant
+        socket.to(roomId).emit("user-joined", { userId: user.id, role, socketId: socket.id });
+
+        const info = { roomId, role, participantCount: participantCount(roomId) };
+        socket.emit("room-info", info);
+        reply({ success: true, ...info });
+      } catch (err) {
+        socket.emit("join-error", { roomId, message: err.message });
+        reply({ success: false, message: err.message });
+      }
     });
 
+    socket.on("leave-room", () => leaveCurrentRoom());
+
     /* ---- WebRTC signaling ---- */
-    socket.on("offer", ({ roomId, offer }) => {
+    socket.on("offer", ({ roomId, offer } = {}) => {
+      if (!inRoom(roomId)) return;
       socket.to(roomId).emit("offer", { offer, from: socket.id });
     });
 
-    socket.on("answer", ({ roomId, answer }) => {
+    socket.on("answer", ({ roomId, answer } = {}) => {
+      if (!inRoom(roomId)) return;
       socket.to(roomId).emit("answer", { answer, from: socket.id });
     });
 
-    socket.on("ice-candidate", ({ roomId, candidate }) => {
+    socket.on("ice-candidate", ({ roomId, candidate } = {}) => {
+      if (!inRoom(roomId)) return;
       socket.to(roomId).emit("ice-candidate", { candidate, from: socket.id });
     });
 
     /* ---- Real-time chat ---- */
-    socket.on("chat-message", ({ roomId, message, sender, timestamp }) => {
-      if (!roomId || !message) return;
-
-      // Broadcast to everyone in the room (including sender for confirmation)
-      io.in(roomId).emit("chat-message", {
-        message,
-        sender,
-        timestamp: timestamp || Date.now(),
-        socketId: socket.id,
-      });
+    socket.on("chat-message", async ({ roomId, message, sender } = {}, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      if (!inRoom(roomId) || !message) return;
+
+      try {
+        // Persist first so the transcript never misses a relayed message
+        const saved = await VideoConsultationService.addChatMessage(roomId, {
+          senderId: user.id,
+          senderRole: socket.data.participantRole,
+          senderName: user.name || sender,
+          message,
+        });
+
+        // Broadcast to everyone in the room (including sender for confirmation)
+        io.in(roomId).emit("chat-message", {
+          id: String(saved._id),
+          message: saved.message,
+          sender: saved.senderName || sender,
+          role: saved.senderRole,
+          timestamp: saved.sentAt.getTime(),
+          socketId: socket.id,
+        });
+        reply({ success: true, id: String(saved._id) });
+      } catch (err) {
+        socket.emit("chat-error", { roomId, message: err.message });
+        reply({ success: false, message: err.message });
+      }
     });
 
     /* ---- Typing indicator ---- */
-    socket.on("typing", ({ roomId, sender }) => {
+    socket.on("typing", ({ roomId, sender } = {}) => {
+      if (!inRoom(roomId)) return;
       socket.to(roomId).emit("typing", { sender });
     });
 
-    socket.on("stop-typing", ({ roomId, sender }) => {
+    socket.on("stop-typing", ({ roomId, sender } = {}) => {
+      if (!inRoom(roomId)) return;
       socket.to(roomId).emit("stop-typing", { sender });
     });
 
     /* ---- Call control ---- */
-    socket.on("end-call", ({ roomId }) => {
+    socket.on("end-call", ({ roomId } = {}) => {
+      if (!inRoom(roomId)) return;
       socket.to(roomId).emit("call-ended", { by: socket.id });
     });
 
     /* ---- Cleanup ---- */
     socket.on("disconnect", () => {
-      const roomId = socket.data.roomId;
-      if (roomId && activeRooms.has(roomId)) {
-        activeRooms.get(roomId).delete(socket.id);
-        if (activeRooms.get(roomId).size === 0) activeRooms.delete(roomId);
-
-        socket.to(roomId).emit("user-left", {
-          userId: socket.data.userId,
-          socketId: socket.id,
-        });
-      }
+      leaveCurrentRoom();
       console.log(`🔌 Socket disconnected: ${socket.id}`);
     });
   });
@@ -0,0 +1,83 @@
+/**
+ * Per-clinic appointment policy, stored on Tenant.settings.appointmentPolicy:
+ *
+ *   cancellationWindowHours  patients can't cancel within N hours of the visit (0 = any time)
+ *   autoNoShow               scheduler marks unattended visits NO_SHOW (opt-in)
+ *   noShowGraceMinutes       minutes after the slot ends before a visit counts as missed
+ *   noShowThreshold          no-shows that trigger noShowAction (0 = off)
+ *   noShowAction             REQUIRE_CONFIRMATION → new bookings wait for the clinic
+ *                            BLOCK → online booking is refused
+ *   noShowLookbackDays       only no-shows this recent count (0 = all time)
+ *   requirePrepayment        patients must pay the consultation fee online to book
+ */
+
+export const NO_SHOW_ACTIONS = ["REQUIRE_CONFIRMATION", "BLOCK"];
+
+export const DEFAULT_APPOINTMENT_POLICY = Object.freeze({
+  cancellationWindowHours: 0,
+  autoNoShow: false,
+  noShowGraceMinutes: 60,
+  noShowThreshold: 0,
+  noShowAction: "REQUIRE_CONFIRMATION",
+  noShowLookbackDays: 180,
+  requirePrepayment: false,
+});
+
+const BOOLEAN_FIELDS = ["autoNoShow", "requirePrepayment"];
+
+// [min, max] for the whole-number fields
+const NUMBER_LIMITS = {
+  cancellationWindowHours: [0, 168],
+  noShowGraceMinutes: [0, 1440],
+  noShowThreshold: [0, 50],
+  noShowLookbackDays: [0, 3650],
+};
+
+/**
+ * Stored policy merged over the defaults (older tenants have none)
+ */
+export const resolveAppointmentPolicy = (tenant = {}) => {
+  const stored = tenant?.settings?.appointmentPolicy || {};
+  const policy = { ...DEFAULT_APPOINTMENT_POLICY };
+  for (const key of Object.keys(DEFAULT_APPOINTMENT_POLICY)) {
+    if (stored[key] !== undefined && stored[key] !== null) policy[key] = stored[key];
+  }
+  return policy;
+};
+
+/**
+ * Validate a partial policy from the API. Throws Error on bad input.
+ * @returns {object} only the fields that were sent
+ */
+export const normalizeAppointmentPolicy = (input) => {
+  if (!input || typeof input !== "object") throw new Error("Appointment policy is required.");
+
+  const out = {};
+  for (const [key, [min, max]] of Object.entries(NUMBER_LIMITS)) {
+    if (input[key] === undefined) continue;
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`${key} must be a whole number between ${min} and ${max}.`);
+    }
+    out[key] = value;
+  }
+
+  // Form posts send "true"/"false"; anything else is rejected rather than coerced
+  for (const key of BOOLEAN_FIELDS) {
+    if (input[key] === undefined) continue;
+    if (input[key] === true || input[key] === "true") out[key] = true;
+    else if (input[key] === false || input[key] === "false") out[key] = false;
+    else throw new Error(`${key} must be true or false.`);
+  }
+
+  if (input.noShowAction !== undefined) {
+    const action = String(input.noShowAction).trim().toUpperCase();
+    if (!NO_SHOW_ACTIONS.includes(action)) {
+      throw new Error(`noShowAction must be one of ${NO_SHOW_ACTIONS.join(", ")}.`);
+    }
+    out.noShowAction = action;
+  }
+
+  if (Object.keys(out).length === 0) throw new Error("No appointment policy fields to update.");
+  return out;
+};
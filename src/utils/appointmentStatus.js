@@ -0,0 +1,87 @@
+/**
+ * Appointment lifecycle.
+ *
+ *   PENDING ──> CONFIRMED ──> CHECKED_IN ──> IN_CONSULTATION ──> COMPLETED
+ *      │            │              │
+ *      └────────────┴──────────────┴──> CANCELLED
+ *   PENDING / CONFIRMED ──> NO_SHOW ──> CHECKED_IN (arrived late)
+ *
+ * Video visits skip reception and go straight to IN_CONSULTATION when the
+ * call starts. Every change is appended to Appointment.statusHistory with
+ * the actor, and stamps the stage's own timestamp field.
+ */
+
+export const APPOINTMENT_STATUSES = [
+  "PENDING",
+  "CONFIRMED",
+  "CHECKED_IN",
+  "IN_CONSULTATION",
+  "COMPLETED",
+  "CANCELLED",
+  "NO_SHOW",
+];
+
+// Booked but the patient hasn't arrived yet (reschedulable, remindable)
+export const UPCOMING_STATUSES = ["PENDING", "CONFIRMED"];
+
+// Statuses that occupy the doctor's slot
+export const SLOT_HOLDING_STATUSES = ["PENDING", "CONFIRMED", "CHECKED_IN", "IN_CONSULTATION"];
+
+export const STATUS_TRANSITIONS = Object.freeze({
+  PENDING: ["CONFIRMED", "CHECKED_IN", "IN_CONSULTATION", "CANCELLED", "NO_SHOW"],
+  CONFIRMED: ["CHECKED_IN", "IN_CONSULTATION", "CANCELLED", "NO_SHOW"],
+  CHECKED_IN: ["IN_CONSULTATION", "CANCELLED"],
+  IN_CONSULTATION: ["COMPLETED"],
+  COMPLETED: [],
+  CANCELLED: [],
+  NO_SHOW: ["CHECKED_IN"],
+});
+
+// Per-stage timestamp; CANCELLED is stamped on cancellation.at
+export const STATUS_TIMESTAMP_FIELDS = Object.freeze({
+  CONFIRMED: "confirmedAt",
+  CHECKED_IN: "checkedInAt",
+  IN_CONSULTATION: "consultationStartedAt",
+  COMPLETED: "completedAt",
+  NO_SHOW: "noShowAt",
+});
+
+export const HISTORY_ROLES = ["PATIENT", "CLINIC_ADMIN", "DOCTOR", "SYSTEM"];
+
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Controllers map this to 409
+export const invalidTransitionError = (from, to) =>
+  Object.assign(
+    new Error(`Cannot change an appointment from ${from} to ${to}.`),
+    { code: "INVALID_TRANSITION", from, to }
+  );
+
+/**
+ * One statusHistory entry
+ * @param {{ userId?: string, role?: string }} [actor] - no userId = system
+ */
+export const statusHistoryEntry = (from, to, { actor = {}, reason = "", at = new Date() } = {}) => {
+  const role = String(actor.role || "").toUpperCase();
+  return {
+    from: from || null,
+    to,
+    at,
+    by: actor.userId || null,
+    role: actor.userId && HISTORY_ROLES.includes(role) ? role : "SYSTEM",
+    reason: String(reason || "").trim().slice(0, 500),
+  };
+};
+
+/**
+ * Mongo update for a transition. Pair it with `status: from` in the filter
+ * so a concurrent change makes the write miss instead of skipping a stage.
+ * @param {object} [set] - extra fields to $set alongside the status
+ */
+export const buildStatusUpdate = (from, to, { actor, reason, at = new Date(), set = {} } = {}) => {
+  const stamp = STATUS_TIMESTAMP_FIELDS[to];
+  return {
+    $set: { ...set, status: to, ...(stamp ? { [stamp]: at } : {}) },
+    $push: { statusHistory: statusHistoryEntry(from, to, { actor, reason, at }) },
+  };
+};
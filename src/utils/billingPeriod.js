@@ -0,0 +1,39 @@
+/**
+ * Subscription billing-period helpers.
+ * Payments store cycles as "monthly"/"yearly", the tenant schema as
+ * "MONTHLY"/"ANNUAL" — both spellings are accepted here.
+ */
+
+const YEARLY_CYCLES = new Set(["yearly", "annual"]);
+
+export const isYearlyCycle = (cycle) => YEARLY_CYCLES.has(String(cycle || "").trim().toLowerCase());
+
+/**
+ * Add one billing period to a date, clamping to the last day of the month
+ * (31 Jan + 1 month → 28/29 Feb, not 2/3 Mar).
+ * @param {Date|string} from
+ * @param {string} cycle
+ * @returns {Date}
+ */
+export const addBillingPeriod = (from, cycle) => {
+  const start = new Date(from);
+  const months = isYearlyCycle(cycle) ? 12 : 1;
+
+  const target = new Date(start);
+  target.setUTCDate(1);
+  target.setUTCMonth(target.getUTCMonth() + months);
+
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return target;
+};
+
+/**
+ * Next renewal date after a successful payment.
+ * Early renewals extend the current period instead of restarting it.
+ */
+export const computeNextRenewalDate = (currentRenewalDate, cycle, now = new Date()) => {
+  const current = currentRenewalDate ? new Date(currentRenewalDate) : null;
+  const base = current && current > now ? current : now;
+  return addBillingPeriod(base, cycle);
+};
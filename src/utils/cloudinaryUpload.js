@@ -31,3 +31,31 @@ export const deleteFromCloudinary = async (publicId) => {
   if (!publicId) return;
   await cloudinary.uploader.destroy(publicId);
 };
+
+// Private documents (doctor credentials) are stored as "authenticated"
+// assets and only reachable through short-lived signed links.
+export const uploadDocumentToCloudinary = (buffer, folder) => {
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(
+        { folder, resource_type: "auto", type: "authenticated" },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        },
+      )
+      .end(buffer);
+  });
+};
+
+export const getSignedDocumentUrl = (publicId, { format, resourceType = "image", expiresInSeconds = 600 } = {}) =>
+  cloudinary.utils.private_download_url(publicId, format, {
+    resource_type: resourceType,
+    type: "authenticated",
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  });
+
+export const deleteDocumentFromCloudinary = async (publicId, resourceType = "image") => {
+  if (!publicId) return;
+  await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: "authenticated" });
+};
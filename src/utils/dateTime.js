@@ -0,0 +1,174 @@
+/**
+ * Date/time helpers shared by appointment flows.
+ *
+ * Booked slots are interpreted and displayed in the clinic's IANA time zone
+ * (Tenant.settings.timezone) regardless of the server's TZ. CLINIC_TIMEZONE
+ * is the default for clinics that haven't set one.
+ */
+export const CLINIC_TIMEZONE = "Asia/Kolkata";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * True for a zone name Intl understands (e.g. "Europe/London")
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * A tenant's time zone, falling back to CLINIC_TIMEZONE
+ * @param {{ settings?: { timezone?: string } } | null} tenant
+ */
+export const resolveTenantTimeZone = (tenant) => {
+  const tz = tenant?.settings?.timezone;
+  return isValidTimeZone(tz) ? tz : CLINIC_TIMEZONE;
+};
+
+/**
+ * Split an absolute Date into the clinic-local calendar date and "HH:mm" slot.
+ * @param {Date|string|number} value
+ * @param {string} [timeZone]
+ * @returns {{ date: string, slot: string } | null}
+ */
+export const getZonedDateSlot = (value, timeZone = CLINIC_TIMEZONE) => {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(d)
+      .map((p) => [p.type, p.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    slot: `${pad(parts.hour)}:${pad(parts.minute)}`,
+  };
+};
+
+/**
+ * Minutes the zone is ahead of UTC at a given instant (IST → 330)
+ */
+const zoneOffsetMinutes = (utcMs, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(new Date(utcMs))
+      .map((p) => [p.type, Number(p.value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - utcMs) / 60000);
+};
+
+/**
+ * Absolute Date for a clinic-local "YYYY-MM-DD" + "HH:mm".
+ * Returns null for malformed input, impossible dates (e.g. 2026-02-30) and
+ * times skipped by a DST jump (02:30 on a spring-forward night). A time that
+ * occurs twice when clocks fall back resolves to the first occurrence.
+ * @param {string} dateStr
+ * @param {string} slotStr
+ * @param {string} [timeZone]
+ * @returns {Date | null}
+ */
+export const parseZonedDateTime = (dateStr, slotStr, timeZone = CLINIC_TIMEZONE) => {
+  if (!dateStr || !slotStr) return null;
+
+  const [y, m, d] = String(dateStr).split("-").map(Number);
+  const [hh, mm] = String(slotStr).split(":").map(Number);
+  if (![y, m, d, hh, mm].every(Number.isInteger)) return null;
+  if (hh < 0 || hh > 23 || mm < 0 || mm > 59) return null;
+
+  const naive = Date.UTC(y, m - 1, d, hh, mm);
+  if (Number.isNaN(naive)) return null;
+
+  // Offsets in force a day either side cover both sides of any DST change;
+  // keep the candidates that read back as the requested wall-clock time.
+  // The round-trip also rejects overflowed dates (Feb 30 → Mar 2).
+  const wantedDate = `${y}-${pad(m)}-${pad(d)}`;
+  const wantedSlot = `${pad(hh)}:${pad(mm)}`;
+  const offsets = new Set([naive - DAY_MS, naive, naive + DAY_MS].map((t) => zoneOffsetMinutes(t, timeZone)));
+  const matches = [...offsets]
+    .map((offset) => naive - offset * 60000)
+    .filter((t) => {
+      const check = getZonedDateSlot(t, timeZone);
+      return check && check.date === wantedDate && check.slot === wantedSlot;
+    })
+    .sort((a, b) => a - b);
+
+  return matches.length ? new Date(matches[0]) : null;
+};
+
+/**
+ * "YYYY-MM-DD" shifted by whole calendar days
+ */
+export const addDaysToDateStr = (dateStr, days) => {
+  const [y, m, d] = String(dateStr).split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+};
+
+// First instant of a local day; midnight itself can fall in a DST gap
+const startOfZonedDay = (dateStr, timeZone) => {
+  for (let minutes = 0; minutes < 24 * 60; minutes += 15) {
+    const start = parseZonedDateTime(dateStr, `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`, timeZone);
+    if (start) return start;
+  }
+  return null;
+};
+
+/**
+ * [start, end) of a clinic-local calendar day. Days are 23 or 25 hours
+ * long when clocks change, so never add 24h to the start.
+ * @param {string} dateStr "YYYY-MM-DD"
+ * @param {string} [timeZone]
+ * @returns {{ start: Date, end: Date } | null}
+ */
+export const getZonedDayBounds = (dateStr, timeZone = CLINIC_TIMEZONE) => {
+  if (!parseZonedDateTime(dateStr, "12:00", timeZone)) return null;
+  const start = startOfZonedDay(dateStr, timeZone);
+  const end = startOfZonedDay(addDaysToDateStr(dateStr, 1), timeZone);
+  return start && end ? { start, end } : null;
+};
+
+/**
+ * Human-readable appointment time, e.g. "06 Mar 2026, 02:30 pm"
+ */
+export const formatAppointmentDateTime = (value, timeZone = CLINIC_TIMEZONE) => {
+  if (!value) return "N/A";
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return "N/A";
+
+  return d.toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true,
+    timeZone,
+  });
+};
@@ -0,0 +1,316 @@
+/**
+ * Doctor weekly schedule helpers.
+ *
+ * Shape stored on Doctor.schedule:
+ *   {
+ *     slotDuration: 30,                       // minutes per bookable slot
+ *     weekly: [{ day: 1, isWorking: true, start: "09:00", end: "17:00",
+ *                breaks: [{ start: "13:00", end: "14:00" }] }],
+ *     exceptions: [{ date: "2026-03-14", type: "HOLIDAY", reason: "Holi" }]
+ *   }
+ *
+ * Days use JS numbering (0 = Sunday … 6 = Saturday). All times are "HH:mm"
+ * in clinic-local time; dates are "YYYY-MM-DD" calendar dates.
+ */
+
+export const DAYS = [0, 1, 2, 3, 4, 5, 6];
+export const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+export const EXCEPTION_TYPES = ["LEAVE", "HOLIDAY", "CUSTOM_HOURS"];
+
+export const DEFAULT_SLOT_DURATION = 30;
+const MIN_SLOT_DURATION = 5;
+export const MAX_SLOT_DURATION = 240;
+
+const DEFAULT_START = "09:00";
+const DEFAULT_END = "17:00";
+
+export const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+export const DATE_REGEX = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/* ---------------- time math ---------------- */
+
+/** "HH:mm" (or "H:mm") → minutes since midnight, or null */
+export const timeToMinutes = (value) => {
+  const [hh, mm] = String(value || "").trim().split(":").map(Number);
+  if (!Number.isInteger(hh) || !Number.isInteger(mm)) return null;
+  if (hh < 0 || hh > 23 || mm < 0 || mm > 59) return null;
+  return hh * 60 + mm;
+};
+
+export const minutesToTime = (minutes) =>
+  `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+const to12h = (time) => {
+  const m = timeToMinutes(time);
+  const hh = Math.floor(m / 60);
+  const suffix = hh >= 12 ? "PM" : "AM";
+  return `${pad(hh % 12 || 12)}:${pad(m % 60)} ${suffix}`;
+};
+
+/** Day of week for a calendar date, independent of server TZ */
+export const getDayOfWeek = (dateStr) => {
+  const [y, m, d] = String(dateStr).split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+};
+
+/* ---------------- defaults / legacy ---------------- */
+
+/**
+ * Parse the legacy free-text availability ("09:00 AM - 05:00 PM")
+ * into 24h start/end. Falls back to 09:00–17:00.
+ */
+const parseLegacyAvailability = (availability) => {
+  const match = String(availability || "").match(
+    /(\d{1,2}):(\d{2})\s*(AM|PM)?\s*-\s*(\d{1,2}):(\d{2})\s*(AM|PM)?/i
+  );
+  if (!match) return { start: DEFAULT_START, end: DEFAULT_END };
+
+  const toMinutes = (h, m, meridiem) => {
+    let hh = Number(h) % 24;
+    if (meridiem) {
+      hh = Number(h) % 12;
+      if (meridiem.toUpperCase() === "PM") hh += 12;
+    }
+    return hh * 60 + Number(m);
+  };
+
+  const start = toMinutes(match[1], match[2], match[3]);
+  const end = toMinutes(match[4], match[5], match[6]);
+  if (!(end > start)) return { start: DEFAULT_START, end: DEFAULT_END };
+
+  return { start: minutesToTime(start), end: minutesToTime(end) };
+};
+
+export const buildDefaultWeeklySchedule = (start = DEFAULT_START, end = DEFAULT_END) =>
+  DAYS.map((day) => ({ day, isWorking: true, start, end, breaks: [] }));
+
+/**
+ * Effective schedule for a doctor document (lean or hydrated).
+ * Doctors created before structured schedules only have `availability`,
+ * so we derive an every-day schedule from that string.
+ */
+export const resolveSchedule = (doctor = {}) => {
+  const schedule = doctor.schedule || {};
+  const slotDuration = Number(schedule.slotDuration) || DEFAULT_SLOT_DURATION;
+
+  let weekly = Array.isArray(schedule.weekly) ? schedule.weekly : [];
+  if (weekly.length === 0) {
+    const { start, end } = parseLegacyAvailability(doctor.availability);
+    weekly = buildDefaultWeeklySchedule(start, end);
+  }
+
+  return {
+    slotDuration,
+    weekly,
+    exceptions: Array.isArray(schedule.exceptions) ? schedule.exceptions : [],
+  };
+};
+
+/* ---------------- validation ---------------- */
+
+const normalizeRanges = (ranges, label) => {
+  if (ranges === undefined || ranges === null) return [];
+  if (!Array.isArray(ranges)) throw new Error(`${label} must be an array.`);
+
+  return ranges
+    .map((r) => {
+      const start = String(r?.start || "").trim();
+      const end = String(r?.end || "").trim();
+      if (!TIME_REGEX.test(start) || !TIME_REGEX.test(end)) {
+        throw new Error(`${label} times must use HH:mm format.`);
+      }
+      if (timeToMinutes(end) <= timeToMinutes(start)) {
+        throw new Error(`${label} end time must be after start time.`);
+      }
+      return { start, end };
+    })
+    .sort((a, b) => timeToMinutes(a.start) - timeToMinutes(b.start));
+};
+
+const normalizeHours = (entry, label) => {
+  const start = String(entry?.start || "").trim();
+  const end = String(entry?.end || "").trim();
+
+  if (!TIME_REGEX.test(start) || !TIME_REGEX.test(end)) {
+    throw new Error(`${label}: start and end must use HH:mm format.`);
+  }
+  if (timeToMinutes(end) <= timeToMinutes(start)) {
+    throw new Error(`${label}: end time must be after start time.`);
+  }
+
+  const breaks = normalizeRanges(entry.breaks, `${label} breaks`);
+  for (const b of breaks) {
+    if (timeToMinutes(b.start) < timeToMinutes(start) || timeToMinutes(b.end) > timeToMinutes(end)) {
+      throw new Error(`${label}: breaks must fall within working hours.`);
+    }
+  }
+
+  return { start, end, breaks };
+};
+
+/**
+ * Validate + normalize schedule input from the API.
+ * Accepts a JSON string (multipart forms) or an object. Throws Error on bad input.
+ */
+export const normalizeSchedule = (input) => {
+  let raw = input;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      throw new Error("Schedule must be valid JSON.");
+    }
+  }
+  if (!raw || typeof raw !== "object") throw new Error("Schedule is required.");
+
+  const slotDuration =
+    raw.slotDuration === undefined ? DEFAULT_SLOT_DURATION : Number(raw.slotDuration);
+  if (
+    !Number.isInteger(slotDuration) ||
+    slotDuration < MIN_SLOT_DURATION ||
+    slotDuration > MAX_SLOT_DURATION
+  ) {
+    throw new Error(
+      `Slot duration must be a whole number between ${MIN_SLOT_DURATION} and ${MAX_SLOT_DURATION} minutes.`
+    );
+  }
+
+  if (!Array.isArray(raw.weekly) || raw.weekly.length === 0) {
+    throw new Error("Weekly schedule must list at least one day.");
+  }
+
+  const seenDays = new Set();
+  const weekly = raw.weekly.map((entry) => {
+    const day = Number(entry?.day);
+    if (!DAYS.includes(day)) throw new Error("Weekly schedule day must be 0 (Sun) to 6 (Sat).");
+    if (seenDays.has(day)) throw new Error(`Duplicate weekly entry for ${DAY_LABELS[day]}.`);
+    seenDays.add(day);
+
+    const isWorking = entry.isWorking !== false;
+    if (!isWorking) return { day, isWorking, start: DEFAULT_START, end: DEFAULT_END, breaks: [] };
+
+    return { day, isWorking, ...normalizeHours(entry, DAY_LABELS[day]) };
+  });
+
+  // Days that were not sent are treated as days off
+  for (const day of DAYS) {
+    if (!seenDays.has(day)) {
+      weekly.push({ day, isWorking: false, start: DEFAULT_START, end: DEFAULT_END, breaks: [] });
+    }
+  }
+  weekly.sort((a, b) => a.day - b.day);
+
+  const exceptionsRaw = raw.exceptions ?? [];
+  if (!Array.isArray(exceptionsRaw)) throw new Error("Schedule exceptions must be an array.");
+
+  const seenDates = new Set();
+  const exceptions = exceptionsRaw.map((ex) => {
+    const date = String(ex?.date || "").trim();
+    if (!DATE_REGEX.test(date)) throw new Error("Exception date must use YYYY-MM-DD format.");
+    if (seenDates.has(date)) throw new Error(`Duplicate schedule exception for ${date}.`);
+    seenDates.add(date);
+
+    const type = String(ex.type || "LEAVE").trim().toUpperCase();
+    if (!EXCEPTION_TYPES.includes(type)) {
+      throw new Error(`Exception type must be one of ${EXCEPTION_TYPES.join(", ")}.`);
+    }
+
+    const reason = String(ex.reason || "").trim().slice(0, 120);
+    if (type !== "CUSTOM_HOURS") return { date, type, reason };
+
+    return { date, type, reason, ...normalizeHours(ex, `Exception ${date}`) };
+  });
+  exceptions.sort((a, b) => a.date.localeCompare(b.date));
+
+  return { slotDuration, weekly, exceptions };
+};
+
+/**
+ * Short display string kept in Doctor.availability for older UIs,
+ * e.g. "Mon-Fri, 09:00 AM - 05:00 PM" or "Varies by day".
+ */
+export const summarizeSchedule = (schedule) => {
+  const working = (schedule?.weekly || []).filter((d) => d.isWorking);
+  if (working.length === 0) return "Not available";
+
+  const sameHours = working.every(
+    (d) => d.start === working[0].start && d.end === working[0].end
+  );
+  if (!sameHours) return "Varies by day";
+
+  const hours = `${to12h(working[0].start)} - ${to12h(working[0].end)}`;
+  if (working.length === 7) return hours;
+
+  const days = working.map((d) => d.day).sort((a, b) => a - b);
+  const contiguous = days.every((d, i) => i === 0 || d === days[i - 1] + 1);
+  const dayLabel = contiguous && days.length > 2
+    ? `${DAY_LABELS[days[0]]}-${DAY_LABELS[days[days.length - 1]]}`
+    : days.map((d) => DAY_LABELS[d]).join(", ");
+
+  return `${dayLabel}, ${hours}`;
+};
+
+/* ---------------- slot generation ---------------- */
+
+/**
+ * Working hours for a specific date after applying exceptions.
+ * @returns {{ isWorking: boolean, start?: string, end?: string, breaks: Array, reason: string }}
+ */
+export const resolveDayHours = (schedule, dateStr) => {
+  const exception = (schedule.exceptions || []).find((ex) => ex.date === dateStr);
+
+  if (exception) {
+    if (exception.type === "CUSTOM_HOURS") {
+      return {
+        isWorking: true,
+        start: exception.start,
+        end: exception.end,
+        breaks: exception.breaks || [],
+        reason: exception.reason || "",
+      };
+    }
+    return { isWorking: false, breaks: [], reason: exception.reason || exception.type };
+  }
+
+  const day = getDayOfWeek(dateStr);
+  const entry = (schedule.weekly || []).find((w) => Number(w.day) === day);
+  if (!entry || !entry.isWorking) return { isWorking: false, breaks: [], reason: "Day off" };
+
+  return {
+    isWorking: true,
+    start: entry.start,
+    end: entry.end,
+    breaks: entry.breaks || [],
+    reason: "",
+  };
+};
+
+/**
+ * All slot start times ("HH:mm") a doctor works on a given date.
+ * A slot is included only if it fits entirely inside working hours
+ * and does not overlap any break.
+ */
+export const buildDaySlots = (schedule, dateStr) => {
+  const hours = resolveDayHours(schedule, dateStr);
+  if (!hours.isWorking) return [];
+
+  const duration = Number(schedule.slotDuration) || DEFAULT_SLOT_DURATION;
+  const start = timeToMinutes(hours.start);
+  const end = timeToMinutes(hours.end);
+  const breaks = hours.breaks.map((b) => [timeToMinutes(b.start), timeToMinutes(b.end)]);
+
+  const slots = [];
+  for (let t = start; t + duration <= end; t += duration) {
+    const overlapsBreak = breaks.some(([bs, be]) => t < be && t + duration > bs);
+    if (!overlapsBreak) slots.push(minutesToTime(t));
+  }
+  return slots;
+};
+
+export const isSlotInSchedule = (schedule, dateStr, slot) => {
+  const minutes = timeToMinutes(slot);
+  if (minutes === null) return false;
+  return buildDaySlots(schedule, dateStr).some((s) => timeToMinutes(s) === minutes);
+};
@@ -200,8 +200,10 @@ export const videoReminderTemplate = (recipientName, role, otherPartyName, dateT
  * @param {string} dateTimeStr - e.g. "06 Mar 2026, 02:30 PM"
  * @param {string} consultationType - "in-clinic" | "video"
  * @param {number} fee
+ * @param {string} meetingLink
+ * @param {{ rescheduledFrom?: string }} [options] - previous time, switches copy to "rescheduled"
  */
-export const appointmentBookedDoctorTemplate = (doctorName, patientName, dateTimeStr, consultationType, fee, meetingLink) => `
+export const appointmentBookedDoctorTemplate = (doctorName, patientName, dateTimeStr, consultationType, fee, meetingLink, { rescheduledFrom = "" } = {}) => `
 <!DOCTYPE html>
 <html>
 <head>
@@ -230,16 +232,22 @@ export const appointmentBookedDoctorTemplate = (doctorName, patientName, dateTim
       <div class="brand">SOVEREIGN</div>
     </div>
     <div class="content">
-      <span class="alert-tag">New Appointment Booked</span>
-      <h1>New <b>Patient</b> Booking</h1>
-      <p>Dr. ${doctorName}, a new appointment has been booked with you. Please review the details below.</p>
+      <span class="alert-tag">${rescheduledFrom ? 'Appointment Rescheduled' : 'New Appointment Booked'}</span>
+      <h1>${rescheduledFrom ? 'Booking <b>Rescheduled</b>' : 'New <b>Patient</b> Booking'}</h1>
+      <p>${rescheduledFrom
+        ? `Dr. ${doctorName}, an appointment with you has been moved to a new time. Please review the updated details below.`
+        : `Dr. ${doctorName}, a new appointment has been booked with you. Please review the details below.`}</p>
 
       <div class="detail-box">
         <div class="detail-label">Patient</div>
         <div class="detail-value">${patientName}</div>
       </div>
+      ${rescheduledFrom ? `<div class="detail-box">
+        <div class="detail-label">Previously Scheduled</div>
+        <div class="detail-value" style="text-decoration: line-through; color: #9ca3af;">${rescheduledFrom}</div>
+      </div>` : ''}
       <div class="detail-box">
-        <div class="detail-label">Date &amp; Time</div>
+        <div class="detail-label">${rescheduledFrom ? 'New Date &amp; Time' : 'Date &amp; Time'}</div>
         <div class="detail-value">${dateTimeStr}</div>
       </div>
       <div class="detail-box">
@@ -271,8 +279,9 @@ export const appointmentBookedDoctorTemplate = (doctorName, patientName, dateTim
 
 /**
  * Appointment Booked — sent to patient when booking is confirmed
+ * Pass `{ rescheduledFrom }` to send the rescheduled variant.
  */
-export const appointmentBookedPatientTemplate = (patientName, doctorName, dateTimeStr, consultationType, fee, meetingLink) => `
+export const appointmentBookedPatientTemplate = (patientName, doctorName, dateTimeStr, consultationType, fee, meetingLink, { rescheduledFrom = "" } = {}) => `
 <!DOCTYPE html>
 <html>
 <head>
@@ -301,16 +310,22 @@ export const appointmentBookedPatientTemplate = (patientName, doctorName, dateTi
       <div class="brand">SOVEREIGN</div>
     </div>
     <div class="content">
-      <span class="alert-tag">Appointment Confirmed</span>
-      <h1>Your <b>Consultation</b> is Booked</h1>
-      <p>${patientName}, your appointment has been successfully booked. Here are your consultation details.</p>
+      <span class="alert-tag">${rescheduledFrom ? 'Appointment Rescheduled' : 'Appointment Confirmed'}</span>
+      <h1>${rescheduledFrom ? 'Your <b>Consultation</b> has Moved' : 'Your <b>Consultation</b> is Booked'}</h1>
+      <p>${rescheduledFrom
+        ? `${patientName}, your appointment has been rescheduled. Here are your updated consultation details.`
+        : `${patientName}, your appointment has been successfully booked. Here are your consultation details.`}</p>
 
       <div class="detail-box">
         <div class="detail-label">Doctor</div>
         <div class="detail-value">Dr. ${doctorName}</div>
       </div>
+      ${rescheduledFrom ? `<div class="detail-box">
+        <div class="detail-label">Previously Scheduled</div>
+        <div class="detail-value" style="text-decoration: line-through; color: #9ca3af;">${rescheduledFrom}</div>
+      </div>` : ''}
       <div class="detail-box">
-        <div class="detail-label">Date &amp; Time</div>
+        <div class="detail-label">${rescheduledFrom ? 'New Date &amp; Time' : 'Date &amp; Time'}</div>
         <div class="detail-value">${dateTimeStr}</div>
       </div>
       <div class="detail-box">
@@ -339,4 +354,425 @@ export const appointmentBookedPatientTemplate = (patientName, doctorName, dateTi
   </div>
 </body>
 </html>
-`;
\ No newline at end of file
+`;
+/**
+ * Appointment Cancelled — sent to the patient and the doctor
+ * @param {string} recipientName
+ * @param {string} role - "Doctor" | "Patient" (the recipient)
+ * @param {string} otherPartyName
+ * @param {string} dateTimeStr - e.g. "06 Mar 2026, 02:30 PM"
+ * @param {string} consultationType - "in-clinic" | "video"
+ * @param {{ cancelledBy?: string, reason?: string }} [options] - "the clinic" / "the patient"
+ */
+export const appointmentCancelledTemplate = (recipientName, role, otherPartyName, dateTimeStr, consultationType, { cancelledBy = "", reason = "" } = {}) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;700&display=swap');
+    body { margin: 0; padding: 0; background-color: #ffffff; font-family: 'Inter', sans-serif; -webkit-font-smoothing: antialiased; }
+    .main { width: 100%; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; }
+    .header { padding: 40px; border-bottom: 1px solid #f3f4f6; }
+    .brand { font-size: 11px; letter-spacing: 4px; text-transform: uppercase; color: #1a1a1a; font-weight: 700; }
+    .content { padding: 60px 40px; }
+    .alert-tag { font-size: 9px; color: #b91c1c; letter-spacing: 2px; text-transform: uppercase; font-weight: 700; margin-bottom: 15px; display: block; }
+    h1 { font-size: 40px; font-weight: 300; letter-spacing: -2px; line-height: 1.1; margin: 0; color: #1a1a1a; }
+    h1 b { font-family: serif; font-style: italic; font-weight: 400; color: #8DAA9D; }
+    p { font-size: 15px; color: #4b5563; line-height: 1.8; margin: 25px 0; }
+    .detail-box { background-color: #f9fafb; padding: 20px; border-left: 2px solid #8DAA9D; margin: 20px 0; }
+    .detail-label { font-size: 9px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; }
+    .detail-value { font-size: 15px; font-weight: 700; color: #1a1a1a; margin-top: 4px; }
+    .footer { padding: 30px 40px; border-top: 1px solid #f3f4f6; font-size: 9px; color: #9ca3af; letter-spacing: 1px; text-transform: uppercase; }
+  </style>
+</head>
+<body>
+  <div class="main">
+    <div class="header">
+      <div class="brand">SOVEREIGN</div>
+    </div>
+    <div class="content">
+      <span class="alert-tag">Appointment Cancelled</span>
+      <h1>This <b>Consultation</b> is Off</h1>
+      <p>${recipientName}, the appointment below has been cancelled${cancelledBy ? ` by ${cancelledBy}` : ''}. The calendar event attached to this email removes it from your calendar.</p>
+
+      <div class="detail-box">
+        <div class="detail-label">${role === "Doctor" ? "Patient" : "Doctor"}</div>
+        <div class="detail-value">${otherPartyName}</div>
+      </div>
+      <div class="detail-box">
+        <div class="detail-label">Was Scheduled For</div>
+        <div class="detail-value" style="text-decoration: line-through; color: #9ca3af;">${dateTimeStr}</div>
+      </div>
+      <div class="detail-box">
+        <div class="detail-label">Consultation Type</div>
+        <div class="detail-value">${consultationType === 'video' ? 'Video Consultation' : 'In-Clinic Visit'}</div>
+      </div>
+      ${reason ? `<div class="detail-box">
+        <div class="detail-label">Reason</div>
+        <div class="detail-value">${reason}</div>
+      </div>` : ''}
+
+      ${role === "Patient" ? `<p style="font-size: 12px; color: #9ca3af; margin-top: 40px;">You can book a new time from your dashboard at any point.</p>` : ''}
+    </div>
+    <div class="footer">
+      SOVEREIGN HEALTHCARE / PRECISION CARE — 2026
+    </div>
+  </div>
+</body>
+</html>
+`;
+/**
+ * Subscription notice — renewal reminders, past-due and expiry notices
+ * sent to the clinic owner by the renewal scheduler.
+ * @param {string} recipientName
+ * @param {{ tag: string, heading: string, message: string, details?: Array<{ label: string, value: string }>, ctaLink?: string }} notice
+ */
+export const subscriptionNoticeTemplate = (recipientName, { tag, heading, message, details = [], ctaLink = "" }) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;700&display=swap');
+    body { margin: 0; padding: 0; background-color: #ffffff; font-family: 'Inter', sans-serif; -webkit-font-smoothing: antialiased; }
+    .main { width: 100%; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; }
+    .header { padding: 40px; border-bottom: 1px solid #f3f4f6; }
+    .brand { font-size: 11px; letter-spacing: 4px; text-transform: uppercase; color: #1a1a1a; font-weight: 700; }
+    .content { padding: 60px 40px; }
+    .alert-tag { font-size: 9px; color: #8DAA9D; letter-spacing: 2px; text-transform: uppercase; font-weight: 700; margin-bottom: 15px; display: block; }
+    h1 { font-size: 40px; font-weight: 300; letter-spacing: -2px; line-height: 1.1; margin: 0; color: #1a1a1a; }
+    h1 b { font-family: serif; font-style: italic; font-weight: 400; color: #8DAA9D; }
+    p { font-size: 15px; color: #4b5563; line-height: 1.8; margin: 25px 0; }
+    .detail-box { background-color: #f9fafb; padding: 20px; border-left: 2px solid #8DAA9D; margin: 20px 0; }
+    .detail-label { font-size: 9px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; }
+    .detail-value { font-size: 15px; font-weight: 700; color: #1a1a1a; margin-top: 4px; }
+    .cta-button { display: inline-block; background-color: #1a1a1a; color: #ffffff !important; padding: 20px 40px; text-decoration: none; font-size: 11px; font-weight: 700; letter-spacing: 3px; text-transform: uppercase; margin-top: 10px; }
+    .footer { padding: 30px 40px; border-top: 1px solid #f3f4f6; font-size: 9px; color: #9ca3af; letter-spacing: 1px; text-transform: uppercase; }
+  </style>
+</head>
+<body>
+  <div class="main">
+    <div class="header">
+      <div class="brand">SOVEREIGN</div>
+    </div>
+    <div class="content">
+      <span class="alert-tag">${tag}</span>
+      <h1>${heading}</h1>
+      <p>${recipientName}, ${message}</p>
+
+      ${details.map((d) => `<div class="detail-box">
+        <div class="detail-label">${d.label}</div>
+        <div class="detail-value">${d.value}</div>
+      </div>`).join("")}
+
+      ${ctaLink ? `<a href="${ctaLink}" class="cta-button">Manage Subscription &rarr;</a>` : ''}
+
+      <p style="font-size: 12px; color: #9ca3af; margin-top: 40px;">You are receiving this because billing alerts are enabled for your clinic.</p>
+    </div>
+    <div class="footer">
+      SOVEREIGN HEALTHCARE / PRECISION CARE — 2026
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+/**
+ * Waitlist offer — a slot freed up and is held for the patient
+ * @param {string} patientName
+ * @param {string} doctorName
+ * @param {string} dateTimeStr - e.g. "06 Mar 2026, 02:30 PM"
+ * @param {string} expiresStr  - when the hold lapses
+ * @param {string} claimLink
+ */
+export const waitlistOfferTemplate = (patientName, doctorName, dateTimeStr, expiresStr, claimLink) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;700&display=swap');
+    body { margin: 0; padding: 0; background-color: #ffffff; font-family: 'Inter', sans-serif; -webkit-font-smoothing: antialiased; }
+    .main { width: 100%; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; }
+    .header { padding: 40px; border-bottom: 1px solid #f3f4f6; }
+    .brand { font-size: 11px; letter-spacing: 4px; text-transform: uppercase; color: #1a1a1a; font-weight: 700; }
+    .content { padding: 60px 40px; }
+    .alert-tag { font-size: 9px; color: #8DAA9D; letter-spacing: 2px; text-transform: uppercase; font-weight: 700; margin-bottom: 15px; display: block; }
+    h1 { font-size: 40px; font-weight: 300; letter-spacing: -2px; line-height: 1.1; margin: 0; color: #1a1a1a; }
+    h1 b { font-family: serif; font-style: italic; font-weight: 400; color: #8DAA9D; }
+    p { font-size: 15px; color: #4b5563; line-height: 1.8; margin: 25px 0; }
+    .detail-box { background-color: #f9fafb; padding: 20px; border-left: 2px solid #8DAA9D; margin: 20px 0; }
+    .detail-label { font-size: 9px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; }
+    .detail-value { font-size: 15px; font-weight: 700; color: #1a1a1a; margin-top: 4px; }
+    .cta-button { display: inline-block; background-color: #1a1a1a; color: #ffffff !important; padding: 20px 40px; text-decoration: none; font-size: 11px; font-weight: 700; letter-spacing: 3px; text-transform: uppercase; margin-top: 10px; }
+    .footer { padding: 30px 40px; border-top: 1px solid #f3f4f6; font-size: 9px; color: #9ca3af; letter-spacing: 1px; text-transform: uppercase; }
+  </style>
+</head>
+<body>
+  <div class="main">
+    <div class="header">
+      <div class="brand">SOVEREIGN</div>
+    </div>
+    <div class="content">
+      <span class="alert-tag">Waitlist Offer</span>
+      <h1>A <b>Slot</b> Opened Up</h1>
+      <p>${patientName}, a slot you were waiting for is now available. We are holding it for you — confirm before the hold expires or it will be offered to the next patient.</p>
+
+      <div class="detail-box">
+        <div class="detail-label">Doctor</div>
+        <div class="detail-value">Dr. ${doctorName}</div>
+      </div>
+      <div class="detail-box">
+        <div class="detail-label">Date &amp; Time</div>
+        <div class="detail-value">${dateTimeStr}</div>
+      </div>
+      <div class="detail-box">
+        <div class="detail-label">Hold Expires</div>
+        <div class="detail-value">${expiresStr}</div>
+      </div>
+
+      <a href="${claimLink}" class="cta-button">Confirm Appointment &rarr;</a>
+
+      <p style="font-size: 12px; color: #9ca3af; margin-top: 40px;">If you no longer need this appointment, simply ignore this email.</p>
+    </div>
+    <div class="footer">
+      SOVEREIGN HEALTHCARE / PRECISION CARE — 2026
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+/**
+ * Waitlist hold lapsed — the patient was removed from the waitlist
+ * @param {string} patientName
+ * @param {string} doctorName
+ * @param {string} dateTimeStr - the slot that was held
+ * @param {string} bookLink
+ */
+export const waitlistExpiredTemplate = (patientName, doctorName, dateTimeStr, bookLink) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;700&display=swap');
+    body { margin: 0; padding: 0; background-color: #ffffff; font-family: 'Inter', sans-serif; -webkit-font-smoothing: antialiased; }
+    .main { width: 100%; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; }
+    .header { padding: 40px; border-bottom: 1px solid #f3f4f6; }
+    .brand { font-size: 11px; letter-spacing: 4px; text-transform: uppercase; color: #1a1a1a; font-weight: 700; }
+    .content { padding: 60px 40px; }
+    .alert-tag { font-size: 9px; color: #8DAA9D; letter-spacing: 2px; text-transform: uppercase; font-weight: 700; margin-bottom: 15px; display: block; }
+    h1 { font-size: 40px; font-weight: 300; letter-spacing: -2px; line-height: 1.1; margin: 0; color: #1a1a1a; }
+    h1 b { font-family: serif; font-style: italic; font-weight: 400; color: #8DAA9D; }
+    p { font-size: 15px; color: #4b5563; line-height: 1.8; margin: 25px 0; }
+    .detail-box { background-color: #f9fafb; padding: 20px; border-left: 2px solid #8DAA9D; margin: 20px 0; }
+    .detail-label { font-size: 9px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; }
+    .detail-value { font-size: 15px; font-weight: 700; color: #1a1a1a; margin-top: 4px; }
+    .cta-button { display: inline-block; background-color: #1a1a1a; color: #ffffff !important; padding: 20px 40px; text-decoration: none; font-size: 11px; font-weight: 700; letter-spacing: 3px; text-transform: uppercase; margin-top: 10px; }
+    .footer { padding: 30px 40px; border-top: 1px solid #f3f4f6; font-size: 9px; color: #9ca3af; letter-spacing: 1px; text-transform: uppercase; }
+  </style>
+</head>
+<body>
+  <div class="main">
+    <div class="header">
+      <div class="brand">SOVEREIGN</div>
+    </div>
+    <div class="content">
+      <span class="alert-tag">Waitlist Update</span>
+      <h1>Your <b>Hold</b> Expired</h1>
+      <p>${patientName}, the slot we held for you was not confirmed in time, so it has been offered to the next patient and you have been removed from the waitlist. You can book another time or join the waitlist again.</p>
+
+      <div class="detail-box">
+        <div class="detail-label">Doctor</div>
+        <div class="detail-value">Dr. ${doctorName}</div>
+      </div>
+      <div class="detail-box">
+        <div class="detail-label">Held Slot</div>
+        <div class="detail-value">${dateTimeStr}</div>
+      </div>
+
+      <a href="${bookLink}" class="cta-button">Find Another Slot &rarr;</a>
+    </div>
+    <div class="footer">
+      SOVEREIGN HEALTHCARE / PRECISION CARE — 2026
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+/**
+ * Appointment reminder — sent ahead of a visit on the clinic's schedule
+ * @param {string} patientName
+ * @param {string} doctorName
+ * @param {string} dateTimeStr - e.g. "06 Mar 2026, 02:30 PM"
+ * @param {string} consultationType - "in-clinic" | "video"
+ * @param {{ leadText?: string, clinicName?: string, clinicAddress?: string, manageLink?: string }} [options]
+ */
+export const appointmentReminderTemplate = (patientName, doctorName, dateTimeStr, consultationType, { leadText = "soon", clinicName = "", clinicAddress = "", manageLink = "" } = {}) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;700&display=swap');
+    body { margin: 0; padding: 0; background-color: #ffffff; font-family: 'Inter', sans-serif; -webkit-font-smoothing: antialiased; }
+    .main { width: 100%; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; }
+    .header { padding: 40px; border-bottom: 1px solid #f3f4f6; }
+    .brand { font-size: 11px; letter-spacing: 4px; text-transform: uppercase; color: #1a1a1a; font-weight: 700; }
+    .content { padding: 60px 40px; }
+    .alert-tag { font-size: 9px; color: #8DAA9D; letter-spacing: 2px; text-transform: uppercase; font-weight: 700; margin-bottom: 15px; display: block; }
+    h1 { font-size: 40px; font-weight: 300; letter-spacing: -2px; line-height: 1.1; margin: 0; color: #1a1a1a; }
+    h1 b { font-family: serif; font-style: italic; font-weight: 400; color: #8DAA9D; }
+    p { font-size: 15px; color: #4b5563; line-height: 1.8; margin: 25px 0; }
+    .detail-box { background-color: #f9fafb; padding: 20px; border-left: 2px solid #8DAA9D; margin: 20px 0; }
+    .detail-label { font-size: 9px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; }
+    .detail-value { font-size: 15px; font-weight: 700; color: #1a1a1a; margin-top: 4px; }
+    .cta-button { display: inline-block; background-color: #1a1a1a; color: #ffffff !important; padding: 20px 40px; text-decoration: none; font-size: 11px; font-weight: 700; letter-spacing: 3px; text-transform: uppercase; margin-top: 10px; }
+    .footer { padding: 30px 40px; border-top: 1px solid #f3f4f6; font-size: 9px; color: #9ca3af; letter-spacing: 1px; text-transform: uppercase; }
+  </style>
+</head>
+<body>
+  <div class="main">
+    <div class="header">
+      <div class="brand">SOVEREIGN</div>
+    </div>
+    <div class="content">
+      <span class="alert-tag">Appointment Reminder</span>
+      <h1>Your <b>Visit</b> Is Coming Up</h1>
+      <p>${patientName}, this is a reminder that your ${consultationType === "video" ? "video consultation" : "appointment"} with Dr. ${doctorName} is ${leadText}.${consultationType === "video" ? " The meeting link will be emailed 5 minutes before the start." : " Please arrive a few minutes early to check in at reception."}</p>
+
+      <div class="detail-box">
+        <div class="detail-label">Doctor</div>
+        <div class="detail-value">Dr. ${doctorName}</div>
+      </div>
+      <div class="detail-box">
+        <div class="detail-label">Date &amp; Time</div>
+        <div class="detail-value">${dateTimeStr}</div>
+      </div>
+      ${consultationType !== "video" && (clinicName || clinicAddress) ? `
+      <div class="detail-box">
+        <div class="detail-label">Location</div>
+        <div class="detail-value">${[clinicName, clinicAddress].filter(Boolean).join(", ")}</div>
+      </div>` : ""}
+
+      ${manageLink ? `<a href="${manageLink}" class="cta-button">View Appointment &rarr;</a>` : ""}
+
+      <p style="font-size: 12px; color: #9ca3af; margin-top: 40px;">Can't make it? Please cancel or reschedule from your appointments page so the slot can go to another patient.</p>
+    </div>
+    <div class="footer">
+      SOVEREIGN HEALTHCARE / PRECISION CARE — 2026
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+export const reviewRequestTemplate = (patientName, doctorName, clinicName, visitDateStr, reviewLink) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;700&display=swap');
+    body { margin: 0; padding: 0; background-color: #ffffff; font-family: 'Inter', sans-serif; -webkit-font-smoothing: antialiased; }
+    .main { width: 100%; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; }
+    .header { padding: 40px; border-bottom: 1px solid #f3f4f6; }
+    .brand { font-size: 11px; letter-spacing: 4px; text-transform: uppercase; color: #1a1a1a; font-weight: 700; }
+    .content { padding: 60px 40px; }
+    .alert-tag { font-size: 9px; color: #8DAA9D; letter-spacing: 2px; text-transform: uppercase; font-weight: 700; margin-bottom: 15px; display: block; }
+    h1 { font-size: 40px; font-weight: 300; letter-spacing: -2px; line-height: 1.1; margin: 0; color: #1a1a1a; }
+    h1 b { font-family: serif; font-style: italic; font-weight: 400; color: #8DAA9D; }
+    p { font-size: 15px; color: #4b5563; line-height: 1.8; margin: 25px 0; }
+    .detail-box { background-color: #f9fafb; padding: 20px; border-left: 2px solid #8DAA9D; margin: 20px 0; }
+    .detail-label { font-size: 9px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; }
+    .detail-value { font-size: 15px; font-weight: 700; color: #1a1a1a; margin-top: 4px; }
+    .cta-button { display: inline-block; background-color: #1a1a1a; color: #ffffff !important; padding: 20px 40px; text-decoration: none; font-size: 11px; font-weight: 700; letter-spacing: 3px; text-transform: uppercase; margin-top: 10px; }
+    .footer { padding: 30px 40px; border-top: 1px solid #f3f4f6; font-size: 9px; color: #9ca3af; letter-spacing: 1px; text-transform: uppercase; }
+  </style>
+</head>
+<body>
+  <div class="main">
+    <div class="header">
+      <div class="brand">SOVEREIGN</div>
+    </div>
+    <div class="content">
+      <span class="alert-tag">Your Feedback</span>
+      <h1>How Was Your <b>Visit</b>?</h1>
+      <p>${patientName}, thank you for visiting ${clinicName}. A quick rating of your consultation with Dr. ${doctorName} helps other patients choose with confidence and helps the clinic improve.</p>
+
+      <div class="detail-box">
+        <div class="detail-label">Doctor</div>
+        <div class="detail-value">Dr. ${doctorName}</div>
+      </div>
+      <div class="detail-box">
+        <div class="detail-label">Visit</div>
+        <div class="detail-value">${visitDateStr}</div>
+      </div>
+
+      <a href="${reviewLink}" class="cta-button">Rate Your Visit &rarr;</a>
+
+      <p style="font-size: 12px; color: #9ca3af; margin-top: 40px;">It takes less than a minute. Only patients with a completed visit can leave a review.</p>
+    </div>
+    <div class="footer">
+      SOVEREIGN HEALTHCARE / PRECISION CARE — 2026
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+export const doctorVerificationTemplate = (doctorName, clinicName, approved, reason, portalLink) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;700&display=swap');
+    body { margin: 0; padding: 0; background-color: #ffffff; font-family: 'Inter', sans-serif; -webkit-font-smoothing: antialiased; }
+    .main { width: 100%; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; }
+    .header { padding: 40px; border-bottom: 1px solid #f3f4f6; }
+    .brand { font-size: 11px; letter-spacing: 4px; text-transform: uppercase; color: #1a1a1a; font-weight: 700; }
+    .content { padding: 60px 40px; }
+    .alert-tag { font-size: 9px; color: ${approved ? "#8DAA9D" : "#b91c1c"}; letter-spacing: 2px; text-transform: uppercase; font-weight: 700; margin-bottom: 15px; display: block; }
+    h1 { font-size: 40px; font-weight: 300; letter-spacing: -2px; line-height: 1.1; margin: 0; color: #1a1a1a; }
+    h1 b { font-family: serif; font-style: italic; font-weight: 400; color: #8DAA9D; }
+    p { font-size: 15px; color: #4b5563; line-height: 1.8; margin: 25px 0; }
+    .detail-box { background-color: #f9fafb; padding: 20px; border-left: 2px solid ${approved ? "#8DAA9D" : "#b91c1c"}; margin: 20px 0; }
+    .detail-label { font-size: 9px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; }
+    .detail-value { font-size: 15px; font-weight: 700; color: #1a1a1a; margin-top: 4px; }
+    .cta-button { display: inline-block; background-color: #1a1a1a; color: #ffffff !important; padding: 20px 40px; text-decoration: none; font-size: 11px; font-weight: 700; letter-spacing: 3px; text-transform: uppercase; margin-top: 10px; }
+    .footer { padding: 30px 40px; border-top: 1px solid #f3f4f6; font-size: 9px; color: #9ca3af; letter-spacing: 1px; text-transform: uppercase; }
+  </style>
+</head>
+<body>
+  <div class="main">
+    <div class="header">
+      <div class="brand">SOVEREIGN</div>
+    </div>
+    <div class="content">
+      <span class="alert-tag">Credential Review</span>
+      ${approved
+        ? `<h1>Credentials <b>Verified</b>.</h1>
+      <p>Dr. ${doctorName}, your registration and qualifications have been verified. Your profile at ${clinicName} is now visible to patients in the public directory.</p>`
+        : `<h1>Verification <b>Declined</b>.</h1>
+      <p>Dr. ${doctorName}, we could not verify the credentials submitted by ${clinicName}. Your profile stays hidden from the public directory until new documents are approved.</p>
+
+      <div class="detail-box">
+        <div class="detail-label">Reason</div>
+        <div class="detail-value">${reason}</div>
+      </div>`}
+
+      <a href="${portalLink}" class="cta-button">Open Portal &rarr;</a>
+
+      <p style="font-size: 12px; color: #9ca3af; margin-top: 40px;">Questions about this review? Contact your clinic administrator.</p>
+    </div>
+    <div class="footer">
+      SOVEREIGN HEALTHCARE / PRECISION CARE — 2026
+    </div>
+  </div>
+</body>
+</html>
+`;
@@ -0,0 +1,145 @@
+/**
+ * iCalendar (RFC 5545) builders for appointment invites and feeds.
+ *
+ * Every appointment keeps one UID for its whole life, so calendar clients
+ * update the same event on reschedule and remove it on cancel. SEQUENCE
+ * grows with each reschedule (and once more for the cancellation).
+ */
+
+const PRODID = "-//Sovereign Healthcare//Appointments//EN";
+const UID_DOMAIN = "sovereigns.site";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// 20260306T090000Z
+const formatUtc = (value) => {
+  const d = new Date(value);
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`
+  );
+};
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const out = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, "utf8");
+    const limit = out.length === 0 ? 75 : 74;
+    if (size + len > limit) {
+      out.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+};
+
+const serialize = (lines) => lines.map(foldLine).join("\r\n") + "\r\n";
+
+/**
+ * Stable event UID for an appointment
+ */
+export const appointmentUid = (appointmentId) => `appointment-${appointmentId}@${UID_DOMAIN}`;
+
+const EVENT_STATUS = {
+  PENDING: "TENTATIVE",
+  CONFIRMED: "CONFIRMED",
+  COMPLETED: "CONFIRMED",
+  CANCELLED: "CANCELLED",
+  NO_SHOW: "CANCELLED",
+};
+
+/**
+ * VEVENT lines for one appointment.
+ * Emailed invites (REQUEST / CANCEL) need an organizer and attendee for
+ * Outlook and Gmail to apply them; feeds leave both out.
+ * @param {object} appointment lean or hydrated Appointment
+ * @param {{ summary: string, description?: string, location?: string, cancelled?: boolean,
+ *   organizerEmail?: string, attendee?: { email: string, name?: string } }} details
+ * @returns {string[]}
+ */
+export const buildAppointmentEvent = (
+  appointment,
+  { summary, description = "", location = "", cancelled = false, organizerEmail = "", attendee = null }
+) => {
+  const start = new Date(appointment.dateTime);
+  const end = new Date(start.getTime() + (appointment.durationMinutes || 30) * 60 * 1000);
+  const sequence = (appointment.rescheduleHistory?.length || 0) + (cancelled ? 1 : 0);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${appointmentUid(appointment._id)}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${cancelled ? "CANCELLED" : EVENT_STATUS[appointment.status] || "CONFIRMED"}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(organizerEmail ? [`ORGANIZER;CN=Sovereign Healthcare:mailto:${organizerEmail}`] : []),
+    ...(attendee?.email
+      ? [`ATTENDEE;CN="${String(attendee.name || attendee.email).replace(/"/g, "")}";ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${attendee.email}`]
+      : []),
+    "END:VEVENT",
+  ];
+};
+
+/**
+ * Wrap VEVENT line groups in a VCALENDAR.
+ * @param {string[][]} events
+ * @param {{ method?: "PUBLISH"|"REQUEST"|"CANCEL", name?: string }} [options]
+ * @returns {string}
+ */
+export const buildCalendar = (events, { method = "PUBLISH", name = "" } = {}) =>
+  serialize([
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    // Hint for subscribed calendars to refresh hourly
+    ...(method === "PUBLISH" ? ["REFRESH-INTERVAL;VALUE=DURATION:PT1H", "X-PUBLISHED-TTL:PT1H"] : []),
+    ...events.flat(),
+    "END:VCALENDAR",
+  ]);
+
+/**
+ * Summary / location / description for an appointment event, worded for
+ * the patient's or the doctor's calendar. Meeting links are never included.
+ * @param {object} appointment
+ * @param {{ audience: "PATIENT"|"DOCTOR", doctorName?: string, patientName?: string, clinic?: { name?: string, address?: string } }} context
+ */
+export const describeAppointmentEvent = (appointment, { audience, doctorName = "", patientName = "", clinic = null }) => {
+  const isVideo = appointment.consultationType === "video";
+  const typeLabel = isVideo ? "Video consultation" : "In-clinic visit";
+  const clinicLine = [clinic?.name, clinic?.address].filter(Boolean).join(", ");
+
+  return {
+    summary:
+      audience === "DOCTOR"
+        ? `${patientName || appointment.patientInfo?.name || "Patient"} — ${typeLabel}`
+        : `Appointment with Dr. ${doctorName || "your doctor"}`,
+    location: isVideo ? "Video consultation" : clinicLine,
+    description: isVideo
+      ? "Video consultation. The meeting link is emailed 5 minutes before the start."
+      : `${typeLabel}${clinic?.name ? ` at ${clinic.name}` : ""}.`,
+  };
+};
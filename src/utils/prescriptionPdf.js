@@ -0,0 +1,154 @@
+import PDFDocument from "pdfkit";
+import { formatAppointmentDateTime, resolveTenantTimeZone } from "./dateTime.js";
+
+/**
+ * Render a prescription to a PDF buffer.
+ * Uses the clinic's `settings.branding` colours and font preference so the
+ * document matches the clinic's public pages.
+ *
+ * @param {object} params
+ * @param {object} params.prescription - Prescription document (lean)
+ * @param {object} params.appointment  - Appointment (lean, with patientInfo)
+ * @param {object} params.doctor       - { name, specialization, regNo, education }
+ * @param {object} params.tenant       - { name, address, settings.branding, settings.timezone }
+ * @returns {Promise<Buffer>}
+ */
+export const renderPrescriptionPdf = ({ prescription, appointment, doctor, tenant }) =>
+  new Promise((resolve, reject) => {
+    const branding = tenant?.settings?.branding || {};
+    const primary = branding.primaryColor || "#000000";
+    const accent = branding.accentColor || "#8DAA9D";
+    const serif = (branding.fontPreference || "Serif") === "Serif";
+    const font = serif ? "Times-Roman" : "Helvetica";
+    const fontBold = serif ? "Times-Bold" : "Helvetica-Bold";
+    const muted = "#6b7280";
+    const timeZone = resolveTenantTimeZone(tenant);
+
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    /* ---- Header: clinic ---- */
+    doc.rect(0, 0, doc.page.width, 8).fill(accent);
+    doc.fillColor(primary).font(fontBold).fontSize(20).text(tenant?.name || "Clinic", left, 40);
+    if (tenant?.address) {
+      doc.fillColor(muted).font(font).fontSize(9).text(tenant.address, { width });
+    }
+
+    /* ---- Doctor ---- */
+    doc.moveDown(1);
+    doc.fillColor(primary).font(fontBold).fontSize(13).text(`Dr. ${doctor?.name || ""}`);
+    doc.fillColor(muted).font(font).fontSize(9);
+    const credentials = [doctor?.education, doctor?.specialization].filter(Boolean).join(" | ");
+    if (credentials) doc.text(credentials);
+    doc.text(`Reg. No: ${doctor?.regNo || "N/A"}`);
+
+    doc.moveDown(0.8);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(1).strokeColor(accent).stroke();
+    doc.moveDown(0.8);
+
+    /* ---- Patient ---- */
+    const info = appointment?.patientInfo || {};
+    const rowY = doc.y;
+    doc.fillColor(primary).font(fontBold).fontSize(10).text("Patient", left, rowY);
+    doc.font(font).text(info.name || "N/A", left, doc.y);
+    if (info.contact) doc.fillColor(muted).text(info.contact);
+
+    doc.fillColor(primary).font(fontBold).text("Consultation", left + width / 2, rowY);
+    doc.font(font).text(formatAppointmentDateTime(appointment?.dateTime, timeZone), left + width / 2, doc.y);
+    doc.fillColor(muted).text(
+      appointment?.consultationType === "video" ? "Video Consultation" : "In-Clinic Visit",
+      left + width / 2
+    );
+
+    doc.x = left;
+    doc.moveDown(1.2);
+
+    if (prescription.diagnosis) {
+      doc.fillColor(primary).font(fontBold).fontSize(10).text("Diagnosis", left);
+      doc.font(font).fillColor("#1a1a1a").text(prescription.diagnosis, { width });
+      doc.moveDown(0.8);
+    }
+
+    /* ---- Medication table ---- */
+    doc.fillColor(accent).font(fontBold).fontSize(22).text("Rx", left);
+    doc.moveDown(0.3);
+
+    const cols = [
+      { key: "drug", label: "Medicine", w: 0.28 },
+      { key: "dose", label: "Dose", w: 0.14 },
+      { key: "frequency", label: "Frequency", w: 0.16 },
+      { key: "duration", label: "Duration", w: 0.14 },
+      { key: "instructions", label: "Instructions", w: 0.28 },
+    ].map((c) => ({ ...c, w: c.w * width }));
+
+    const drawRow = (values, { header = false } = {}) => {
+      const y = doc.y;
+      doc.font(header ? fontBold : font).fontSize(9).fillColor(header ? primary : "#1a1a1a");
+
+      let x = left;
+      let rowHeight = 0;
+      for (const c of cols) {
+        const text = String(values[c.key] || "-");
+        const h = doc.heightOfString(text, { width: c.w - 8 });
+        doc.text(text, x + 4, y + 4, { width: c.w - 8 });
+        rowHeight = Math.max(rowHeight, h);
+        x += c.w;
+      }
+
+      const bottom = y + rowHeight + 8;
+      doc.moveTo(left, bottom).lineTo(left + width, bottom).lineWidth(0.5)
+        .strokeColor(header ? accent : "#e5e7eb").stroke();
+      doc.x = left;
+      doc.y = bottom;
+
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 80) doc.addPage();
+    };
+
+    drawRow(Object.fromEntries(cols.map((c) => [c.key, c.label])), { header: true });
+    (prescription.items || []).forEach((item, i) =>
+      drawRow({ ...item, drug: `${i + 1}. ${item.drug}` })
+    );
+
+    doc.moveDown(1);
+
+    if (prescription.notes) {
+      doc.fillColor(primary).font(fontBold).fontSize(10).text("Advice", left);
+      doc.font(font).fillColor("#1a1a1a").text(prescription.notes, { width });
+      doc.moveDown(0.8);
+    }
+
+    if (prescription.followUpDate) {
+      const followUp = new Date(prescription.followUpDate).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        // Stored as a calendar date at UTC midnight
+        timeZone: "UTC",
+      });
+      doc.fillColor(primary).font(fontBold).fontSize(10).text(`Follow-up: ${followUp}`, left);
+      doc.moveDown(0.8);
+    }
+
+    /* ---- Signature + footer ---- */
+    doc.moveDown(2);
+    doc.fillColor(primary).font(fontBold).fontSize(10)
+      .text(`Dr. ${doctor?.name || ""}`, left, doc.y, { width, align: "right" });
+    doc.fillColor(muted).font(font).fontSize(8)
+      .text(`Reg. No: ${doctor?.regNo || "N/A"}`, { width, align: "right" });
+
+    const issued = formatAppointmentDateTime(prescription.updatedAt || prescription.createdAt, timeZone);
+    doc.fontSize(7).fillColor(muted).text(
+      `Issued ${issued} via SOVEREIGN. This prescription is valid only with the registered practitioner's details above.`,
+      left,
+      doc.page.height - doc.page.margins.bottom - 20,
+      { width, align: "center", lineBreak: false }
+    );
+
+    doc.end();
+  });
@@ -0,0 +1,71 @@
+/**
+ * Per-clinic appointment reminder schedule, stored on
+ * Tenant.settings.notifications.appointmentReminders:
+ *
+ *   email / push     channels (existing notification toggles)
+ *   offsetsMinutes   send a reminder this many minutes before each visit
+ *
+ * Each offset is tracked on Appointment.remindersSent so it goes out once.
+ */
+
+export const DEFAULT_REMINDER_OFFSETS = Object.freeze([24 * 60, 2 * 60]);
+
+export const MIN_REMINDER_OFFSET = 15;
+export const MAX_REMINDER_OFFSET = 7 * 24 * 60;
+export const MAX_REMINDER_OFFSETS = 5;
+
+/**
+ * Validate offsets from the API. Throws Error on bad input.
+ * @returns {number[]} unique offsets, largest (earliest reminder) first
+ */
+export const normalizeReminderOffsets = (input) => {
+  if (!Array.isArray(input)) throw new Error("offsetsMinutes must be an array of minutes.");
+
+  const offsets = input.map(Number);
+  for (const value of offsets) {
+    if (!Number.isInteger(value) || value < MIN_REMINDER_OFFSET || value > MAX_REMINDER_OFFSET) {
+      throw new Error(
+        `Reminder offsets must be whole minutes between ${MIN_REMINDER_OFFSET} and ${MAX_REMINDER_OFFSET}.`
+      );
+    }
+  }
+
+  const unique = [...new Set(offsets)].sort((a, b) => b - a);
+  if (unique.length > MAX_REMINDER_OFFSETS) {
+    throw new Error(`At most ${MAX_REMINDER_OFFSETS} reminders can be scheduled.`);
+  }
+  return unique;
+};
+
+/**
+ * Channels and offsets for a tenant (older tenants fall back to the defaults).
+ * Muted clinics and clinics with both channels off get no offsets.
+ */
+export const resolveReminderSchedule = (tenant = {}) => {
+  const stored = tenant?.settings?.notifications?.appointmentReminders || {};
+  const email = stored.email !== false;
+  const push = stored.push === true;
+
+  let offsetsMinutes = [...DEFAULT_REMINDER_OFFSETS];
+  if (Array.isArray(stored.offsetsMinutes)) {
+    try {
+      offsetsMinutes = normalizeReminderOffsets(stored.offsetsMinutes);
+    } catch {
+      // keep the defaults for legacy / hand-edited values
+    }
+  }
+
+  const enabled = !tenant?.settings?.globalMute && (email || push);
+  return { email, push, offsetsMinutes: enabled ? offsetsMinutes : [] };
+};
+
+/**
+ * "in 24 hours", "in 2 hours", "in 45 minutes"
+ */
+export const describeReminderLead = (minutes) => {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `in ${hours} hour${hours === 1 ? "" : "s"}`;
+  }
+  return `in ${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
@@ -0,0 +1,138 @@
+/**
+ * Lightweight local text retrieval for the knowledge base.
+ *
+ * Documents are split into overlapping chunks at ingestion time and each
+ * chunk stores its term frequencies. At query time chunks are ranked with
+ * Okapi BM25, so no external embedding service is needed.
+ */
+
+const STOPWORDS = new Set([
+  "a", "about", "after", "all", "also", "am", "an", "and", "any", "are", "as", "at",
+  "be", "been", "before", "being", "but", "by", "can", "could", "did", "do", "does",
+  "for", "from", "had", "has", "have", "he", "her", "here", "him", "his", "how", "i",
+  "if", "in", "into", "is", "it", "its", "just", "me", "my", "no", "not", "of", "on",
+  "or", "our", "out", "please", "she", "should", "so", "some", "than", "that", "the",
+  "their", "them", "then", "there", "these", "they", "this", "those", "to", "too",
+  "up", "us", "was", "we", "were", "what", "when", "where", "which", "who", "why",
+  "will", "with", "would", "you", "your",
+]);
+
+// BM25 tuning (standard defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Light suffix stripping so "appointments" matches "appointment"
+ */
+const stem = (word) => {
+  if (word.length > 5 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith("ing")) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith("ed")) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Lowercase, strip punctuation, drop stopwords, stem.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w.length > 1 && !STOPWORDS.has(w))
+    .map(stem);
+
+/**
+ * Term → count map for a token list
+ */
+export const countTerms = (tokens) => {
+  const counts = {};
+  for (const t of tokens) counts[t] = (counts[t] || 0) + 1;
+  return counts;
+};
+
+/**
+ * Split text into ~maxChars chunks on paragraph / sentence boundaries,
+ * carrying `overlap` characters of context into the next chunk.
+ * @returns {string[]}
+ */
+export const chunkText = (text, { maxChars = 1200, overlap = 200 } = {}) => {
+  const clean = String(text || "").replace(/\r\n/g, "\n").replace(/[ \t]+/g, " ").trim();
+  if (!clean) return [];
+
+  // Sentence-ish units; paragraphs are split first so no unit spans two
+  const units = clean
+    .split(/\n{2,}/)
+    .flatMap((para) => para.replace(/\n/g, " ").match(/[^.!?]+[.!?]*\s*/g) || [])
+    .map((u) => u.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = "";
+
+  const push = () => {
+    if (current.trim()) chunks.push(current.trim());
+  };
+
+  for (let unit of units) {
+    // Hard-split very long sentences (tables, lists without punctuation)
+    while (unit.length > maxChars) {
+      push();
+      chunks.push(unit.slice(0, maxChars).trim());
+      unit = unit.slice(maxChars - overlap);
+      current = "";
+    }
+
+    if (current && current.length + unit.length + 1 > maxChars) {
+      push();
+      const tail = current.slice(-overlap);
+      const wordStart = tail.indexOf(" ");
+      current = wordStart >= 0 ? tail.slice(wordStart + 1) : "";
+    }
+    current = current ? `${current} ${unit}` : unit;
+  }
+  push();
+
+  return chunks;
+};
+
+/**
+ * Rank chunks against query terms with BM25.
+ *
+ * @param {string[]} queryTerms - tokenized query (duplicates ignored)
+ * @param {Array<{ termCounts: object, length: number }>} chunks - candidate chunks
+ * @param {{ totalChunks: number, avgLength: number, docFreq: object }} stats - corpus stats
+ * @returns {Array<{ chunk: object, score: number }>} sorted by score desc
+ */
+export const rankBM25 = (queryTerms, chunks, { totalChunks, avgLength, docFreq }) => {
+  const terms = [...new Set(queryTerms)];
+  const N = Math.max(totalChunks, 1);
+  const avgdl = avgLength || 1;
+
+  const idf = {};
+  for (const t of terms) {
+    const df = docFreq[t] || 0;
+    idf[t] = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+  }
+
+  return chunks
+    .map((chunk) => {
+      const tf = chunk.termCounts instanceof Map
+        ? Object.fromEntries(chunk.termCounts)
+        : chunk.termCounts || {};
+      const dl = chunk.length || 0;
+
+      let score = 0;
+      for (const t of terms) {
+        const f = tf[t] || 0;
+        if (!f) continue;
+        score += idf[t] * ((f * (K1 + 1)) / (f + K1 * (1 - B + (B * dl) / avgdl)));
+      }
+      return { chunk, score };
+    })
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,81 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import AppointmentService from "../src/services/appointmentService.js";
+import WaitlistService from "../src/services/waitlistService.js";
+import doctorService from "../src/services/doctorService.js";
+import Appointment from "../src/models/appointmentModel.js";
+import Doctor from "../src/models/doctorModel.js";
+import Tenant from "../src/models/tenantModel.js";
+
+const doctorId = new mongoose.Types.ObjectId();
+const tenantId = new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable, resolves on lean()
+const query = (result) => {
+  const q = { select: () => q, sort: () => q, populate: () => q, lean: async () => result };
+  return q;
+};
+
+// Sunday 01:00–04:00, 30-minute slots, at a clinic in `timeZone`
+const stubClinic = ({ timeZone, booked = [], held = [] }) => {
+  mock.method(Date, "now", () => Date.parse("2026-03-01T00:00:00Z"));
+  mock.method(Doctor, "findOne", () =>
+    query({
+      _id: doctorId,
+      tenantId,
+      schedule: {
+        slotDuration: 30,
+        weekly: [{ day: 0, isWorking: true, start: "01:00", end: "04:00", breaks: [] }],
+        exceptions: [],
+      },
+    })
+  );
+  mock.method(Tenant, "findById", () => query({ settings: { timezone: timeZone } }));
+  mock.method(Appointment, "find", () => query(booked));
+  mock.method(WaitlistService, "findHeldIntervals", async () => held);
+  mock.method(doctorService, "getAffiliatedDoctorIds", async () => [doctorId]);
+};
+
+afterEach(() => mock.restoreAll());
+
+test("getAvailableSlots drops slots skipped by a spring-forward jump", async () => {
+  stubClinic({ timeZone: "America/New_York" });
+
+  const result = await AppointmentService.getAvailableSlots(String(doctorId), "2026-03-08");
+
+  assert.equal(result.isWorkingDay, true);
+  assert.deepEqual(result.slots, ["01:00", "01:30", "03:00", "03:30"]);
+});
+
+test("getAvailableSlots keeps every slot on a day without a clock change", async () => {
+  stubClinic({ timeZone: "Asia/Kolkata" });
+
+  const result = await AppointmentService.getAvailableSlots(String(doctorId), "2026-03-08");
+
+  assert.deepEqual(result.slots, ["01:00", "01:30", "02:00", "02:30", "03:00", "03:30"]);
+});
+
+test("getAvailableSlots hides slots overlapped by a longer booked visit", async () => {
+  // 60-minute visit booked at 01:00 IST, before the slot length changed to 30
+  stubClinic({
+    timeZone: "Asia/Kolkata",
+    booked: [{ dateTime: new Date("2026-03-07T19:30:00Z"), durationMinutes: 60 }],
+  });
+
+  const result = await AppointmentService.getAvailableSlots(String(doctorId), "2026-03-08");
+
+  assert.deepEqual(result.slots, ["02:00", "02:30", "03:00", "03:30"]);
+});
+
+test("getAvailableSlots hides slots covered by a waitlist hold", async () => {
+  // 60-minute hold from 02:00 IST, offered before the slot length changed to 30
+  stubClinic({
+    timeZone: "Asia/Kolkata",
+    held: [{ start: new Date("2026-03-07T20:30:00Z"), end: new Date("2026-03-07T21:30:00Z") }],
+  });
+
+  const result = await AppointmentService.getAvailableSlots(String(doctorId), "2026-03-08");
+
+  assert.deepEqual(result.slots, ["01:00", "01:30", "03:00", "03:30"]);
+});
@@ -0,0 +1,50 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { retryPendingConsultationRefunds } from "../src/services/paymentService.js";
+import Payment from "../src/models/paymentModel.js";
+
+// No Razorpay keys: every refund call fails
+delete process.env.RAZORPAY_KEY_ID;
+delete process.env.RAZORPAY_KEY_SECRET;
+
+const pendingPayment = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  purpose: "CONSULTATION",
+  method: "RAZORPAY",
+  razorpayPaymentId: "pay_test",
+  status: "COMPLETED",
+  amountPaise: 50000,
+  refunds: [],
+  refundPending: true,
+  ...fields,
+});
+
+const stubPending = (payments) => {
+  const q = { sort: () => q, limit: async () => payments };
+  mock.method(Payment, "find", () => q);
+};
+
+afterEach(() => mock.restoreAll());
+
+test("a refund that fails again stays queued", async () => {
+  const payment = pendingPayment();
+  stubPending([payment]);
+  const reserve = mock.method(Payment, "findOneAndUpdate", async () => payment);
+  const update = mock.method(Payment, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  assert.deepEqual(await retryPendingConsultationRefunds(), { pending: 1, refunded: 0 });
+  assert.equal(reserve.mock.calls[0].arguments[1].$push.refunds.amountPaise, 50000);
+  assert.deepEqual(update.mock.calls.at(-1).arguments, [{ _id: payment._id }, { $set: { refundPending: true } }]);
+});
+
+test("a payment refunded in the meantime leaves the queue", async () => {
+  const payment = pendingPayment({ status: "REFUNDED" });
+  stubPending([payment]);
+  const reserve = mock.method(Payment, "findOneAndUpdate", async () => payment);
+  const update = mock.method(Payment, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  assert.deepEqual(await retryPendingConsultationRefunds(), { pending: 1, refunded: 1 });
+  assert.equal(reserve.mock.callCount(), 0);
+  assert.deepEqual(update.mock.calls[0].arguments, [{ _id: payment._id }, { $set: { refundPending: false } }]);
+});
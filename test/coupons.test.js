@@ -0,0 +1,70 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { resolveCouponForPurchase, recordCouponRedemption } from "../src/services/couponService.js";
+import Coupon from "../src/models/couponModel.js";
+import Payment from "../src/models/paymentModel.js";
+
+const tenantId = new mongoose.Types.ObjectId();
+const couponId = new mongoose.Types.ObjectId();
+const paymentId = new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable, resolves on lean()
+const query = (result) => {
+  const q = { select: () => q, lean: async () => result };
+  return q;
+};
+
+const coupon = (fields = {}) => ({
+  _id: couponId,
+  code: "WELCOME",
+  isActive: true,
+  discountType: "PERCENTAGE",
+  value: 10,
+  maxRedemptions: null,
+  redemptionCount: 0,
+  perTenantLimit: 1,
+  tenantRedemptions: {},
+  ...fields,
+});
+
+afterEach(() => mock.restoreAll());
+
+test("a clinic at its per-tenant limit can't price the coupon again", async () => {
+  mock.method(Coupon, "findOne", () => query(coupon({ tenantRedemptions: { [tenantId]: 1 } })));
+
+  await assert.rejects(
+    resolveCouponForPurchase({ code: "welcome", tenantId, amountPaise: 100000 }),
+    /already been used by your clinic/
+  );
+});
+
+test("recordCouponRedemption counts the clinic only while under its limit", async () => {
+  mock.method(Payment, "findById", () => query({ _id: paymentId, tenantId, coupon: { couponId } }));
+  const mark = mock.method(Payment, "updateOne", async () => ({ modifiedCount: 1 }));
+  const count = mock.method(Coupon, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await recordCouponRedemption(paymentId), true);
+
+  const [filter, update] = count.mock.calls[0].arguments;
+  const tenantKey = `tenantRedemptions.${tenantId}`;
+  assert.deepEqual(filter.$and[1], {
+    $expr: { $lt: [{ $ifNull: [`$${tenantKey}`, 0] }, { $ifNull: ["$perTenantLimit", 1] }] },
+  });
+  assert.deepEqual(update, { $inc: { redemptionCount: 1, [tenantKey]: 1 } });
+  assert.equal(mark.mock.callCount(), 1);
+});
+
+test("recordCouponRedemption undoes the mark when the clinic's limit is taken", async () => {
+  mock.method(Payment, "findById", () => query({ _id: paymentId, tenantId, coupon: { couponId } }));
+  const mark = mock.method(Payment, "updateOne", async () => ({ modifiedCount: 1 }));
+  mock.method(Coupon, "updateOne", async () => ({ modifiedCount: 0 }));
+  mock.method(Coupon, "findById", () => query(coupon({ tenantRedemptions: { [tenantId]: 1 } })));
+
+  await assert.rejects(recordCouponRedemption(paymentId), (err) => {
+    assert.equal(err.code, "COUPON_EXHAUSTED");
+    assert.match(err.message, /used by your clinic/);
+    return true;
+  });
+  assert.deepEqual(mark.mock.calls[1].arguments, [{ _id: paymentId }, { $set: { "coupon.redeemedAt": null } }]);
+});
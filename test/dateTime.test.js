@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CLINIC_TIMEZONE,
+  parseZonedDateTime,
+  getZonedDateSlot,
+  getZonedDayBounds,
+  resolveTenantTimeZone,
+} from "../src/utils/dateTime.js";
+
+const NEW_YORK = "America/New_York";
+const HOUR_MS = 60 * 60 * 1000;
+
+test("parseZonedDateTime: spring-forward gap has no instant", () => {
+  // Clocks jump 02:00 → 03:00 on 2026-03-08 in New York
+  assert.equal(parseZonedDateTime("2026-03-08", "02:30", NEW_YORK), null);
+  assert.equal(parseZonedDateTime("2026-03-08", "02:00", NEW_YORK), null);
+
+  assert.equal(parseZonedDateTime("2026-03-08", "01:30", NEW_YORK).toISOString(), "2026-03-08T06:30:00.000Z");
+  assert.equal(parseZonedDateTime("2026-03-08", "03:00", NEW_YORK).toISOString(), "2026-03-08T07:00:00.000Z");
+});
+
+test("parseZonedDateTime: fall-back repeated hour resolves to the first occurrence", () => {
+  // 01:30 happens twice on 2026-11-01 in New York: 05:30Z (EDT) then 06:30Z (EST)
+  const dt = parseZonedDateTime("2026-11-01", "01:30", NEW_YORK);
+  assert.equal(dt.toISOString(), "2026-11-01T05:30:00.000Z");
+  assert.deepEqual(getZonedDateSlot(dt, NEW_YORK), { date: "2026-11-01", slot: "01:30" });
+});
+
+test("parseZonedDateTime: impossible and malformed dates are rejected", () => {
+  assert.equal(parseZonedDateTime("2026-02-30", "10:00"), null);
+  assert.equal(parseZonedDateTime("2026-02-29", "10:00"), null); // not a leap year
+  assert.equal(parseZonedDateTime("2026-13-01", "10:00"), null);
+  assert.equal(parseZonedDateTime("2026-03-10", "24:00"), null);
+  assert.equal(parseZonedDateTime("2026-03-10", "10:60"), null);
+  assert.equal(parseZonedDateTime("not-a-date", "10:00"), null);
+  assert.equal(parseZonedDateTime("", "10:00"), null);
+});
+
+test("getZonedDayBounds: 23-hour spring-forward and 25-hour fall-back days", () => {
+  const spring = getZonedDayBounds("2026-03-08", NEW_YORK);
+  assert.equal(spring.start.toISOString(), "2026-03-08T05:00:00.000Z");
+  assert.equal(spring.end.toISOString(), "2026-03-09T04:00:00.000Z");
+  assert.equal(spring.end - spring.start, 23 * HOUR_MS);
+
+  const fall = getZonedDayBounds("2026-11-01", NEW_YORK);
+  assert.equal(fall.start.toISOString(), "2026-11-01T04:00:00.000Z");
+  assert.equal(fall.end.toISOString(), "2026-11-02T05:00:00.000Z");
+  assert.equal(fall.end - fall.start, 25 * HOUR_MS);
+
+  const regular = getZonedDayBounds("2026-03-10", NEW_YORK);
+  assert.equal(regular.end - regular.start, 24 * HOUR_MS);
+});
+
+test("getZonedDayBounds: a day that starts after a midnight DST gap", () => {
+  // Santiago springs forward at midnight: 2026-09-06 begins at 01:00 local
+  const bounds = getZonedDayBounds("2026-09-06", "America/Santiago");
+  assert.deepEqual(getZonedDateSlot(bounds.start, "America/Santiago"), { date: "2026-09-06", slot: "01:00" });
+  assert.equal(bounds.end - bounds.start, 23 * HOUR_MS);
+});
+
+test("getZonedDayBounds: invalid dates have no bounds", () => {
+  assert.equal(getZonedDayBounds("2026-02-30", NEW_YORK), null);
+});
+
+test("IST stays the default zone", () => {
+  assert.equal(CLINIC_TIMEZONE, "Asia/Kolkata");
+  assert.equal(resolveTenantTimeZone(null), "Asia/Kolkata");
+  assert.equal(resolveTenantTimeZone({ settings: { timezone: "Not/AZone" } }), "Asia/Kolkata");
+  assert.equal(resolveTenantTimeZone({ settings: { timezone: NEW_YORK } }), NEW_YORK);
+
+  // No zone argument: same instants as before per-clinic zones existed
+  assert.equal(parseZonedDateTime("2026-03-08", "10:00").toISOString(), "2026-03-08T04:30:00.000Z");
+  assert.equal(parseZonedDateTime("2026-03-08", "02:30").toISOString(), "2026-03-07T21:00:00.000Z");
+
+  const bounds = getZonedDayBounds("2026-03-08");
+  assert.equal(bounds.start.toISOString(), "2026-03-07T18:30:00.000Z");
+  assert.equal(bounds.end - bounds.start, 24 * HOUR_MS);
+});
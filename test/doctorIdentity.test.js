@@ -0,0 +1,55 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import doctorService from "../src/services/doctorService.js";
+import Doctor from "../src/models/doctorModel.js";
+import DoctorIdentity from "../src/models/doctorIdentityModel.js";
+
+const doctorId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const ownIdentityId = new mongoose.Types.ObjectId();
+const accountIdentityId = new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable, resolves on lean()
+const query = (result) => {
+  const q = { select: () => q, lean: async () => result };
+  return q;
+};
+
+afterEach(() => mock.restoreAll());
+
+test("getIdentityId gives an unlinked profile an identity of its own", async () => {
+  mock.method(Doctor, "findById", () =>
+    query({ _id: doctorId, name: "Dr. Rao", email: "rao@example.com", identityId: null })
+  );
+  const create = mock.method(DoctorIdentity, "create", async (doc) => ({ _id: ownIdentityId, ...doc }));
+  const link = mock.method(Doctor, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await doctorService.getIdentityId(doctorId), ownIdentityId);
+  // Never looked up or merged by email
+  assert.deepEqual(create.mock.calls[0].arguments[0], { name: "Dr. Rao" });
+  assert.deepEqual(link.mock.calls[0].arguments[0], { _id: doctorId, identityId: null });
+});
+
+test("joinAccountIdentity moves an accepted profile onto the account's identity", async () => {
+  mock.method(Doctor, "findById", () => query({ _id: doctorId, identityId: ownIdentityId }));
+  mock.method(DoctorIdentity, "findOne", () => query({ _id: accountIdentityId }));
+  const move = mock.method(Doctor, "updateOne", async () => ({ modifiedCount: 1 }));
+  mock.method(Doctor, "exists", async () => null);
+  const drop = mock.method(DoctorIdentity, "deleteOne", async () => ({ deletedCount: 1 }));
+
+  assert.equal(await doctorService.joinAccountIdentity(doctorId, userId), accountIdentityId);
+  assert.deepEqual(move.mock.calls[0].arguments, [{ _id: doctorId }, { $set: { identityId: accountIdentityId } }]);
+  assert.deepEqual(drop.mock.calls[0].arguments[0], { _id: ownIdentityId, userId: null });
+});
+
+test("joinAccountIdentity makes the first accepted profile's identity the account's", async () => {
+  mock.method(Doctor, "findById", () => query({ _id: doctorId, identityId: ownIdentityId }));
+  mock.method(DoctorIdentity, "findOne", () => query(null));
+  const claim = mock.method(DoctorIdentity, "findOneAndUpdate", () => query({ _id: ownIdentityId, userId }));
+  const move = mock.method(Doctor, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await doctorService.joinAccountIdentity(doctorId, userId), ownIdentityId);
+  assert.deepEqual(claim.mock.calls[0].arguments[0], { _id: ownIdentityId, userId: null });
+  assert.equal(move.mock.callCount(), 0);
+});
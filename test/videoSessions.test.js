@@ -0,0 +1,53 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import AppointmentService from "../src/services/appointmentService.js";
+import Appointment from "../src/models/appointmentModel.js";
+import Tenant from "../src/models/tenantModel.js";
+import VideoConsultation from "../src/models/videoConsultationModel.js";
+
+const tenantId = new mongoose.Types.ObjectId();
+const now = new Date("2026-03-01T12:00:00Z");
+
+// Stand-in for a Mongoose query: chainable, resolves on lean()
+const query = (result) => {
+  const q = { select: () => q, lean: async () => result };
+  return q;
+};
+
+const visit = (consultationType) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenantId,
+  status: "CONFIRMED",
+  dateTime: new Date("2026-03-01T09:00:00Z"),
+  durationMinutes: 30,
+  consultationType,
+});
+
+afterEach(() => mock.restoreAll());
+
+test("markNoShows cancels the video sessions of visits it marks", async () => {
+  const video = visit("video");
+  const inClinic = visit("in-clinic");
+  const sessionId = new mongoose.Types.ObjectId();
+
+  mock.method(Appointment, "find", () => query([video, inClinic]));
+  mock.method(Tenant, "find", () =>
+    query([{ _id: tenantId, settings: { appointmentPolicy: { autoNoShow: true, noShowGraceMinutes: 15 } } }])
+  );
+  mock.method(Appointment, "updateOne", async () => ({ modifiedCount: 1 }));
+  const find = mock.method(VideoConsultation, "find", (filter) =>
+    // First lookup: sessions the patient joined; then: open sessions to close
+    query(filter.patientJoinedAt ? [] : [{ _id: sessionId, roomId: "room-1" }])
+  );
+  const close = mock.method(VideoConsultation, "updateMany", async () => ({ modifiedCount: 1 }));
+
+  const { marked } = await AppointmentService.markNoShows(now);
+
+  assert.equal(marked.length, 2);
+  assert.deepEqual(find.mock.calls[1].arguments[0].appointmentId, { $in: [video._id] });
+  assert.deepEqual(close.mock.calls[0].arguments, [
+    { _id: { $in: [sessionId] }, status: { $nin: ["COMPLETED", "CANCELLED"] } },
+    { $set: { status: "CANCELLED" } },
+  ]);
+});
@@ -0,0 +1,104 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import WaitlistService from "../src/services/waitlistService.js";
+import NotificationService from "../src/services/notificationService.js";
+import doctorService from "../src/services/doctorService.js";
+import Appointment from "../src/models/appointmentModel.js";
+import Doctor from "../src/models/doctorModel.js";
+import Tenant from "../src/models/tenantModel.js";
+import User from "../src/models/userModel.js";
+import WaitlistEntry from "../src/models/waitlistEntryModel.js";
+
+const doctorId = new mongoose.Types.ObjectId();
+const tenantId = new mongoose.Types.ObjectId();
+const patientId = new mongoose.Types.ObjectId();
+
+// 01:00 / 01:30 / 02:00 on Sunday 2030-03-10 in Asia/Kolkata
+const at0100 = new Date("2030-03-09T19:30:00Z");
+const at0130 = new Date("2030-03-09T20:00:00Z");
+const at0200 = new Date("2030-03-09T20:30:00Z");
+
+// Stand-in for a Mongoose query: chainable, resolves on lean()
+const query = (result) => {
+  const q = { select: () => q, sort: () => q, populate: () => q, lean: async () => result };
+  return q;
+};
+
+// Rows whose start falls in a { $gt, $lt } range, as Mongo would return them
+const within = (rows, range, start) => rows.filter((r) => start(r) > range.$gt && start(r) < range.$lt);
+
+// Sunday 01:00–04:00, 30-minute slots; `booked` visits and `held` offers on the doctor
+const stubClinic = ({ booked = [], held = [] } = {}) => {
+  const doctor = {
+    _id: doctorId,
+    tenantId,
+    schedule: {
+      slotDuration: 30,
+      weekly: [{ day: 0, isWorking: true, start: "01:00", end: "04:00", breaks: [] }],
+      exceptions: [],
+    },
+  };
+  mock.method(Doctor, "findOne", () => query(doctor));
+  mock.method(Doctor, "findById", () => query(doctor));
+  mock.method(User, "findById", () => query(null));
+  mock.method(Tenant, "findById", () => query({ settings: { timezone: "Asia/Kolkata" } }));
+  mock.method(Appointment, "find", (filter) => query(within(booked, filter.dateTime, (a) => a.dateTime)));
+  mock.method(WaitlistEntry, "find", (filter) =>
+    query(within(held, filter["offer.dateTime"], (h) => h.offer.dateTime))
+  );
+  mock.method(doctorService, "getAffiliatedDoctorIds", async () => [doctorId]);
+  mock.method(NotificationService, "create", async () => null);
+};
+
+const joinSlot = (slot) =>
+  WaitlistService.join(patientId, {
+    tenantId,
+    doctorId,
+    date: "2030-03-10",
+    slot,
+    patientInfo: { name: "Test Patient", contact: "9999999999" },
+  });
+
+afterEach(() => mock.restoreAll());
+
+test("join treats a slot covered by a longer visit as full", async () => {
+  stubClinic({ booked: [{ dateTime: at0100, durationMinutes: 60 }] });
+  const createdAt = new Date();
+  mock.method(WaitlistEntry, "create", async (doc) => ({ ...doc, createdAt, toObject: () => doc }));
+  mock.method(WaitlistEntry, "countDocuments", async () => 1);
+
+  const { position } = await joinSlot("01:30");
+
+  assert.equal(position, 1);
+  await assert.rejects(joinSlot("02:00"), /available/);
+});
+
+test("offerFreedSlot skips a start a longer visit still covers", async () => {
+  stubClinic({ booked: [{ dateTime: at0100, durationMinutes: 60 }] });
+  const offer = mock.method(WaitlistEntry, "findOneAndUpdate", () => query(null));
+
+  assert.equal(await WaitlistService.offerFreedSlot({ doctorId, dateTime: at0130 }), null);
+  assert.equal(offer.mock.callCount(), 0);
+});
+
+test("offerFreedSlot holds the doctor's slot length", async () => {
+  stubClinic();
+  const offer = mock.method(WaitlistEntry, "findOneAndUpdate", (filter, update) =>
+    query({ _id: new mongoose.Types.ObjectId(), tenantId, doctorId, patientId, ...update.$set })
+  );
+
+  const entry = await WaitlistService.offerFreedSlot({ doctorId, dateTime: at0200 });
+
+  assert.equal(offer.mock.callCount(), 1);
+  assert.equal(entry.offer.slot, "02:00");
+  assert.equal(entry.offer.durationMinutes, 30);
+});
+
+test("findActiveHolds compares holds as intervals", async () => {
+  const expiresAt = new Date(Date.now() + 60 * 1000);
+  stubClinic({ held: [{ patientId, offer: { dateTime: at0100, durationMinutes: 60, expiresAt } }] });
+
+  assert.equal((await WaitlistService.findActiveHolds(doctorId, at0130, 30)).length, 1);
+  assert.equal((await WaitlistService.findActiveHolds(doctorId, at0200, 30)).length, 0);
+});